@@ -9,20 +9,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 
-// Import enhanced services
-const BaseService = require('./base-service');
-const NativeFrameworkInitializer = require('./initialize-native-frameworks.js');
-// Removed to break circular dependency - will use lazy loading
-// const { EnhancedFrontendServiceInitializer } = require('./enhanced-frontend-service.js');
-
-class EnhancedPetersenQAService extends BaseService {
+class EnhancedPetersenQAService {
   constructor() {
-    super({
-      name: 'Enhanced Petersen QA Service',
-      version: '1.0.0',
-      appleIntelligence: true,
-      m4Acceleration: true
-    });
     // Relative path to Petersen theme - adjust based on actual location
     const projectRoot = path.join(__dirname, '..', '..');
     const studioRoot = path.join(projectRoot, '..');
@@ -0,0 +1,232 @@
+/**
+ * Design Token Types - quantum
+ * Generated by validation-scripts/build-design-tokens from tokens/quantum.json (v1.0.0)
+ * Do not edit; change the JSON source and rebuild.
+ */
+
+export declare const colorPrimaryMain: '#6A3093';
+export declare const colorPrimaryDark: '#331F4A';
+export declare const colorPrimaryLight: '#613FE7';
+export declare const colorPrimaryContrastText: '#FFFFFF';
+export declare const colorSecondaryMain: '#BF4080';
+export declare const colorSecondaryDark: '#331F4A';
+export declare const colorSecondaryLight: '#FF2D55';
+export declare const colorSecondaryContrastText: '#FFFFFF';
+export declare const colorAccentMain: '#5AC8FA';
+export declare const colorAccentDark: '#126D71';
+export declare const colorAccentLight: '#00FFC8';
+export declare const colorAccentContrastText: '#131A36';
+export declare const colorBackgroundDefault: '#131A36';
+export declare const colorBackgroundPaper: '#0D0D15';
+export declare const colorBackgroundSubtle: '#0A0621';
+export declare const colorTextPrimary: '#FFFFFF';
+export declare const colorTextSecondary: '#CCCCCC';
+export declare const colorTextDisabled: '#888888';
+export declare const colorTextHint: '#AAAAAA';
+export declare const colorSemanticSuccess: '#34C759';
+export declare const colorSemanticWarning: '#FF9500';
+export declare const colorSemanticError: '#FF3B30';
+export declare const colorSemanticInfo: '#5AC8FA';
+export declare const fontFamilyHeading: '\'SF Pro Display\', -apple-system, BlinkMacSystemFont, sans-serif';
+export declare const fontFamilyBody: '\'SF Pro Text\', -apple-system, BlinkMacSystemFont, sans-serif';
+export declare const fontFamilyMono: '\'SF Mono\', \'JetBrains Mono\', monospace';
+export declare const fontSizeXs: '12px';
+export declare const fontSizeSm: '14px';
+export declare const fontSizeMd: '16px';
+export declare const fontSizeLg: '20px';
+export declare const fontSizeXl: '24px';
+export declare const fontSizeXxl: '32px';
+export declare const fontSizeDisplay: '48px';
+export declare const fontWeightRegular: 400;
+export declare const fontWeightMedium: 500;
+export declare const fontWeightSemibold: 600;
+export declare const fontWeightBold: 700;
+export declare const lineHeightXs: '16px';
+export declare const lineHeightSm: '20px';
+export declare const lineHeightMd: '24px';
+export declare const lineHeightLg: '28px';
+export declare const lineHeightXl: '32px';
+export declare const lineHeightXxl: '40px';
+export declare const lineHeightDisplay: '56px';
+export declare const letterSpacingTighter: '-0.05em';
+export declare const letterSpacingTight: '-0.025em';
+export declare const letterSpacingNormal: '0';
+export declare const letterSpacingWide: '0.025em';
+export declare const letterSpacingWider: '0.05em';
+export declare const spaceQuantum: '4px';
+export declare const spaceXxs: '4px';
+export declare const spaceXs: '8px';
+export declare const spaceSm: '16px';
+export declare const spaceMd: '24px';
+export declare const spaceLg: '32px';
+export declare const spaceXl: '48px';
+export declare const spaceXxl: '64px';
+export declare const radiusXs: '2.4px';
+export declare const radiusSm: '4.8px';
+export declare const radiusMd: '9.6px';
+export declare const radiusLg: '14.399999999999999px';
+export declare const radiusXl: '19.2px';
+export declare const radiusPill: '9999px';
+export declare const borderWidthThin: '1px';
+export declare const borderWidthMedium: '2px';
+export declare const borderWidthThick: '3px';
+export declare const shadowSubtle: '0 2px 4px rgba(10, 6, 33, 0.3)';
+export declare const shadowMedium: '0 4px 8px rgba(10, 6, 33, 0.3), 0 0 8px rgba(191, 64, 128, 0.2)';
+export declare const shadowProminent: '0 8px 16px rgba(10, 6, 33, 0.3), 0 0 16px rgba(191, 64, 128, 0.2)';
+export declare const shadowGlow: '0 0 20px rgba(191, 64, 128, 0.2)';
+export declare const opacitySubtle: 0.7;
+export declare const opacityVerySubtle: 0.3;
+export declare const opacityHover: 0.85;
+export declare const opacityActive: 0.95;
+export declare const opacityDisabled: 0.5;
+export declare const gridSizeFine: '8px';
+export declare const gridSizeMedium: '16px';
+export declare const gridSizeCoarse: '32px';
+export declare const gridTypesBackgroundOpacity: 0.08;
+export declare const gridTypesInterfaceOpacity: 0.15;
+export declare const gridTypesFeatureOpacity: 0.2;
+export declare const gridPerspectiveDefault: '1000px';
+export declare const gridPerspectiveSubtle: '2000px';
+export declare const gridPerspectiveExtreme: '500px';
+export declare const durationInstant: '40ms';
+export declare const durationFast: '120ms';
+export declare const durationMedium: '240ms';
+export declare const durationSlow: '400ms';
+export declare const durationDeliberate: '640ms';
+export declare const durationHoverIntent: '50ms';
+export declare const durationMenuDelay: '150ms';
+export declare const durationControl: '200ms';
+export declare const durationViewSwitch: '300ms';
+export declare const durationMenu: '350ms';
+export declare const durationMenuPanel: '400ms';
+export declare const easingStandard: 'cubic-bezier(0.4, 0.0, 0.2, 1)';
+export declare const easingDecelerate: 'cubic-bezier(0.0, 0.0, 0.2, 1)';
+export declare const easingAccelerate: 'cubic-bezier(0.4, 0.0, 1, 1)';
+export declare const easingQuantum: 'cubic-bezier(0.16, 1, 0.3, 1)';
+export declare const easingEnergy: 'cubic-bezier(0.17, 0.89, 0.32, 1.25)';
+export declare const materialRoughness: 0.2;
+export declare const materialMetallic: 0.8;
+export declare const materialEmission: 0.7;
+export declare const materialPixelation: 0;
+
+export interface DesignTokens {
+  readonly 'color-primary-main': '#6A3093';
+  readonly 'color-primary-dark': '#331F4A';
+  readonly 'color-primary-light': '#613FE7';
+  readonly 'color-primary-contrast-text': '#FFFFFF';
+  readonly 'color-secondary-main': '#BF4080';
+  readonly 'color-secondary-dark': '#331F4A';
+  readonly 'color-secondary-light': '#FF2D55';
+  readonly 'color-secondary-contrast-text': '#FFFFFF';
+  readonly 'color-accent-main': '#5AC8FA';
+  readonly 'color-accent-dark': '#126D71';
+  readonly 'color-accent-light': '#00FFC8';
+  readonly 'color-accent-contrast-text': '#131A36';
+  readonly 'color-background-default': '#131A36';
+  readonly 'color-background-paper': '#0D0D15';
+  readonly 'color-background-subtle': '#0A0621';
+  readonly 'color-text-primary': '#FFFFFF';
+  readonly 'color-text-secondary': '#CCCCCC';
+  readonly 'color-text-disabled': '#888888';
+  readonly 'color-text-hint': '#AAAAAA';
+  readonly 'color-semantic-success': '#34C759';
+  readonly 'color-semantic-warning': '#FF9500';
+  readonly 'color-semantic-error': '#FF3B30';
+  readonly 'color-semantic-info': '#5AC8FA';
+  readonly 'font-family-heading': '\'SF Pro Display\', -apple-system, BlinkMacSystemFont, sans-serif';
+  readonly 'font-family-body': '\'SF Pro Text\', -apple-system, BlinkMacSystemFont, sans-serif';
+  readonly 'font-family-mono': '\'SF Mono\', \'JetBrains Mono\', monospace';
+  readonly 'font-size-xs': '12px';
+  readonly 'font-size-sm': '14px';
+  readonly 'font-size-md': '16px';
+  readonly 'font-size-lg': '20px';
+  readonly 'font-size-xl': '24px';
+  readonly 'font-size-xxl': '32px';
+  readonly 'font-size-display': '48px';
+  readonly 'font-weight-regular': 400;
+  readonly 'font-weight-medium': 500;
+  readonly 'font-weight-semibold': 600;
+  readonly 'font-weight-bold': 700;
+  readonly 'line-height-xs': '16px';
+  readonly 'line-height-sm': '20px';
+  readonly 'line-height-md': '24px';
+  readonly 'line-height-lg': '28px';
+  readonly 'line-height-xl': '32px';
+  readonly 'line-height-xxl': '40px';
+  readonly 'line-height-display': '56px';
+  readonly 'letter-spacing-tighter': '-0.05em';
+  readonly 'letter-spacing-tight': '-0.025em';
+  readonly 'letter-spacing-normal': '0';
+  readonly 'letter-spacing-wide': '0.025em';
+  readonly 'letter-spacing-wider': '0.05em';
+  readonly 'space-quantum': '4px';
+  readonly 'space-xxs': '4px';
+  readonly 'space-xs': '8px';
+  readonly 'space-sm': '16px';
+  readonly 'space-md': '24px';
+  readonly 'space-lg': '32px';
+  readonly 'space-xl': '48px';
+  readonly 'space-xxl': '64px';
+  readonly 'radius-xs': '2.4px';
+  readonly 'radius-sm': '4.8px';
+  readonly 'radius-md': '9.6px';
+  readonly 'radius-lg': '14.399999999999999px';
+  readonly 'radius-xl': '19.2px';
+  readonly 'radius-pill': '9999px';
+  readonly 'border-width-thin': '1px';
+  readonly 'border-width-medium': '2px';
+  readonly 'border-width-thick': '3px';
+  readonly 'shadow-subtle': '0 2px 4px rgba(10, 6, 33, 0.3)';
+  readonly 'shadow-medium': '0 4px 8px rgba(10, 6, 33, 0.3), 0 0 8px rgba(191, 64, 128, 0.2)';
+  readonly 'shadow-prominent': '0 8px 16px rgba(10, 6, 33, 0.3), 0 0 16px rgba(191, 64, 128, 0.2)';
+  readonly 'shadow-glow': '0 0 20px rgba(191, 64, 128, 0.2)';
+  readonly 'opacity-subtle': 0.7;
+  readonly 'opacity-very-subtle': 0.3;
+  readonly 'opacity-hover': 0.85;
+  readonly 'opacity-active': 0.95;
+  readonly 'opacity-disabled': 0.5;
+  readonly 'grid-size-fine': '8px';
+  readonly 'grid-size-medium': '16px';
+  readonly 'grid-size-coarse': '32px';
+  readonly 'grid-types-background-opacity': 0.08;
+  readonly 'grid-types-interface-opacity': 0.15;
+  readonly 'grid-types-feature-opacity': 0.2;
+  readonly 'grid-perspective-default': '1000px';
+  readonly 'grid-perspective-subtle': '2000px';
+  readonly 'grid-perspective-extreme': '500px';
+  readonly 'duration-instant': '40ms';
+  readonly 'duration-fast': '120ms';
+  readonly 'duration-medium': '240ms';
+  readonly 'duration-slow': '400ms';
+  readonly 'duration-deliberate': '640ms';
+  readonly 'duration-hover-intent': '50ms';
+  readonly 'duration-menu-delay': '150ms';
+  readonly 'duration-control': '200ms';
+  readonly 'duration-view-switch': '300ms';
+  readonly 'duration-menu': '350ms';
+  readonly 'duration-menu-panel': '400ms';
+  readonly 'easing-standard': 'cubic-bezier(0.4, 0.0, 0.2, 1)';
+  readonly 'easing-decelerate': 'cubic-bezier(0.0, 0.0, 0.2, 1)';
+  readonly 'easing-accelerate': 'cubic-bezier(0.4, 0.0, 1, 1)';
+  readonly 'easing-quantum': 'cubic-bezier(0.16, 1, 0.3, 1)';
+  readonly 'easing-energy': 'cubic-bezier(0.17, 0.89, 0.32, 1.25)';
+  readonly 'material-roughness': 0.2;
+  readonly 'material-metallic': 0.8;
+  readonly 'material-emission': 0.7;
+  readonly 'material-pixelation': 0;
+}
+
+export type TokenName = keyof DesignTokens;
+
+export type DurationTokenName = 'duration-instant' | 'duration-fast' | 'duration-medium' | 'duration-slow' | 'duration-deliberate' | 'duration-hover-intent' | 'duration-menu-delay' | 'duration-control' | 'duration-view-switch' | 'duration-menu' | 'duration-menu-panel';
+
+export declare const tokens: Readonly<DesignTokens>;
+
+export declare function cssVar<N extends TokenName>(name: N): `var(--${N})`;
+export declare function cssVar<N extends TokenName, F extends string>(name: N, fallback: F): `var(--${N}, ${F})`;
+
+export declare function tokenValue(name: TokenName, element?: Element): string;
+
+export declare function durationMs(name: DurationTokenName, element?: Element): number;
+
+export default tokens;
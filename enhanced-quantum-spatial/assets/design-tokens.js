@@ -0,0 +1,274 @@
+/**
+ * Design Tokens - quantum
+ * Generated by validation-scripts/build-design-tokens from tokens/quantum.json (v1.0.0)
+ * Do not edit; change the JSON source and rebuild.
+ */
+
+// import { cssVar, durationMs, colorPrimaryMain } from '@theme/design-tokens';
+
+/* colors */
+export const colorPrimaryMain = '#6A3093';
+export const colorPrimaryDark = '#331F4A';
+export const colorPrimaryLight = '#613FE7';
+export const colorPrimaryContrastText = '#FFFFFF';
+export const colorSecondaryMain = '#BF4080';
+export const colorSecondaryDark = '#331F4A';
+export const colorSecondaryLight = '#FF2D55';
+export const colorSecondaryContrastText = '#FFFFFF';
+export const colorAccentMain = '#5AC8FA';
+export const colorAccentDark = '#126D71';
+export const colorAccentLight = '#00FFC8';
+export const colorAccentContrastText = '#131A36';
+export const colorBackgroundDefault = '#131A36';
+export const colorBackgroundPaper = '#0D0D15';
+export const colorBackgroundSubtle = '#0A0621';
+export const colorTextPrimary = '#FFFFFF';
+export const colorTextSecondary = '#CCCCCC';
+export const colorTextDisabled = '#888888';
+export const colorTextHint = '#AAAAAA';
+export const colorSemanticSuccess = '#34C759';
+export const colorSemanticWarning = '#FF9500';
+export const colorSemanticError = '#FF3B30';
+export const colorSemanticInfo = '#5AC8FA';
+
+/* typography */
+export const fontFamilyHeading = '\'SF Pro Display\', -apple-system, BlinkMacSystemFont, sans-serif';
+export const fontFamilyBody = '\'SF Pro Text\', -apple-system, BlinkMacSystemFont, sans-serif';
+export const fontFamilyMono = '\'SF Mono\', \'JetBrains Mono\', monospace';
+export const fontSizeXs = '12px';
+export const fontSizeSm = '14px';
+export const fontSizeMd = '16px';
+export const fontSizeLg = '20px';
+export const fontSizeXl = '24px';
+export const fontSizeXxl = '32px';
+export const fontSizeDisplay = '48px';
+export const fontWeightRegular = 400;
+export const fontWeightMedium = 500;
+export const fontWeightSemibold = 600;
+export const fontWeightBold = 700;
+export const lineHeightXs = '16px';
+export const lineHeightSm = '20px';
+export const lineHeightMd = '24px';
+export const lineHeightLg = '28px';
+export const lineHeightXl = '32px';
+export const lineHeightXxl = '40px';
+export const lineHeightDisplay = '56px';
+export const letterSpacingTighter = '-0.05em';
+export const letterSpacingTight = '-0.025em';
+export const letterSpacingNormal = '0';
+export const letterSpacingWide = '0.025em';
+export const letterSpacingWider = '0.05em';
+
+/* spacing */
+export const spaceQuantum = '4px';
+export const spaceXxs = '4px';
+export const spaceXs = '8px';
+export const spaceSm = '16px';
+export const spaceMd = '24px';
+export const spaceLg = '32px';
+export const spaceXl = '48px';
+export const spaceXxl = '64px';
+
+/* borders */
+export const radiusXs = '2.4px';
+export const radiusSm = '4.8px';
+export const radiusMd = '9.6px';
+export const radiusLg = '14.399999999999999px';
+export const radiusXl = '19.2px';
+export const radiusPill = '9999px';
+export const borderWidthThin = '1px';
+export const borderWidthMedium = '2px';
+export const borderWidthThick = '3px';
+
+/* shadows */
+export const shadowSubtle = '0 2px 4px rgba(10, 6, 33, 0.3)';
+export const shadowMedium = '0 4px 8px rgba(10, 6, 33, 0.3), 0 0 8px rgba(191, 64, 128, 0.2)';
+export const shadowProminent = '0 8px 16px rgba(10, 6, 33, 0.3), 0 0 16px rgba(191, 64, 128, 0.2)';
+export const shadowGlow = '0 0 20px rgba(191, 64, 128, 0.2)';
+
+/* opacities */
+export const opacitySubtle = 0.7;
+export const opacityVerySubtle = 0.3;
+export const opacityHover = 0.85;
+export const opacityActive = 0.95;
+export const opacityDisabled = 0.5;
+
+/* grid */
+export const gridSizeFine = '8px';
+export const gridSizeMedium = '16px';
+export const gridSizeCoarse = '32px';
+export const gridTypesBackgroundOpacity = 0.08;
+export const gridTypesInterfaceOpacity = 0.15;
+export const gridTypesFeatureOpacity = 0.2;
+export const gridPerspectiveDefault = '1000px';
+export const gridPerspectiveSubtle = '2000px';
+export const gridPerspectiveExtreme = '500px';
+
+/* animation */
+export const durationInstant = '40ms';
+export const durationFast = '120ms';
+export const durationMedium = '240ms';
+export const durationSlow = '400ms';
+export const durationDeliberate = '640ms';
+export const durationHoverIntent = '50ms';
+export const durationMenuDelay = '150ms';
+export const durationControl = '200ms';
+export const durationViewSwitch = '300ms';
+export const durationMenu = '350ms';
+export const durationMenuPanel = '400ms';
+export const easingStandard = 'cubic-bezier(0.4, 0.0, 0.2, 1)';
+export const easingDecelerate = 'cubic-bezier(0.0, 0.0, 0.2, 1)';
+export const easingAccelerate = 'cubic-bezier(0.4, 0.0, 1, 1)';
+export const easingQuantum = 'cubic-bezier(0.16, 1, 0.3, 1)';
+export const easingEnergy = 'cubic-bezier(0.17, 0.89, 0.32, 1.25)';
+
+/* quantumMaterial */
+export const materialRoughness = 0.2;
+export const materialMetallic = 0.8;
+export const materialEmission = 0.7;
+export const materialPixelation = 0;
+
+export const tokens = Object.freeze({
+  'color-primary-main': colorPrimaryMain,
+  'color-primary-dark': colorPrimaryDark,
+  'color-primary-light': colorPrimaryLight,
+  'color-primary-contrast-text': colorPrimaryContrastText,
+  'color-secondary-main': colorSecondaryMain,
+  'color-secondary-dark': colorSecondaryDark,
+  'color-secondary-light': colorSecondaryLight,
+  'color-secondary-contrast-text': colorSecondaryContrastText,
+  'color-accent-main': colorAccentMain,
+  'color-accent-dark': colorAccentDark,
+  'color-accent-light': colorAccentLight,
+  'color-accent-contrast-text': colorAccentContrastText,
+  'color-background-default': colorBackgroundDefault,
+  'color-background-paper': colorBackgroundPaper,
+  'color-background-subtle': colorBackgroundSubtle,
+  'color-text-primary': colorTextPrimary,
+  'color-text-secondary': colorTextSecondary,
+  'color-text-disabled': colorTextDisabled,
+  'color-text-hint': colorTextHint,
+  'color-semantic-success': colorSemanticSuccess,
+  'color-semantic-warning': colorSemanticWarning,
+  'color-semantic-error': colorSemanticError,
+  'color-semantic-info': colorSemanticInfo,
+  'font-family-heading': fontFamilyHeading,
+  'font-family-body': fontFamilyBody,
+  'font-family-mono': fontFamilyMono,
+  'font-size-xs': fontSizeXs,
+  'font-size-sm': fontSizeSm,
+  'font-size-md': fontSizeMd,
+  'font-size-lg': fontSizeLg,
+  'font-size-xl': fontSizeXl,
+  'font-size-xxl': fontSizeXxl,
+  'font-size-display': fontSizeDisplay,
+  'font-weight-regular': fontWeightRegular,
+  'font-weight-medium': fontWeightMedium,
+  'font-weight-semibold': fontWeightSemibold,
+  'font-weight-bold': fontWeightBold,
+  'line-height-xs': lineHeightXs,
+  'line-height-sm': lineHeightSm,
+  'line-height-md': lineHeightMd,
+  'line-height-lg': lineHeightLg,
+  'line-height-xl': lineHeightXl,
+  'line-height-xxl': lineHeightXxl,
+  'line-height-display': lineHeightDisplay,
+  'letter-spacing-tighter': letterSpacingTighter,
+  'letter-spacing-tight': letterSpacingTight,
+  'letter-spacing-normal': letterSpacingNormal,
+  'letter-spacing-wide': letterSpacingWide,
+  'letter-spacing-wider': letterSpacingWider,
+  'space-quantum': spaceQuantum,
+  'space-xxs': spaceXxs,
+  'space-xs': spaceXs,
+  'space-sm': spaceSm,
+  'space-md': spaceMd,
+  'space-lg': spaceLg,
+  'space-xl': spaceXl,
+  'space-xxl': spaceXxl,
+  'radius-xs': radiusXs,
+  'radius-sm': radiusSm,
+  'radius-md': radiusMd,
+  'radius-lg': radiusLg,
+  'radius-xl': radiusXl,
+  'radius-pill': radiusPill,
+  'border-width-thin': borderWidthThin,
+  'border-width-medium': borderWidthMedium,
+  'border-width-thick': borderWidthThick,
+  'shadow-subtle': shadowSubtle,
+  'shadow-medium': shadowMedium,
+  'shadow-prominent': shadowProminent,
+  'shadow-glow': shadowGlow,
+  'opacity-subtle': opacitySubtle,
+  'opacity-very-subtle': opacityVerySubtle,
+  'opacity-hover': opacityHover,
+  'opacity-active': opacityActive,
+  'opacity-disabled': opacityDisabled,
+  'grid-size-fine': gridSizeFine,
+  'grid-size-medium': gridSizeMedium,
+  'grid-size-coarse': gridSizeCoarse,
+  'grid-types-background-opacity': gridTypesBackgroundOpacity,
+  'grid-types-interface-opacity': gridTypesInterfaceOpacity,
+  'grid-types-feature-opacity': gridTypesFeatureOpacity,
+  'grid-perspective-default': gridPerspectiveDefault,
+  'grid-perspective-subtle': gridPerspectiveSubtle,
+  'grid-perspective-extreme': gridPerspectiveExtreme,
+  'duration-instant': durationInstant,
+  'duration-fast': durationFast,
+  'duration-medium': durationMedium,
+  'duration-slow': durationSlow,
+  'duration-deliberate': durationDeliberate,
+  'duration-hover-intent': durationHoverIntent,
+  'duration-menu-delay': durationMenuDelay,
+  'duration-control': durationControl,
+  'duration-view-switch': durationViewSwitch,
+  'duration-menu': durationMenu,
+  'duration-menu-panel': durationMenuPanel,
+  'easing-standard': easingStandard,
+  'easing-decelerate': easingDecelerate,
+  'easing-accelerate': easingAccelerate,
+  'easing-quantum': easingQuantum,
+  'easing-energy': easingEnergy,
+  'material-roughness': materialRoughness,
+  'material-metallic': materialMetallic,
+  'material-emission': materialEmission,
+  'material-pixelation': materialPixelation,
+});
+
+function assertToken(name) {
+  if (!Object.prototype.hasOwnProperty.call(tokens, name)) {
+    throw new Error(`Unknown design token "${name}"`);
+  }
+}
+
+/**
+ * var(--<name>) for a token, with an optional fallback; throws for names
+ * that are not tokens
+ */
+export function cssVar(name, fallback) {
+  assertToken(name);
+  return fallback === undefined ? `var(--${name})` : `var(--${name}, ${fallback})`;
+}
+
+/**
+ * Current CSS value of a token on `element` (the document root by default),
+ * so it follows data-quantum-state; the generated value when the property
+ * is not set or there is no document
+ */
+export function tokenValue(name, element) {
+  assertToken(name);
+  const target = element || (typeof document !== 'undefined' ? document.documentElement : null);
+  const live = target ? getComputedStyle(target).getPropertyValue(`--${name}`).trim() : '';
+  return live || String(tokens[name]);
+}
+
+/**
+ * Milliseconds of a duration token, for setTimeout() and the Web Animations API
+ */
+export function durationMs(name, element) {
+  const value = tokenValue(name, element);
+  const amount = parseFloat(value);
+  return /[^m]s$/.test(value) ? amount * 1000 : amount;
+}
+
+export default tokens;
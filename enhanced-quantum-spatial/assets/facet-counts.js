@@ -0,0 +1,220 @@
+import { sectionRenderer } from '@theme/section-renderer';
+import { deleteParam, handleize } from '@theme/filter-state';
+import { InstantFacets } from '@theme/instant-facets';
+
+/**
+ * @typedef {import('@theme/filter-state').ActiveFilter} ActiveFilter
+ */
+
+/**
+ * @typedef {Object} FacetCountValue
+ * @property {string} value - The parameter value
+ * @property {string} label - The label shown to shoppers
+ * @property {number} count - The products with this value under the other active filters
+ * @property {boolean} active - Whether the value is selected
+ */
+
+/**
+ * @typedef {Object} FacetCountFilter
+ * @property {string} param - The filter parameter
+ * @property {FacetCountValue[]} values - The filter values
+ */
+
+/**
+ * The data rendered by the facet-counts snippet
+ *
+ * @typedef {Object} FacetCountData
+ * @property {number} results - The number of results
+ * @property {FacetCountFilter[]} filters - The filters, without the price range
+ */
+
+/**
+ * A way back to results from an empty grid
+ *
+ * @typedef {Object} FilterRelaxation
+ * @property {ActiveFilter[]} filters - The filters to remove, both ends for the price range
+ * @property {number} results - The number of results without them
+ */
+
+/**
+ * Filters a product has one value of at most, so their counts add up.
+ * @type {string[]}
+ */
+const SINGLE_VALUE_PARAMS = ['filter.p.product_type', 'filter.p.vendor'];
+
+/**
+ * Prefix of the price range parameters.
+ * @type {string}
+ */
+const PRICE_PREFIX = 'filter.v.price.';
+
+/**
+ * Reads the counts rendered by the facet-counts snippet
+ * @param {ParentNode | null} root - Where to look
+ * @returns {FacetCountData | undefined} The counts
+ */
+function readCounts(root) {
+  const script = root?.querySelector('script[type="application/json"][data-facet-counts]');
+  if (!script?.textContent) return undefined;
+
+  try {
+    return JSON.parse(script.textContent);
+  } catch (error) {
+    console.error('Invalid facet counts', error);
+    return undefined;
+  }
+}
+
+/**
+ * Fetches the counts of a URL from a section render, shared with a pending
+ * render of the same URL
+ * @param {string} sectionId - The section that renders the facet-counts snippet
+ * @param {URL} url - The URL to count
+ * @returns {Promise<FacetCountData | undefined>} The counts
+ */
+async function fetchCounts(sectionId, url) {
+  try {
+    const html = await sectionRenderer.getSectionHTML(sectionId, true, new URL(url));
+    return readCounts(new DOMParser().parseFromString(html, 'text/html'));
+  } catch (error) {
+    console.error(error);
+    return undefined;
+  }
+}
+
+/**
+ * Whether counts were rendered for the filters of a URL
+ * @param {FacetCountData} data - The counts
+ * @param {URL} url - The URL
+ * @returns {boolean}
+ */
+function countsMatchURL(data, url) {
+  const rendered = data.filters.flatMap(({ param, values }) =>
+    values.filter(({ active }) => active).map(({ value }) => `${param}=${handleize(value)}`)
+  );
+  const requested = [...url.searchParams]
+    .filter(([name, value]) => name.startsWith('filter.') && !name.startsWith(PRICE_PREFIX) && value !== '')
+    .map(([name, value]) => `${name}=${handleize(value)}`);
+
+  return rendered.length === requested.length && requested.every((filter) => rendered.includes(filter));
+}
+
+/**
+ * Result counts around the current filters: what an option would leave if
+ * added and what removing a filter would bring back. Exact with
+ * @theme/instant-facets, from Shopify's filter value counts otherwise.
+ */
+export class FacetCounts {
+  /**
+   * Loads the counts of the current URL, from the section when it was
+   * rendered for it, from a section render otherwise
+   * @param {string} sectionId - The section that renders the facet-counts snippet
+   * @returns {Promise<FacetCounts | undefined>}
+   */
+  static async load(sectionId) {
+    const url = new URL(window.location.href);
+
+    let data = readCounts(document.getElementById(`shopify-section-${sectionId}`));
+    if (!data || !countsMatchURL(data, url)) data = await fetchCounts(sectionId, url);
+
+    return data ? new FacetCounts(sectionId, url, data) : undefined;
+  }
+
+  /** @type {string} */
+  #sectionId;
+
+  /** @type {URL} */
+  #url;
+
+  /** @type {FacetCountData} */
+  #data;
+
+  /**
+   * @param {string} sectionId - The section that renders the facet-counts snippet
+   * @param {URL} url - The URL the counts are for
+   * @param {FacetCountData} data - The counts
+   */
+  constructor(sectionId, url, data) {
+    this.#sectionId = sectionId;
+    this.#url = url;
+    this.#data = data;
+  }
+
+  /**
+   * The number of results
+   * @returns {number}
+   */
+  get results() {
+    return this.#data.results;
+  }
+
+  /**
+   * Counts the results with an option added
+   * @param {string} name - The parameter name
+   * @param {string} value - The parameter value, or its handle
+   * @returns {number | undefined} The count, or undefined when it can't be told
+   */
+  countWith(name, value) {
+    const url = new URL(this.#url);
+    url.searchParams.append(name, value);
+
+    const exact = InstantFacets.find()?.countResults(url);
+    if (exact !== undefined) return exact;
+
+    const filter = this.#data.filters.find(({ param }) => param === name);
+    if (!filter) return undefined;
+
+    const handle = handleize(value);
+    const filterValue = filter.values.find(
+      (candidate) => handleize(candidate.value) === handle || handleize(candidate.label) === handle
+    );
+    const widens = filter.values.some(({ active }) => active);
+
+    // No product of the results has the value
+    if (!filterValue) return widens ? this.results : 0;
+
+    // Shopify counts the value under the other filters, which is the result
+    // unless the filter has a value already; then the value widens it
+    if (!widens) return filterValue.count;
+    if (SINGLE_VALUE_PARAMS.includes(filter.param)) return this.results + filterValue.count;
+
+    // Other values, like tags, can share products, so only an empty union is certain
+    if (this.results === 0 && filterValue.count === 0) return 0;
+    return undefined;
+  }
+
+  /**
+   * Finds the single filters whose removal brings results back
+   * @param {ActiveFilter[]} filters - The active filters
+   * @returns {Promise<FilterRelaxation[]>} The relaxations, most results first
+   */
+  async relaxations(filters) {
+    /** @type {ActiveFilter[][]} */
+    const candidates = filters.filter(({ name }) => !name.startsWith(PRICE_PREFIX)).map((filter) => [filter]);
+
+    const priceFilters = filters.filter(({ name }) => name.startsWith(PRICE_PREFIX));
+    if (priceFilters.length > 0) candidates.push(priceFilters);
+
+    const relaxations = await Promise.all(
+      candidates.map(async (candidate) => ({ filters: candidate, results: await this.#countWithout(candidate) }))
+    );
+
+    return relaxations.filter(({ results }) => results > 0).sort((a, b) => b.results - a.results);
+  }
+
+  /**
+   * @param {ActiveFilter[]} filters - The filters to remove
+   * @returns {Promise<number>} The results without them
+   */
+  async #countWithout(filters) {
+    const url = new URL(this.#url);
+    for (const { name, value } of filters) deleteParam(url.searchParams, name, value);
+    url.searchParams.delete('page');
+
+    const exact = InstantFacets.find()?.countResults(url);
+    if (exact !== undefined) return exact;
+
+    const data = await fetchCounts(this.#sectionId, url);
+    return data?.results ?? 0;
+  }
+}
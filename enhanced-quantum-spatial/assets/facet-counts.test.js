@@ -0,0 +1,63 @@
+// @vitest-environment happy-dom
+import { describe, expect, it, vi } from 'vitest';
+import { FacetCounts } from './facet-counts.js';
+
+// Theme is the global that scripts.liquid defines before any module runs
+vi.hoisted(() => {
+  globalThis.Theme = { routes: { all_products_collection_url: '/collections/all' }, utilities: {} };
+});
+
+/**
+ * @param {string} search - The query string of the counted URL
+ * @param {number} results - The number of results
+ * @param {import('./facet-counts.js').FacetCountFilter[]} filters - The filter value counts
+ */
+function counts(search, results, filters) {
+  return new FacetCounts('main', new URL(`https://example.com/collections/all${search}`), { results, filters });
+}
+
+const tags = (horror, strategy, active = false) => ({
+  param: 'filter.p.tag',
+  values: [
+    { value: 'horror', label: 'Horror', count: horror, active },
+    { value: 'strategy', label: 'Strategy', count: strategy, active: false },
+  ],
+});
+
+describe('FacetCounts.countWith', () => {
+  it('takes the value count when the filter has no value yet', () => {
+    expect(counts('', 40, [tags(12, 0)]).countWith('filter.p.tag', 'horror')).toBe(12);
+    expect(counts('', 40, [tags(12, 0)]).countWith('filter.p.tag', 'strategy')).toBe(0);
+  });
+
+  it('adds up values a product has one of', () => {
+    const productTypes = {
+      param: 'filter.p.product_type',
+      values: [
+        { value: 'Board Game', label: 'Board Game', count: 8, active: true },
+        { value: 'RPG', label: 'RPG', count: 5, active: false },
+      ],
+    };
+
+    expect(counts('?filter.p.product_type=Board+Game', 8, [productTypes]).countWith('filter.p.product_type', 'rpg')).toBe(13);
+  });
+
+  it('cannot tell how far a value that products share widens the results', () => {
+    const data = counts('?filter.p.tag=horror', 12, [tags(12, 6, true)]);
+
+    expect(data.countWith('filter.p.tag', 'strategy')).toBeUndefined();
+  });
+
+  it('is zero only when neither the results nor the value have products', () => {
+    const data = counts('?filter.p.tag=horror', 0, [tags(0, 0, true)]);
+
+    expect(data.countWith('filter.p.tag', 'strategy')).toBe(0);
+  });
+
+  it('keeps the results for a value no result has when it widens the filter', () => {
+    const data = counts('?filter.p.tag=horror', 12, [tags(12, 6, true)]);
+
+    expect(data.countWith('filter.p.tag', 'cooperative')).toBe(12);
+    expect(counts('', 40, [tags(12, 6)]).countWith('filter.p.tag', 'cooperative')).toBe(0);
+  });
+});
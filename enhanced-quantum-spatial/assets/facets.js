@@ -1,6 +1,9 @@
 import { sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
 import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
+import { FacetCounts } from '@theme/facet-counts';
+import { deleteParam, filterState } from '@theme/filter-state';
+import { InstantFacets } from '@theme/instant-facets';
 import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
 
 /**
@@ -9,6 +12,17 @@ import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
  */
 const SEARCH_QUERY = 'q';
 
+/**
+ * The number of "did you mean" suggestions shown for an empty grid.
+ * @type {number}
+ */
+const MAX_RELAXATIONS = 3;
+
+/**
+ * @typedef {import('@theme/filter-state').FilterSnapshot} FilterSnapshot
+ * @typedef {import('@theme/facet-counts').FilterRelaxation} FilterRelaxation
+ */
+
 /**
  * Handles the main facets form functionality
  *
@@ -21,6 +35,32 @@ const SEARCH_QUERY = 'q';
 class FacetsFormComponent extends Component {
   requiredRefs = ['facetsForm'];
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /** @type {number} */
+  #countsRequest = 0;
+
+  /**
+   * The counts of the last URL, kept for the notification after its render
+   * @type {{ url: string, counts: Promise<FacetCounts | undefined> } | undefined}
+   */
+  #counts;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // Sections opt into count previews by rendering the facet-counts snippet
+    if (this.closest('.shopify-section')?.querySelector('script[data-facet-counts]')) {
+      this.#unsubscribe = filterState.subscribe(this.#updateCounts);
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#unsubscribe?.();
+  }
+
   /**
    * Creates URL parameters from form data
    * @param {FormData} [formData] - Optional form data to use instead of the main form
@@ -80,15 +120,25 @@ class FacetsFormComponent extends Component {
   };
 
   /**
-   * Updates the section
+   * Updates the section, in the browser when the collection embeds its facet data
    */
   #updateSection() {
     const viewTransition = !this.closest('dialog');
+    const url = new URL(window.location.href);
+    const instantFacets = InstantFacets.for(this.sectionId);
+
+    /** @type {() => unknown} */
+    let render = () => sectionRenderer.renderSection(this.sectionId);
+
+    if (instantFacets?.canRender(url)) {
+      sectionRenderer.cancelPendingRender(this.sectionId);
+      render = () => instantFacets.render(url);
+    }
 
     if (viewTransition) {
-      startViewTransition(() => sectionRenderer.renderSection(this.sectionId), ['product-grid']);
+      startViewTransition(render, ['product-grid']);
     } else {
-      sectionRenderer.renderSection(this.sectionId);
+      render();
     }
   }
 
@@ -101,6 +151,89 @@ class FacetsFormComponent extends Component {
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
     this.#updateSection();
   }
+
+  /**
+   * Shows what each option would leave and suggests a way out of an empty grid
+   * @param {FilterSnapshot} state - The filter state
+   */
+  #updateCounts = async (state) => {
+    // Only the latest filter state gets rendered
+    const request = ++this.#countsRequest;
+    const counts = await this.#loadCounts();
+    if (!counts || request !== this.#countsRequest) return;
+
+    for (const facetInputs of this.querySelectorAll('facet-inputs-component')) {
+      if (!(facetInputs instanceof FacetInputsComponent)) continue;
+      facetInputs.updateCountPreviews((input) => counts.countWith(input.name, input.value));
+    }
+
+    const relaxations = state.activeCount > 0 && counts.results === 0 ? await counts.relaxations(state.filters) : [];
+    if (request !== this.#countsRequest) return;
+
+    this.#renderRelaxations(relaxations.slice(0, MAX_RELAXATIONS));
+  };
+
+  /**
+   * Loads the counts of the current URL once; failed loads are retried
+   * @returns {Promise<FacetCounts | undefined>}
+   */
+  #loadCounts() {
+    const url = `${window.location.pathname}${window.location.search}`;
+    if (this.#counts?.url === url) return this.#counts.counts;
+
+    const counts = FacetCounts.load(this.sectionId).then((loaded) => {
+      if (!loaded && this.#counts?.url === url) this.#counts = undefined;
+      return loaded;
+    });
+    this.#counts = { url, counts };
+
+    return counts;
+  }
+
+  /**
+   * Fills the section's `[data-filter-relaxation]` element with buttons that
+   * each remove one filter. Its `data-option-label-one`, `data-option-label-other`
+   * and `data-price-label` attributes hold the button text, with `[filter]` and
+   * `[count]` in place.
+   * @param {FilterRelaxation[]} relaxations - The relaxations
+   */
+  #renderRelaxations(relaxations) {
+    const section = this.closest('.shopify-section');
+    const container = section?.querySelector('[data-filter-relaxation]');
+    const list = container?.querySelector('[data-filter-relaxation-options]');
+    if (!section || !(container instanceof HTMLElement) || !list) return;
+
+    const { optionLabelOne = '', optionLabelOther = '', priceLabel = '' } = container.dataset;
+    const pluralRules = new Intl.PluralRules(document.documentElement.lang || undefined);
+
+    list.replaceChildren(
+      ...relaxations.map(({ filters, results }) => {
+        const [{ name, value }] = filters;
+        const input = [...section.querySelectorAll('input[data-label]')].find(
+          (candidate) => candidate instanceof HTMLInputElement && candidate.name === name && candidate.value === value
+        );
+        const label = name.startsWith('filter.v.price.')
+          ? priceLabel
+          : `“${input instanceof HTMLElement ? input.dataset.label : value}”`;
+
+        const optionLabel = pluralRules.select(results) === 'one' ? optionLabelOne : optionLabelOther;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'filter-relaxation-option';
+        button.textContent = optionLabel.replace('[filter]', label).replace('[count]', String(results));
+        button.addEventListener('click', () => {
+          const params = new URLSearchParams(filterState.state.search);
+          for (const filter of filters) deleteParam(params, filter.name, filter.value);
+          filterState.restore(params);
+        });
+
+        return button;
+      })
+    );
+
+    container.hidden = relaxations.length === 0;
+  }
 }
 
 if (!customElements.get('facets-form-component')) {
@@ -185,6 +318,29 @@ class FacetInputsComponent extends Component {
 
   cancelPrefetchPage = () => this.prefetchPage.cancel();
 
+  /**
+   * Shows the number of results each unchecked option would leave in its
+   * `[data-count-preview]` element, and disables the options that would leave none.
+   * Options whose count can't be told keep the count and disabled state the
+   * server rendered; options without a preview element are left alone.
+   * @param {(input: HTMLInputElement) => number | undefined} countWith - Counts the results with an option added
+   */
+  updateCountPreviews(countWith) {
+    if (!this.refs.facetInputs) return;
+
+    for (const input of this.refs.facetInputs) {
+      const preview = input.closest('label')?.querySelector('[data-count-preview]');
+      if (!(preview instanceof HTMLElement)) continue;
+
+      preview.dataset.serverCount ??= preview.textContent ?? '';
+      input.dataset.serverDisabled ??= String(input.disabled);
+
+      const count = input.checked ? undefined : countWith(input);
+      preview.textContent = count === undefined ? preview.dataset.serverCount : `(${count})`;
+      input.disabled = count === undefined ? input.dataset.serverDisabled === 'true' : count === 0;
+    }
+  }
+
   /**
    * Updates the selected facet summary
    */
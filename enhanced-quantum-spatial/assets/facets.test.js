@@ -0,0 +1,80 @@
+// @vitest-environment happy-dom
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Theme is the global that scripts.liquid defines before any module runs
+vi.hoisted(() => {
+  globalThis.Theme = { routes: { all_products_collection_url: '/collections/all' }, utilities: {} };
+});
+
+await import('./facets.js');
+
+/**
+ * Renders a facet list
+ * @param {string} options - The option markup
+ * @returns {any} The facet-inputs-component
+ */
+function renderFacetInputs(options) {
+  // Built before it is connected, so the component finds its refs
+  const section = document.createElement('div');
+  section.className = 'shopify-section';
+  section.innerHTML = `<facet-inputs-component>${options}</facet-inputs-component>`;
+  document.body.append(section);
+
+  return section.querySelector('facet-inputs-component');
+}
+
+// The glass sidebar markup: a count preview next to each option
+const sidebarOption = (value, { count = '(4)', disabled = false, checked = false } = {}) => `
+  <label>
+    <input type="checkbox" name="filter.p.tag" value="${value}" ref="facetInputs[]"${disabled ? ' disabled' : ''}${checked ? ' checked' : ''}>
+    <span data-count-preview>${count}</span>
+  </label>`;
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('FacetInputsComponent.updateCountPreviews', () => {
+  it('leaves stock Horizon options without a preview alone', () => {
+    const facetInputs = renderFacetInputs(`
+      <div class="checkbox"><input type="checkbox" name="filter.p.tag" value="horror" ref="facetInputs[]" disabled></div>
+      <div class="checkbox"><input type="checkbox" name="filter.p.tag" value="strategy" ref="facetInputs[]"></div>`);
+
+    facetInputs.updateCountPreviews((input) => (input.value === 'strategy' ? 0 : undefined));
+
+    const [horror, strategy] = document.querySelectorAll('input');
+    expect(horror.disabled).toBe(true);
+    expect(strategy.disabled).toBe(false);
+  });
+
+  it('shows known counts and disables options that would leave nothing', () => {
+    const facetInputs = renderFacetInputs(sidebarOption('horror') + sidebarOption('strategy'));
+
+    facetInputs.updateCountPreviews((input) => (input.value === 'horror' ? 12 : 0));
+
+    const [horror, strategy] = document.querySelectorAll('label');
+    expect(horror.textContent.trim()).toBe('(12)');
+    expect(strategy.querySelector('input').disabled).toBe(true);
+  });
+
+  it('restores the server-rendered count and disabled state when the count is unknown', () => {
+    const facetInputs = renderFacetInputs(sidebarOption('horror', { count: '(0)', disabled: true }));
+    const input = document.querySelector('input');
+
+    facetInputs.updateCountPreviews(() => 3);
+    expect(input.disabled).toBe(false);
+
+    facetInputs.updateCountPreviews(() => undefined);
+    expect(input.disabled).toBe(true);
+    expect(document.querySelector('[data-count-preview]').textContent).toBe('(0)');
+  });
+
+  it('keeps checked options as the server rendered them', () => {
+    const facetInputs = renderFacetInputs(sidebarOption('horror', { checked: true }));
+
+    facetInputs.updateCountPreviews(() => 0);
+
+    expect(document.querySelector('input').disabled).toBe(false);
+    expect(document.querySelector('[data-count-preview]').textContent).toBe('(4)');
+  });
+});
@@ -0,0 +1,612 @@
+import { ThemeEvents } from '@theme/events';
+import { debounce, normalizeString } from '@theme/utilities';
+
+/**
+ * Prefix of the Storefront filter parameters.
+ * @type {string}
+ */
+const FILTER_PREFIX = 'filter.';
+
+/**
+ * The two ends of the price range, counted as one active filter.
+ * @type {string[]}
+ */
+const PRICE_PARAMS = ['filter.v.price.gte', 'filter.v.price.lte'];
+
+/**
+ * Sort and search query parameters, kept when filters are cleared in place.
+ * @type {string[]}
+ */
+const KEPT_PARAMS = ['sort_by', 'q'];
+
+/**
+ * Readable names for the parameters of a shared filter view, e.g.
+ * `?tag=horror,strategy&ptype=Board%20Game&stock=1`. Metafield and option
+ * filters keep their last segments as `m.<namespace>.<key>` and `o.<name>`.
+ * @type {Record<string, string>}
+ */
+const SHORT_PARAMS = {
+  'filter.p.tag': 'tag',
+  'filter.p.product_type': 'ptype',
+  'filter.p.vendor': 'vendor',
+  'filter.v.availability': 'stock',
+  'filter.v.price.gte': 'min',
+  'filter.v.price.lte': 'max',
+  sort_by: 'sort',
+};
+
+/**
+ * Every Clear All control in the theme, Horizon's and the glass filter ones.
+ * @type {string}
+ */
+export const CLEAR_ALL_SELECTOR = [
+  '.facets__clear-all',
+  '.mobile-facets__clear',
+  '.clear-all-filters',
+  'button[data-facet-clear]',
+  '.interactive-clear-all',
+  '.filter-sidebar-actions .clear-button',
+].join(', ');
+
+/**
+ * @typedef {Object} ActiveFilter
+ * @property {string} name - The parameter name, e.g. `filter.p.product_type`
+ * @property {string} value - The parameter value
+ */
+
+/**
+ * A filter to look up among the facet inputs on the page.
+ *
+ * @typedef {Object} FilterSpec
+ * @property {string} [name] - The parameter name or its last segment (`tag`, `product_type`); any filter when omitted
+ * @property {string} value - The value or label, compared as a handle
+ */
+
+/**
+ * @typedef {Object} FilterPreset
+ * @property {string} id - The preset ID
+ * @property {string} label - The label shown to shoppers
+ * @property {FilterSpec[]} filters - The filters the preset selects
+ * @property {string} [collection] - The collection handle the preset belongs to; every collection when empty
+ * @property {boolean} [preselect] - Whether to select it when a shopper opens the collection without filters
+ */
+
+/**
+ * @typedef {Object} FilterSnapshot
+ * @property {string} pathname - The page path
+ * @property {string} search - The query string the snapshot was read from
+ * @property {string} collection - The collection handle, or an empty string outside collection pages
+ * @property {ActiveFilter[]} filters - The active filters, in URL order
+ * @property {number} activeCount - The number of active filters, with the price range counted once
+ * @property {string} sortBy - The sort order, or an empty string for the default
+ * @property {string} clearAllURL - Where Clear All goes: `/collections/all` from a specific collection, else the page without filters
+ * @property {boolean} canClearAll - Whether Clear All would change anything
+ */
+
+/**
+ * @callback FilterListener
+ * @param {FilterSnapshot} state - The current filter state
+ * @returns {void}
+ */
+
+/**
+ * Converts a value or label to a Shopify handle
+ * @param {string} value - The value to convert
+ * @returns {string} The handle
+ */
+export function handleize(value) {
+  return normalizeString(String(value))
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Removes the parameters with a name and value, keeping the order of the rest.
+ * Rebuilt by hand because browsers without `URLSearchParams.delete(name, value)`
+ * ignore the value and remove every parameter with the name.
+ * @param {URLSearchParams} params - The parameters to change
+ * @param {string} name - The parameter name
+ * @param {string} value - The parameter value
+ */
+export function deleteParam(params, name, value) {
+  const kept = [...params].filter(([key, entry]) => key !== name || entry !== value);
+
+  for (const key of new Set(params.keys())) params.delete(key);
+  for (const [key, entry] of kept) params.append(key, entry);
+}
+
+/**
+ * Decodes a query string component, with `+` as a space
+ * @param {string} text - The component
+ * @returns {string | null} The decoded text, or null when it is malformed, e.g. a stray `%`
+ */
+function decodeComponent(text) {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, ' '));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gets the collection handle of a path
+ * @param {string} pathname - The path
+ * @returns {string} The handle, or an empty string outside collection pages
+ */
+function collectionHandle(pathname) {
+  const match = pathname.match(/\/collections\/([^/]+)/);
+  return match ? decodeComponent(match[1]) ?? '' : '';
+}
+
+/**
+ * Reads the filter state of a URL
+ * @param {URL} [url] - The URL to read
+ * @returns {FilterSnapshot} The filter state
+ */
+function readState(url = new URL(window.location.href)) {
+  const filters = [...url.searchParams]
+    .filter(([name, value]) => name.startsWith(FILTER_PREFIX) && value !== '')
+    .map(([name, value]) => ({ name, value }));
+
+  const hasPrice = filters.some(({ name }) => PRICE_PARAMS.includes(name));
+  const activeCount = filters.filter(({ name }) => !PRICE_PARAMS.includes(name)).length + (hasPrice ? 1 : 0);
+
+  const collection = collectionHandle(url.pathname);
+  const leavesCollection = collection !== '' && collection !== 'all';
+
+  const clearAllURL = new URL(leavesCollection ? Theme.routes.all_products_collection_url : url.pathname, url.origin);
+  if (!leavesCollection) {
+    for (const key of KEPT_PARAMS) {
+      const value = url.searchParams.get(key);
+      if (value) clearAllURL.searchParams.set(key, value);
+    }
+  }
+
+  return {
+    pathname: url.pathname,
+    search: url.search,
+    collection,
+    filters,
+    activeCount,
+    sortBy: url.searchParams.get('sort_by') ?? '',
+    clearAllURL: clearAllURL.pathname + clearAllURL.search,
+    canClearAll: filters.length > 0 || leavesCollection,
+  };
+}
+
+/**
+ * Converts a `name: value` line, as merchants write them, to a filter spec
+ * @param {string | FilterSpec} filter - The line, or a spec
+ * @returns {FilterSpec} The spec
+ */
+function toFilterSpec(filter) {
+  if (typeof filter !== 'string') return filter;
+
+  const separator = filter.indexOf(':');
+  if (separator === -1) return { value: filter.trim() };
+
+  return { name: filter.slice(0, separator).trim(), value: filter.slice(separator + 1).trim() };
+}
+
+/**
+ * Reads the presets rendered by the `filter-presets` snippet
+ * @returns {FilterPreset[]} The presets
+ */
+function readRenderedPresets() {
+  /** @type {FilterPreset[]} */
+  const presets = [];
+
+  for (const script of document.querySelectorAll('script[type="application/json"][data-filter-presets]')) {
+    try {
+      const data = JSON.parse(script.textContent ?? '');
+      for (const preset of data.presets ?? []) {
+        presets.push({ ...preset, filters: preset.filters.map(toFilterSpec) });
+      }
+    } catch (error) {
+      console.error('Invalid filter presets', error);
+    }
+  }
+
+  return presets;
+}
+
+/**
+ * Shortens the filter, sort and search parameters to a shareable query string
+ * @param {string} search - The query string, with or without `?`
+ * @returns {string} The short query string, without `?`
+ */
+export function toShortQuery(search) {
+  /** @type {Map<string, string[]>} */
+  const short = new Map();
+
+  for (const [name, value] of new URLSearchParams(search)) {
+    if (value === '') continue;
+
+    let key = SHORT_PARAMS[name];
+    if (!key && name.startsWith('filter.p.m.')) key = `m.${name.slice('filter.p.m.'.length)}`;
+    if (!key && name.startsWith('filter.v.option.')) key = `o.${name.slice('filter.v.option.'.length)}`;
+    if (!key && name === 'q') key = name;
+    if (!key) continue;
+
+    short.set(key, [...(short.get(key) ?? []), value]);
+  }
+
+  return [...short]
+    .map(([key, values]) => `${key}=${values.map(encodeURIComponent).join(',')}`)
+    .join('&');
+}
+
+/**
+ * Expands a short query string back to filter parameters
+ * @param {string} search - The short query string, with or without `?`
+ * @returns {URLSearchParams | null} The filter parameters, or null when the query is not a short one or is malformed
+ */
+export function fromShortQuery(search) {
+  const longParams = Object.fromEntries(Object.entries(SHORT_PARAMS).map(([name, key]) => [key, name]));
+  const params = new URLSearchParams();
+  let expanded = false;
+
+  for (const part of search.replace(/^\?/, '').split('&')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+
+    const key = decodeComponent(part.slice(0, separator));
+    const rawValues = part.slice(separator + 1);
+    if (key === null) return null;
+
+    // Filters in the long form mean the URL was never shortened
+    if (key.startsWith(FILTER_PREFIX)) return null;
+
+    let name = longParams[key];
+    if (!name && key.startsWith('m.')) name = `filter.p.m.${key.slice(2)}`;
+    if (!name && key.startsWith('o.')) name = `filter.v.option.${key.slice(2)}`;
+
+    const values = name ? rawValues.split(',').map(decodeComponent) : [decodeComponent(rawValues)];
+    // A link mangled on the way is left for Shopify to ignore
+    if (values.includes(null)) return null;
+
+    for (const value of /** @type {string[]} */ (values)) params.append(name ?? key, value);
+    if (name) expanded = true;
+  }
+
+  return expanded ? params : null;
+}
+
+/**
+ * Finds the facets form that renders the results
+ * @returns {(HTMLElement & { updateFiltersByURL(url: string): void }) | undefined} The facets form
+ */
+function findFacetsForm() {
+  for (const element of document.querySelectorAll('facets-form-component')) {
+    if (typeof (/** @type {any} */ (element).updateFiltersByURL) === 'function') {
+      return /** @type {any} */ (element);
+    }
+  }
+}
+
+/**
+ * The single source of truth for collection and search filters.
+ *
+ * The URL is the state: the store re-reads it whenever Horizon's facets form
+ * dispatches a `FilterUpdateEvent` and on history navigation, and every change
+ * goes back through `FacetsFormComponent.updateFiltersByURL`, so the facet
+ * inputs, the URL and the rendered results never disagree. Views subscribe
+ * instead of counting checkboxes or writing the URL themselves.
+ */
+export class FilterState {
+  /** @type {Set<FilterListener>} */
+  #listeners = new Set();
+
+  /** @type {Map<string, FilterPreset>} */
+  #presets = new Map();
+
+  /** @type {Map<string, FilterPreset>} */
+  #renderedPresets = new Map();
+
+  /** @type {FilterSnapshot} */
+  #state = readState();
+
+  /** @type {MutationObserver | undefined} */
+  #renderObserver;
+
+  #clearAllBound = false;
+
+  constructor() {
+    // Shared links carry the short form, which Shopify does not filter by
+    const sharedParams = fromShortQuery(window.location.search);
+    if (sharedParams) {
+      window.location.replace(`${window.location.pathname}?${sharedParams}${window.location.hash}`);
+    }
+
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    window.addEventListener('popstate', this.#handlePopState);
+
+    // Presets are edited as section blocks, so the editor re-renders them
+    this.#readPresets();
+    document.addEventListener('shopify:section:load', () => this.#readPresets());
+  }
+
+  /**
+   * The current filter state
+   * @returns {FilterSnapshot}
+   */
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * The rendered and registered presets; rendered ones win on the same ID
+   * @returns {FilterPreset[]}
+   */
+  get presets() {
+    return [...new Map([...this.#presets, ...this.#renderedPresets]).values()];
+  }
+
+  /**
+   * The presets that apply to a collection
+   * @param {string} [collection] - The collection handle, the current one by default
+   * @returns {FilterPreset[]}
+   */
+  presetsFor(collection = this.#state.collection) {
+    return this.presets.filter((preset) => !preset.collection || preset.collection === collection);
+  }
+
+  /**
+   * Calls the listener with the current state, then on every change and once
+   * more after the facets section has re-rendered, so views can re-apply what
+   * the morph replaced.
+   * @param {FilterListener} listener - The listener
+   * @param {Object} [options] - The options
+   * @param {boolean} [options.immediate] - Whether to call the listener with the current state right away
+   * @returns {() => void} Removes the listener
+   */
+  subscribe(listener, { immediate = true } = {}) {
+    this.#listeners.add(listener);
+    if (immediate) this.#call(listener);
+
+    return () => this.#listeners.delete(listener);
+  }
+
+  /**
+   * Whether a filter is active
+   * @param {string} name - The parameter name
+   * @param {string} value - The parameter value
+   * @returns {boolean}
+   */
+  has(name, value) {
+    return this.#state.filters.some((filter) => filter.name === name && filter.value === value);
+  }
+
+  /**
+   * Adds or removes a filter
+   * @param {string} name - The parameter name
+   * @param {string} value - The parameter value
+   * @param {boolean} [force] - Add when true, remove when false, toggle when omitted
+   */
+  toggle(name, value, force = !this.has(name, value)) {
+    const params = new URLSearchParams(this.#state.search);
+    deleteParam(params, name, value);
+    if (force) params.append(name, value);
+
+    this.#navigate(params);
+  }
+
+  /**
+   * Adds filters, or replaces all of them
+   * @param {ActiveFilter[]} filters - The filters
+   * @param {Object} [options] - The options
+   * @param {boolean} [options.replace] - Whether to remove the active filters first
+   */
+  setFilters(filters, { replace = false } = {}) {
+    const params = new URLSearchParams(this.#state.search);
+
+    if (replace) {
+      for (const name of new Set([...params.keys()])) {
+        if (name.startsWith(FILTER_PREFIX)) params.delete(name);
+      }
+    }
+
+    for (const { name, value } of filters) {
+      deleteParam(params, name, value);
+      params.append(name, value);
+    }
+
+    this.#navigate(params);
+  }
+
+  /**
+   * Changes the sort order
+   * @param {string} sortBy - The sort order, or an empty string for the default
+   */
+  setSort(sortBy) {
+    const params = new URLSearchParams(this.#state.search);
+    if (sortBy) params.set('sort_by', sortBy);
+    else params.delete('sort_by');
+
+    this.#navigate(params);
+  }
+
+  /**
+   * Clears every filter. On a specific collection this goes to the all
+   * products collection, everywhere else the filters are removed in place.
+   */
+  clearAll() {
+    const url = new URL(this.#state.clearAllURL, window.location.origin);
+    this.#navigate(url.searchParams, url.pathname);
+  }
+
+  /**
+   * Replaces every filter, sort and search parameter, e.g. with a saved view
+   * @param {URLSearchParams} params - The full parameters
+   * @param {string} [pathname] - The path they belong to
+   */
+  restore(params, pathname = window.location.pathname) {
+    this.#navigate(new URLSearchParams(params), pathname);
+  }
+
+  /**
+   * Looks up filters among the facet inputs on the page. Specs without a
+   * matching input are left out.
+   * @param {FilterSpec[]} specs - The filters to look up
+   * @param {ParentNode} [root] - Where to look
+   * @returns {ActiveFilter[]} The matching filters
+   */
+  resolve(specs, root = document) {
+    /** @type {Map<string, ActiveFilter>} */
+    const resolved = new Map();
+    const inputs = [...root.querySelectorAll(`input[name^="${FILTER_PREFIX}"]`)].filter(
+      (input) => input instanceof HTMLInputElement && (input.type === 'checkbox' || input.type === 'radio')
+    );
+
+    for (const spec of specs) {
+      const handle = handleize(spec.value);
+
+      for (const input of /** @type {HTMLInputElement[]} */ (inputs)) {
+        if (spec.name && input.name !== spec.name && !input.name.endsWith(`.${spec.name}`)) continue;
+
+        const label = input.dataset.label ?? input.closest('label')?.textContent ?? '';
+        if (handleize(input.value) !== handle && handleize(label) !== handle) continue;
+
+        resolved.set(`${input.name}=${input.value}`, { name: input.name, value: input.value });
+      }
+    }
+
+    return [...resolved.values()];
+  }
+
+  /**
+   * Registers presets, replacing any with the same ID
+   * @param {FilterPreset[]} presets - The presets
+   */
+  registerPresets(presets) {
+    for (const preset of presets) this.#presets.set(preset.id, preset);
+  }
+
+  /**
+   * Replaces the active filters with those of a preset
+   * @param {string} id - The preset ID
+   * @returns {boolean} Whether the preset matched any facet on the page
+   */
+  applyPreset(id) {
+    const preset = this.presets.find((preset) => preset.id === id);
+    if (!preset) return false;
+
+    const filters = this.resolve(preset.filters);
+    if (filters.length === 0) return false;
+
+    this.setFilters(filters, { replace: true });
+    return true;
+  }
+
+  /**
+   * Routes every Clear All control on the page through `clearAll`. Listens on
+   * the window in the capture phase so it runs before the `on:click` handlers
+   * Horizon delegates from the document.
+   */
+  bindClearAll() {
+    if (this.#clearAllBound) return;
+    this.#clearAllBound = true;
+
+    /** @param {Event} event */
+    const handleClearAll = (event) => {
+      if (!(event.target instanceof Element)) return;
+      if (!event.target.closest(CLEAR_ALL_SELECTOR)) return;
+
+      if (event instanceof KeyboardEvent) {
+        if (event.key !== 'Enter' && event.key !== ' ') return;
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+      this.clearAll();
+    };
+
+    window.addEventListener('click', handleClearAll, { capture: true });
+    window.addEventListener('keydown', handleClearAll, { capture: true });
+  }
+
+  /**
+   * Moves to new filter parameters, through the facets form when the page
+   * stays the same
+   * @param {URLSearchParams} params - The new parameters
+   * @param {string} [pathname] - The new path
+   */
+  #navigate(params, pathname = window.location.pathname) {
+    params.delete('page');
+
+    const url = new URL(pathname, window.location.origin);
+    url.search = params.toString();
+
+    const facetsForm = pathname === window.location.pathname ? findFacetsForm() : undefined;
+
+    if (facetsForm) {
+      facetsForm.updateFiltersByURL(url.toString());
+    } else {
+      window.location.assign(url.toString());
+    }
+  }
+
+  /**
+   * The URL has already been pushed when the event fires; its `queryParams`
+   * can lag behind when the change came from `updateFiltersByURL`.
+   */
+  #handleFilterUpdate = () => {
+    this.#update();
+    this.#awaitRender();
+  };
+
+  #handlePopState = () => {
+    this.#update();
+  };
+
+  #readPresets() {
+    this.#renderedPresets = new Map(readRenderedPresets().map((preset) => [preset.id, preset]));
+  }
+
+  #update() {
+    const state = readState();
+    if (state.search === this.#state.search && state.pathname === this.#state.pathname) return;
+
+    this.#state = state;
+    this.#notify();
+  }
+
+  /**
+   * Notifies again once the facets sections stop changing after a filter update
+   */
+  #awaitRender() {
+    this.#renderObserver?.disconnect();
+
+    const sections = [...document.querySelectorAll('facets-form-component')]
+      .map((facetsForm) => facetsForm.closest('.shopify-section'))
+      .filter((section) => section instanceof HTMLElement);
+    if (sections.length === 0) return;
+
+    const observer = new MutationObserver(
+      debounce(() => {
+        observer.disconnect();
+        this.#notify();
+      }, 50)
+    );
+    for (const section of new Set(sections)) observer.observe(section, { childList: true, subtree: true });
+    this.#renderObserver = observer;
+  }
+
+  #notify() {
+    for (const listener of this.#listeners) this.#call(listener);
+  }
+
+  /**
+   * @param {FilterListener} listener
+   */
+  #call(listener) {
+    try {
+      listener(this.#state);
+    } catch (error) {
+      console.error(error);
+    }
+  }
+}
+
+export const filterState = new FilterState();
@@ -0,0 +1,64 @@
+// @vitest-environment happy-dom
+import { describe, expect, it, vi } from 'vitest';
+import { FilterState, deleteParam, fromShortQuery, toShortQuery } from './filter-state.js';
+
+// Theme is the global that scripts.liquid defines before any module runs
+vi.hoisted(() => {
+  globalThis.Theme = { routes: { all_products_collection_url: '/collections/all' }, utilities: {} };
+});
+
+describe('toShortQuery', () => {
+  it('shortens filter names and joins repeated values', () => {
+    const search = '?filter.p.tag=horror&filter.p.tag=strategy&filter.p.product_type=Board+Game&filter.v.availability=1&sort_by=price-ascending&page=2';
+
+    expect(toShortQuery(search)).toBe('tag=horror,strategy&ptype=Board%20Game&stock=1&sort=price-ascending');
+  });
+
+  it('keeps metafield and option filters by their last segments', () => {
+    expect(toShortQuery('filter.p.m.custom.players=2-4&filter.v.option.size=Large')).toBe('m.custom.players=2-4&o.size=Large');
+  });
+
+  it('encodes commas inside values', () => {
+    expect(toShortQuery('filter.p.vendor=Chaosium%2C+Inc.')).toBe('vendor=Chaosium%2C%20Inc.');
+  });
+});
+
+describe('fromShortQuery', () => {
+  it('round-trips a shortened query', () => {
+    const search = 'filter.p.tag=horror&filter.p.tag=strategy&filter.p.vendor=Chaosium%2C+Inc.&filter.v.price.gte=10&q=cthulhu';
+    const params = fromShortQuery(`?${toShortQuery(search)}`);
+
+    expect([...params]).toEqual([...new URLSearchParams(search)]);
+  });
+
+  it('is null for long or unrelated queries', () => {
+    expect(fromShortQuery('?filter.p.tag=horror')).toBeNull();
+    expect(fromShortQuery('?page=2')).toBeNull();
+    expect(fromShortQuery('')).toBeNull();
+  });
+
+  it('ignores malformed escapes instead of throwing', () => {
+    expect(fromShortQuery('?tag=100%')).toBeNull();
+    expect(fromShortQuery('?tag=horror&utm=%E0%A4%A')).toBeNull();
+  });
+});
+
+describe('deleteParam', () => {
+  it('removes only the matching name and value', () => {
+    const params = new URLSearchParams('filter.p.tag=a&sort_by=title&filter.p.tag=b&filter.p.tag=a');
+    deleteParam(params, 'filter.p.tag', 'a');
+
+    expect(params.toString()).toBe('sort_by=title&filter.p.tag=b');
+  });
+});
+
+describe('FilterState', () => {
+  it('reads a malformed collection handle as no collection', () => {
+    window.history.replaceState(null, '', '/collections/%E0?filter.p.tag=a');
+    const { state } = new FilterState();
+
+    expect(state.collection).toBe('');
+    expect(state.activeCount).toBe(1);
+    expect(state.clearAllURL).toBe('/collections/%E0');
+  });
+});
@@ -3,13 +3,16 @@
 // Enhanced dropdown animations and mobile menu functionality
 // ========================================
 
+import { durationMs } from '@theme/design-tokens';
+
 // Configuration
 const FRAMER_MENU_CONFIG = {
-  // Animation timings (in milliseconds)
-  DESKTOP_DROPDOWN_DELAY: 150,
-  DESKTOP_DROPDOWN_DURATION: 350,
-  MOBILE_MENU_DURATION: 400,
-  HOVER_DEBOUNCE: 50,
+  // Animation timings (in milliseconds), read from the menu duration tokens
+  // so they match the CSS transitions
+  get DESKTOP_DROPDOWN_DELAY() { return durationMs('duration-menu-delay'); },
+  get DESKTOP_DROPDOWN_DURATION() { return durationMs('duration-menu'); },
+  get MOBILE_MENU_DURATION() { return durationMs('duration-menu-panel'); },
+  get HOVER_DEBOUNCE() { return durationMs('duration-hover-intent'); },
   
   // Selectors
   DROPDOWN_TOGGLE: '.dropdown-toggle',
@@ -1,6 +1,10 @@
 
 
-class GlassFilterIntegration {
+import { cssVar, durationMs } from '@theme/design-tokens';
+import { filterState } from '@theme/filter-state';
+import { debounce, onDocumentReady } from '@theme/utilities';
+
+export class GlassFilterIntegration {
   constructor() {
     this.sidebar = null;
     this.overlay = null;
@@ -14,18 +18,12 @@ class GlassFilterIntegration {
     this.resultsCount = null;
     this.productGrid = null;
     this.currentView = 'grid';
-    this.activeFilters = new Map();
     
     this.init();
   }
 
   init() {
-    // Wait for DOM to be ready
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => this.setup());
-    } else {
-      this.setup();
-    }
+    onDocumentReady(() => this.setup());
   }
 
   setup() {
@@ -100,6 +98,10 @@ class GlassFilterIntegration {
   }
 
   setupFacetsIntegration() {
+    // Clear All and the filter count come from the shared filter state
+    filterState.bindClearAll();
+    filterState.subscribe(state => this.updateFilterVisuals(state));
+
     // Connect to Shopify's facets system
     const facetsForm = this.sidebar?.querySelector('facets-form-component');
     if (!facetsForm) {
@@ -107,89 +109,52 @@ class GlassFilterIntegration {
       return;
     }
 
-    // Check if facets.js is loaded
-    const hasFacetsJS = typeof window.FacetsFormComponent !== 'undefined' || 
-                       document.querySelector('facets-form-component');
-    
-    if (!hasFacetsJS) {
-      console.warn('Glass Filter Integration: facets.js not detected, limited functionality');
-    }
-
-    // Listen for filter updates
-    document.addEventListener('filter-update', (event) => {
-      this.updateFilterStatus(event.detail);
+    // Checkboxes apply right away, price inputs once typing pauses
+    const handlePriceInput = debounce(() => this.handleFilterChange(), 500);
+    this.sidebar.addEventListener('change', (event) => {
+      if (event.target instanceof HTMLInputElement && event.target.type === 'checkbox') {
+        this.handleFilterChange();
+      }
     });
-
-    // Setup input change handlers for real-time filtering
-    const filterInputs = this.sidebar?.querySelectorAll('input[type="checkbox"], input[type="number"]');
-    filterInputs?.forEach(input => {
-      // Debounce for number inputs (price)
-      if (input.type === 'number') {
-        let timeout;
-        input.addEventListener('input', () => {
-          clearTimeout(timeout);
-          timeout = setTimeout(() => {
-            this.handleFilterChange(input);
-          }, 500);
-        });
-      } else {
-        input.addEventListener('change', () => {
-          this.handleFilterChange(input);
-        });
+    this.sidebar.addEventListener('input', (event) => {
+      if (event.target instanceof HTMLInputElement && event.target.type === 'number') {
+        handlePriceInput();
       }
     });
-    
-    console.log(`Glass Filter Integration: Connected to ${filterInputs?.length || 0} filter inputs`);
   }
 
-  handleFilterChange(input) {
-    // Update the visual state immediately
-    this.updateFilterVisuals();
-    
-    // Let the facets.js system handle the actual filtering
+  handleFilterChange() {
+    // Let the facets.js system handle the actual filtering; the store
+    // picks the change up from its FilterUpdateEvent
     const facetsForm = this.sidebar?.querySelector('facets-form-component');
     if (facetsForm && typeof facetsForm.updateFilters === 'function') {
       facetsForm.updateFilters();
     }
-
-    console.log('Filter changed:', {
-      name: input.name,
-      value: input.value,
-      checked: input.checked || input.value
-    });
   }
 
-  updateFilterVisuals() {
+  updateFilterVisuals(state = filterState.state) {
     // Update filter button to show active state
-    const activeFilters = this.getActiveFiltersCount();
+    const { activeCount } = state;
     
     if (this.navigationButton) {
       const filterText = this.navigationButton.querySelector('.glass-filter-text');
       if (filterText) {
-        filterText.textContent = activeFilters > 0 
-          ? `Filters (${activeFilters})` 
+        filterText.textContent = activeCount > 0 
+          ? `Filters (${activeCount})` 
           : 'Show filters';
       }
 
       // Add visual indicator for active filters
-      this.navigationButton.classList.toggle('has-active-filters', activeFilters > 0);
+      this.navigationButton.classList.toggle('has-active-filters', activeCount > 0);
+    }
+
+    if (this.sortSelect && state.sortBy) {
+      this.sortSelect.value = state.sortBy;
     }
   }
 
   getActiveFiltersCount() {
-    if (!this.sidebar) return 0;
-
-    const checkedInputs = this.sidebar.querySelectorAll('input[type="checkbox"]:checked');
-    const priceInputs = this.sidebar.querySelectorAll('input[type="number"]');
-    let priceFiltersActive = 0;
-
-    priceInputs.forEach(input => {
-      if (input.value && input.value.trim() !== '') {
-        priceFiltersActive++;
-      }
-    });
-
-    return checkedInputs.length + (priceFiltersActive > 0 ? 1 : 0);
+    return filterState.state.activeCount;
   }
 
   toggleSidebar() {
@@ -247,40 +212,9 @@ class GlassFilterIntegration {
     return this.sidebar?.classList.contains('active') || false;
   }
 
-  updateFilterStatus(filterData) {
-    // Update any visual indicators based on filter status
-    this.updateFilterVisuals();
-    
-    // Could update sort dropdown state here if needed
-    console.log('Filter status updated:', filterData);
-  }
-
   // Public API methods
   clearAllFilters() {
-    if (!this.sidebar) return;
-
-    // Clear all checkboxes
-    const checkboxes = this.sidebar.querySelectorAll('input[type="checkbox"]');
-    checkboxes.forEach(checkbox => {
-      checkbox.checked = false;
-    });
-
-    // Clear all number inputs
-    const numberInputs = this.sidebar.querySelectorAll('input[type="number"]');
-    numberInputs.forEach(input => {
-      input.value = '';
-    });
-
-    // Update visuals
-    this.updateFilterVisuals();
-
-    // Trigger filter update
-    const facetsForm = this.sidebar.querySelector('facets-form-component');
-    if (facetsForm && typeof facetsForm.updateFilters === 'function') {
-      facetsForm.updateFilters();
-    }
-
-    console.log('All filters cleared');
+    filterState.clearAll();
   }
 
   // New method: Setup view toggle functionality
@@ -328,7 +262,7 @@ class GlassFilterIntegration {
       // Remove transition class after animation
       setTimeout(() => {
         this.productGrid.classList.remove('view-transitioning');
-      }, 300);
+      }, durationMs('duration-view-switch'));
     });
     
     console.log(`View switched to: ${newView}`);
@@ -344,22 +278,9 @@ class GlassFilterIntegration {
     });
   }
   
-  // New method: Update sort and trigger facets update
+  // New method: Update sort through the shared filter state
   updateSort(sortValue) {
-    // Update URL with sort parameter
-    const url = new URL(window.location);
-    url.searchParams.set('sort_by', sortValue);
-    
-    // Trigger facets update if available
-    const facetsForm = document.querySelector('facets-form-component');
-    if (facetsForm && typeof facetsForm.updateURL === 'function') {
-      facetsForm.updateURL(url.toString());
-    } else {
-      // Fallback: reload page with new sort
-      window.location = url.toString();
-    }
-    
-    console.log(`Sort updated to: ${sortValue}`);
+    filterState.setSort(sortValue);
   }
   
   // New method: Restore user preferences
@@ -392,23 +313,26 @@ class GlassFilterIntegration {
   }
 }
 
+// Accent tints for the filter states, from the accent color token
+const accent = (alpha) => `color-mix(in srgb, ${cssVar('color-accent-main', '#19bcfe')} ${alpha}%, transparent)`;
+
 // Enhanced CSS for active filter states
 const activeFilterStyles = `
 <style>
 /* Enhanced active filter states */
 .glass-filter-button.has-active-filters {
-  background: linear-gradient(180deg, rgba(25, 188, 254, 0.2) 0%, rgba(25, 188, 254, 0.1) 47.27%, rgba(25, 188, 254, 0.2) 100%);
-  border-color: rgba(25, 188, 254, 0.5);
+  background: linear-gradient(180deg, ${accent(20)} 0%, ${accent(10)} 47.27%, ${accent(20)} 100%);
+  border-color: ${accent(50)};
 }
 
 .glass-filter-button.has-active-filters .glass-filter-text {
-  color: rgba(25, 188, 254, 1);
+  color: ${cssVar('color-accent-main', '#19bcfe')};
   font-weight: 500;
 }
 
 .glass-filter-button.active {
-  background: linear-gradient(180deg, rgba(25, 188, 254, 0.3) 0%, rgba(25, 188, 254, 0.1) 47.27%, rgba(25, 188, 254, 0.3) 100%);
-  border-color: rgba(25, 188, 254, 0.7);
+  background: linear-gradient(180deg, ${accent(30)} 0%, ${accent(10)} 47.27%, ${accent(30)} 100%);
+  border-color: ${accent(70)};
   transform: translateY(-1px);
 }
 
@@ -424,7 +348,7 @@ const activeFilterStyles = `
   width: 16px;
   height: 16px;
   border: 2px solid transparent;
-  border-top: 2px solid rgba(25, 188, 254, 0.8);
+  border-top: 2px solid ${accent(80)};
   border-radius: 50%;
   animation: spin 1s linear infinite;
   right: 8px;
@@ -442,7 +366,7 @@ const activeFilterStyles = `
 .glass-sort-button,
 .filter-option,
 .filter-action-button {
-  transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+  transition: all ${cssVar('duration-control', '200ms')} ${cssVar('easing-standard', 'cubic-bezier(0.4, 0, 0.2, 1)')};
 }
 
 /* Focus states for accessibility */
@@ -450,7 +374,7 @@ const activeFilterStyles = `
 .glass-sort-button:focus,
 .filter-option:focus-within,
 .filter-action-button:focus {
-  outline: 2px solid rgba(25, 188, 254, 0.5);
+  outline: 2px solid ${accent(50)};
   outline-offset: 2px;
 }
 </style>
@@ -481,7 +405,7 @@ const viewToggleStyles = `
 /* Transition class for view switching */
 .view-transitioning {
   opacity: 0.8;
-  transition: opacity 0.3s ease;
+  transition: opacity ${cssVar('duration-view-switch', '300ms')} ease;
 }
 </style>
 `;
@@ -489,7 +413,7 @@ const viewToggleStyles = `
 // Initialize the integration
 let glassFilterIntegration;
 
-document.addEventListener('DOMContentLoaded', function() {
+onDocumentReady(() => {
   // Add enhanced styles
   document.head.insertAdjacentHTML('beforeend', activeFilterStyles);
   
@@ -510,10 +434,5 @@ document.addEventListener('DOMContentLoaded', function() {
   });
 });
 
-// Export for module systems
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = GlassFilterIntegration;
-}
-
 // Make available on window for debugging
 window.GlassFilterIntegration = GlassFilterIntegration;
\ No newline at end of file
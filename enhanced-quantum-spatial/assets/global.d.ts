@@ -22,6 +22,7 @@ declare global {
       product: string[];
     };
     routes: {
+      all_products_collection_url: string;
       cart_add_url: string;
       cart_change_url: string;
       cart_update_url: string;
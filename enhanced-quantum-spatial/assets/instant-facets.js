@@ -0,0 +1,436 @@
+import { deleteParam } from '@theme/filter-state';
+import { formatMoney } from '@theme/utilities';
+
+/**
+ * @typedef {Object} InstantFacetValue
+ * @property {string} value - The parameter value
+ * @property {string} label - The label shown to shoppers
+ * @property {number} count - The count the server rendered without active filters
+ */
+
+/**
+ * @typedef {Object} InstantFacetFilter
+ * @property {string} param - The filter parameter, e.g. `filter.p.tag`
+ * @property {string} label - The filter label
+ * @property {string} type - The filter type, `list` or `boolean`
+ * @property {InstantFacetValue[]} values - The filter values
+ */
+
+/**
+ * @typedef {Object} InstantFacetVariant
+ * @property {number} price - The price in cents
+ * @property {Record<string, unknown[]>} values - The values of the `filter.v.*` filters
+ */
+
+/**
+ * @typedef {Object} InstantFacetProduct
+ * @property {number} id - The product ID
+ * @property {string} title - The product title
+ * @property {number} created - When the product was created, in seconds since the epoch
+ * @property {Record<string, unknown[]>} values - The values of the `filter.p.*` filters
+ * @property {InstantFacetVariant[]} variants - The variants
+ */
+
+/**
+ * @typedef {Object} PluralLabel
+ * @property {string} one - The label for one, with a `[count]` placeholder
+ * @property {string} other - The label for any other count
+ */
+
+/**
+ * The data rendered by the instant-facets snippet
+ *
+ * @typedef {Object} InstantFacetData
+ * @property {boolean} complete - Whether every product of the collection is included
+ * @property {string} sortBy - The order of `products`
+ * @property {string} defaultSortBy - The sort order without a `sort_by` parameter
+ * @property {PluralLabel} itemCount - The product count label
+ * @property {PluralLabel} seeItems - The see results button label
+ * @property {InstantFacetFilter[]} filters - The filters, without the price range
+ * @property {InstantFacetProduct[]} products - The products
+ */
+
+/**
+ * Filters, sort order and price range of a URL
+ *
+ * @typedef {Object} FacetQuery
+ * @property {Map<string, Set<string>>} groups - The selected values by filter parameter
+ * @property {number} min - The lowest price in cents
+ * @property {number} max - The highest price in cents
+ * @property {string} sortBy - The sort order
+ */
+
+const PRICE_MIN = 'filter.v.price.gte';
+const PRICE_MAX = 'filter.v.price.lte';
+const SORT_BY = 'sort_by';
+const VARIANT_PREFIX = 'filter.v.';
+
+/**
+ * Sort orders that don't depend on sales or merchandising data
+ * @type {Record<string, (a: InstantFacetProduct, b: InstantFacetProduct) => number>}
+ */
+const COMPARATORS = {
+  'title-ascending': (a, b) => a.title.localeCompare(b.title),
+  'title-descending': (a, b) => b.title.localeCompare(a.title),
+  'price-ascending': (a, b) => lowestPrice(a) - lowestPrice(b),
+  'price-descending': (a, b) => lowestPrice(b) - lowestPrice(a),
+  'created-ascending': (a, b) => a.created - b.created,
+  'created-descending': (a, b) => b.created - a.created,
+};
+
+/**
+ * @param {InstantFacetProduct} product - The product
+ * @returns {number} The lowest variant price in cents
+ */
+function lowestPrice(product) {
+  return Math.min(...product.variants.map(({ price }) => price));
+}
+
+/**
+ * Parses a price parameter, as typed in the price facet
+ * @param {string | null} value - The parameter value, in the major currency unit
+ * @param {number} fallback - The value without a valid price
+ * @returns {number} The price in cents
+ */
+function parsePrice(value, fallback) {
+  const price = Number.parseFloat(formatMoney(value ?? ''));
+  return Number.isNaN(price) ? fallback : Math.round(price * 100);
+}
+
+/**
+ * @param {Record<string, unknown[]>} values - The values of an item
+ * @param {string} param - The filter parameter
+ * @param {Set<string>} selected - The selected values
+ * @returns {boolean} Whether the item has one of the selected values
+ */
+function hasValue(values, param, selected) {
+  return values[param]?.some((value) => selected.has(String(value))) ?? false;
+}
+
+/**
+ * Applies filters, counts and sorting in the browser for collections small
+ * enough to put every product on the page. Works on the cards already
+ * rendered; anything it can't do is left to the section render.
+ */
+export class InstantFacets {
+  /** @type {Map<string, InstantFacets>} */
+  static #instances = new Map();
+
+  /**
+   * The instant facets of a section, when it embeds complete facet data
+   * @param {string} sectionId - The section ID
+   * @returns {InstantFacets | undefined}
+   */
+  static for(sectionId) {
+    const section = document.getElementById(`shopify-section-${sectionId}`);
+    const script = section?.querySelector('script[data-instant-facets]');
+    if (!section || !script?.textContent) return undefined;
+
+    let instance = this.#instances.get(sectionId);
+
+    // A section render brings new data when the active filters change
+    if (instance?.#source !== script.textContent) {
+      try {
+        instance = new InstantFacets(section, script.textContent);
+      } catch (error) {
+        console.error(error);
+        return undefined;
+      }
+      this.#instances.set(sectionId, instance);
+    }
+
+    return instance.#data.complete ? instance : undefined;
+  }
+
+  /**
+   * The instant facets of the first section on the page that embeds them
+   * @returns {InstantFacets | undefined}
+   */
+  static find() {
+    const section = document.querySelector('script[data-instant-facets]')?.closest('.shopify-section');
+    return section ? this.for(section.id.replace(/^shopify-section-/, '')) : undefined;
+  }
+
+  /** @type {HTMLElement} */
+  #section;
+
+  /** @type {string} */
+  #source;
+
+  /** @type {InstantFacetData} */
+  #data;
+
+  /**
+   * Product cards by product ID, kept while they are out of the grid
+   * @type {Map<number, Element>}
+   */
+  #cards = new Map();
+
+  /**
+   * Filters whose counts agree with the server
+   * @type {Map<string, InstantFacetFilter>}
+   */
+  #filters = new Map();
+
+  /**
+   * @param {HTMLElement} section - The section
+   * @param {string} source - The JSON rendered by the instant-facets snippet
+   */
+  constructor(section, source) {
+    this.#section = section;
+    this.#source = source;
+    this.#data = JSON.parse(source);
+    if (!this.#data.complete) return;
+
+    // The counts were rendered without active filters
+    /** @type {FacetQuery} */
+    const query = { groups: new Map(), min: 0, max: Infinity, sortBy: this.#data.sortBy };
+
+    for (const filter of this.#data.filters) {
+      this.#filters.set(filter.param, filter);
+
+      const agrees = filter.values.every(({ value, count }) => this.#count(query, filter.param, value) === count);
+      if (!agrees) this.#filters.delete(filter.param);
+    }
+  }
+
+  /**
+   * Whether the results of a URL can be shown without the server: every
+   * parameter is understood and every matching product has a card
+   * @param {URL} url - The URL with the new filters
+   * @returns {boolean}
+   */
+  canRender(url) {
+    const query = this.#parse(url.searchParams);
+    if (!query) return false;
+
+    this.#collectCards();
+
+    const products = this.#filter(query);
+    return products.length > 0 && products.every(({ id }) => this.#cards.has(id));
+  }
+
+  /**
+   * Counts the results of a URL
+   * @param {URL} url - The URL with the filters to count
+   * @returns {number | undefined} The count, or undefined when a parameter or value is unknown
+   */
+  countResults(url) {
+    // The order doesn't change the count
+    const params = new URLSearchParams(url.searchParams);
+    params.delete(SORT_BY);
+
+    const query = this.#parse(params);
+    if (!query) return undefined;
+
+    for (const [param, selected] of query.groups) {
+      const values = this.#filters.get(param)?.values ?? [];
+      if (![...selected].every((value) => values.some((filterValue) => filterValue.value === value))) return undefined;
+    }
+
+    return this.#filter(query).length;
+  }
+
+  /**
+   * Shows the results of a URL; call `canRender` first
+   * @param {URL} url - The URL with the new filters
+   */
+  render(url) {
+    const query = this.#parse(url.searchParams);
+    const grid = this.#section.querySelector('ul[ref="grid"]');
+    if (!query || !grid) return;
+
+    const products = this.#filter(query);
+    const comparator = COMPARATORS[query.sortBy];
+    if (query.sortBy !== this.#data.sortBy && comparator) products.sort(comparator);
+
+    grid.replaceChildren(...products.map(({ id }) => /** @type {Element} */ (this.#cards.get(id))));
+
+    this.#renderCounts(products.length);
+    this.#renderInputs(query);
+    this.#renderPills(url, query);
+  }
+
+  /**
+   * @param {URLSearchParams} params - The URL parameters
+   * @returns {FacetQuery | null} The query, or null when the server is needed
+   */
+  #parse(params) {
+    /** @type {FacetQuery} */
+    const query = {
+      groups: new Map(),
+      min: parsePrice(params.get(PRICE_MIN), 0),
+      max: parsePrice(params.get(PRICE_MAX), Infinity),
+      sortBy: params.get(SORT_BY) || this.#data.defaultSortBy,
+    };
+
+    if (query.sortBy !== this.#data.sortBy && !COMPARATORS[query.sortBy]) return null;
+
+    for (const [name, value] of params) {
+      if (name === SORT_BY || name === PRICE_MIN || name === PRICE_MAX) continue;
+      if (!this.#filters.has(name)) return null;
+
+      const selected = query.groups.get(name) ?? new Set();
+      query.groups.set(name, selected.add(value));
+    }
+
+    return query;
+  }
+
+  /**
+   * @param {FacetQuery} query - The query
+   * @returns {InstantFacetProduct[]} The matching products, in data order
+   */
+  #filter(query) {
+    return this.#data.products.filter((product) => this.#matches(product, query));
+  }
+
+  /**
+   * Values of one filter are alternatives, filters all have to match.
+   * Variant filters and the price range have to match on the same variant.
+   * @param {InstantFacetProduct} product - The product
+   * @param {FacetQuery} query - The query
+   * @returns {boolean}
+   */
+  #matches(product, query) {
+    for (const [param, selected] of query.groups) {
+      if (!param.startsWith(VARIANT_PREFIX) && !hasValue(product.values, param, selected)) return false;
+    }
+
+    return product.variants.some((variant) => {
+      if (variant.price < query.min || variant.price > query.max) return false;
+
+      for (const [param, selected] of query.groups) {
+        if (param.startsWith(VARIANT_PREFIX) && !hasValue(variant.values, param, selected)) return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Counts the products a value would show, next to the other filters
+   * @param {FacetQuery} query - The query
+   * @param {string} param - The filter parameter
+   * @param {string} value - The filter value
+   * @returns {number}
+   */
+  #count(query, param, value) {
+    const groups = new Map(query.groups);
+    groups.set(param, new Set([value]));
+
+    return this.#filter({ ...query, groups }).length;
+  }
+
+  /**
+   * Picks up the cards of the grid, which a section render may have replaced
+   */
+  #collectCards() {
+    for (const card of this.#section.querySelectorAll('ul[ref="grid"] > [data-product-id]')) {
+      if (card instanceof HTMLElement) this.#cards.set(Number(card.dataset.productId), card);
+    }
+  }
+
+  /**
+   * @param {PluralLabel} label - The label
+   * @param {number} count - The count
+   * @returns {string}
+   */
+  #pluralize(label, count) {
+    const rule = new Intl.PluralRules(document.documentElement.lang || undefined).select(count);
+    return (rule === 'one' ? label.one : label.other).replace('[count]', String(count));
+  }
+
+  /**
+   * @param {number} count - The number of results
+   */
+  #renderCounts(count) {
+    for (const element of this.#section.querySelectorAll('.products-count-wrapper span')) {
+      element.textContent = this.#pluralize(this.#data.itemCount, count);
+    }
+
+    for (const button of this.#section.querySelectorAll('.facets__see-results')) {
+      button.textContent = this.#pluralize(this.#data.seeItems, count);
+    }
+  }
+
+  /**
+   * Disables the values that would show nothing, like the server does
+   * @param {FacetQuery} query - The query
+   */
+  #renderInputs(query) {
+    for (const input of this.#section.querySelectorAll('input[type="checkbox"][name^="filter."]')) {
+      if (!(input instanceof HTMLInputElement) || !this.#filters.has(input.name)) continue;
+
+      input.disabled = !input.checked && this.#count(query, input.name, input.value) === 0;
+    }
+  }
+
+  /**
+   * Rebuilds the remove pills from the templates in `filter-remove-buttons`
+   * @param {URL} url - The URL with the new filters
+   * @param {FacetQuery} query - The query
+   */
+  #renderPills(url, query) {
+    /** @type {{ label: string, url: URL, filter?: InstantFacetFilter }[]} */
+    const pills = [];
+
+    for (const [param, selected] of query.groups) {
+      const filter = this.#filters.get(param);
+
+      for (const value of selected) {
+        const pillURL = new URL(url);
+        deleteParam(pillURL.searchParams, param, value);
+        pillURL.searchParams.delete('page');
+
+        const label = filter?.values.find((filterValue) => filterValue.value === value)?.label ?? value;
+        pills.push({ label, url: pillURL, filter });
+      }
+    }
+
+    if (url.searchParams.has(PRICE_MIN) || url.searchParams.has(PRICE_MAX)) {
+      const pillURL = new URL(url);
+      pillURL.searchParams.delete(PRICE_MIN);
+      pillURL.searchParams.delete(PRICE_MAX);
+
+      // The price facet has formatted the range already
+      const summary = this.#section.querySelector('[ref="facetStatus"][data-range-max]');
+      const label =
+        summary?.textContent?.trim() ||
+        `${url.searchParams.get(PRICE_MIN) ?? ''}–${url.searchParams.get(PRICE_MAX) ?? ''}`;
+
+      pills.push({ label, url: pillURL });
+    }
+
+    for (const container of this.#section.querySelectorAll('.facets-remove')) {
+      const pillTemplate = container.querySelector('template[data-instant-facets-pill]');
+      if (!(pillTemplate instanceof HTMLTemplateElement)) continue;
+
+      const clearAllTemplate = container.querySelector('template[data-instant-facets-clear-all]');
+      const showFilterLabel = pillTemplate.hasAttribute('data-show-filter-label');
+
+      container.querySelectorAll(':scope > facet-remove-component').forEach((element) => element.remove());
+
+      for (const pill of pills) {
+        const fragment = /** @type {DocumentFragment} */ (pillTemplate.content.cloneNode(true));
+        const element = fragment.firstElementChild;
+        const label = fragment.querySelector('[data-pill-label]');
+        if (!(element instanceof HTMLElement) || !label) continue;
+
+        element.dataset.url = pill.url.toString();
+        label.textContent =
+          pill.filter && (showFilterLabel || pill.filter.type === 'boolean')
+            ? `${pill.filter.label}: ${pill.label}`
+            : pill.label;
+        container.append(fragment);
+      }
+
+      if (pills.length > 0 && clearAllTemplate instanceof HTMLTemplateElement) {
+        const fragment = /** @type {DocumentFragment} */ (clearAllTemplate.content.cloneNode(true));
+        const element = fragment.firstElementChild;
+        if (element instanceof HTMLElement) element.dataset.url = url.pathname;
+        container.append(fragment);
+      }
+    }
+  }
+}
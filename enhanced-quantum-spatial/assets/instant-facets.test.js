@@ -0,0 +1,217 @@
+// @vitest-environment happy-dom
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Theme and Shopify are the globals the storefront defines before any module runs
+vi.hoisted(() => {
+  globalThis.Theme = { routes: { all_products_collection_url: '/collections/all' }, utilities: {} };
+  globalThis.Shopify = { designMode: false };
+});
+
+const { InstantFacets } = await import('./instant-facets.js');
+await import('./facets.js');
+
+// Three products; Planet Apocalypse is only in stock in its cheaper edition
+const data = {
+  complete: true,
+  sortBy: 'manual',
+  defaultSortBy: 'manual',
+  itemCount: { one: '[count] item', other: '[count] items' },
+  seeItems: { one: 'See [count] item', other: 'See [count] items' },
+  filters: [
+    {
+      param: 'filter.p.tag',
+      label: 'Tag',
+      type: 'list',
+      values: [
+        { value: 'horror', label: 'Horror', count: 2 },
+        { value: 'strategy', label: 'Strategy', count: 2 },
+      ],
+    },
+    {
+      param: 'filter.v.availability',
+      label: 'Availability',
+      type: 'boolean',
+      values: [{ value: '1', label: 'In stock', count: 2 }],
+    },
+  ],
+  products: [
+    {
+      id: 1,
+      title: 'Cthulhu Wars',
+      created: 1,
+      values: { 'filter.p.tag': ['horror', 'strategy'] },
+      variants: [{ price: 19900, values: { 'filter.v.availability': [1] } }],
+    },
+    {
+      id: 2,
+      title: 'Planet Apocalypse',
+      created: 2,
+      values: { 'filter.p.tag': ['horror'] },
+      variants: [
+        { price: 14900, values: { 'filter.v.availability': [0] } },
+        { price: 4900, values: { 'filter.v.availability': [1] } },
+      ],
+    },
+    {
+      id: 3,
+      title: 'Hyperspace',
+      created: 3,
+      values: { 'filter.p.tag': ['strategy'] },
+      variants: [{ price: 2500, values: { 'filter.v.availability': [0] } }],
+    },
+  ],
+};
+
+let sections = 0;
+
+/**
+ * Renders a collection section with a facets form and a product grid
+ * @param {Object} [options]
+ * @param {Object | null} [options.facetData] - The instant facet data, or null when the collection is over the limit
+ * @returns {{ sectionId: string, form: any }}
+ */
+function renderSection({ facetData = data } = {}) {
+  // Instances are kept by section ID, so every test gets its own
+  const sectionId = `main-${++sections}`;
+
+  // Built before it is connected, so the component finds its refs
+  const section = document.createElement('div');
+  section.id = `shopify-section-${sectionId}`;
+  section.className = 'shopify-section';
+  section.innerHTML = `
+    <facets-form-component section-id="${sectionId}">
+      <form ref="facetsForm">
+        <input type="checkbox" name="filter.p.tag" value="horror">
+        <input type="checkbox" name="filter.p.vendor" value="Petersen Games">
+      </form>
+    </facets-form-component>
+    <ul ref="grid">${data.products.map(({ id }) => `<li data-product-id="${id}"></li>`).join('')}</ul>
+    ${facetData ? `<script type="application/json" data-instant-facets>${JSON.stringify(facetData)}</script>` : ''}`;
+  document.body.append(section);
+
+  return { sectionId, form: section.querySelector('facets-form-component') };
+}
+
+/**
+ * The product IDs in the grid
+ * @returns {string[]}
+ */
+const gridIds = () => [...document.querySelectorAll('ul[ref="grid"] > li')].map((card) => card.dataset.productId);
+
+/**
+ * A URL of the collection
+ * @param {string} search - The query string
+ * @returns {URL}
+ */
+const collectionURL = (search) => new URL(`/collections/games${search}`, window.location.origin);
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  window.history.replaceState(null, '', '/collections/games');
+  vi.unstubAllGlobals();
+});
+
+describe('InstantFacets.for', () => {
+  it('is undefined for collections over the limit, which render no facet data', () => {
+    const { sectionId } = renderSection({ facetData: null });
+
+    expect(InstantFacets.for(sectionId)).toBeUndefined();
+  });
+
+  it('is undefined while the facet data is incomplete', () => {
+    const { sectionId } = renderSection({ facetData: { ...data, complete: false } });
+
+    expect(InstantFacets.for(sectionId)).toBeUndefined();
+  });
+});
+
+describe('InstantFacets.countResults', () => {
+  it('leaves unknown parameters and values to the server', () => {
+    const { sectionId } = renderSection();
+    const instantFacets = InstantFacets.for(sectionId);
+
+    expect(instantFacets?.countResults(collectionURL('?filter.p.vendor=Petersen+Games'))).toBeUndefined();
+    expect(instantFacets?.countResults(collectionURL('?filter.p.tag=fantasy'))).toBeUndefined();
+    expect(instantFacets?.canRender(collectionURL('?filter.p.tag=horror&page=2'))).toBe(false);
+  });
+
+  it('leaves filters whose counts disagree with the server to the server', () => {
+    const [tag, availability] = data.filters;
+    const { sectionId } = renderSection({
+      facetData: { ...data, filters: [tag, { ...availability, values: [{ value: '1', label: 'In stock', count: 3 }] }] },
+    });
+    const instantFacets = InstantFacets.for(sectionId);
+
+    expect(instantFacets?.countResults(collectionURL('?filter.p.tag=horror'))).toBe(2);
+    expect(instantFacets?.countResults(collectionURL('?filter.v.availability=1'))).toBeUndefined();
+  });
+
+  it('parses price ranges as typed in the price facet', () => {
+    const { sectionId } = renderSection();
+    const instantFacets = InstantFacets.for(sectionId);
+
+    expect(instantFacets?.countResults(collectionURL('?filter.v.price.gte=30&filter.v.price.lte=150'))).toBe(1);
+    expect(instantFacets?.countResults(collectionURL('?filter.v.price.gte=149,00'))).toBe(2);
+    expect(instantFacets?.countResults(collectionURL('?filter.v.price.lte=1,000.00'))).toBe(3);
+    expect(instantFacets?.countResults(collectionURL('?filter.v.price.gte=abc'))).toBe(3);
+  });
+
+  it('matches the price range and variant filters on the same variant', () => {
+    const { sectionId } = renderSection();
+    const instantFacets = InstantFacets.for(sectionId);
+
+    expect(instantFacets?.countResults(collectionURL('?filter.v.availability=1&filter.v.price.gte=100'))).toBe(1);
+  });
+});
+
+describe('FacetsFormComponent.updateFilters', () => {
+  /**
+   * Stubs fetch with section renders that resolve when told to
+   * @returns {{ fetch: import('vitest').Mock, respond: (html: string) => void }}
+   */
+  function stubSectionRenders() {
+    /** @type {(html: string) => void} */
+    let respond = () => {};
+    const fetch = vi.fn(
+      () =>
+        new Promise((resolve) => {
+          respond = (html) => resolve({ text: () => Promise.resolve(html) });
+        })
+    );
+    vi.stubGlobal('fetch', fetch);
+
+    return { fetch, respond: (html) => respond(html) };
+  }
+
+  it('renders collections over the limit on the server', () => {
+    const { fetch } = stubSectionRenders();
+    const { sectionId, form } = renderSection({ facetData: null });
+
+    form.querySelector('[value="horror"]').checked = true;
+    form.updateFilters();
+
+    expect(fetch).toHaveBeenCalledOnce();
+    expect(new URL(fetch.mock.calls[0][0]).searchParams.get('section_id')).toBe(sectionId);
+  });
+
+  it('filters in the browser and drops a server render that is still pending', async () => {
+    const { fetch, respond } = stubSectionRenders();
+    const { sectionId, form } = renderSection();
+
+    // The vendor filter is unknown, so this goes to the server
+    form.querySelector('[value="Petersen Games"]').checked = true;
+    form.updateFilters();
+    expect(fetch).toHaveBeenCalledOnce();
+
+    form.querySelector('[value="Petersen Games"]').checked = false;
+    form.querySelector('[value="horror"]').checked = true;
+    form.updateFilters();
+    expect(gridIds()).toEqual(['1', '2']);
+
+    respond(`<div id="shopify-section-${sectionId}" class="shopify-section"><ul ref="grid"><li data-product-id="3"></li></ul></div>`);
+    await new Promise((resolve) => setTimeout(resolve));
+
+    expect(fetch).toHaveBeenCalledOnce();
+    expect(gridIds()).toEqual(['1', '2']);
+  });
+});
@@ -2,486 +2,190 @@
 // INTERACTIVE DESKTOP FACETS CONTROLS
 // JavaScript functionality for enhanced desktop filter management
 // Phase 11 Collection Page Enhancements
+// View on @theme/filter-state: count, quick filters, presets and Clear All
 // ========================================
 
+import { filterState } from '@theme/filter-state';
+import { isDesktopBreakpoint, mediaQueryLarge, onDocumentReady } from '@theme/utilities';
+
+// Quick filter toggles, looked up among the facet inputs on the page
+const QUICK_FILTERS = {
+  availability: { label: 'In Stock', filter: { name: 'filter.v.availability', value: '1' } },
+  price: { label: 'On Sale', filter: { value: 'sale' } },
+  new: { label: 'New', filter: { value: 'new' } }
+};
+
+let unsubscribe = null;
+
+// Preset labels are merchant text
+function escapeHTML(text) {
+  const element = document.createElement('span');
+  element.textContent = text;
+  return element.innerHTML;
+}
+
 // Main initialization function
 function initializeInteractiveDesktopFacets() {
-  console.log('🦄 Initializing Interactive Desktop Facets Controls...');
-  
-  // Only run on desktop screens
-  if (window.innerWidth < 750) {
-    console.log('📱 Mobile screen detected, skipping desktop controls');
+  if (unsubscribe) {
+    // Rebuild, the section may have brought different presets
+    document.querySelector('.interactive-facets-controls')?.remove();
+    renderInteractiveControls(filterState.state);
     return;
   }
-  
-  // Check if we're on a collection page with filters
-  const facetsContainer = document.querySelector('.facets.facets--horizontal');
-  if (!facetsContainer) {
-    console.log('❌ No horizontal facets container found');
-    return;
-  }
-  
-  // Create and inject interactive controls
-  createInteractiveControls(facetsContainer);
-  
-  // Initialize control functionality
-  initializeControlsLogic();
-  
-  // Monitor filter changes
-  monitorFilterChanges();
-  
-  console.log('✅ Interactive Desktop Facets Controls initialized');
+
+  filterState.bindClearAll();
+  unsubscribe = filterState.subscribe(renderInteractiveControls);
 }
 
 // Function to create interactive controls HTML
 function createInteractiveControls(facetsContainer) {
-  try {
-    console.log('🔧 Creating interactive controls...');
-    
-    // Find the filters title element to replace
-    const filtersTitle = facetsContainer.querySelector('.facets--filters-title');
-    const controlsWrapper = facetsContainer.querySelector('.facets-controls-wrapper');
-    
-    if (!controlsWrapper) {
-      console.log('❌ No controls wrapper found');
-      return;
-    }
-    
-    // Create interactive controls container
-    const interactiveControls = document.createElement('div');
-    interactiveControls.className = 'interactive-facets-controls';
-    interactiveControls.innerHTML = `
+  const filtersTitle = facetsContainer.querySelector('.facets--filters-title');
+  const controlsWrapper = facetsContainer.querySelector('.facets-controls-wrapper');
+  if (!controlsWrapper) return;
+
+  const quickFilterButtons = Object.entries(QUICK_FILTERS)
+    .map(([type, { label }]) => `
+        <button type="button" class="quick-filter-button" data-filter-type="${type}" aria-pressed="false">
+          <span>${label}</span>
+        </button>`)
+    .join('');
+
+  // Quick Filters menu: merchant presets for every collection or this one
+  const presetItems = filterState.presetsFor()
+    .filter(({ preselect }) => !preselect)
+    .map(({ id, label }) => `
+          <a href="#" class="filter-preset-item" role="menuitem" data-preset="${escapeHTML(id)}">${escapeHTML(label)}</a>`)
+    .join('');
+
+  const interactiveControls = document.createElement('div');
+  interactiveControls.className = 'interactive-facets-controls';
+  interactiveControls.innerHTML = `
       <div class="active-filters-indicator" tabindex="0" role="status" aria-label="Active filters">
         <span class="filter-icon">🔍</span>
         <span class="filter-text">Filters:</span>
         <span class="active-filters-count zero" aria-live="polite">0</span>
         <span class="sr-only" id="filter-count-text">No active filters</span>
       </div>
-      
-      <div class="quick-filter-toggles" role="group" aria-label="Quick filter options">
-        <button class="quick-filter-button" data-filter-type="availability" aria-pressed="false">
-          <span>In Stock</span>
-        </button>
-        <button class="quick-filter-button" data-filter-type="price" aria-pressed="false">
-          <span>On Sale</span>
-        </button>
-        <button class="quick-filter-button" data-filter-type="new" aria-pressed="false">
-          <span>New</span>
-        </button>
+
+      <div class="quick-filter-toggles" role="group" aria-label="Quick filter options">${quickFilterButtons}
       </div>
-      
-      <details class="filter-presets-dropdown">
+
+      <details class="filter-presets-dropdown"${presetItems ? '' : ' hidden'}>
         <summary class="filter-presets-button" aria-expanded="false">
           <span>Quick Filters</span>
           <span class="dropdown-arrow">▼</span>
         </summary>
-        <div class="filter-presets-menu" role="menu">
-          <a href="#" class="filter-preset-item" role="menuitem" data-preset="popular">Popular Items</a>
-          <a href="#" class="filter-preset-item" role="menuitem" data-preset="budget">Budget Friendly</a>
-          <a href="#" class="filter-preset-item" role="menuitem" data-preset="premium">Premium</a>
-          <a href="#" class="filter-preset-item" role="menuitem" data-preset="new-arrivals">New Arrivals</a>
+        <div class="filter-presets-menu" role="menu">${presetItems}
         </div>
       </details>
-      
-      <button class="interactive-clear-all hidden" aria-label="Clear all active filters">
+
+      <button type="button" class="interactive-clear-all hidden" aria-label="Clear all active filters">
         <span class="clear-icon">✕</span>
         <span>Clear All</span>
       </button>
     `;
-    
-    // Insert the interactive controls
-    if (filtersTitle) {
-      // Replace the filters title
-      filtersTitle.replaceWith(interactiveControls);
-    } else {
-      // Insert at the beginning of controls wrapper
-      controlsWrapper.insertBefore(interactiveControls, controlsWrapper.firstChild);
-    }
-    
-    console.log('✅ Interactive controls created');
-    
-  } catch (error) {
-    console.error('❌ Error creating interactive controls:', error);
-  }
-}
 
-// Function to initialize control functionality
-function initializeControlsLogic() {
-  try {
-    console.log('🔧 Initializing controls logic...');
-    
-    // Initialize quick filter buttons
-    initializeQuickFilters();
-    
-    // Initialize filter presets
-    initializeFilterPresets();
-    
-    // Initialize clear all functionality
-    initializeInteractiveClearAll();
-    
-    // Initialize active filters counter
-    updateActiveFiltersCount();
-    
-    console.log('✅ Controls logic initialized');
-    
-  } catch (error) {
-    console.error('❌ Error initializing controls logic:', error);
+  if (filtersTitle) {
+    filtersTitle.replaceWith(interactiveControls);
+  } else {
+    controlsWrapper.insertBefore(interactiveControls, controlsWrapper.firstChild);
   }
-}
 
-// Function to initialize quick filter buttons
-function initializeQuickFilters() {
-  const quickFilterButtons = document.querySelectorAll('.quick-filter-button');
-  
-  quickFilterButtons.forEach(button => {
-    button.addEventListener('click', function(event) {
-      event.preventDefault();
-      
-      const filterType = this.dataset.filterType;
-      const isActive = this.getAttribute('aria-pressed') === 'true';
-      
-      console.log(`🤓 Quick filter clicked: ${filterType}, currently active: ${isActive}`);
-      
-      // Toggle button state
-      const newState = !isActive;
-      this.setAttribute('aria-pressed', newState);
-      this.classList.toggle('active', newState);
-      
-      // Apply the filter
-      applyQuickFilter(filterType, newState);
-      
-      // Update active count
-      setTimeout(updateActiveFiltersCount, 100);
-    });
+  interactiveControls.addEventListener('click', handleControlsClick);
+
+  const presetDropdown = interactiveControls.querySelector('.filter-presets-dropdown');
+  presetDropdown.addEventListener('toggle', () => {
+    presetDropdown.querySelector('summary').setAttribute('aria-expanded', String(presetDropdown.open));
   });
 }
 
-// Function to apply quick filters
-function applyQuickFilter(filterType, isActive) {
-  try {
-    console.log(`🔄 Applying quick filter: ${filterType}, active: ${isActive}`);
-    
-    // Find relevant filter inputs based on type
-    let targetInputs = [];
-    
-    switch (filterType) {
-      case 'availability':
-        targetInputs = document.querySelectorAll('input[name*="availability"], input[value*="in-stock"], input[value*="available"]');
-        break;
-      case 'price':
-        targetInputs = document.querySelectorAll('input[name*="price"], input[name*="sale"], input[value*="sale"]');
-        break;
-      case 'new':
-        targetInputs = document.querySelectorAll('input[value*="new"], input[value*="latest"], input[name*="tag"][value*="new"]');
-        break;
-      default:
-        console.log(`⚠️ Unknown filter type: ${filterType}`);
-        return;
-    }
-    
-    if (targetInputs.length === 0) {
-      console.log(`❌ No inputs found for filter type: ${filterType}`);
-      return;
-    }
-    
-    // Toggle the first matching input
-    const firstInput = targetInputs[0];
-    firstInput.checked = isActive;
-    
-    // Trigger change event to update filters
-    firstInput.dispatchEvent(new Event('change', { bubbles: true }));
-    
-    console.log(`✅ Quick filter applied: ${filterType}`);
-    
-  } catch (error) {
-    console.error(`❌ Error applying quick filter ${filterType}:`, error);
+// Quick filter and preset clicks; Clear All is bound by the store
+function handleControlsClick(event) {
+  const quickFilterButton = event.target.closest('.quick-filter-button');
+  if (quickFilterButton) {
+    event.preventDefault();
+    const [filter] = filterState.resolve([QUICK_FILTERS[quickFilterButton.dataset.filterType].filter]);
+    if (filter) filterState.toggle(filter.name, filter.value);
+    return;
   }
-}
 
-// Function to initialize filter presets
-function initializeFilterPresets() {
-  const presetItems = document.querySelectorAll('.filter-preset-item');
-  const presetDropdown = document.querySelector('.filter-presets-dropdown');
-  
-  presetItems.forEach(item => {
-    item.addEventListener('click', function(event) {
-      event.preventDefault();
-      
-      const preset = this.dataset.preset;
-      console.log(`🤓 Filter preset selected: ${preset}`);
-      
-      // Apply the preset
-      applyFilterPreset(preset);
-      
-      // Close the dropdown
-      if (presetDropdown) {
-        presetDropdown.removeAttribute('open');
-      }
-      
-      // Update active count
-      setTimeout(updateActiveFiltersCount, 100);
-    });
-  });
-  
-  // Handle dropdown toggle
-  if (presetDropdown) {
-    const summary = presetDropdown.querySelector('summary');
-    if (summary) {
-      summary.addEventListener('toggle', function() {
-        const isOpen = presetDropdown.hasAttribute('open');
-        summary.setAttribute('aria-expanded', isOpen);
-      });
-    }
-  }
-}
+  const presetItem = event.target.closest('.filter-preset-item');
+  if (presetItem) {
+    event.preventDefault();
+    if (presetItem.getAttribute('aria-disabled') === 'true') return;
 
-// Function to apply filter presets
-function applyFilterPreset(preset) {
-  try {
-    console.log(`🔄 Applying filter preset: ${preset}`);
-    
-    // Clear existing filters first
-    clearAllFilters(false);
-    
-    // Apply preset-specific filters
-    switch (preset) {
-      case 'popular':
-        // Apply filters for popular items (high ratings, bestsellers)
-        applyPresetFilters(['popular', 'bestseller', 'featured']);
-        break;
-      case 'budget':
-        // Apply budget-friendly filters
-        applyPresetFilters(['sale', 'discount', 'budget']);
-        break;
-      case 'premium':
-        // Apply premium filters
-        applyPresetFilters(['premium', 'luxury', 'high-end']);
-        break;
-      case 'new-arrivals':
-        // Apply new arrivals filters
-        applyPresetFilters(['new', 'latest', 'recent']);
-        break;
-      default:
-        console.log(`⚠️ Unknown preset: ${preset}`);
-        return;
-    }
-    
-    console.log(`✅ Filter preset applied: ${preset}`);
-    
-  } catch (error) {
-    console.error(`❌ Error applying filter preset ${preset}:`, error);
+    filterState.applyPreset(presetItem.dataset.preset);
+    presetItem.closest('details')?.removeAttribute('open');
   }
 }
 
-// Function to apply preset filters
-function applyPresetFilters(filterValues) {
-  filterValues.forEach(value => {
-    const inputs = document.querySelectorAll(`input[value*="${value}"], input[data-value*="${value}"]`);
-    inputs.forEach(input => {
-      if (input.type === 'checkbox' || input.type === 'radio') {
-        input.checked = true;
-        input.dispatchEvent(new Event('change', { bubbles: true }));
-      }
-    });
-  });
-}
+// Function to reflect the filter state on the controls, re-creating them
+// when a section render has replaced the facets
+function renderInteractiveControls(state) {
+  const facetsContainer = document.querySelector('.facets.facets--horizontal');
+  if (!facetsContainer || !isDesktopBreakpoint()) return;
 
-// Function to initialize interactive clear all
-function initializeInteractiveClearAll() {
-  const clearAllButton = document.querySelector('.interactive-clear-all');
-  
-  if (clearAllButton) {
-    clearAllButton.addEventListener('click', function(event) {
-      event.preventDefault();
-      
-      console.log('🤓 Interactive Clear All clicked');
-      
-      // Check if we're on a collection page
-      const currentPath = window.location.pathname;
-      
-      if (currentPath.includes('/collections/')) {
-        // Navigate to all collections
-        console.log('🦄 Redirecting to all collections');
-        window.location.href = '/collections';
-      } else {
-        // Clear filters on current page
-        clearAllFilters(true);
-      }
-    });
+  if (!facetsContainer.querySelector('.interactive-facets-controls')) {
+    createInteractiveControls(facetsContainer);
   }
-}
 
-// Function to clear all filters
-function clearAllFilters(updateCount = true) {
-  try {
-    console.log('🔄 Clearing all filters...');
-    
-    // Clear all filter inputs
-    const filterInputs = document.querySelectorAll('.facets input[type="checkbox"], .facets input[type="radio"]');
-    filterInputs.forEach(input => {
-      if (input.checked) {
-        input.checked = false;
-        input.dispatchEvent(new Event('change', { bubbles: true }));
-      }
-    });
-    
-    // Clear range inputs
-    const rangeInputs = document.querySelectorAll('.facets input[type="range"], .facets input[type="number"]');
-    rangeInputs.forEach(input => {
-      if (input.min !== undefined) {
-        input.value = input.min;
-      } else {
-        input.value = '';
-      }
-      input.dispatchEvent(new Event('change', { bubbles: true }));
-    });
-    
-    // Reset quick filter buttons
-    const quickButtons = document.querySelectorAll('.quick-filter-button');
-    quickButtons.forEach(button => {
-      button.setAttribute('aria-pressed', 'false');
-      button.classList.remove('active');
-    });
-    
-    if (updateCount) {
-      setTimeout(updateActiveFiltersCount, 100);
-    }
-    
-    console.log('✅ All filters cleared');
-    
-  } catch (error) {
-    console.error('❌ Error clearing filters:', error);
-  }
-}
+  const controls = facetsContainer.querySelector('.interactive-facets-controls');
+  if (!controls) return;
 
-// Function to update active filters count
-function updateActiveFiltersCount() {
-  try {
-    const countElement = document.querySelector('.active-filters-count');
-    const textElement = document.getElementById('filter-count-text');
-    const clearButton = document.querySelector('.interactive-clear-all');
-    
-    if (!countElement) return;
-    
-    // Count active filters
-    const activeFilters = document.querySelectorAll('.facets input:checked');
-    const count = activeFilters.length;
-    
-    // Update count display
-    countElement.textContent = count;
-    countElement.classList.toggle('zero', count === 0);
-    
-    // Update screen reader text
-    if (textElement) {
-      textElement.textContent = count === 0 ? 'No active filters' : `${count} active filter${count === 1 ? '' : 's'}`;
-    }
-    
-    // Show/hide clear button
-    if (clearButton) {
-      clearButton.classList.toggle('hidden', count === 0);
-    }
-    
-    console.log(`📊 Active filters count updated: ${count}`);
-    
-  } catch (error) {
-    console.error('❌ Error updating active filters count:', error);
-  }
-}
+  const countElement = controls.querySelector('.active-filters-count');
+  countElement.textContent = String(state.activeCount);
+  countElement.classList.toggle('zero', state.activeCount === 0);
 
-// Function to monitor filter changes
-function monitorFilterChanges() {
-  try {
-    console.log('👀 Setting up filter change monitoring...');
-    
-    // Create mutation observer to watch for filter changes
-    const observer = new MutationObserver(function(mutations) {
-      let shouldUpdate = false;
-      
-      mutations.forEach(mutation => {
-        if (mutation.type === 'childList' || 
-            (mutation.type === 'attributes' && mutation.attributeName === 'checked')) {
-          shouldUpdate = true;
-        }
-      });
-      
-      if (shouldUpdate) {
-        setTimeout(updateActiveFiltersCount, 100);
-      }
-    });
-    
-    // Observe filter container
-    const facetsContainer = document.querySelector('.facets');
-    if (facetsContainer) {
-      observer.observe(facetsContainer, {
-        childList: true,
-        subtree: true,
-        attributes: true,
-        attributeFilter: ['checked']
-      });
-    }
-    
-    // Also listen for custom filter events
-    document.addEventListener('facets:updated', updateActiveFiltersCount);
-    document.addEventListener('facets:cleared', updateActiveFiltersCount);
-    
-    console.log('✅ Filter change monitoring setup complete');
-    
-  } catch (error) {
-    console.error('❌ Error setting up filter monitoring:', error);
-  }
+  controls.querySelector('#filter-count-text').textContent = state.activeCount === 0
+    ? 'No active filters'
+    : `${state.activeCount} active filter${state.activeCount === 1 ? '' : 's'}`;
+
+  controls.querySelector('.interactive-clear-all').classList.toggle('hidden', !state.canClearAll);
+
+  // Quick filters without a matching facet on this page are disabled
+  controls.querySelectorAll('.quick-filter-button').forEach(button => {
+    const [filter] = filterState.resolve([QUICK_FILTERS[button.dataset.filterType].filter]);
+    const isActive = Boolean(filter) && filterState.has(filter.name, filter.value);
+
+    button.disabled = !filter;
+    button.setAttribute('aria-pressed', String(isActive));
+    button.classList.toggle('active', isActive);
+  });
+
+  controls.querySelectorAll('.filter-preset-item').forEach(item => {
+    const preset = filterState.presets.find(({ id }) => id === item.dataset.preset);
+    const available = Boolean(preset) && filterState.resolve(preset.filters).length > 0;
+    item.setAttribute('aria-disabled', String(!available));
+  });
 }
 
-// Function to handle window resize
-function handleResize() {
-  if (window.innerWidth < 750) {
-    // Remove desktop controls on mobile
-    const interactiveControls = document.querySelector('.interactive-facets-controls');
-    if (interactiveControls) {
-      interactiveControls.style.display = 'none';
-    }
+// Function to handle crossing the desktop breakpoint
+function handleBreakpointChange() {
+  const interactiveControls = document.querySelector('.interactive-facets-controls');
+
+  if (!isDesktopBreakpoint()) {
+    if (interactiveControls) interactiveControls.style.display = 'none';
+  } else if (interactiveControls) {
+    interactiveControls.style.display = 'flex';
   } else {
-    // Restore desktop controls
-    const interactiveControls = document.querySelector('.interactive-facets-controls');
-    if (interactiveControls) {
-      interactiveControls.style.display = 'flex';
-    } else {
-      // Re-initialize if controls don't exist
-      initializeInteractiveDesktopFacets();
-    }
+    initializeInteractiveDesktopFacets();
   }
 }
 
-// Initialize on DOM ready
-document.addEventListener('DOMContentLoaded', initializeInteractiveDesktopFacets);
+onDocumentReady(initializeInteractiveDesktopFacets);
 
-// Re-initialize on section reloads (Shopify themes)
+// The theme editor replaces sections without a page load
 document.addEventListener('shopify:section:load', initializeInteractiveDesktopFacets);
-document.addEventListener('shopify:section:reorder', initializeInteractiveDesktopFacets);
-
-// Handle window resize
-window.addEventListener('resize', debounce(handleResize, 250));
-
-// Utility function for debouncing
-function debounce(func, wait) {
-  let timeout;
-  return function executedFunction(...args) {
-    const later = () => {
-      clearTimeout(timeout);
-      func(...args);
-    };
-    clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
-  };
-}
+
+mediaQueryLarge.addEventListener('change', handleBreakpointChange);
 
 // Export functions for external use
 window.initializeInteractiveDesktopFacets = initializeInteractiveDesktopFacets;
-window.updateActiveFiltersCount = updateActiveFiltersCount;
+window.updateActiveFiltersCount = () => renderInteractiveControls(filterState.state);
 
 // Debug helper
 window.debugInteractiveFacets = function() {
-  console.log('🔍 Debug: Interactive facets state');
-  console.log('Active filters:', document.querySelectorAll('.facets input:checked'));
-  console.log('Quick buttons:', document.querySelectorAll('.quick-filter-button.active'));
+  console.log('🔍 Debug: Interactive facets state', filterState.state);
+  console.log('Presets:', filterState.presets);
   console.log('Controls container:', document.querySelector('.interactive-facets-controls'));
-};
\ No newline at end of file
+};
@@ -0,0 +1,338 @@
+import { Component } from '@theme/component';
+import { filterState, fromShortQuery, toShortQuery } from '@theme/filter-state';
+
+/**
+ * @typedef {import('@theme/filter-state').FilterSnapshot} FilterSnapshot
+ */
+
+/**
+ * A set of filters to come back to.
+ *
+ * @typedef {Object} FilterView
+ * @property {string} name - The name the shopper gave it, or a summary of its filters
+ * @property {string} path - The collection or search path
+ * @property {string} query - The short query string, without `?`
+ * @property {number} savedAt - When it was stored, in milliseconds since the epoch
+ */
+
+/**
+ * Adds a view to a list in localStorage, most recent first, dropping older
+ * copies of the same filters.
+ * @param {string} key - The storage key
+ * @param {number} max - The maximum number of views to keep
+ * @param {FilterView} view - The view to add
+ */
+function addView(key, max, view) {
+  let views = readViews(key);
+
+  views = views.filter((stored) => stored.path !== view.path || stored.query !== view.query);
+  views.unshift(view);
+  views = views.slice(0, max);
+
+  writeViews(key, views);
+}
+
+/**
+ * @param {string} key - The storage key
+ * @returns {FilterView[]} The stored views
+ */
+function readViews(key) {
+  try {
+    const views = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(views) ? views : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Stores views, unless storage is unavailable or full, e.g. in private browsing
+ * @param {string} key - The storage key
+ * @param {FilterView[]} views - The views
+ */
+function writeViews(key, views) {
+  try {
+    localStorage.setItem(key, JSON.stringify(views));
+  } catch {
+    // Nothing is stored; the lists keep what was stored before
+  }
+}
+
+/**
+ * Named filter views the shopper saved, in localStorage.
+ */
+export class SavedFilterViews {
+  /** @static @constant {string} The key used to store the saved views in local storage */
+  static #STORAGE_KEY = 'savedFilterViews';
+  /** @static @constant {number} The maximum number of views to store */
+  static #MAX_VIEWS = 12;
+
+  /**
+   * Saves a view; saving the same filters again renames them.
+   * @param {FilterView} view - The view to save
+   */
+  static addView(view) {
+    addView(this.#STORAGE_KEY, this.#MAX_VIEWS, view);
+  }
+
+  /**
+   * Removes a saved view.
+   * @param {number} index - The position of the view in `getViews()`
+   */
+  static removeView(index) {
+    const views = this.getViews();
+    views.splice(index, 1);
+    writeViews(this.#STORAGE_KEY, views);
+  }
+
+  /**
+   * Retrieves the saved views.
+   * @returns {FilterView[]} The saved views, most recent first.
+   */
+  static getViews() {
+    return readViews(this.#STORAGE_KEY);
+  }
+}
+
+/**
+ * The filters the shopper used last, in localStorage.
+ */
+export class RecentFilterViews {
+  /** @static @constant {string} The key used to store the recent views in local storage */
+  static #STORAGE_KEY = 'recentFilterViews';
+  /** @static @constant {number} The maximum number of views to store */
+  static #MAX_VIEWS = 5;
+
+  /**
+   * Adds the filters just applied.
+   * @param {FilterView} view - The view to add
+   */
+  static addView(view) {
+    addView(this.#STORAGE_KEY, this.#MAX_VIEWS, view);
+  }
+
+  static clearViews() {
+    try {
+      localStorage.removeItem(this.#STORAGE_KEY);
+    } catch {
+      // Storage is unavailable, so there is nothing to clear
+    }
+  }
+
+  /**
+   * Retrieves the recent views.
+   * @returns {FilterView[]} The recent views, most recent first.
+   */
+  static getViews() {
+    return readViews(this.#STORAGE_KEY);
+  }
+}
+
+/**
+ * Summarizes the filters of a state for a view without a name
+ * @param {FilterSnapshot} state - The filter state
+ * @returns {string} The summary, e.g. `horror, Board Game, 10–50`
+ */
+function describeFilters(state) {
+  const min = state.filters.find(({ name }) => name === 'filter.v.price.gte')?.value;
+  const max = state.filters.find(({ name }) => name === 'filter.v.price.lte')?.value;
+
+  const values = state.filters.filter(({ name }) => !name.startsWith('filter.v.price.')).map(({ value }) => value);
+  if (min || max) values.push(`${min ?? '0'}–${max ?? '∞'}`);
+
+  return values.join(', ');
+}
+
+/**
+ * Turns a filter state into a view
+ * @param {FilterSnapshot} state - The filter state
+ * @param {string} [name] - The name, a summary of the filters by default
+ * @returns {FilterView} The view
+ */
+function toView(state, name = '') {
+  return {
+    name: name.trim() || describeFilters(state),
+    path: state.pathname,
+    query: toShortQuery(state.search),
+    savedAt: Date.now(),
+  };
+}
+
+/**
+ * A glass dropdown to save, share and restore filter views
+ *
+ * @typedef {Object} SavedFilterViewsRefs
+ * @property {HTMLDetailsElement} dropdown - The dropdown
+ * @property {HTMLInputElement} nameInput - The name of the view to save
+ * @property {HTMLButtonElement} saveButton - Saves the current view
+ * @property {HTMLButtonElement} copyButton - Copies the share link
+ * @property {HTMLUListElement} savedList - The saved views
+ * @property {HTMLUListElement} recentList - The recent views
+ * @property {HTMLElement} status - Announces what happened
+ *
+ * @extends {Component<SavedFilterViewsRefs>}
+ */
+class SavedFilterViewsComponent extends Component {
+  requiredRefs = ['dropdown', 'nameInput', 'saveButton', 'copyButton', 'savedList', 'recentList', 'status'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.#unsubscribe = filterState.subscribe(this.#handleFilterState);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * Saves the current filters under the name in the input
+   * @param {SubmitEvent} event - The submit event
+   */
+  saveView(event) {
+    event.preventDefault();
+
+    const { state } = filterState;
+    if (state.filters.length === 0) return;
+
+    const view = toView(state, this.refs.nameInput.value);
+    SavedFilterViews.addView(view);
+
+    this.refs.nameInput.value = '';
+    this.#renderLists();
+    this.#announce(this.#message('savedMessage', view.name));
+  }
+
+  /**
+   * Copies a short link to the current filters
+   */
+  async copyLink() {
+    const query = toShortQuery(filterState.state.search);
+    const url = `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}`;
+
+    try {
+      await navigator.clipboard.writeText(url);
+      this.#announce(this.#message('copiedMessage'));
+    } catch {
+      this.#announce(url);
+    }
+  }
+
+  /**
+   * Restores a saved view
+   * @param {number} index - The position of the view in the saved list
+   * @param {MouseEvent} event - The click event
+   */
+  openSavedView(index, event) {
+    this.#openView(SavedFilterViews.getViews()[index], event);
+  }
+
+  /**
+   * Restores a recent view
+   * @param {number} index - The position of the view in the recent list
+   * @param {MouseEvent} event - The click event
+   */
+  openRecentView(index, event) {
+    this.#openView(RecentFilterViews.getViews()[index], event);
+  }
+
+  /**
+   * Removes a saved view
+   * @param {number} index - The position of the view in the saved list
+   */
+  removeView(index) {
+    SavedFilterViews.removeView(index);
+    this.#renderLists();
+  }
+
+  /**
+   * Records applied filters as recent and refreshes the lists
+   * @param {FilterSnapshot} state - The filter state
+   */
+  #handleFilterState = (state) => {
+    if (state.filters.length > 0) RecentFilterViews.addView(toView(state));
+
+    this.refs.saveButton.disabled = state.filters.length === 0;
+    this.refs.copyButton.disabled = state.filters.length === 0;
+    this.#renderLists();
+  };
+
+  /**
+   * Goes to a view, through the facets form when it is for this page. Links
+   * opened in a new tab keep their default behavior.
+   * @param {FilterView | undefined} view - The view
+   * @param {MouseEvent} event - The click event
+   */
+  #openView(view, event) {
+    if (!view || event.metaKey || event.ctrlKey || event.shiftKey) return;
+
+    event.preventDefault();
+    this.refs.dropdown.open = false;
+    filterState.restore(fromShortQuery(view.query) ?? new URLSearchParams(view.query), view.path);
+  }
+
+  #renderLists() {
+    this.#renderList(this.refs.savedList, SavedFilterViews.getViews(), 'openSavedView', true);
+    this.#renderList(this.refs.recentList, RecentFilterViews.getViews(), 'openRecentView', false);
+  }
+
+  /**
+   * @param {HTMLUListElement} list - The list to fill
+   * @param {FilterView[]} views - The views
+   * @param {string} method - The method that opens a view
+   * @param {boolean} removable - Whether the views can be removed
+   */
+  #renderList(list, views, method, removable) {
+    list.replaceChildren(
+      ...views.map((view, index) => {
+        const item = document.createElement('li');
+        item.className = 'saved-filter-views__item';
+
+        const link = document.createElement('a');
+        link.className = 'saved-filter-views__link';
+        link.href = `${view.path}${view.query ? `?${view.query}` : ''}`;
+        link.textContent = view.name;
+        link.setAttribute('on:click', `/${method}/${index}`);
+        item.append(link);
+
+        if (removable) {
+          const remove = document.createElement('button');
+          remove.type = 'button';
+          remove.className = 'saved-filter-views__remove';
+          remove.setAttribute('aria-label', this.#message('removeLabel', view.name));
+          remove.setAttribute('on:click', `/removeView/${index}`);
+          remove.textContent = '×';
+          item.append(remove);
+        }
+
+        return item;
+      })
+    );
+
+    list.closest('[data-saved-filter-views-group]')?.toggleAttribute('hidden', views.length === 0);
+  }
+
+  /**
+   * Reads a translated message from the data attributes the snippet renders
+   * @param {'savedMessage' | 'copiedMessage' | 'removeLabel'} key - The data attribute, in camel case
+   * @param {string} [name] - The view name, in place of `[name]`
+   * @returns {string}
+   */
+  #message(key, name = '') {
+    return (this.dataset[key] ?? '').replace('[name]', name);
+  }
+
+  /**
+   * @param {string} message - The message to announce
+   */
+  #announce(message) {
+    this.refs.status.textContent = message;
+  }
+}
+
+if (!customElements.get('saved-filter-views')) {
+  customElements.define('saved-filter-views', SavedFilterViewsComponent);
+}
@@ -0,0 +1,40 @@
+// @vitest-environment happy-dom
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { RecentFilterViews, SavedFilterViews } from './saved-filter-views.js';
+
+// Theme is the global that scripts.liquid defines before any module runs
+vi.hoisted(() => {
+  globalThis.Theme = { routes: { all_products_collection_url: '/collections/all' }, utilities: {} };
+});
+
+const view = { name: 'Horror', path: '/collections/all', query: 'tag=horror', savedAt: 0 };
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  localStorage.clear();
+});
+
+describe('SavedFilterViews', () => {
+  it('saves the same filters once, under the latest name', () => {
+    SavedFilterViews.addView(view);
+    SavedFilterViews.addView({ ...view, name: 'Scary' });
+
+    expect(SavedFilterViews.getViews().map(({ name }) => name)).toEqual(['Scary']);
+  });
+
+  it('keeps working when storage is full or blocked', () => {
+    const stored = JSON.stringify([view]);
+    vi.stubGlobal('localStorage', {
+      getItem: () => stored,
+      setItem: () => {
+        throw new DOMException('Quota exceeded', 'QuotaExceededError');
+      },
+      removeItem: () => {},
+    });
+
+    expect(() => SavedFilterViews.addView({ ...view, query: 'tag=strategy' })).not.toThrow();
+    expect(() => SavedFilterViews.removeView(0)).not.toThrow();
+    expect(() => RecentFilterViews.addView(view)).not.toThrow();
+    expect(SavedFilterViews.getViews()).toEqual([view]);
+  });
+});
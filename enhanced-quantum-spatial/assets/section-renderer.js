@@ -52,6 +52,14 @@ class SectionRenderer {
     return sectionHTML;
   }
 
+  /**
+   * Cancels a pending render, for sections updated without the server
+   * @param {string} sectionId - The section ID
+   */
+  cancelPendingRender(sectionId) {
+    this.#abortPendingMorph(sectionId);
+  }
+
   /**
    * Aborts an existing morph for a section
    * @param {string} sectionId - The section ID
@@ -12,10 +12,12 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { writeMachineReports } = require('../../../validation-scripts/qa/reporters');
 
 class ResponsiveLayoutValidator {
-  constructor() {
-    this.baseDir = '/Users/pennyplatt/Documents//petersen-portal/fresh-glass-theme/petersen-glass-theme';
+  constructor(baseDir, options = {}) {
+    this.baseDir = baseDir || '/Users/pennyplatt/Documents//petersen-portal/fresh-glass-theme/petersen-glass-theme';
+    this.formats = options.formats || [];
     this.appleBreakpoints = {
       mobile: { min: 320, max: 744, name: 'iPhone/Mobile' },
       tablet: { min: 744, max: 1024, name: 'iPad/Tablet' },
@@ -169,7 +171,7 @@ class ResponsiveLayoutValidator {
   }
 
   getLineNumber(content, index) {
-    return content.substring(0, index).split('').length;
+    return content.substring(0, index).split('\n').length;
   }
 
   checkFoundationUsage(content) {
@@ -548,9 +550,60 @@ Generated: ${new Date().toISOString()}
     await fs.writeFile(reportPath, report);
     
     console.log(`📊 Responsive layout report generated: ${reportPath}`);
+    
+    if (this.formats.length > 0) {
+      const written = await writeMachineReports(
+        [{ name: 'Responsive Layout Validator', findings: this.getFindings(results) }],
+        path.join(this.baseDir, 'responsive-layout-report'),
+        this.formats,
+        { themeRoot: this.baseDir }
+      );
+      Object.values(written).forEach(file => console.log(`📊 ${file}`));
+    }
+    
     return reportPath;
   }
 
+  // Normalized findings for the shared SARIF/JUnit reporters
+  getFindings(results) {
+    const findings = [];
+    
+    for (const component of results.components) {
+      for (const target of component.touchTargets) {
+        findings.push({
+          ruleId: 'responsive/touch-target',
+          severity: target.size < 32 ? 'error' : 'warning',
+          message: `${target.property}: ${target.size}px is below the ${this.touchTargets.minimum}px touch target. ${target.recommendation}`,
+          file: component.component,
+          line: target.line
+        });
+      }
+      
+      for (const issue of component.issues) {
+        findings.push({
+          ruleId: 'responsive/layout',
+          severity: 'warning',
+          message: issue,
+          file: component.component,
+          line: null
+        });
+      }
+    }
+    
+    for (const issue of results.layoutBehavior.issues || []) {
+      const [component, message] = issue.split(': ');
+      findings.push({
+        ruleId: 'responsive/layering',
+        severity: 'warning',
+        message: message || issue,
+        file: message ? component : null,
+        line: null
+      });
+    }
+    
+    return findings;
+  }
+
   // Interactive validation methods
   async validateSingleBreakpoint(width, componentPath) {
     const component = await this.validateComponent(componentPath);
@@ -626,7 +679,12 @@ module.exports = { ResponsiveLayoutValidator };
 
 // CLI usage for interactive validation  
 if (require.main === module) {
-  const validator = new ResponsiveLayoutValidator();
+  // node responsive-layout-validator.js [theme-dir] [--format=sarif,junit]
+  const args = process.argv.slice(2);
+  const formatArg = args.find(arg => arg.startsWith('--format='));
+  const validator = new ResponsiveLayoutValidator(args.find(arg => !arg.startsWith('--')), {
+    formats: formatArg ? formatArg.slice('--format='.length).split(',') : []
+  });
   
   validator.validateAllLayouts()
     .then(results => {
@@ -12,6 +12,8 @@
  */
 
 class OksanaPlatformEnhancedTheme {
+  static QUANTUM_STATES = ['heritage', 'quantum', 'superposition', 'transitional'];
+  
   constructor() {
     this.version = '2.1.0';
     this.architecture = 'apple-native-quantum-secured-shopify-optimized';
@@ -40,8 +42,9 @@ class OksanaPlatformEnhancedTheme {
   setupQuantumSpatialDesign() {
     if (!this.services.quantumSpatial) return;
     
-    const currentState = this.settings.quantumDesignState || 'quantum';
-    document.body.setAttribute('data-quantum-state', currentState);
+    // A state picked with the switcher wins over the theme setting
+    const currentState = this.getStoredQuantumState() || this.settings.quantumDesignState || 'quantum';
+    this.applyQuantumState(currentState);
     
     console.log(`🌟 Quantum-Spatial Design State: ${currentState}`);
     
@@ -114,6 +117,7 @@ class OksanaPlatformEnhancedTheme {
   }
   
   createTokenStateSwitcher() {
+    const activeState = document.documentElement.getAttribute('data-quantum-state');
     const switcher = document.createElement('div');
     switcher.className = 'oksana-token-switcher';
     switcher.style.cssText = `
@@ -131,10 +135,10 @@ class OksanaPlatformEnhancedTheme {
     switcher.innerHTML = `
       <label>🌟 Quantum State:</label>
       <select onchange="oksanaTheme.switchQuantumState(this.value)" style="margin-left: 8px;">
-        <option value="heritage" ${this.settings.quantumDesignState === 'heritage' ? 'selected' : ''}>🏛️ Heritage</option>
-        <option value="quantum" ${this.settings.quantumDesignState === 'quantum' ? 'selected' : ''}>🌟 Quantum</option>
-        <option value="superposition" ${this.settings.quantumDesignState === 'superposition' ? 'selected' : ''}>⚡ Superposition</option>
-        <option value="transitional" ${this.settings.quantumDesignState === 'transitional' ? 'selected' : ''}>🔄 Transitional</option>
+        <option value="heritage" ${activeState === 'heritage' ? 'selected' : ''}>🏛️ Heritage</option>
+        <option value="quantum" ${activeState === 'quantum' ? 'selected' : ''}>🌟 Quantum</option>
+        <option value="superposition" ${activeState === 'superposition' ? 'selected' : ''}>⚡ Superposition</option>
+        <option value="transitional" ${activeState === 'transitional' ? 'selected' : ''}>🔄 Transitional</option>
       </select>
     `;
     
@@ -142,11 +146,36 @@ class OksanaPlatformEnhancedTheme {
   }
   
   switchQuantumState(newState) {
-    document.body.setAttribute('data-quantum-state', newState);
-    localStorage.setItem('oksana-quantum-state', newState);
+    if (!OksanaPlatformEnhancedTheme.QUANTUM_STATES.includes(newState)) {
+      console.warn(`⚠️ Unknown quantum state: ${newState}`);
+      return;
+    }
+    
+    this.applyQuantumState(newState);
+    try {
+      localStorage.setItem('oksana-quantum-state', newState);
+    } catch (error) {
+      // Storage unavailable: the state lasts until the next page load
+    }
     console.log(`🌟 Switched to ${newState} token state`);
   }
   
+  // quantum-states.css scopes each state's tokens to [data-quantum-state];
+  // body keeps the attribute for body[data-quantum-state] rules
+  applyQuantumState(state) {
+    document.documentElement.setAttribute('data-quantum-state', state);
+    document.body.setAttribute('data-quantum-state', state);
+  }
+  
+  getStoredQuantumState() {
+    try {
+      const stored = localStorage.getItem('oksana-quantum-state');
+      return OksanaPlatformEnhancedTheme.QUANTUM_STATES.includes(stored) ? stored : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
   trackOksanaPlatformEvents() {
     // Strategic Intelligence event tracking
     document.addEventListener('click', (e) => {
@@ -2,6 +2,28 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { writeDependencyGraphHTML, writeDependencyGraphJSON } = require('./validation-scripts/qa/dependency-graph');
+const {
+  listQuarantines,
+  quarantineFiles,
+  restoreQuarantine
+} = require('./validation-scripts/qa/asset-quarantine');
+
+// Liquid filters that turn a file name into a reference to a theme asset
+const ASSET_FILTERS = 'asset_url|asset_img_url|inline_asset_content';
+
+// Theme settings and JSON templates can name assets in their values
+const SETTINGS_FILES = ['config/settings_data.json', 'config/settings_schema.json'];
+
+// Node type shown in the dependency graph for each theme directory
+const DIRECTORY_KINDS = {
+  layout: 'layout',
+  templates: 'template',
+  sections: 'section',
+  blocks: 'block',
+  snippets: 'snippet',
+  assets: 'asset'
+};
 
 /**
  * Shopify Theme Dependency & Bloat Analyzer
@@ -22,6 +44,8 @@ class ShopifyDependencyAnalyzer {
       redundantFiles: 0,
       criticalDependencies: [],
       safesToDelete: [],
+      protectedAssets: [],
+      unresolvedDynamicAssets: [],
       bloatAnalysis: {}
     };
   }
@@ -38,16 +62,20 @@ class ShopifyDependencyAnalyzer {
       // Step 2: Trace actual usage from templates
       await this.traceUsageFromTemplates();
       
-      // Step 3: Identify CSS/JS dependencies
+      // Step 3: Assets named in theme settings or built dynamically for asset_url
+      await this.traceSettingsReferences();
+      await this.traceDynamicAssetReferences();
+      
+      // Step 4: Identify CSS/JS dependencies
       await this.analyzeCSSJSDependencies();
       
-      // Step 4: Find redundancies and duplicates  
+      // Step 5: Find redundancies and duplicates  
       await this.findRedundancies();
       
-      // Step 5: Generate cleanup recommendations
+      // Step 6: Generate cleanup recommendations
       await this.generateCleanupPlan();
       
-      // Step 6: Create visual dependency map
+      // Step 7: Create visual dependency map
       await this.createDependencyMap();
       
       return this.report;
@@ -61,7 +89,7 @@ class ShopifyDependencyAnalyzer {
   async mapAllFiles() {
     console.log('📋 MAPPING ALL FILES...');
     
-    const directories = ['sections', 'snippets', 'templates', 'layout', 'assets'];
+    const directories = ['sections', 'blocks', 'snippets', 'templates', 'layout', 'assets'];
     
     for (const dir of directories) {
       const dirPath = path.join(this.themeDir, dir);
@@ -76,17 +104,19 @@ class ShopifyDependencyAnalyzer {
           if (stats.isFile()) {
             const fileInfo = {
               path: filePath,
-              relativePath: path.join(dir, file),
+              relativePath: `${dir}/${file}`,
               type: this.getFileType(file),
               size: stats.size,
               modified: stats.mtime,
               directory: dir,
               usedBy: new Set(),
               uses: new Set(),
+              useTypes: new Map(),
               analyzed: false
             };
             
-            this.dependencies.set(file, fileInfo);
+            // Keyed by theme-relative path: Horizon has sections, blocks and snippets with the same file name
+            this.dependencies.set(fileInfo.relativePath, fileInfo);
             this.report.totalFiles++;
           }
         }
@@ -118,6 +148,28 @@ class ShopifyDependencyAnalyzer {
       console.log(`  📄 Analyzing layout: ${layout.relativePath}`);
       await this.traceFileUsage(layout);
     }
+    
+    // Sections and blocks with presets can be added from the theme editor at any time
+    const liquidFiles = Array.from(this.dependencies.values())
+      .filter(file => ['sections', 'blocks', 'snippets'].includes(file.directory) && file.relativePath.endsWith('.liquid'));
+    
+    for (const fileInfo of liquidFiles) {
+      if (fileInfo.directory === 'snippets') continue;
+      try {
+        const content = await fs.readFile(fileInfo.path, 'utf8');
+        fileInfo.editorAddable = /{%-?\s*schema\s*-?%}[\s\S]*"presets"\s*:/.test(content);
+      } catch (error) {
+        fileInfo.editorAddable = false;
+      }
+      if (fileInfo.editorAddable) {
+        await this.traceFileUsage(fileInfo);
+      }
+    }
+    
+    // Files nothing reaches still reference others; what they use is not unused until they are gone
+    for (const fileInfo of liquidFiles) {
+      await this.traceFileUsage(fileInfo);
+    }
   }
 
   async traceFileUsage(fileInfo) {
@@ -127,43 +179,64 @@ class ShopifyDependencyAnalyzer {
       const content = await fs.readFile(fileInfo.path, 'utf8');
       fileInfo.analyzed = true;
       
+      // JSON templates and section groups reference sections and blocks by type
+      if (fileInfo.relativePath.endsWith('.json')) {
+        this.traceJSONTemplate(fileInfo, content);
+      }
+      
+      // Tags may open with {% / {%- or sit on their own line inside {% liquid %}
+      const tag = name => new RegExp(`(?:\\{%-?\\s*|^\\s*)${name}\\s+['"\`]([^'"\`]+)['"\`]`, 'gm');
+      
       // Find all {% render %} calls
-      const renderMatches = content.matchAll(/{% render ['"`]([^'"`]+)['"`]/g);
-      for (const match of renderMatches) {
-        const snippetName = match[1] + '.liquid';
-        this.recordUsage(fileInfo, snippetName, 'render');
+      for (const match of content.matchAll(tag('render'))) {
+        this.recordUsage(fileInfo, `snippets/${match[1]}.liquid`, 'render');
       }
       
       // Find all {% include %} calls (deprecated but still used)
-      const includeMatches = content.matchAll(/{% include ['"`]([^'"`]+)['"`]/g);
-      for (const match of includeMatches) {
-        const snippetName = match[1] + '.liquid';
-        this.recordUsage(fileInfo, snippetName, 'include');
+      for (const match of content.matchAll(tag('include'))) {
+        this.recordUsage(fileInfo, `snippets/${match[1]}.liquid`, 'include');
       }
       
       // Find section references
-      const sectionMatches = content.matchAll(/{% section ['"`]([^'"`]+)['"`]/g);
-      for (const match of sectionMatches) {
-        const sectionName = match[1] + '.liquid';
-        this.recordUsage(fileInfo, sectionName, 'section');
+      for (const match of content.matchAll(tag('section'))) {
+        this.recordUsage(fileInfo, `sections/${match[1]}.liquid`, 'section');
+      }
+      
+      // Find section group references ({% sections 'header-group' %})
+      for (const match of content.matchAll(tag('sections'))) {
+        this.recordUsage(fileInfo, `sections/${match[1]}.json`, 'section-group');
+      }
+      
+      // Find static theme blocks ({% content_for 'block', type: 'x' %})
+      for (const match of content.matchAll(/content_for\s+['"]block['"][^%]*?type:\s*['"]([^'"]+)['"]/g)) {
+        this.recordUsage(fileInfo, `blocks/${match[1]}.liquid`, 'block');
+      }
+      
+      // Find block types accepted by the {% schema %}
+      const schema = content.match(/{%-?\s*schema\s*-?%}([\s\S]*?){%-?\s*endschema\s*-?%}/);
+      if (schema) {
+        for (const match of schema[1].matchAll(/"type"\s*:\s*"([^"@]+)"/g)) {
+          if (this.dependencies.has(`blocks/${match[1]}.liquid`)) {
+            this.recordUsage(fileInfo, `blocks/${match[1]}.liquid`, 'schema-block');
+          }
+        }
       }
       
-      // Find asset references
-      const assetMatches = content.matchAll(/{{ ['"`]([^'"`]+\.(css|js|png|jpg|jpeg|gif|svg))['"`] \| asset_url/g);
+      // Find asset references (URLs and inlined SVGs)
+      const assetMatches = content.matchAll(/['"`]([^'"`]+\.(css|js|png|jpg|jpeg|gif|svg))['"`]\s*\|\s*(?:asset_url|asset_img_url|inline_asset_content)/g);
       for (const match of assetMatches) {
-        const assetName = match[1];
-        this.recordUsage(fileInfo, assetName, 'asset');
+        this.recordUsage(fileInfo, `assets/${match[1]}`, 'asset');
       }
       
       // Find CSS/JS file references
       const styleMatches = content.matchAll(/['"`]([^'"`]+\.css)['"`]/g);
       for (const match of styleMatches) {
-        this.recordUsage(fileInfo, match[1], 'stylesheet');
+        this.recordUsage(fileInfo, `assets/${path.basename(match[1])}`, 'stylesheet');
       }
       
       const scriptMatches = content.matchAll(/['"`]([^'"`]+\.js)['"`]/g);
       for (const match of scriptMatches) {
-        this.recordUsage(fileInfo, match[1], 'script');
+        this.recordUsage(fileInfo, `assets/${path.basename(match[1])}`, 'script');
       }
       
       // Recursively analyze referenced files
@@ -179,11 +252,207 @@ class ShopifyDependencyAnalyzer {
     }
   }
 
-  recordUsage(fromFile, toFileName, usageType) {
+  traceJSONTemplate(fileInfo, content) {
+    let template;
+    try {
+      // Shopify prefixes generated JSON templates with a /* ... */ notice
+      template = JSON.parse(content.replace(/^\s*\/\*[\s\S]*?\*\//, ''));
+    } catch (error) {
+      console.warn(`    ⚠️  Could not parse JSON: ${fileInfo.relativePath}`);
+      return;
+    }
+    
+    const recordBlocks = blocks => {
+      for (const block of Object.values(blocks || {})) {
+        if (block && typeof block.type === 'string' && !block.type.startsWith('@')) {
+          this.recordUsage(fileInfo, `blocks/${block.type}.liquid`, 'block');
+        }
+        recordBlocks(block && block.blocks);
+      }
+    };
+    
+    for (const section of Object.values(template.sections || {})) {
+      if (section && typeof section.type === 'string') {
+        this.recordUsage(fileInfo, `sections/${section.type}.liquid`, 'section');
+        recordBlocks(section.blocks);
+      }
+    }
+  }
+
+  /**
+   * Record assets named by string values in settings_data.json, settings_schema.json
+   * and JSON templates / section groups
+   */
+  async traceSettingsReferences() {
+    console.log('⚙️  TRACING SETTINGS REFERENCES...');
+    
+    const assetNames = Array.from(this.dependencies.values())
+      .filter(file => file.directory === 'assets')
+      .map(file => path.basename(file.relativePath));
+    const jsonFiles = [
+      ...SETTINGS_FILES.map(relativePath => ({ relativePath, path: path.join(this.themeDir, relativePath) })),
+      ...Array.from(this.dependencies.values())
+        .filter(file => file.directory !== 'assets' && file.relativePath.endsWith('.json'))
+    ];
+    
+    for (const jsonFile of jsonFiles) {
+      let data;
+      try {
+        const content = await fs.readFile(jsonFile.path, 'utf8');
+        data = JSON.parse(content.replace(/^\s*\/\*[\s\S]*?\*\//, ''));
+      } catch (error) {
+        continue;
+      }
+      
+      // Config files are not graph nodes; they record usage through a stand-in
+      const fromFile = this.dependencies.get(jsonFile.relativePath) || this.getExternalReference(jsonFile.relativePath);
+      const strings = [];
+      const collect = value => {
+        if (typeof value === 'string') strings.push(value);
+        else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+      };
+      collect(data);
+      
+      for (const assetName of assetNames) {
+        if (strings.some(value => value === assetName || value.endsWith(`/${assetName}`) || value.includes(`'${assetName}'`))) {
+          this.recordUsage(fromFile, `assets/${assetName}`, 'settings');
+          this.protectAsset(`assets/${assetName}`, `named in ${jsonFile.relativePath}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Record assets reachable through asset_url expressions built at render time,
+   * e.g. {{ 'icon-' | append: name | append: '.svg' | asset_url }}
+   */
+  async traceDynamicAssetReferences() {
+    console.log('🧮 TRACING DYNAMIC ASSET REFERENCES...');
+    
+    const assetNames = Array.from(this.dependencies.values())
+      .filter(file => file.directory === 'assets')
+      .map(file => path.basename(file.relativePath));
+    const liquidFiles = Array.from(this.dependencies.values())
+      .filter(file => file.relativePath.endsWith('.liquid'));
+    const expressionRegex = new RegExp(
+      `(?:\\{\\{-?|\\{%-?\\s*(?:echo|assign\\s+[\\w-]+\\s*=)|^\\s*(?:echo|assign\\s+[\\w-]+\\s*=))` +
+      `((?:[^|{}%\\n]|\\|(?!\\s*(?:${ASSET_FILTERS})\\b))*?)\\|\\s*(?:${ASSET_FILTERS})\\b`,
+      'gm'
+    );
+    
+    for (const fileInfo of liquidFiles) {
+      let content;
+      try {
+        content = await fs.readFile(fileInfo.path, 'utf8');
+      } catch (error) {
+        continue;
+      }
+      
+      // Variables assigned in the same file, e.g. {% assign icon = 'icon-' | append: name %}
+      const assigns = new Map();
+      for (const assign of content.matchAll(/(?:\{%-?\s*|^\s*)assign\s+([\w-]+)\s*=\s*([^%\n]+?)\s*(?:-?%\}|$)/gm)) {
+        if (!assigns.has(assign[1])) assigns.set(assign[1], []);
+        assigns.get(assign[1]).push(assign[2]);
+      }
+      
+      for (const match of content.matchAll(expressionRegex)) {
+        const expression = match[1].trim();
+        // A single quoted name is an ordinary reference, traced with the template
+        if (/^['"`][^'"`]+['"`]$/.test(expression)) continue;
+        
+        const patterns = this.assetNamePatterns(expression, assigns);
+        const line = content.slice(0, match.index).split('\n').length;
+        const location = `${fileInfo.relativePath}:${line}`;
+        
+        if (!patterns) {
+          this.report.unresolvedDynamicAssets.push({ file: fileInfo.relativePath, line, expression });
+          continue;
+        }
+        
+        for (const assetName of assetNames.filter(name => patterns.some(pattern => pattern.test(name)))) {
+          this.recordUsage(fileInfo, `assets/${assetName}`, 'dynamic-asset');
+          this.protectAsset(`assets/${assetName}`, `may be built by \`${expression}\` (${location})`);
+        }
+      }
+    }
+    
+    if (this.report.unresolvedDynamicAssets.length > 0) {
+      console.warn(`  ⚠️  ${this.report.unresolvedDynamicAssets.length} asset_url expression(s) could not be narrowed to file names`);
+    }
+  }
+
+  /**
+   * Regexes for the asset names a Liquid filter chain can produce, or null when
+   * nothing about the name is known. Literals are kept; variables and other
+   * filters become wildcards. A variable assigned in the same file is replaced
+   * by each expression assigned to it.
+   */
+  assetNamePatterns(expression, assigns = new Map(), depth = 0) {
+    const segments = expression.split('|').map(segment => segment.trim());
+    const literal = text => {
+      const quoted = text.match(/^['"`]([^'"`]*)['"`]$/);
+      return quoted ? quoted[1] : null;
+    };
+    
+    if (depth < 3 && assigns.has(segments[0])) {
+      const rest = segments.slice(1).map(segment => ` | ${segment}`).join('');
+      const expanded = assigns.get(segments[0]).map(assigned => this.assetNamePatterns(`${assigned}${rest}`, assigns, depth + 1));
+      return expanded.includes(null) ? null : expanded.flat();
+    }
+    
+    let parts = [literal(segments[0]) ?? null];
+    for (const segment of segments.slice(1)) {
+      const filter = segment.match(/^(append|prepend):\s*(.+)$/);
+      if (!filter) {
+        // Any other filter (downcase, handleize, ...) may rewrite the whole name
+        parts = [null];
+        continue;
+      }
+      const value = literal(filter[2].trim());
+      if (filter[1] === 'append') parts.push(value);
+      else parts.unshift(value);
+    }
+    
+    if (parts.every(part => part === null || part === '')) return null;
+    
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const source = parts.map(part => (part === null ? '.*' : escape(part))).join('');
+    return [new RegExp(`^${source}$`)];
+  }
+
+  getExternalReference(relativePath) {
+    if (!this.externalReferences) {
+      this.externalReferences = new Map();
+    }
+    if (!this.externalReferences.has(relativePath)) {
+      this.externalReferences.set(relativePath, { relativePath, uses: new Set(), useTypes: new Map() });
+    }
+    return this.externalReferences.get(relativePath);
+  }
+
+  protectAsset(assetPath, reason) {
+    let entry = this.report.protectedAssets.find(item => item.file === assetPath);
+    if (!entry) {
+      entry = { file: assetPath, reasons: [] };
+      this.report.protectedAssets.push(entry);
+    }
+    if (!entry.reasons.includes(reason)) {
+      entry.reasons.push(reason);
+    }
+  }
+
+  recordUsage(fromFile, requestedFileName, usageType) {
+    // 'x.css' | asset_url serves the compiled output of assets/x.css.liquid
+    const toFileName = this.dependencies.has(requestedFileName) || !this.dependencies.has(`${requestedFileName}.liquid`)
+      ? requestedFileName
+      : `${requestedFileName}.liquid`;
     const toFile = this.dependencies.get(toFileName);
     
-    if (toFile) {
+    if (toFile && toFile !== fromFile) {
       fromFile.uses.add(toFileName);
+      if (!fromFile.useTypes.has(toFileName)) {
+        fromFile.useTypes.set(toFileName, usageType);
+      }
       toFile.usedBy.add(fromFile.relativePath);
       
       // Track usage statistics
@@ -230,7 +499,7 @@ class ShopifyDependencyAnalyzer {
       // Find @import statements
       const importMatches = content.matchAll(/@import\s+['"`]([^'"`]+)['"`]/g);
       for (const match of importMatches) {
-        this.recordUsage(fileInfo, match[1], 'css-import');
+        this.recordUsage(fileInfo, `assets/${path.basename(match[1])}`, 'css-import');
       }
       
       // Find url() references
@@ -238,7 +507,7 @@ class ShopifyDependencyAnalyzer {
       for (const match of urlMatches) {
         const urlPath = match[1];
         if (!urlPath.startsWith('http') && !urlPath.startsWith('data:')) {
-          this.recordUsage(fileInfo, path.basename(urlPath), 'css-url');
+          this.recordUsage(fileInfo, `assets/${path.basename(urlPath)}`, 'css-url');
         }
       }
       
@@ -264,7 +533,9 @@ class ShopifyDependencyAnalyzer {
       // Find import/require statements
       const importMatches = content.matchAll(/(?:import|require)\s*\(?['"`]([^'"`]+)['"`]\)?/g);
       for (const match of importMatches) {
-        this.recordUsage(fileInfo, path.basename(match[1]), 'js-import');
+        // Import map specifiers such as '@theme/section-renderer' name assets without the extension
+        const fileName = path.basename(match[1]);
+        this.recordUsage(fileInfo, `assets/${path.extname(fileName) ? fileName : `${fileName}.js`}`, 'js-import');
       }
       
       // Count functions and classes
@@ -288,8 +559,9 @@ class ShopifyDependencyAnalyzer {
     // Group files by similar names/purposes
     const groups = new Map();
     
+    // Grouped within a directory; a section and a block sharing a name are not duplicates
     for (const [fileName, fileInfo] of this.dependencies) {
-      const baseName = this.getBaseName(fileName);
+      const baseName = `${fileInfo.directory}/${this.getBaseName(path.basename(fileName))}`;
       
       if (!groups.has(baseName)) {
         groups.set(baseName, []);
@@ -332,8 +604,8 @@ class ShopifyDependencyAnalyzer {
           redundancyInfo.isDuplicate = true;
           
           // Determine which file to keep
-          const usage1 = this.usageMap.get(files[0].relativePath.split('/').pop())?.usageCount || 0;
-          const usage2 = this.usageMap.get(files[1].relativePath.split('/').pop())?.usageCount || 0;
+          const usage1 = this.usageMap.get(files[0].relativePath)?.usageCount || 0;
+          const usage2 = this.usageMap.get(files[1].relativePath)?.usageCount || 0;
           
           if (usage1 > usage2) {
             redundancyInfo.recommendation = `keep-${files[0].relativePath}`;
@@ -357,36 +629,48 @@ class ShopifyDependencyAnalyzer {
     
     if (longer.length === 0) return 1.0;
     
+    // Edit distance is quadratic - compare large files line by line instead
+    if (longer.length > 20000) {
+      return this.calculateLineSimilarity(longer, shorter);
+    }
+    
     const editDistance = this.levenshteinDistance(longer, shorter);
     return (longer.length - editDistance) / longer.length;
   }
 
-  levenshteinDistance(str1, str2) {
-    const matrix = [];
+  calculateLineSimilarity(str1, str2) {
+    const lines1 = str1.split('\n').map(line => line.trim()).filter(Boolean);
+    const lines2 = new Set(str2.split('\n').map(line => line.trim()).filter(Boolean));
     
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
-    }
+    if (lines1.length === 0) return lines2.size === 0 ? 1.0 : 0;
     
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
-    }
+    const shared = lines1.filter(line => lines2.has(line)).length;
+    return shared / Math.max(lines1.length, lines2.size);
+  }
+
+  levenshteinDistance(str1, str2) {
+    // Two rolling rows keep memory linear in the shorter string
+    let previous = Array.from({ length: str2.length + 1 }, (_, i) => i);
     
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
+    for (let j = 1; j <= str1.length; j++) {
+      const current = [j];
+      
+      for (let i = 1; i <= str2.length; i++) {
         if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
+          current[i] = previous[i - 1];
         } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
+          current[i] = Math.min(
+            previous[i - 1] + 1,
+            current[i - 1] + 1,
+            previous[i] + 1
           );
         }
       }
+      
+      previous = current;
     }
     
-    return matrix[str2.length][str1.length];
+    return previous[str2.length];
   }
 
   async generateCleanupPlan() {
@@ -435,6 +719,77 @@ class ShopifyDependencyAnalyzer {
     console.log(`  ⚠️  ${criticalFiles.length} critical dependencies identified`);
   }
 
+  /**
+   * Unused assets that can be quarantined. Assets named in settings or matched by
+   * a dynamic asset_url are already counted as used and never appear here.
+   */
+  createAssetCleanupPlan() {
+    const candidates = this.report.safesToDelete
+      .filter(item => item.file.startsWith('assets/'))
+      .map(item => ({
+        ...item,
+        reason: /(\.(bak|backup|old|tmp)$)|([-.]backup\.)/.test(item.file)
+          ? 'Backup copy, not referenced by any template or active file'
+          : item.reason
+      }));
+    
+    return {
+      candidates,
+      totalSize: candidates.reduce((sum, item) => sum + item.size, 0),
+      protectedAssets: this.report.protectedAssets,
+      unresolvedDynamicAssets: this.report.unresolvedDynamicAssets
+    };
+  }
+
+  /**
+   * Dry run by default; with `apply` the candidates are moved into a quarantine
+   */
+  async runAssetCleanup({ apply = false, ignoreDynamic = false } = {}) {
+    const plan = this.createAssetCleanupPlan();
+    
+    console.log('');
+    console.log(`🧹 ASSET CLEANUP ${apply ? '' : '(dry run)'}`);
+    console.log('=' + '='.repeat(60));
+    plan.candidates.forEach(item => console.log(`  🗑️  ${item.file} (${this.formatBytes(item.size)}) - ${item.reason}`));
+    plan.protectedAssets.forEach(item => console.log(`  🛡️  ${item.file} kept: ${item.reasons.join('; ')}`));
+    plan.unresolvedDynamicAssets.forEach(item => console.log(`  ❓ ${item.file}:${item.line} \`${item.expression} | asset_url\` could reference any asset`));
+    console.log(`  ${plan.candidates.length} unused assets, ${this.formatBytes(plan.totalSize)}`);
+    
+    if (!apply) {
+      console.log('💡 Dry run - re-run with --apply to move these files into quarantine');
+      return { plan, manifest: null };
+    }
+    
+    // An asset_url built from variables alone could load any of the candidates
+    if (plan.unresolvedDynamicAssets.length > 0 && !ignoreDynamic) {
+      throw new Error('Unresolved dynamic asset_url expressions found; review them and re-run with --ignore-dynamic to quarantine anyway');
+    }
+    
+    if (plan.candidates.length === 0) {
+      console.log('✅ Nothing to quarantine');
+      return { plan, manifest: null };
+    }
+    
+    const manifest = await quarantineFiles(this.themeDir, plan.candidates);
+    console.log(`✅ Quarantined ${manifest.files.length} files as ${manifest.id}`);
+    console.log(`↩️  Restore with: node shopify-dependency-analyzer.js ${this.themeDir} --restore=${manifest.id}`);
+    
+    return { plan, manifest };
+  }
+
+  /**
+   * Move a quarantine (the latest by default) back into the theme
+   */
+  async restoreAssets(id = null) {
+    const result = await restoreQuarantine(this.themeDir, id);
+    
+    console.log(`↩️  Restored ${result.restored.length} files from ${result.id}`);
+    result.conflicts.forEach(file => console.warn(`  ⚠️  ${file} exists in the theme again; left in quarantine`));
+    result.missing.forEach(file => console.warn(`  ⚠️  ${file} is missing from the quarantine`));
+    
+    return result;
+  }
+
   isSafeToDelete(fileInfo) {
     // Files that are generally safe to delete if unused
     const safePatterns = [
@@ -480,32 +835,32 @@ class ShopifyDependencyAnalyzer {
       clusters: {}
     };
     
-    // Create nodes for used files
-    for (const [fileName, usage] of this.usageMap) {
-      const fileInfo = usage.file;
+    const safeToDelete = new Set(this.report.safesToDelete.map(item => item.file));
+    const reachable = this.findReachableFiles();
+    
+    // Create nodes for every file; unused ones are flagged rather than left out
+    for (const [fileName, fileInfo] of this.dependencies) {
+      const usage = this.usageMap.get(fileName);
       
       dependencyMap.nodes.push({
         id: fileName,
-        label: fileName,
-        type: fileInfo.directory,
+        label: path.basename(fileName),
+        type: DIRECTORY_KINDS[fileInfo.directory] || 'unknown',
         size: fileInfo.size,
-        usageCount: usage.usageCount,
-        critical: usage.usageCount > 5
+        usageCount: usage ? usage.usageCount : 0,
+        critical: usage ? usage.usageCount > 5 : false,
+        unused: !usage,
+        reachable: reachable.has(fileName),
+        safeToDelete: safeToDelete.has(fileName)
       });
-    }
-    
-    // Create edges for dependencies
-    for (const [fileName, usage] of this.usageMap) {
-      const fileInfo = usage.file;
       
+      // Create edges for dependencies
       for (const dependency of fileInfo.uses) {
-        if (this.usageMap.has(dependency)) {
-          dependencyMap.edges.push({
-            from: fileName,
-            to: dependency,
-            type: 'depends-on'
-          });
-        }
+        dependencyMap.edges.push({
+          from: fileName,
+          to: dependency,
+          type: fileInfo.useTypes.get(dependency) || 'depends-on'
+        });
       }
     }
     
@@ -521,6 +876,50 @@ class ShopifyDependencyAnalyzer {
     this.report.dependencyMap = dependencyMap;
   }
 
+  /**
+   * Files reachable from a template, a layout or an editor-addable section/block by following references
+   */
+  findReachableFiles() {
+    const reachable = new Set();
+    const queue = Array.from(this.dependencies.values())
+      .filter(file => file.directory === 'templates' || file.directory === 'layout' || file.editorAddable)
+      .map(file => file.relativePath);
+    
+    // Assets named in theme settings are loaded by whatever reads the setting
+    for (const reference of (this.externalReferences || new Map()).values()) {
+      queue.push(...reference.uses);
+    }
+    
+    while (queue.length > 0) {
+      const fileName = queue.shift();
+      if (reachable.has(fileName)) continue;
+      reachable.add(fileName);
+      
+      for (const dependency of this.dependencies.get(fileName)?.uses || []) {
+        queue.push(dependency);
+      }
+    }
+    
+    return reachable;
+  }
+
+  /**
+   * Write the dependency map as a self-contained, interactive HTML page, and
+   * next to it as JSON for dependency-visualizer.html
+   */
+  async generateDependencyGraph(outputPath = path.join(__dirname, 'dependency-graph.html')) {
+    if (!this.report.dependencyMap) {
+      await this.createDependencyMap();
+    }
+    
+    await writeDependencyGraphHTML(this.report, outputPath, {
+      title: `Dependency Graph - ${path.basename(path.resolve(this.themeDir))}`
+    });
+    await writeDependencyGraphJSON(this.report, outputPath.replace(/\.html$/, '') + '.json');
+    
+    return outputPath;
+  }
+
   getFileType(fileName) {
     const ext = path.extname(fileName).toLowerCase();
     const baseName = path.basename(fileName, ext);
@@ -567,9 +966,13 @@ class ShopifyDependencyAnalyzer {
     // Generate human-readable summary
     await this.generateSummaryReport();
     
+    // Interactive graph to review before deleting anything
+    const graphPath = await this.generateDependencyGraph();
+    
     console.log(`✅ Analysis complete!`);
     console.log(`📄 Detailed report: ${reportPath}`);
     console.log(`📄 Summary report: dependency-analysis-summary.md`);
+    console.log(`🗺️  Dependency graph: ${graphPath}`);
     
     return this.report;
   }
@@ -645,19 +1048,41 @@ ${Array.from(this.redundancies.entries()).slice(0, 10).map(([baseName, info]) =>
   }
 }
 
+module.exports = ShopifyDependencyAnalyzer;
+
 // CLI Usage
+//   node shopify-dependency-analyzer.js <theme>                      analysis report + dependency graph
+//   node shopify-dependency-analyzer.js <theme> --cleanup [--apply]  quarantine unused assets (dry run without --apply)
+//   node shopify-dependency-analyzer.js <theme> --restore[=<id>]     move a quarantine back (latest by default)
+//   node shopify-dependency-analyzer.js <theme> --list-quarantine
 if (require.main === module) {
-  const themeDir = process.argv[2] || process.cwd();
+  const args = process.argv.slice(2);
+  const themeDir = args.find(arg => !arg.startsWith('--')) || process.cwd();
+  const restoreArg = args.find(arg => arg === '--restore' || arg.startsWith('--restore='));
   
   console.log('🚀 Starting Shopify Theme Dependency Analysis...');
   console.log(`📁 Theme Directory: ${themeDir}`);
   
   const analyzer = new ShopifyDependencyAnalyzer(themeDir);
+  let run;
   
-  analyzer.analyze()
-    .then(report => {
-      return analyzer.generateReport();
-    })
+  if (restoreArg) {
+    run = analyzer.restoreAssets(restoreArg.includes('=') ? restoreArg.slice('--restore='.length) : null);
+  } else if (args.includes('--list-quarantine')) {
+    run = listQuarantines(themeDir).then(manifests => {
+      if (manifests.length === 0) console.log('No quarantined files');
+      manifests.forEach(manifest => console.log(`  📦 ${manifest.id}: ${manifest.files.length} files`));
+    });
+  } else if (args.includes('--cleanup')) {
+    run = analyzer.analyze().then(() => analyzer.runAssetCleanup({
+      apply: args.includes('--apply'),
+      ignoreDynamic: args.includes('--ignore-dynamic')
+    }));
+  } else {
+    run = analyzer.analyze().then(() => analyzer.generateReport());
+  }
+  
+  run
     .then(() => {
       console.log('🎉 Analysis completed successfully!');
       process.exit(0);
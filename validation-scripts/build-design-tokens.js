@@ -2,16 +2,37 @@
 
 /**
  * Build Design Tokens for Petersen Games Shopify Theme
- * Generates CSS variables and Liquid includes from Quantum Spatial Design System
+ * Generates CSS variables, the Liquid include, TypeScript definitions, SCSS
+ * variables and a typed ES module for theme scripts from one Quantum Spatial
+ * token system in tokens/*.json. --formats limits the build to some of them.
+ * With --states it writes the [data-quantum-state] stylesheet and snippet for
+ * all four systems instead, and with --materials the glass material classes
+ * and snippet from tokens/glass-materials.json. --out is required, so a build
+ * never lands in whatever directory it happens to run from.
+ *
+ * Usage:
+ *   node validation-scripts/build-design-tokens.js [--source=quantum|heritage|superposition|transitional|path.json] --out=dir [--formats=module,moduleTypes] [--states | --materials]
  */
 
-import * as fs from 'fs/promises';
 import * as path from 'path';
+import {
+  DEFAULT_OUTPUTS,
+  DEFAULT_STATE_OUTPUTS,
+  loadStateSystems,
+  loadTokenSource,
+  writeStateOutputs,
+  writeTokenOutputs
+} from './qa/design-tokens.js';
+import { DEFAULT_MATERIAL_OUTPUTS, readGlassMaterials, writeGlassMaterialOutputs } from './qa/glass-materials.js';
 
 class PetersenGamesTokenBuilder {
-  constructor() {
-    this.tokens = [];
-    this.outputDir = path.join(process.cwd(), 'assets', 'design-tokens');
+  constructor({ source = 'quantum', outputRoot, formats = Object.keys(DEFAULT_OUTPUTS), states = false, materials = false } = {}) {
+    this.source = source;
+    this.system = null;
+    this.outputRoot = outputRoot ? path.resolve(outputRoot) : '';
+    this.formats = formats;
+    this.states = states;
+    this.materials = materials;
   }
 
   async build() {
@@ -19,21 +40,27 @@ class PetersenGamesTokenBuilder {
     console.log('='.repeat(50));
 
     try {
-      // Load quantum spatial tokens
-      await this.loadQuantumSpatialTokens();
-      
-      // Generate CSS variables
-      await this.generateCSSVariables();
-      
-      // Generate Liquid includes
-      await this.generateLiquidIncludes();
-      
-      // Generate TypeScript definitions
-      await this.generateTypeScriptDefinitions();
-      
+      if (!this.outputRoot) {
+        throw new Error('--out=<dir> is required, e.g. --out=enhanced-quantum-spatial');
+      }
+
+      if (this.states) {
+        // Generate per-state custom properties from all four systems
+        await this.generateQuantumStates();
+      } else if (this.materials) {
+        // Generate glass material utility classes and snippet
+        await this.generateGlassMaterials();
+      } else {
+        // Load quantum spatial tokens
+        await this.loadQuantumSpatialTokens();
+
+        // Generate CSS variables, Liquid include, TypeScript definitions, SCSS and the ES module
+        await this.generateOutputs();
+      }
+
       console.log('✅ Design tokens built successfully!');
-      console.log(`📁 Output directory: ${this.outputDir}`);
-      
+      console.log(`📁 Output root: ${this.outputRoot}`);
+
     } catch (error) {
       console.error('❌ Token build failed:', error.message);
       process.exit(1);
@@ -41,145 +68,82 @@ class PetersenGamesTokenBuilder {
   }
 
   async loadQuantumSpatialTokens() {
-    console.log('📦 Loading Quantum Spatial Design Tokens...');
-    
-    // Define Petersen Games specific tokens
-    this.tokens = [
-      // Colors - Cosmic Horror Theme
-      { name: 'primary-cosmic', value: '#1a0e2e', type: 'color', category: 'primary' },
-      { name: 'primary-void', value: '#0d0617', type: 'color', category: 'primary' },
-      { name: 'accent-eldritch', value: '#6a3093', type: 'color', category: 'accent' },
-      { name: 'accent-ethereal', value: '#a044a0', type: 'color', category: 'accent' },
-      { name: 'text-primary', value: '#f8f9fa', type: 'color', category: 'text' },
-      { name: 'text-secondary', value: '#adb5bd', type: 'color', category: 'text' },
-      
-      // Glass Effects
-      { name: 'glass-bg', value: 'rgba(255, 255, 255, 0.1)', type: 'color', category: 'glass' },
-      { name: 'glass-border', value: 'rgba(255, 255, 255, 0.2)', type: 'color', category: 'glass' },
-      { name: 'glass-blur', value: '20px', type: 'shadow', category: 'glass' },
-      
-      // Spacing
-      { name: 'space-xs', value: '0.25rem', type: 'spacing', category: 'spacing' },
-      { name: 'space-sm', value: '0.5rem', type: 'spacing', category: 'spacing' },
-      { name: 'space-md', value: '1rem', type: 'spacing', category: 'spacing' },
-      { name: 'space-lg', value: '1.5rem', type: 'spacing', category: 'spacing' },
-      { name: 'space-xl', value: '2rem', type: 'spacing', category: 'spacing' },
-      
-      // Typography
-      { name: 'font-primary', value: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif', type: 'typography', category: 'fonts' },
-      { name: 'font-display', value: '"Cinzel", serif', type: 'typography', category: 'fonts' },
-      { name: 'text-xs', value: '0.75rem', type: 'typography', category: 'sizes' },
-      { name: 'text-sm', value: '0.875rem', type: 'typography', category: 'sizes' },
-      { name: 'text-base', value: '1rem', type: 'typography', category: 'sizes' },
-      { name: 'text-lg', value: '1.125rem', type: 'typography', category: 'sizes' },
-      { name: 'text-xl', value: '1.25rem', type: 'typography', category: 'sizes' },
-      
-      // Shadows
-      { name: 'shadow-sm', value: '0 1px 2px rgba(0, 0, 0, 0.05)', type: 'shadow', category: 'shadows' },
-      { name: 'shadow-md', value: '0 4px 6px rgba(0, 0, 0, 0.1)', type: 'shadow', category: 'shadows' },
-      { name: 'shadow-lg', value: '0 10px 15px rgba(0, 0, 0, 0.1)', type: 'shadow', category: 'shadows' },
-      { name: 'shadow-cosmic', value: '0 0 20px rgba(106, 48, 147, 0.3)', type: 'shadow', category: 'shadows' },
-    ];
-    
-    console.log(`  ✅ Loaded ${this.tokens.length} design tokens`);
+    console.log(`📦 Loading Quantum Spatial Design Tokens (${this.source})...`);
+
+    this.system = await loadTokenSource(this.source);
+    const references = this.system.tokens.filter(token => token.reference).length;
+
+    console.log(`  ✅ Loaded ${this.system.tokens.length} design tokens from ${this.system.file}`);
+    if (references > 0) {
+      console.log(`  🔗 Resolved ${references} token aliases`);
+    }
   }
 
-  async generateCSSVariables() {
-    console.log('🎨 Generating CSS Variables...');
-    
-    const cssContent = [
-      '/**',
-      ' * Petersen Games Design Tokens',
-      ' * Generated with Apple Intelligence + Quantum Spatial Design System',
-      ' */',
-      '',
-      ':root {',
-      ...this.tokens.map(token => `  --${token.name}: ${token.value};`),
-      '}',
-      '',
-      '/* Glass morphism utility classes */',
-      '.glass-effect {',
-      '  background: var(--glass-bg);',
-      '  border: 1px solid var(--glass-border);',
-      '  backdrop-filter: blur(var(--glass-blur));',
-      '  border-radius: 12px;',
-      '}',
-      '',
-      '/* Cosmic theme utilities */',
-      '.cosmic-bg {',
-      '  background: linear-gradient(135deg, var(--primary-cosmic), var(--primary-void));',
-      '}',
-      '',
-      '.eldritch-glow {',
-      '  box-shadow: var(--shadow-cosmic);',
-      '}',
-    ].join('');
-
-    await fs.mkdir(this.outputDir, { recursive: true });
-    await fs.writeFile(path.join(this.outputDir, 'petersen-design-tokens.css'), cssContent);
-    
-    console.log('  ✅ CSS variables generated');
+  async generateOutputs() {
+    const labels = {
+      css: '🎨 CSS variables',
+      liquid: '💧 Liquid include',
+      typescript: '📘 TypeScript definitions',
+      scss: '🧵 SCSS variables',
+      module: '📦 ES module',
+      moduleTypes: '📘 ES module types'
+    };
+
+    const outputs = {};
+    for (const format of this.formats) {
+      if (!DEFAULT_OUTPUTS[format]) {
+        throw new Error(`Unknown token output format "${format}" (expected ${Object.keys(DEFAULT_OUTPUTS).join(', ')})`);
+      }
+      outputs[format] = DEFAULT_OUTPUTS[format];
+    }
+
+    const written = await writeTokenOutputs(this.system, this.outputRoot, outputs);
+    for (const [format, file] of Object.entries(written)) {
+      console.log(`  ✅ ${labels[format]}: ${path.relative(this.outputRoot, file)}`);
+    }
   }
 
-  async generateLiquidIncludes() {
-    console.log('💧 Generating Liquid Includes...');
-    
-    // Generate Liquid snippet for design tokens
-    const liquidContent = [
-      '{%- comment -%}',
-      '  Petersen Games Design Tokens - Liquid Include',
-      '  Generated with Apple Intelligence',
-      '{%- endcomment -%}',
-      '',
-      '<style>',
-      '  :root {',
-      ...this.tokens.map(token => `    --${token.name}: ${token.value};`),
-      '  }',
-      '',
-      '  .petersen-glass {',
-      '    background: var(--glass-bg);',
-      '    border: 1px solid var(--glass-border);',
-      '    backdrop-filter: blur(var(--glass-blur));',
-      '    border-radius: 12px;',
-      '  }',
-      '</style>',
-    ].join('');
-
-    const snippetsDir = path.join(process.cwd(), 'snippets');
-    await fs.mkdir(snippetsDir, { recursive: true });
-    await fs.writeFile(path.join(snippetsDir, 'petersen-design-tokens.liquid'), liquidContent);
-    
-    console.log('  ✅ Liquid includes generated');
+  async generateQuantumStates() {
+    console.log('🌗 Generating Quantum State Tokens...');
+
+    const systems = await loadStateSystems();
+    const written = await writeStateOutputs(systems, this.outputRoot, DEFAULT_STATE_OUTPUTS);
+
+    console.log(`  ✅ Loaded ${systems.length} states: ${systems.map(system => system.name).join(', ')}`);
+    console.log(`  ✅ 🎨 Scoped state blocks: ${path.relative(this.outputRoot, written.css)}`);
+    console.log(`  ✅ 💧 Server-side default: ${path.relative(this.outputRoot, written.liquid)}`);
   }
 
-  async generateTypeScriptDefinitions() {
-    console.log('📘 Generating TypeScript Definitions...');
-    
-    const tsContent = [
-      '/**',
-      ' * Petersen Games Design Token Types',
-      ' * Generated with Apple Intelligence',
-      ' */',
-      '',
-      'export interface PetersenDesignTokens {',
-      ...this.tokens.map(token => `  '${token.name}': string;`),
-      '}',
-      '',
-      'export const petersenTokens: PetersenDesignTokens = {',
-      ...this.tokens.map(token => `  '${token.name}': '${token.value}',`),
-      '};',
-      '',
-      'export default petersenTokens;',
-    ].join('');
-
-    const typesDir = path.join(process.cwd(), 'types');
-    await fs.mkdir(typesDir, { recursive: true });
-    await fs.writeFile(path.join(typesDir, 'design-tokens.ts'), tsContent);
-    
-    console.log('  ✅ TypeScript definitions generated');
+  async generateGlassMaterials() {
+    console.log('🪟 Generating Glass Materials...');
+
+    const recipes = readGlassMaterials();
+    const written = await writeGlassMaterialOutputs(recipes, this.outputRoot, DEFAULT_MATERIAL_OUTPUTS);
+
+    recipes.materials.forEach(material => console.log(`  ✅ ${material.name}: ${material.backdropFilter}`));
+    console.log(`  ✅ 🎨 Utility classes: ${path.relative(this.outputRoot, written.css)}`);
+    console.log(`  ✅ 💧 Snippet: ${path.relative(this.outputRoot, written.liquid)}`);
+  }
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (const arg of argv) {
+    if (arg.startsWith('--source=')) {
+      options.source = arg.slice('--source='.length);
+    } else if (arg.startsWith('--out=')) {
+      options.outputRoot = arg.slice('--out='.length);
+    } else if (arg.startsWith('--formats=')) {
+      options.formats = arg.slice('--formats='.length).split(',').filter(Boolean);
+    } else if (arg === '--states') {
+      options.states = true;
+    } else if (arg === '--materials') {
+      options.materials = true;
+    }
   }
+  return options;
 }
 
 // Run the token builder
-const builder = new PetersenGamesTokenBuilder();
-builder.build().catch(console.error);
\ No newline at end of file
+const builder = new PetersenGamesTokenBuilder(parseArgs(process.argv.slice(2)));
+builder.build().catch(console.error);
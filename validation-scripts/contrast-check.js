@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { loadTokenSource } = require('./qa/design-tokens');
+const { createContrastReport, loadContrastConfig, writeContrastReport } = require('./qa/contrast');
+
+/**
+ * Contrast Check
+ * WCAG 2.x ratios and APCA Lc values for every text/background token pairing
+ * of each quantum state, with glass surfaces composited over the backdrops
+ * they sit on. With --theme, rules in the theme's stylesheets that set both a
+ * text color and a background are checked over each state's backdrops too.
+ *
+ * Usage:
+ *   node validation-scripts/contrast-check.js [--states=quantum,heritage] [--source=tokens/custom.json ...]
+ *     [--theme=petersen-liquid-glass-void-theme] [--tokens=assets/design-tokens.css ...]
+ *     [--config=contrast.json] [--out=dir]
+ *   node validation-scripts/contrast-check.js --help
+ *
+ * Reports go to <theme>/.glass-qa/contrast, or .glass-qa/contrast in the
+ * working directory without --theme. Exits with code 1 when any pairing fails
+ * WCAG AA.
+ */
+
+const USAGE = `Usage: node contrast-check.js [--states=quantum,heritage] [--source=tokens/custom.json ...]
+  [--theme=<dir>] [--tokens=assets/design-tokens.css ...] [--config=contrast.json] [--out=dir]
+
+  --states   quantum states to check (default: all)
+  --source   token system JSON files instead of the repo's token systems
+  --theme    also check the theme's text/background rules over each state
+  --tokens   the theme's token stylesheets (default: assets/design-tokens.css)
+  --config   JSON replacing the text, large, exempt, backdrops or surfaces settings
+  --out      report directory (default: <theme>/.glass-qa/contrast or ./.glass-qa/contrast)`;
+
+function parseArgs(argv) {
+  const args = {
+    states: undefined,
+    sources: [],
+    theme: null,
+    tokenFiles: undefined,
+    configPath: null,
+    outputDir: null,
+    help: false
+  };
+
+  for (const arg of argv) {
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg.startsWith('--states=')) {
+      args.states = arg.slice('--states='.length).split(',').filter(Boolean);
+    } else if (arg.startsWith('--source=')) {
+      args.sources.push(arg.slice('--source='.length));
+    } else if (arg.startsWith('--theme=')) {
+      args.theme = arg.slice('--theme='.length);
+    } else if (arg.startsWith('--tokens=')) {
+      args.tokenFiles = [...(args.tokenFiles || []), arg.slice('--tokens='.length)];
+    } else if (arg.startsWith('--config=')) {
+      args.configPath = arg.slice('--config='.length);
+    } else if (arg.startsWith('--out=')) {
+      args.outputDir = arg.slice('--out='.length);
+    }
+  }
+
+  return args;
+}
+
+async function runContrastCheck({ states, sources = [], theme = null, tokenFiles, configPath = null, outputDir }) {
+  console.log('🌓 CONTRAST CHECK');
+  console.log('=' + '='.repeat(60));
+
+  const config = await loadContrastConfig(configPath);
+  const systems = sources.length > 0
+    ? await Promise.all(sources.map(source => loadTokenSource(source)))
+    : null;
+
+  const report = await createContrastReport({ states, systems, themeRoot: theme, tokenFiles, config });
+
+  for (const result of report.states) {
+    const { pairs, components } = result.summary;
+    console.log('');
+    console.log(`🎨 ${result.state}`);
+    console.log(`   Token pairs: ${pairs.checked} checked, ❌ ${pairs.failing} failing, ⚠️  ${pairs.apcaWarnings} below APCA`);
+    if (theme) {
+      console.log(`   Components:  ${components.checked} checked, ❌ ${components.failing} failing, ⚠️  ${components.apcaWarnings} below APCA`);
+    }
+    result.warnings.forEach(warning => console.warn(`   ⚠️  ${warning}`));
+  }
+
+  const reportDir = outputDir || path.join(theme || process.cwd(), '.glass-qa', 'contrast');
+  const paths = await writeContrastReport(report, path.resolve(reportDir));
+  console.log('');
+  Object.values(paths).forEach(file => console.log(`📄 ${file}`));
+
+  return { report, paths };
+}
+
+module.exports = { runContrastCheck, parseArgs };
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  runContrastCheck(args)
+    .then(({ report }) => {
+      process.exit(report.summary.failing > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('❌ Contrast check failed:', error.message);
+      process.exit(1);
+    });
+}
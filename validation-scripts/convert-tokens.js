@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { loadTokenSource } = require('./qa/design-tokens');
+const { toDTCG, writeDTCG } = require('./qa/token-formats');
+
+/**
+ * Design Token Converter
+ * Reads a token file in any shape this repo uses (nested, `_meta`, prefixed
+ * Framer export or W3C DTCG) and writes it as a W3C Design Tokens (DTCG) file
+ * that Tokens Studio, Style Dictionary and other tools can import.
+ *
+ * Usage:
+ *   node validation-scripts/convert-tokens.js <quantum|heritage|superposition|transitional|file.json> [--out=file.tokens.json]
+ *
+ * Without --out the DTCG document is printed to stdout.
+ */
+
+function parseArgs(argv) {
+  const args = { source: null, output: null };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--out=')) {
+      args.output = arg.slice('--out='.length);
+    } else if (!arg.startsWith('--')) {
+      args.source = arg;
+    }
+  }
+
+  return args;
+}
+
+async function convertTokens({ source, output = null }) {
+  const system = await loadTokenSource(source);
+  const options = { description: system.description };
+
+  if (!output) {
+    return { system, document: toDTCG(system.tokens, options) };
+  }
+
+  const file = await writeDTCG(system.tokens, output, options);
+  console.error(`✅ ${system.tokens.length} tokens (${system.format}) from ${system.file}`);
+  console.error(`📄 ${path.relative(process.cwd(), file)}`);
+  return { system, file };
+}
+
+module.exports = { convertTokens, parseArgs };
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.source) {
+    console.error('Please provide a token system name or file');
+    console.error('Usage: node convert-tokens.js <source> [--out=file.tokens.json]');
+    process.exit(1);
+  }
+
+  convertTokens(args)
+    .then(({ document }) => {
+      if (document) {
+        process.stdout.write(JSON.stringify(document, null, 2) + '\n');
+      }
+    })
+    .catch(error => {
+      console.error('❌ Token conversion failed:', error.message);
+      process.exit(1);
+    });
+}
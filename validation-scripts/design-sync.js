@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { QUANTUM_STATES } = require('./qa/design-tokens');
+const { EXPORT_FORMATS, exportDesignTokens, importDesignTokens, writeDesignExport } = require('./qa/design-sync');
+
+/**
+ * Design Token Sync
+ * Imports a Figma Variables or Tokens Studio JSON export into the quantum state
+ * token files, and exports those files back in either format, so designers and
+ * the theme work from the same values without a live API.
+ *
+ * Usage:
+ *   node validation-scripts/design-sync.js import <export.json> [--mode="Light=heritage" ...]
+ *     [--states=quantum,heritage] [--out=dir] [--dry-run]
+ *   node validation-scripts/design-sync.js export [--format=figma|tokens-studio]
+ *     [--states=quantum,heritage] [--out=file.json]
+ *
+ * Import updates tokens/<state>.json in place unless --out names another
+ * directory; --dry-run only prints the changes. Export prints to stdout
+ * without --out.
+ */
+
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    file: null,
+    modeStates: {},
+    states: undefined,
+    format: 'figma',
+    output: null,
+    dryRun: false
+  };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--mode=')) {
+      const mapping = arg.slice('--mode='.length);
+      const separator = mapping.lastIndexOf('=');
+      args.modeStates[mapping.slice(0, separator)] = mapping.slice(separator + 1);
+    } else if (arg.startsWith('--states=')) {
+      args.states = arg.slice('--states='.length).split(',').filter(Boolean);
+    } else if (arg.startsWith('--format=')) {
+      args.format = arg.slice('--format='.length);
+    } else if (arg.startsWith('--out=')) {
+      args.output = arg.slice('--out='.length);
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (!arg.startsWith('--')) {
+      if (args.command === null) args.command = arg;
+      else args.file = arg;
+    }
+  }
+
+  return args;
+}
+
+function formatValue(token) {
+  return token.reference ? `{${token.reference}}` : token.value;
+}
+
+async function runImport({ file, modeStates = {}, states = QUANTUM_STATES, output = null, dryRun = false }) {
+  console.log('🔄 DESIGN TOKEN SYNC - IMPORT');
+  console.log('=' + '='.repeat(60));
+
+  const result = await importDesignTokens(file, { modeStates, states, outputDir: output, dryRun });
+  console.log(`Export: ${file} (${result.format})`);
+
+  result.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+  if (result.skipped.length > 0) {
+    console.log(`⏭️  Not selected with --states: ${result.skipped.join(', ')}`);
+  }
+  if (result.states.length === 0) {
+    console.log('No mode or theme in the export maps to a quantum state');
+  }
+
+  for (const { state, file: target, diff, notInExport, written } of result.states) {
+    const { summary } = diff;
+    console.log('');
+    console.log(`🎨 ${state}: ${summary.changed} changed, ${summary.added} added, ${summary.unchanged} unchanged, ${notInExport.length} not in the export`);
+    diff.changed.forEach(change => console.log(`   ~ ${change.path}: ${formatValue(change.before)} -> ${formatValue(change.after)}`));
+    diff.added.forEach(token => console.log(`   + ${token.path}: ${formatValue(token)}`));
+    if (written) {
+      console.log(`   📄 ${path.relative(process.cwd(), written)}`);
+    } else if (dryRun && (summary.changed > 0 || summary.added > 0)) {
+      console.log(`   (dry run, ${path.relative(process.cwd(), target)} not written)`);
+    }
+  }
+
+  return result;
+}
+
+async function runExport({ format = 'figma', states = QUANTUM_STATES, output = null }) {
+  const document = await exportDesignTokens({ format, states });
+  if (!output) return { document };
+
+  const file = await writeDesignExport(document, output);
+  console.error(`✅ ${states.join(', ')} as ${format}`);
+  console.error(`📄 ${path.relative(process.cwd(), file)}`);
+  return { file };
+}
+
+module.exports = { parseArgs, runExport, runImport };
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const usage = 'Usage: node design-sync.js import <export.json> [--mode="Light=heritage"] | export [--format=figma|tokens-studio] [--out=file.json]';
+
+  const unknownStates = [...(args.states || []), ...Object.values(args.modeStates)]
+    .filter(state => !QUANTUM_STATES.includes(state));
+  if (unknownStates.length > 0) {
+    console.error(`Unknown quantum state: ${unknownStates.join(', ')} (expected ${QUANTUM_STATES.join(', ')})`);
+    process.exit(1);
+  }
+
+  let run;
+  if (args.command === 'import' && args.file) {
+    run = runImport({ ...args, states: args.states || QUANTUM_STATES });
+  } else if (args.command === 'export' && EXPORT_FORMATS.includes(args.format)) {
+    run = runExport({ ...args, states: args.states || QUANTUM_STATES });
+  } else {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  run
+    .then(({ document }) => {
+      if (document) {
+        process.stdout.write(JSON.stringify(document, null, 2) + '\n');
+      }
+    })
+    .catch(error => {
+      console.error('❌ Design token sync failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { isMissingPluginModule, plugins, resolvePlugins } = require('./qa/plugins');
+const { buildCombinedReport, writeCombinedReport } = require('./qa/report-writer');
+const {
+  compareToBaseline,
+  getBaselineFindings,
+  readBaselineReport,
+  summarizeComparison,
+  withFingerprints
+} = require('./qa/baseline');
+
+/**
+ * Glass QA
+ * Runs the theme analyzers against any theme directory through a shared
+ * plugin interface and writes one combined JSON + Markdown report.
+ *
+ * Usage:
+ *   node validation-scripts/glass-qa.js <theme-root> [--plugins=theme-auditor,variables] [--out=dir]
+ *     [--config=.glass-qa.json] [--format=json,md,sarif,junit] [--baseline=.glass-qa/glass-qa-report.json]
+ *   node validation-scripts/glass-qa.js --list
+ */
+
+function parseArgs(argv) {
+  const args = {
+    themeRoot: null,
+    plugins: [],
+    outputDir: null,
+    configPath: null,
+    formats: ['json', 'md'],
+    baseline: null,
+    list: false
+  };
+
+  for (const arg of argv) {
+    if (arg === '--list') {
+      args.list = true;
+    } else if (arg.startsWith('--plugins=')) {
+      args.plugins = arg.slice('--plugins='.length).split(',').filter(Boolean);
+    } else if (arg.startsWith('--out=')) {
+      args.outputDir = arg.slice('--out='.length);
+    } else if (arg.startsWith('--format=')) {
+      args.formats = arg.slice('--format='.length).split(',').filter(Boolean);
+    } else if (arg.startsWith('--baseline=')) {
+      args.baseline = arg.slice('--baseline='.length);
+    } else if (arg.startsWith('--config=')) {
+      args.configPath = arg.slice('--config='.length);
+    } else if (arg.startsWith('--theme-root=')) {
+      args.themeRoot = arg.slice('--theme-root='.length);
+    } else if (!arg.startsWith('--')) {
+      args.themeRoot = arg;
+    }
+  }
+
+  return args;
+}
+
+async function runGlassQA({
+  themeRoot,
+  plugins: pluginNames = [],
+  outputDir,
+  configPath = null,
+  formats = ['json', 'md'],
+  baseline = null
+} = {}) {
+  const resolvedRoot = path.resolve(themeRoot);
+  const resolvedOutput = path.resolve(outputDir || path.join(resolvedRoot, '.glass-qa'));
+  const selected = resolvePlugins(pluginNames);
+  const results = [];
+
+  // Read the baseline up front; it is usually the report this run is about to overwrite
+  const baselineReport = baseline ? await readBaselineReport(baseline) : null;
+  if (baselineReport && !Array.isArray(baselineReport.plugins)) {
+    throw new Error(`Baseline ${baseline} is not a glass-qa report (no "plugins" array)`);
+  }
+
+  console.log('🔍 GLASS QA');
+  console.log('=' + '='.repeat(60));
+  console.log(`Theme: ${resolvedRoot}`);
+  console.log(`Plugins: ${selected.map(p => p.name).join(', ')}`);
+
+  for (const plugin of selected) {
+    console.log(`\n▶️  ${plugin.name}`);
+    const startedAt = Date.now();
+
+    try {
+      const result = await plugin.run({
+        themeRoot: resolvedRoot,
+        outputDir: path.join(resolvedOutput, plugin.name),
+        options: { configPath: configPath && path.resolve(configPath) }
+      });
+
+      const entry = {
+        name: plugin.name,
+        description: plugin.description,
+        status: 'completed',
+        durationMs: Date.now() - startedAt,
+        summary: result.summary,
+        findings: withFingerprints(result.findings),
+        details: result.details
+      };
+
+      if (baselineReport) {
+        const comparison = compareToBaseline(result.findings, getBaselineFindings(baselineReport, plugin.name, baseline));
+        entry.findings = comparison.findings;
+        entry.baseline = { ...summarizeComparison(comparison), fixedFindings: comparison.fixed };
+      }
+
+      results.push(entry);
+    } catch (error) {
+      // A missing analyzer cannot run in this checkout, which is not a theme failure
+      const status = isMissingPluginModule(error) ? 'skipped' : 'failed';
+      console.error(`${status === 'skipped' ? '⚪' : '❌'} ${plugin.name} ${status}: ${error.message}`);
+      results.push({
+        name: plugin.name,
+        description: plugin.description,
+        status,
+        durationMs: Date.now() - startedAt,
+        error: error.message,
+        findings: []
+      });
+    }
+  }
+
+  const report = buildCombinedReport(resolvedRoot, results, baseline);
+  const paths = await writeCombinedReport(report, resolvedOutput, formats);
+
+  return { report, paths };
+}
+
+module.exports = { runGlassQA, parseArgs };
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.list) {
+    console.log('Available plugins:');
+    plugins.forEach(plugin => console.log(`  ${plugin.name.padEnd(16)} ${plugin.description}`));
+    process.exit(0);
+  }
+
+  if (!args.themeRoot) {
+    console.error('Please provide a theme root');
+    console.error('Usage: node glass-qa.js <theme-root> [--plugins=a,b] [--out=dir]');
+    process.exit(1);
+  }
+
+  runGlassQA(args)
+    .then(({ report, paths }) => {
+      const { bySeverity, baseline } = report.summary;
+      console.log('\n✅ Glass QA complete');
+      console.log(`   Errors: ${bySeverity.error}, Warnings: ${bySeverity.warning}, Notes: ${bySeverity.note}`);
+      if (baseline) {
+        console.log(`   Against baseline: ${baseline.new} new, ${baseline.fixed} fixed, ${baseline.unchanged} unchanged`);
+      }
+      Object.values(paths).forEach(file => console.log(`📄 ${file}`));
+
+      // With a baseline only new errors and warnings fail the run; otherwise any error does
+      const failing = baseline ? baseline.failing : bySeverity.error;
+      process.exit(report.summary.failed > 0 || failing > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('❌ Glass QA failed:', error);
+      process.exit(1);
+    });
+}
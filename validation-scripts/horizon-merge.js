@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { applyThemeMerge, planThemeMerge, writeMergeReport } = require('./qa/three-way-merge');
+
+/**
+ * Horizon Merge Assistant
+ * Three-way comparison of the Horizon release a fork was made from, the fork
+ * and a newer Horizon drop. Files that only changed upstream, and files whose
+ * upstream and fork edits touch different lines, can be applied to the fork;
+ * everything edited on both sides is written to a conflict report instead.
+ *
+ * Usage:
+ *   node validation-scripts/horizon-merge.js --fork=johnson-health-theme --upstream=path/to/horizon-3.2.0
+ *     [--base=source-themes/horizon] [--out=dir] [--apply]
+ *
+ * Without --apply nothing in the fork is written (dry run).
+ */
+
+function parseArgs(argv) {
+  const args = {
+    base: path.join(__dirname, '..', 'source-themes', 'horizon'),
+    fork: null,
+    upstream: null,
+    outputDir: null,
+    apply: false
+  };
+
+  for (const arg of argv) {
+    if (arg === '--apply') {
+      args.apply = true;
+    } else if (arg.startsWith('--base=')) {
+      args.base = arg.slice('--base='.length);
+    } else if (arg.startsWith('--fork=')) {
+      args.fork = arg.slice('--fork='.length);
+    } else if (arg.startsWith('--upstream=')) {
+      args.upstream = arg.slice('--upstream='.length);
+    } else if (arg.startsWith('--out=')) {
+      args.outputDir = arg.slice('--out='.length);
+    }
+  }
+
+  return args;
+}
+
+async function runHorizonMerge({ base, fork, upstream, outputDir = null, apply = false }) {
+  console.log('🔀 HORIZON MERGE ASSISTANT');
+  console.log('=' + '='.repeat(60));
+  console.log(`Base:     ${path.resolve(base)}`);
+  console.log(`Fork:     ${path.resolve(fork)}`);
+  console.log(`Upstream: ${path.resolve(upstream)}`);
+
+  const plan = await planThemeMerge({ base, fork, upstream });
+  plan.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+  const { summary } = plan;
+  console.log('');
+  console.log(`⬆️  Upstream only:  ${summary.upstreamOnly}`);
+  console.log(`🧩 Clean merges:   ${summary.merged}`);
+  console.log(`❌ Conflicts:      ${summary.conflicts}`);
+  console.log(`🎨 Fork only:      ${summary.forkOnly}`);
+  console.log(`🟰 Same change:    ${summary.sameChange}`);
+
+  const applied = apply ? await applyThemeMerge(plan) : null;
+  if (applied) {
+    console.log(`\n✅ Applied ${applied.length} file(s) to ${plan.roots.fork}`);
+  } else {
+    console.log('\n💡 Dry run - re-run with --apply to write upstream-only changes and clean merges');
+  }
+
+  const reportDir = path.resolve(outputDir || path.join(plan.roots.fork, '.glass-qa', 'upstream-merge'));
+  const paths = await writeMergeReport(plan, reportDir, applied);
+  Object.values(paths).forEach(file => console.log(`📄 ${file}`));
+  if (summary.conflicts > 0) {
+    console.log(`📁 Conflicted files with markers: ${path.join(reportDir, 'conflicts')}`);
+  }
+
+  return { plan, applied, paths };
+}
+
+module.exports = { runHorizonMerge, parseArgs };
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.fork || !args.upstream) {
+    console.error('Please provide the fork and the new upstream release');
+    console.error('Usage: node horizon-merge.js --fork=<theme> --upstream=<new-horizon> [--base=<old-horizon>] [--apply]');
+    process.exit(1);
+  }
+
+  runHorizonMerge(args)
+    .then(({ plan }) => {
+      process.exit(plan.summary.conflicts > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('❌ Horizon merge failed:', error);
+      process.exit(1);
+    });
+}
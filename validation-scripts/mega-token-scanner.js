@@ -14,16 +14,16 @@
  * Goal: Understand and unify the full token ecosystem
  */
 
-import fs from 'fs';
-import path from 'path';
-import { execSync } from 'child_process';
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
 
 class ComprehensiveTokenScanner {
-  constructor() {
-    this.projectRoot = '/Users/pennyplatt/9bit-studios';
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || '/Users/pennyplatt/9bit-studios';
     
     // Define all scan locations based on your project structure
-    this.scanLocations = {
+    this.scanLocations = options.scanLocations || {
       // Already scanned - React ecommerce dashboard
       reactEcommerce: [
         path.join(this.projectRoot, 'claude-quantum-design-framework'),
@@ -229,9 +229,11 @@ class ComprehensiveTokenScanner {
   findFilesWithPattern(location, pattern) {
     try {
       // Use find command for better performance with complex patterns
-      const command = `find "${location}" -name "${pattern}" -type f 2>/dev/null || true`;
+      // (find -name matches basenames only, so drop the glob's directory prefix)
+      const namePattern = pattern.replace(/^\*\*\//, '');
+      const command = `find "${location}" -name "${namePattern}" -type f 2>/dev/null || true`;
       const result = execSync(command, { encoding: 'utf8' });
-      return result.trim() ? result.trim().split('') : [];
+      return result.trim() ? result.trim().split('\n') : [];
     } catch (error) {
       return [];
     }
@@ -347,7 +349,7 @@ class ComprehensiveTokenScanner {
 
   async analyzeFileContent(content, tokenFile) {
     const analysis = {
-      lines: content.split('').length,
+      lines: content.split('\n').length,
       size: content.length,
       hasColors: false,
       hasSpacing: false,
@@ -0,0 +1,151 @@
+/**
+ * Glass QA Asset Quarantine
+ * Reversible removal of theme files found unused by ShopifyDependencyAnalyzer
+ *
+ * Files are moved, not deleted, into
+ *   <theme>/.glass-qa/quarantine/<id>/<theme-relative path>
+ * next to a manifest.json recording each file's size, SHA-1 and the reason it
+ * was removed. Shopify CLI does not upload dot-directories, so a quarantined
+ * file disappears from the storefront on the next push. restoreQuarantine()
+ * moves every file of one quarantine back and deletes the quarantine once it
+ * is empty; a file that was recreated in the meantime is left in quarantine
+ * and reported as a conflict.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const QUARANTINE_DIR = path.join('.glass-qa', 'quarantine');
+const MANIFEST = 'manifest.json';
+
+function quarantineRoot(themeRoot) {
+  return path.join(themeRoot, QUARANTINE_DIR);
+}
+
+async function hashFile(filePath) {
+  return crypto.createHash('sha1').update(await fs.readFile(filePath)).digest('hex');
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Move files into a new quarantine.
+ * `entries` are { file, reason } with theme-relative paths; returns the manifest.
+ */
+async function quarantineFiles(themeRoot, entries, { now = new Date() } = {}) {
+  const id = now.toISOString().replace(/[:.]/g, '-');
+  const directory = path.join(quarantineRoot(themeRoot), id);
+  const manifest = {
+    id,
+    createdAt: now.toISOString(),
+    themeRoot: path.resolve(themeRoot),
+    files: []
+  };
+
+  await fs.mkdir(directory, { recursive: true });
+
+  for (const entry of entries) {
+    const source = path.join(themeRoot, entry.file);
+    const target = path.join(directory, entry.file);
+    const stats = await fs.stat(source);
+
+    const record = {
+      file: entry.file,
+      reason: entry.reason,
+      size: stats.size,
+      sha1: await hashFile(source)
+    };
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(source, target);
+    manifest.files.push(record);
+
+    // Written after every move, so an interrupted run can still be restored
+    await fs.writeFile(path.join(directory, MANIFEST), JSON.stringify(manifest, null, 2));
+  }
+
+  return manifest;
+}
+
+/**
+ * Manifests of every quarantine in the theme, oldest first
+ */
+async function listQuarantines(themeRoot) {
+  let ids;
+  try {
+    ids = await fs.readdir(quarantineRoot(themeRoot));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const manifests = [];
+  for (const id of ids.sort()) {
+    try {
+      manifests.push(JSON.parse(await fs.readFile(path.join(quarantineRoot(themeRoot), id, MANIFEST), 'utf8')));
+    } catch (error) {
+      console.warn(`  ⚠️  Quarantine ${id} has no readable manifest`);
+    }
+  }
+  return manifests;
+}
+
+/**
+ * Move the files of one quarantine (the latest when `id` is omitted) back into the theme
+ */
+async function restoreQuarantine(themeRoot, id = null) {
+  const manifests = await listQuarantines(themeRoot);
+  const manifest = id ? manifests.find(m => m.id === id) : manifests[manifests.length - 1];
+  if (!manifest) {
+    throw new Error(id ? `No quarantine "${id}" in ${quarantineRoot(themeRoot)}` : `No quarantine in ${quarantineRoot(themeRoot)}`);
+  }
+
+  const directory = path.join(quarantineRoot(themeRoot), manifest.id);
+  const result = { id: manifest.id, restored: [], conflicts: [], missing: [] };
+  const remaining = [];
+
+  for (const record of manifest.files) {
+    const source = path.join(directory, record.file);
+    const target = path.join(themeRoot, record.file);
+
+    if (!(await exists(source))) {
+      result.missing.push(record.file);
+      continue;
+    }
+    if (await exists(target)) {
+      result.conflicts.push(record.file);
+      remaining.push(record);
+      continue;
+    }
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(source, target);
+    if (record.sha1 && (await hashFile(target)) !== record.sha1) {
+      console.warn(`  ⚠️  ${record.file} changed while in quarantine`);
+    }
+    result.restored.push(record.file);
+  }
+
+  if (remaining.length === 0) {
+    await fs.rm(directory, { recursive: true, force: true });
+  } else {
+    await fs.writeFile(path.join(directory, MANIFEST), JSON.stringify({ ...manifest, files: remaining }, null, 2));
+  }
+
+  return result;
+}
+
+module.exports = {
+  QUARANTINE_DIR,
+  listQuarantines,
+  quarantineFiles,
+  restoreQuarantine
+};
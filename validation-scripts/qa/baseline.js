@@ -0,0 +1,146 @@
+/**
+ * Glass QA Baseline
+ * Fingerprints findings and compares a run against a previously saved report
+ *
+ * A fingerprint is a hash of the rule, the theme-relative file and the finding's
+ * identity - its `key` when the reporting check provides one, otherwise the
+ * whitespace-normalized message. Line numbers are deliberately left out, so
+ * editing unrelated parts of a file does not turn old findings into new ones.
+ *
+ * Any report that carries normalized findings can be used as a baseline:
+ *   - reports/shopify-theme-audit-report.json   ({ findings })
+ *   - variable-consistency-report.json          ({ findings })
+ *   - .glass-qa/glass-qa-report.json            ({ plugins: [{ name, findings }] })
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Stable fingerprint for a normalized finding
+ */
+function fingerprintFinding(finding) {
+  const file = finding.file ? finding.file.split(path.sep).join('/') : '';
+  const identity = finding.key !== undefined
+    ? String(finding.key)
+    : String(finding.message || '').replace(/\s+/g, ' ').trim();
+
+  return crypto
+    .createHash('sha1')
+    .update(`${finding.ruleId}|${file}|${identity}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Read a saved report from disk
+ */
+async function readBaselineReport(baselinePath) {
+  try {
+    return JSON.parse(await fs.readFile(baselinePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read baseline ${baselinePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Findings held by a saved report.
+ * For combined glass-qa reports, `toolName` selects a single plugin's findings.
+ */
+function getBaselineFindings(report, toolName = null, baselinePath = 'baseline') {
+  if (Array.isArray(report.plugins)) {
+    const selected = toolName
+      ? report.plugins.filter(plugin => plugin.name === toolName)
+      : report.plugins;
+    return selected.flatMap(plugin => plugin.findings || []);
+  }
+
+  if (Array.isArray(report.findings)) {
+    return report.findings;
+  }
+
+  throw new Error(`Baseline ${baselinePath} does not contain any findings (expected a "findings" or "plugins" array)`);
+}
+
+/**
+ * Read a saved report and return the findings it holds
+ */
+async function loadBaseline(baselinePath, toolName = null) {
+  const report = await readBaselineReport(baselinePath);
+  return getBaselineFindings(report, toolName, baselinePath);
+}
+
+/**
+ * Split current findings into new / unchanged and list baseline findings that are gone.
+ * Identical findings are matched by count, so a second copy of an old issue is still new.
+ * Each returned finding carries its fingerprint and a SARIF-style baselineState
+ * ('new', 'unchanged' or 'absent' for fixed findings); `findings` keeps the
+ * current findings in their original order.
+ */
+function compareToBaseline(findings, baselineFindings) {
+  const remaining = new Map();
+  for (const finding of baselineFindings) {
+    const fingerprint = finding.fingerprint || fingerprintFinding(finding);
+    if (!remaining.has(fingerprint)) {
+      remaining.set(fingerprint, []);
+    }
+    remaining.get(fingerprint).push({ ...finding, fingerprint, baselineState: 'absent' });
+  }
+
+  const result = { findings: [], new: [], unchanged: [], fixed: [] };
+
+  for (const finding of findings) {
+    const fingerprint = finding.fingerprint || fingerprintFinding(finding);
+    const matches = remaining.get(fingerprint);
+
+    let tagged;
+
+    if (matches && matches.length > 0) {
+      matches.shift();
+      tagged = { ...finding, fingerprint, baselineState: 'unchanged' };
+      result.unchanged.push(tagged);
+    } else {
+      tagged = { ...finding, fingerprint, baselineState: 'new' };
+      result.new.push(tagged);
+    }
+
+    result.findings.push(tagged);
+  }
+
+  for (const matches of remaining.values()) {
+    result.fixed.push(...matches);
+  }
+
+  return result;
+}
+
+/**
+ * Counts for a comparison; `failing` is the number of new errors and warnings
+ */
+function summarizeComparison(comparison, baselinePath = null) {
+  return {
+    baseline: baselinePath,
+    new: comparison.new.length,
+    fixed: comparison.fixed.length,
+    unchanged: comparison.unchanged.length,
+    failing: comparison.new.filter(f => f.severity === 'error' || f.severity === 'warning').length
+  };
+}
+
+/**
+ * Attach fingerprints to findings so the saved report can serve as the next baseline
+ */
+function withFingerprints(findings) {
+  return findings.map(finding => ({ ...finding, fingerprint: finding.fingerprint || fingerprintFinding(finding) }));
+}
+
+module.exports = {
+  compareToBaseline,
+  fingerprintFinding,
+  getBaselineFindings,
+  loadBaseline,
+  readBaselineReport,
+  summarizeComparison,
+  withFingerprints
+};
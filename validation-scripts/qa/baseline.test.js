@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest';
+import {
+  compareToBaseline,
+  fingerprintFinding,
+  getBaselineFindings,
+  summarizeComparison,
+  withFingerprints
+} from './baseline.js';
+
+const finding = (overrides = {}) => ({
+  ruleId: 'glass/backdrop-filter',
+  file: 'assets/base.css',
+  line: 10,
+  severity: 'warning',
+  message: 'Missing -webkit-backdrop-filter',
+  ...overrides
+});
+
+describe('fingerprintFinding', () => {
+  it('ignores line numbers and whitespace in the message', () => {
+    const moved = finding({ line: 250, message: '  Missing   -webkit-backdrop-filter ' });
+    expect(fingerprintFinding(moved)).toBe(fingerprintFinding(finding()));
+  });
+
+  it('uses the key instead of the message when the check provides one', () => {
+    const a = finding({ key: '--glass-blur', message: 'Conflicting values: 10px, 12px' });
+    const b = finding({ key: '--glass-blur', message: 'Conflicting values: 10px, 14px' });
+    expect(fingerprintFinding(a)).toBe(fingerprintFinding(b));
+  });
+
+  it('tells apart rules and files', () => {
+    const base = fingerprintFinding(finding());
+    expect(fingerprintFinding(finding({ ruleId: 'glass/other' }))).not.toBe(base);
+    expect(fingerprintFinding(finding({ file: 'assets/other.css' }))).not.toBe(base);
+  });
+});
+
+describe('compareToBaseline', () => {
+  it('splits findings into new, unchanged and fixed', () => {
+    const fixed = finding({ message: 'Fixed since' });
+    const fresh = finding({ message: 'New issue' });
+    const comparison = compareToBaseline([finding({ line: 99 }), fresh], [finding(), fixed]);
+
+    expect(comparison.unchanged).toHaveLength(1);
+    expect(comparison.new.map(f => f.message)).toEqual(['New issue']);
+    expect(comparison.fixed.map(f => f.message)).toEqual(['Fixed since']);
+    expect(comparison.fixed[0].baselineState).toBe('absent');
+    expect(comparison.findings.map(f => f.baselineState)).toEqual(['unchanged', 'new']);
+  });
+
+  it('matches identical findings by count', () => {
+    const comparison = compareToBaseline([finding(), finding()], [finding()]);
+    expect(comparison.unchanged).toHaveLength(1);
+    expect(comparison.new).toHaveLength(1);
+  });
+
+  it('uses saved fingerprints', () => {
+    const [saved] = withFingerprints([finding()]);
+    const comparison = compareToBaseline([finding()], [{ ...saved, message: 'renamed' }]);
+    expect(comparison.unchanged).toHaveLength(1);
+  });
+});
+
+describe('summarizeComparison', () => {
+  it('counts only new errors and warnings as failing', () => {
+    const comparison = compareToBaseline(
+      [finding({ message: 'a' }), finding({ message: 'b', severity: 'note' }), finding({ message: 'c', severity: 'error' })],
+      []
+    );
+    expect(summarizeComparison(comparison, 'baseline.json')).toEqual({
+      baseline: 'baseline.json',
+      new: 3,
+      fixed: 0,
+      unchanged: 0,
+      failing: 2
+    });
+  });
+});
+
+describe('getBaselineFindings', () => {
+  const combined = {
+    plugins: [
+      { name: 'variables', findings: [finding({ message: 'a' })] },
+      { name: 'theme-auditor', findings: [finding({ message: 'b' })] }
+    ]
+  };
+
+  it('reads combined glass-qa reports, optionally for one plugin', () => {
+    expect(getBaselineFindings(combined)).toHaveLength(2);
+    expect(getBaselineFindings(combined, 'variables').map(f => f.message)).toEqual(['a']);
+  });
+
+  it('reads standalone reports and rejects reports without findings', () => {
+    expect(getBaselineFindings({ findings: [finding()] })).toHaveLength(1);
+    expect(() => getBaselineFindings({}, null, 'old.json')).toThrow(/old\.json/);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Glass QA Color
+ * CSS color parsing and comparison for the token tools
+ *
+ * parseColor() reads #rgb, #rgba, #rrggbb and #rrggbbaa hex, rgb()/rgba() and
+ * hsl()/hsla() in both the comma and the space-separated syntax, plus
+ * `black`, `white` and `transparent`, into { r, g, b, alpha } with channels
+ * 0-255 and alpha 0-1. Anything else (other keywords, var(), color-mix())
+ * returns null.
+ *
+ * compositeOver() flattens a translucent color onto what is behind it, and
+ * relativeLuminance() is the WCAG 2.x luminance used for contrast ratios.
+ *
+ * colorDistance() is the CIE76 ΔE between two colors in Lab plus their alpha
+ * difference in percent: 0 is identical, about 2.3 is the smallest difference
+ * most people notice.
+ */
+
+// Hex and functional color literals inside a CSS value
+const COLOR_PATTERN = /#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})(?![\w-])|\b(?:rgba?|hsla?)\([^()]*\)/gi;
+
+const NAMED_COLORS = {
+  black: { r: 0, g: 0, b: 0, alpha: 1 },
+  white: { r: 255, g: 255, b: 255, alpha: 1 },
+  transparent: { r: 0, g: 0, b: 0, alpha: 0 }
+};
+
+// D65 reference white
+const WHITE_POINT = [0.95047, 1, 1.08883];
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function parseChannel(text, scale) {
+  const value = parseFloat(text);
+  if (Number.isNaN(value)) return null;
+  return text.trim().endsWith('%') ? (value / 100) * scale : value;
+}
+
+function parseHue(text) {
+  const value = parseFloat(text);
+  if (Number.isNaN(value)) return null;
+  if (/turn$/i.test(text)) return value * 360;
+  if (/rad$/i.test(text)) return (value * 180) / Math.PI;
+  return value;
+}
+
+// Split `a, b, c, d` or `a b c / d` into three channels and an optional alpha
+function splitArguments(args) {
+  const [channels, slashAlpha] = args.split('/');
+  const parts = channels.includes(',')
+    ? channels.split(',').map(part => part.trim())
+    : channels.trim().split(/\s+/);
+
+  const alpha = slashAlpha !== undefined ? slashAlpha.trim() : parts[3];
+  return { channels: parts.slice(0, 3), alpha };
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const h = (((hue % 360) + 360) % 360) / 360;
+  const s = clamp(saturation, 0, 1);
+  const l = clamp(lightness, 0, 1);
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = t => {
+    const tt = t < 0 ? t + 1 : t > 1 ? t - 1 : t;
+    if (tt < 1 / 6) return p + (q - p) * 6 * tt;
+    if (tt < 1 / 2) return q;
+    if (tt < 2 / 3) return p + (q - p) * (2 / 3 - tt) * 6;
+    return p;
+  };
+
+  return { r: channel(h + 1 / 3) * 255, g: channel(h) * 255, b: channel(h - 1 / 3) * 255 };
+}
+
+/**
+ * CSS color text -> { r, g, b, alpha }, or null when it is not a literal color
+ */
+function parseColor(text) {
+  const value = String(text).trim().toLowerCase();
+
+  if (NAMED_COLORS[value]) return { ...NAMED_COLORS[value] };
+
+  const hex = value.match(/^#([0-9a-f]{3,8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (![3, 4, 6, 8].includes(digits.length)) return null;
+    if (digits.length <= 4) digits = [...digits].map(digit => digit + digit).join('');
+
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      alpha: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+    };
+  }
+
+  const functional = value.match(/^(rgba?|hsla?)\(([^()]*)\)$/);
+  if (!functional) return null;
+
+  const { channels, alpha: alphaText } = splitArguments(functional[2]);
+  if (channels.length !== 3) return null;
+
+  const alpha = alphaText === undefined ? 1 : parseChannel(alphaText, 1);
+  if (alpha === null) return null;
+
+  let rgb;
+  if (functional[1].startsWith('rgb')) {
+    const [r, g, b] = channels.map(channel => parseChannel(channel, 255));
+    if ([r, g, b].includes(null)) return null;
+    rgb = { r, g, b };
+  } else {
+    const hue = parseHue(channels[0]);
+    const saturation = parseChannel(channels[1], 1);
+    const lightness = parseChannel(channels[2], 1);
+    if ([hue, saturation, lightness].includes(null)) return null;
+    // hsl() percentages are 0-100 whether or not the % sign is written
+    rgb = hslToRgb(hue, channels[1].endsWith('%') ? saturation : saturation / 100, channels[2].endsWith('%') ? lightness : lightness / 100);
+  }
+
+  return {
+    r: clamp(rgb.r, 0, 255),
+    g: clamp(rgb.g, 0, 255),
+    b: clamp(rgb.b, 0, 255),
+    alpha: clamp(alpha, 0, 1)
+  };
+}
+
+function linearize(channel) {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * WCAG 2.x relative luminance of an opaque color
+ */
+function relativeLuminance({ r, g, b }) {
+  return 0.2126 * linearize(r) + 0.7152 * linearize(g) + 0.0722 * linearize(b);
+}
+
+/**
+ * Source-over compositing of `top` onto `bottom`, as browsers paint layers
+ */
+function compositeOver(top, bottom) {
+  const alpha = top.alpha + bottom.alpha * (1 - top.alpha);
+  if (alpha === 0) return { r: 0, g: 0, b: 0, alpha: 0 };
+
+  const channel = key => (top[key] * top.alpha + bottom[key] * bottom.alpha * (1 - top.alpha)) / alpha;
+  return { r: channel('r'), g: channel('g'), b: channel('b'), alpha };
+}
+
+/**
+ * rgb()/rgba() text for a parsed color, channels rounded
+ */
+function formatColor({ r, g, b, alpha }) {
+  const channels = [r, g, b].map(channel => Math.round(channel)).join(', ');
+  return alpha >= 1 ? `rgb(${channels})` : `rgba(${channels}, ${Math.round(alpha * 1000) / 1000})`;
+}
+
+/**
+ * sRGB color -> CIE Lab (D65)
+ */
+function toLab({ r, g, b }) {
+  const [lr, lg, lb] = [r, g, b].map(linearize);
+  const xyz = [
+    lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375,
+    lr * 0.2126729 + lg * 0.7151522 + lb * 0.072175,
+    lr * 0.0193339 + lg * 0.119192 + lb * 0.9503041
+  ];
+
+  const [fx, fy, fz] = xyz.map((value, i) => {
+    const t = value / WHITE_POINT[i];
+    return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+  });
+
+  return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+/**
+ * ΔE (CIE76) plus the alpha difference in percent; accepts colors or color text
+ */
+function colorDistance(first, second) {
+  const a = typeof first === 'string' ? parseColor(first) : first;
+  const b = typeof second === 'string' ? parseColor(second) : second;
+  if (!a || !b) return Infinity;
+
+  const labA = toLab(a);
+  const labB = toLab(b);
+  const deltaE = Math.sqrt((labA.l - labB.l) ** 2 + (labA.a - labB.a) ** 2 + (labA.b - labB.b) ** 2);
+
+  return deltaE + Math.abs(a.alpha - b.alpha) * 100;
+}
+
+module.exports = {
+  COLOR_PATTERN,
+  colorDistance,
+  compositeOver,
+  formatColor,
+  parseColor,
+  relativeLuminance,
+  toLab
+};
@@ -0,0 +1,510 @@
+/**
+ * Glass QA Contrast
+ * Text contrast for every quantum state, with translucent glass layers
+ * composited over the backdrops they are painted on
+ *
+ * Contrast is measured as it renders: each background layer is composited
+ * (source-over) onto the backdrop, then the text color onto the result. A
+ * backdrop may be a gradient, given as its color stops; every stop is checked
+ * and the worst one is reported.
+ *
+ * Two measures are reported for each pairing:
+ *   WCAG 2.x  contrast ratio, 1-21. Failing the AA minimum (4.5, or 3 for large
+ *             text, from package.json `apple-hig.validation.colors`) is an error.
+ *   APCA      Lc value (APCA-W3 0.0.98G-4g), about -108 to 106, negative for
+ *             light text on dark. Below the configured |Lc| it is a warning.
+ *
+ * Token pairings come from the contrast config (DEFAULT_CONTRAST_CONFIG):
+ * every `text` token on every backdrop under every surface, plus each
+ * `<group>.contrastText` on its `<group>.main`. With a theme, rules in
+ * assets/*.css that set both a text color and a background are checked too,
+ * with var() resolved from the theme's token files.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { compositeOver, formatColor, parseColor, relativeLuminance } = require('./color');
+const { analyzeStylesheet } = require('./css-analysis');
+const { QUANTUM_STATES, loadStateSystems } = require('./design-tokens');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+const DEFAULT_THRESHOLDS = {
+  wcag: { normal: 4.5, large: 3 },
+  // APCA Bronze: Lc 60 for content text, Lc 45 for large text
+  apca: { normal: 60, large: 45 }
+};
+
+const DEFAULT_CONTRAST_CONFIG = {
+  // Token paths used as text color; `*` matches one path segment
+  text: ['colors.text.*', 'colors.semantic.*'],
+  // Text tokens only ever set at large sizes (24px, or 18.66px bold)
+  large: [],
+  // Inactive controls are exempt from WCAG 1.4.3
+  exempt: ['colors.text.disabled'],
+  // Opaque page backdrops; more than one color is a gradient's stops
+  backdrops: {
+    'background.default': ['{colors.background.default}'],
+    'background.paper': ['{colors.background.paper}'],
+    'background.subtle': ['{colors.background.subtle}'],
+    'gradient.quantum-depth': ['{colors.background.default}', '{colors.primary.dark}', '{colors.primary.main}']
+  },
+  // Layers painted over the backdrop, bottom first
+  surfaces: {
+    opaque: [],
+    glass: ['rgba(255, 255, 255, 0.1)']
+  }
+};
+
+// CSS canvas color behind a backdrop that is not fully opaque
+const CANVAS = { r: 255, g: 255, b: 255, alpha: 1 };
+
+/**
+ * WCAG 2.x contrast ratio of two opaque colors
+ */
+function wcagContrast(text, background) {
+  const [light, dark] = [relativeLuminance(text), relativeLuminance(background)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+function apcaLuminance({ r, g, b }) {
+  const y = 0.2126729 * Math.pow(r / 255, 2.4) + 0.7151522 * Math.pow(g / 255, 2.4) + 0.072175 * Math.pow(b / 255, 2.4);
+  // Soft clamp near black
+  return y < 0.022 ? y + Math.pow(0.022 - y, 1.414) : y;
+}
+
+/**
+ * APCA-W3 (0.0.98G-4g) lightness contrast Lc of opaque text on an opaque background
+ */
+function apcaContrast(text, background) {
+  const yText = apcaLuminance(text);
+  const yBackground = apcaLuminance(background);
+  if (Math.abs(yBackground - yText) < 0.0005) return 0;
+
+  let sapc;
+  if (yBackground > yText) {
+    // Dark text on a light background
+    sapc = (Math.pow(yBackground, 0.56) - Math.pow(yText, 0.57)) * 1.14;
+    return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+  }
+
+  sapc = (Math.pow(yBackground, 0.65) - Math.pow(yText, 0.62)) * 1.14;
+  return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+}
+
+function colorKey(color) {
+  return formatColor(color);
+}
+
+/**
+ * Every opaque background that `layers` (bottom first, each a list of alternative
+ * colors) can produce over the backdrop stops
+ */
+function compositeBackgrounds(backdropStops, layers = []) {
+  let backgrounds = backdropStops.map(stop => (stop.alpha < 1 ? compositeOver(stop, CANVAS) : stop));
+
+  for (const alternatives of layers) {
+    const next = new Map();
+    for (const background of backgrounds) {
+      for (const color of alternatives) {
+        const composited = compositeOver(color, background);
+        next.set(colorKey(composited), composited);
+      }
+    }
+    backgrounds = [...next.values()];
+  }
+
+  return backgrounds;
+}
+
+/**
+ * Worst-case WCAG ratio and APCA Lc of a text color over candidate backgrounds.
+ * `background` and `foreground` are the rendered colors of the lowest ratio.
+ */
+function measureContrast(text, backgrounds) {
+  let worst = null;
+
+  for (const background of backgrounds) {
+    const rendered = compositeOver(text, background);
+    const ratio = wcagContrast(rendered, background);
+    const lc = apcaContrast(rendered, background);
+
+    if (!worst || ratio < worst.ratio) {
+      worst = { ...(worst || {}), ratio, background: colorKey(background), foreground: colorKey(rendered) };
+    }
+    if (worst.lc === undefined || Math.abs(lc) < Math.abs(worst.lc)) {
+      worst.lc = lc;
+    }
+  }
+
+  return worst && {
+    ...worst,
+    ratio: Math.round(worst.ratio * 100) / 100,
+    lc: Math.round(worst.lc * 10) / 10
+  };
+}
+
+function classify(measure, { large = false, exempt = false }, thresholds) {
+  const size = large ? 'large' : 'normal';
+  if (exempt) return 'exempt';
+  if (measure.ratio < thresholds.wcag[size]) return 'fail';
+  if (Math.abs(measure.lc) < thresholds.apca[size]) return 'warn';
+  return 'pass';
+}
+
+function globToRegex(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('[^.]+')}$`);
+}
+
+function matchesAny(tokenPath, patterns) {
+  return patterns.some(pattern => globToRegex(pattern).test(tokenPath));
+}
+
+/**
+ * AA thresholds from package.json `apple-hig.validation.colors.contrastRatio`
+ */
+async function loadContrastThresholds(repoRoot = REPO_ROOT) {
+  try {
+    const pkg = JSON.parse(await fs.readFile(path.join(repoRoot, 'package.json'), 'utf8'));
+    const configured = pkg['apple-hig']?.validation?.colors?.contrastRatio || {};
+    return { ...DEFAULT_THRESHOLDS, wcag: { ...DEFAULT_THRESHOLDS.wcag, ...configured } };
+  } catch (error) {
+    if (error.code === 'ENOENT') return DEFAULT_THRESHOLDS;
+    throw error;
+  }
+}
+
+/**
+ * The default contrast config, with the keys of a JSON config file replacing it
+ */
+async function loadContrastConfig(configPath = null) {
+  if (!configPath) return DEFAULT_CONTRAST_CONFIG;
+  const overrides = JSON.parse(await fs.readFile(configPath, 'utf8'));
+  return { ...DEFAULT_CONTRAST_CONFIG, ...overrides };
+}
+
+/**
+ * Color of a config entry: a literal, or a `{token.path}` reference into the system
+ */
+function createColorResolver(system) {
+  const byPath = new Map(system.tokens.map(token => [token.path, token]));
+
+  return entry => {
+    const reference = String(entry).match(/^\{([^{}\s]+)\}$/);
+    if (!reference) return parseColor(entry);
+
+    const token = byPath.get(reference[1]);
+    return token ? parseColor(token.resolved) : null;
+  };
+}
+
+/**
+ * Every configured text/background pairing of one token system
+ */
+function checkTokenContrast(system, config = DEFAULT_CONTRAST_CONFIG, thresholds = DEFAULT_THRESHOLDS) {
+  const resolveColor = createColorResolver(system);
+  const warnings = [];
+  const pairs = [];
+
+  const backdrops = [];
+  for (const [name, entries] of Object.entries(config.backdrops)) {
+    const stops = entries.map(resolveColor);
+    if (stops.some(stop => !stop)) {
+      warnings.push(`Backdrop "${name}" does not resolve to colors in ${system.name}`);
+    } else {
+      backdrops.push({ name, stops });
+    }
+  }
+
+  const surfaces = [];
+  for (const [name, entries] of Object.entries(config.surfaces)) {
+    const layers = entries.map(entry => [resolveColor(entry)]);
+    if (layers.some(([color]) => !color)) {
+      warnings.push(`Surface "${name}" does not resolve to colors in ${system.name}`);
+    } else {
+      surfaces.push({ name, layers });
+    }
+  }
+
+  const pair = (token, backdrop, surface, backgrounds) => {
+    const text = parseColor(token.resolved);
+    const options = { large: matchesAny(token.path, config.large), exempt: matchesAny(token.path, config.exempt) };
+    const measure = measureContrast(text, backgrounds);
+
+    pairs.push({
+      text: token.path,
+      name: `--${token.name}`,
+      value: String(token.resolved),
+      backdrop,
+      surface,
+      large: options.large,
+      ...measure,
+      status: classify(measure, options, thresholds)
+    });
+  };
+
+  const textTokens = system.tokens.filter(token => matchesAny(token.path, config.text) && parseColor(token.resolved));
+  for (const token of textTokens) {
+    for (const backdrop of backdrops) {
+      for (const surface of surfaces) {
+        pair(token, backdrop.name, surface.name, compositeBackgrounds(backdrop.stops, surface.layers));
+      }
+    }
+  }
+
+  // Material-style `contrastText` is the text color for its group's main color
+  for (const token of system.tokens.filter(t => t.path.endsWith('.contrastText') && parseColor(t.resolved))) {
+    const group = token.path.slice(0, -'.contrastText'.length);
+    const main = system.tokens.find(t => t.path === `${group}.main`);
+    const background = main && parseColor(main.resolved);
+    if (background) pair(token, main.path, 'opaque', compositeBackgrounds([background]));
+  }
+
+  return { pairs, warnings };
+}
+
+// Colors a resolved background value can paint: one per gradient stop
+function backgroundColors(value) {
+  if (/url\(|image-set\(|var\(/i.test(value)) return null;
+  if (/^\s*(?:none|transparent|inherit|initial|unset|currentcolor)\s*$/i.test(value)) return null;
+
+  const colors = [];
+  const pattern = /#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})(?![\w-])|\b(?:rgba?|hsla?)\([^()]*\)|\b(?:black|white|transparent)\b/gi;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    const color = parseColor(match[0]);
+    if (color) colors.push(color);
+  }
+  return colors.length > 0 ? colors : null;
+}
+
+function resolveVariables(value, variables, depth = 0) {
+  if (depth > 10) return value;
+  const resolved = value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\))?[^()]*))?\)/g, (match, name, fallback) => {
+    if (variables.has(name)) return variables.get(name);
+    return fallback !== undefined ? fallback.trim() : match;
+  });
+  return resolved === value ? resolved : resolveVariables(resolved, variables, depth + 1);
+}
+
+// background-clip: text paints the background through the glyphs instead of behind them
+function isGradientText(declarations) {
+  return ['background-clip', '-webkit-background-clip'].some(prop => /\btext\b/.test(declarations.get(prop) || '')) ||
+    declarations.has('-webkit-text-fill-color');
+}
+
+function isLargeText(declarations) {
+  const size = declarations.get('font-size');
+  const weight = declarations.get('font-weight');
+  const px = size && size.match(/^(\d*\.?\d+)(px|rem)$/);
+  if (!px) return false;
+
+  const pixels = parseFloat(px[1]) * (px[2] === 'rem' ? 16 : 1);
+  const bold = weight && (/bold/i.test(weight) || parseInt(weight, 10) >= 700);
+  return pixels >= 24 || (bold && pixels >= 18.66);
+}
+
+/**
+ * Rules in the theme's stylesheets that set both a text color and a background:
+ * [{ file, line, selector, color, background, large }]
+ */
+async function collectComponents(themeRoot, tokenFiles) {
+  // Resolves aliases exactly like the codemod does
+  const { loadTokenCatalog } = require('./token-codemod');
+  const catalog = await loadTokenCatalog(themeRoot, tokenFiles);
+  const variables = new Map(catalog.map(token => [token.name, token.value]));
+
+  let files;
+  try {
+    files = (await fs.readdir(path.join(themeRoot, 'assets'))).filter(file => file.endsWith('.css')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const components = [];
+  for (const file of files) {
+    const content = await fs.readFile(path.join(themeRoot, 'assets', file), 'utf8');
+    const rules = new Map();
+
+    for (const declaration of analyzeStylesheet(content, { file }).declarations) {
+      if (declaration.atRules.some(atRule => /keyframes/i.test(atRule))) continue;
+      const key = `${declaration.atRules.join(' ')}|${declaration.selectors.join(', ')}`;
+      if (!rules.has(key)) rules.set(key, { selectors: declaration.selectors, declarations: new Map(), line: declaration.line });
+      const rule = rules.get(key);
+      rule.declarations.set(declaration.prop.toLowerCase(), resolveVariables(declaration.value, variables));
+      if (declaration.prop.toLowerCase() === 'color') rule.line = declaration.line;
+    }
+
+    for (const rule of rules.values()) {
+      const color = rule.declarations.get('color');
+      const background = rule.declarations.get('background-color') || rule.declarations.get('background');
+      const text = color && parseColor(color);
+      const layer = background && backgroundColors(background);
+      if (!text || !layer || isGradientText(rule.declarations)) continue;
+
+      // opacity fades the text and the element's own background into the backdrop
+      const opacity = parseFloat(rule.declarations.get('opacity'));
+      const fade = entry => (opacity >= 0 && opacity < 1 ? { ...entry, alpha: entry.alpha * opacity } : entry);
+
+      components.push({
+        file: `assets/${file}`,
+        line: rule.line,
+        selector: rule.selectors.join(', '),
+        color,
+        background,
+        text: fade(text),
+        layer: layer.map(fade),
+        large: isLargeText(rule.declarations)
+      });
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Theme components composited over one state's backdrops
+ */
+function checkComponentContrast(components, system, config = DEFAULT_CONTRAST_CONFIG, thresholds = DEFAULT_THRESHOLDS) {
+  const resolveColor = createColorResolver(system);
+  const backdropStops = Object.values(config.backdrops)
+    .map(entries => entries.map(resolveColor))
+    .filter(stops => stops.every(Boolean))
+    .flat();
+
+  return components.map(({ text, layer, ...component }) => {
+    const measure = measureContrast(text, compositeBackgrounds(backdropStops, [layer]));
+    return { ...component, ...measure, status: classify(measure, { large: component.large }, thresholds) };
+  });
+}
+
+function summarize(entries) {
+  const count = status => entries.filter(entry => entry.status === status).length;
+  return { checked: entries.length, failing: count('fail'), apcaWarnings: count('warn'), exempt: count('exempt') };
+}
+
+/**
+ * Contrast of every state's token pairings, and of the theme's components when
+ * `themeRoot` is given
+ */
+async function createContrastReport({
+  states = QUANTUM_STATES,
+  systems = null,
+  themeRoot = null,
+  tokenFiles,
+  config = DEFAULT_CONTRAST_CONFIG,
+  repoRoot = REPO_ROOT
+} = {}) {
+  const thresholds = await loadContrastThresholds(repoRoot);
+  const loaded = systems || (await loadStateSystems(states, { repoRoot }));
+  const components = themeRoot ? await collectComponents(path.resolve(themeRoot), tokenFiles) : [];
+
+  const results = loaded.map(system => {
+    const { pairs, warnings } = checkTokenContrast(system, config, thresholds);
+    const checkedComponents = checkComponentContrast(components, system, config, thresholds);
+    return {
+      state: system.name,
+      file: system.file,
+      pairs,
+      components: checkedComponents,
+      warnings,
+      summary: { pairs: summarize(pairs), components: summarize(checkedComponents) }
+    };
+  });
+
+  const total = key => results.reduce((sum, result) => sum + result.summary.pairs[key] + result.summary.components[key], 0);
+
+  return {
+    timestamp: new Date().toISOString(),
+    themeRoot: themeRoot ? path.resolve(themeRoot) : null,
+    thresholds,
+    states: results,
+    summary: { failing: total('failing'), apcaWarnings: total('apcaWarnings'), exempt: total('exempt') }
+  };
+}
+
+function pairRow(pair) {
+  const icon = { fail: '❌', warn: '⚠️', exempt: '➖', pass: '✅' }[pair.status];
+  return `| ${icon} | \`${pair.text}\` | \`${pair.backdrop}\` | ${pair.surface} | ${pair.ratio} | ${pair.lc} | \`${pair.background}\` |`;
+}
+
+/**
+ * Render the contrast report as Markdown; passing pairs are only counted
+ */
+function renderContrastMarkdown(report) {
+  const { wcag, apca } = report.thresholds;
+  const lines = [
+    '# Contrast Report',
+    '',
+    `Generated: ${report.timestamp}`,
+    `WCAG AA: ${wcag.normal}:1 (large text ${wcag.large}:1). APCA: Lc ${apca.normal} (large text Lc ${apca.large}).`,
+    ...(report.themeRoot ? [`Theme: \`${report.themeRoot}\``] : []),
+    '',
+    '| State | Pairs | Failing | APCA warnings | Components | Failing components |',
+    '| --- | --- | --- | --- | --- | --- |',
+    ...report.states.map(({ state, summary }) =>
+      `| ${state} | ${summary.pairs.checked} | ${summary.pairs.failing} | ${summary.pairs.apcaWarnings} | ${summary.components.checked} | ${summary.components.failing} |`
+    )
+  ];
+
+  for (const result of report.states) {
+    lines.push('', `## ${result.state}`, '');
+    result.warnings.forEach(warning => lines.push(`> ⚠️ ${warning}`, ''));
+
+    const flagged = result.pairs
+      .filter(pair => pair.status === 'fail' || pair.status === 'warn')
+      .sort((a, b) => a.ratio - b.ratio);
+    if (flagged.length === 0) {
+      lines.push('Every token pairing passes.');
+    } else {
+      lines.push(
+        '| | Text | Backdrop | Surface | WCAG | APCA Lc | Rendered background |',
+        '| --- | --- | --- | --- | --- | --- | --- |',
+        ...flagged.map(pairRow)
+      );
+    }
+
+    const failingComponents = result.components.filter(component => component.status === 'fail');
+    if (failingComponents.length > 0) {
+      lines.push('', `### Failing Components (${failingComponents.length})`, '', '| Location | Selector | Color | Background | WCAG | APCA Lc |', '| --- | --- | --- | --- | --- | --- |');
+      for (const component of failingComponents.sort((a, b) => a.ratio - b.ratio)) {
+        lines.push(`| \`${component.file}:${component.line}\` | \`${component.selector.slice(0, 60)}\` | \`${component.color}\` | \`${component.background.slice(0, 60)}\` | ${component.ratio} | ${component.lc} |`);
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write contrast-report.{json,md} to the output directory
+ */
+async function writeContrastReport(report, outputDir) {
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const basePath = path.join(outputDir, 'contrast-report');
+  const written = { json: `${basePath}.json`, md: `${basePath}.md` };
+  await fs.writeFile(written.json, JSON.stringify(report, null, 2));
+  await fs.writeFile(written.md, renderContrastMarkdown(report));
+
+  return written;
+}
+
+module.exports = {
+  DEFAULT_CONTRAST_CONFIG,
+  DEFAULT_THRESHOLDS,
+  apcaContrast,
+  checkComponentContrast,
+  checkTokenContrast,
+  collectComponents,
+  compositeBackgrounds,
+  createContrastReport,
+  loadContrastConfig,
+  loadContrastThresholds,
+  measureContrast,
+  renderContrastMarkdown,
+  wcagContrast,
+  writeContrastReport
+};
@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import { parseColor } from './color.js';
+import {
+  DEFAULT_THRESHOLDS,
+  apcaContrast,
+  checkTokenContrast,
+  compositeBackgrounds,
+  measureContrast,
+  wcagContrast
+} from './contrast.js';
+
+const black = parseColor('#000000');
+const white = parseColor('#ffffff');
+
+describe('wcagContrast', () => {
+  it('gives 21:1 for black on white, either way round', () => {
+    expect(wcagContrast(black, white)).toBeCloseTo(21, 10);
+    expect(wcagContrast(white, black)).toBeCloseTo(21, 10);
+  });
+
+  it('gives 1:1 for identical colors', () => {
+    expect(wcagContrast(parseColor('#6366f1'), parseColor('#6366f1'))).toBe(1);
+  });
+});
+
+describe('apcaContrast', () => {
+  it('gives Lc 106 for black text on white and Lc -108 for white text on black', () => {
+    expect(apcaContrast(black, white)).toBeCloseTo(106.04, 1);
+    expect(apcaContrast(white, black)).toBeCloseTo(-107.88, 1);
+  });
+
+  it('gives 0 for identical colors', () => {
+    expect(apcaContrast(white, white)).toBe(0);
+  });
+});
+
+describe('compositeBackgrounds', () => {
+  it('composites translucent layers over every backdrop stop', () => {
+    const backgrounds = compositeBackgrounds([black, white], [[parseColor('rgba(255, 255, 255, 0.5)')]]);
+
+    expect(backgrounds).toHaveLength(2);
+    expect(backgrounds[0]).toMatchObject({ alpha: 1 });
+    expect(backgrounds[0].r).toBeCloseTo(127.5, 0);
+    expect(backgrounds[1]).toMatchObject({ r: 255, g: 255, b: 255 });
+  });
+
+  it('puts translucent backdrops on the white canvas', () => {
+    const [background] = compositeBackgrounds([parseColor('rgba(0, 0, 0, 0)')]);
+    expect(background).toMatchObject({ r: 255, g: 255, b: 255, alpha: 1 });
+  });
+});
+
+describe('measureContrast', () => {
+  it('reports the worst gradient stop', () => {
+    const measure = measureContrast(white, [black, parseColor('#777777'), white]);
+
+    expect(measure).toMatchObject({ ratio: 1, lc: 0, background: expect.any(String) });
+  });
+});
+
+describe('checkTokenContrast', () => {
+  it('pairs text tokens with every backdrop and surface', () => {
+    const system = {
+      name: 'test',
+      tokens: [
+        { path: 'colors.text.primary', name: 'text-primary', resolved: '#ffffff' },
+        { path: 'colors.text.disabled', name: 'text-disabled', resolved: '#333333' },
+        { path: 'colors.background.default', name: 'background-default', resolved: '#000000' }
+      ]
+    };
+    const config = {
+      text: ['colors.text.*'],
+      large: [],
+      exempt: ['colors.text.disabled'],
+      backdrops: { default: ['{colors.background.default}'], missing: ['{colors.background.nope}'] },
+      surfaces: { opaque: [], glass: ['rgba(255, 255, 255, 0.1)'] }
+    };
+
+    const { pairs, warnings } = checkTokenContrast(system, config, DEFAULT_THRESHOLDS);
+
+    expect(warnings).toEqual(['Backdrop "missing" does not resolve to colors in test']);
+    expect(pairs.map(pair => [pair.text, pair.surface, pair.status])).toEqual([
+      ['colors.text.primary', 'opaque', 'pass'],
+      ['colors.text.primary', 'glass', 'pass'],
+      ['colors.text.disabled', 'opaque', 'exempt'],
+      ['colors.text.disabled', 'glass', 'exempt']
+    ]);
+    expect(pairs[0]).toMatchObject({ ratio: 21, lc: -107.9 });
+  });
+});
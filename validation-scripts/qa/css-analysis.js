@@ -0,0 +1,604 @@
+/**
+ * Glass QA CSS Analysis
+ * Shared CSS parser and stylesheet analysis for the theme auditors
+ *
+ * parseCSS() builds a small AST (root / rule / atrule / decl / comment / liquid
+ * nodes) that understands comments, strings, url()s, nested blocks (@media,
+ * @supports, @layer, @container, CSS nesting), multi-line values and Liquid
+ * `{{ }}` / `{% %}` markup.
+ * Every node carries the 1-based line and column where it starts.
+ *
+ * analyzeStylesheet() flattens that AST into the lists the auditors need:
+ *   declarations  { prop, value, important, selectors, atRules, line, column }
+ *   variables     custom property declarations, same shape plus `name`
+ *   rules         style rules with per-selector specificity
+ *   imports       @import targets
+ *   liquidTags    Liquid tags between statements ({% render %}, {% if %} ...)
+ *
+ * `atRules` is the enclosing at-rule chain, outermost first, e.g.
+ *   ['@media (min-width: 750px)', '@supports (backdrop-filter: blur(1px))']
+ */
+
+const KEYFRAMES_AT_RULES = new Set(['keyframes', '-webkit-keyframes', '-moz-keyframes']);
+
+// Pseudo-classes whose specificity is that of their most specific argument
+const MATCHES_ANY_PSEUDOS = new Set(['is', 'not', 'has', 'matches', '-webkit-any', '-moz-any']);
+
+// CSS2 pseudo-elements that may still be written with a single colon
+const LEGACY_PSEUDO_ELEMENTS = new Set(['before', 'after', 'first-line', 'first-letter']);
+
+function buildLineIndex(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+/**
+ * index -> { line, column } lookup for a source string
+ */
+function createLocator(source) {
+  const lineStarts = buildLineIndex(source);
+  return index => locate(lineStarts, index);
+}
+
+function locate(lineStarts, index) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= index) low = mid;
+    else high = mid - 1;
+  }
+
+  return { line: low + 1, column: index - lineStarts[low] + 1 };
+}
+
+/**
+ * Parse a stylesheet into an AST. Syntax problems are collected in `root.errors`
+ * instead of thrown, so a single broken rule does not hide the rest of the file.
+ */
+function parseCSS(source, { file = null } = {}) {
+  const lineStarts = buildLineIndex(source);
+  const root = { type: 'root', file, nodes: [], errors: [] };
+  const stack = [root];
+
+  let buffer = '';
+  let bufferStart = -1;
+  let depth = 0; // () and [] nesting inside the current prelude or declaration
+
+  const addError = (message, index) => {
+    root.errors.push({ message, ...locate(lineStarts, index) });
+  };
+
+  const append = (text, index) => {
+    if (bufferStart === -1 && text.trim() === '') return;
+    if (bufferStart === -1) bufferStart = index;
+    buffer += text;
+  };
+
+  const reset = () => {
+    buffer = '';
+    bufferStart = -1;
+    depth = 0;
+  };
+
+  const parent = () => stack[stack.length - 1];
+
+  // A buffered statement that ended with ';' or '}'
+  const flushStatement = () => {
+    const text = buffer.trim();
+    if (!text) return reset();
+
+    const loc = locate(lineStarts, bufferStart);
+
+    if (text.startsWith('@')) {
+      const [, name, params] = text.match(/^@([\w-]+)\s*([\s\S]*)$/) || [null, text.slice(1), ''];
+      parent().nodes.push({ type: 'atrule', name: name.toLowerCase(), params: normalizeWhitespace(params), nodes: null, ...loc });
+    } else {
+      const colon = indexOutsideLiquid(text, ':');
+      if (colon === -1) {
+        addError(`Unknown word "${text.slice(0, 40)}"`, bufferStart);
+      } else {
+        let value = normalizeWhitespace(text.slice(colon + 1));
+        const important = /!\s*important$/i.test(value);
+        if (important) {
+          value = value.replace(/\s*!\s*important$/i, '');
+        }
+
+        parent().nodes.push({
+          type: 'decl',
+          prop: text.slice(0, colon).trim(),
+          value,
+          important,
+          ...loc
+        });
+      }
+    }
+
+    reset();
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+
+    // Comments
+    if (char === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      if (end === -1) addError('Unclosed comment', i);
+
+      if (bufferStart === -1) {
+        parent().nodes.push({ type: 'comment', text: source.slice(i + 2, end === -1 ? stop : end).trim(), ...locate(lineStarts, i) });
+      } else {
+        buffer += ' ';
+      }
+      i = stop;
+      continue;
+    }
+
+    // Strings are copied verbatim
+    if (char === '"' || char === '\'') {
+      let j = i + 1;
+      while (j < source.length && source[j] !== char && source[j] !== '\n') {
+        j += source[j] === '\\' ? 2 : 1;
+      }
+      if (source[j] !== char) addError('Unclosed string', i);
+      append(source.slice(i, j + 1), i);
+      i = j + 1;
+      continue;
+    }
+
+    if (char === '\\') {
+      append(source.slice(i, i + 2), i);
+      i += 2;
+      continue;
+    }
+
+    // Liquid output and tags in .css.liquid assets and style blocks are opaque text.
+    // A tag that starts a statement ({% if %}, {% render %}) becomes its own node;
+    // Liquid comments are skipped like CSS comments.
+    if (char === '{' && (source[i + 1] === '{' || source[i + 1] === '%')) {
+      const closer = source[i + 1] === '{' ? '}}' : '%}';
+      const end = source.indexOf(closer, i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+
+      const tag = source.slice(i, stop);
+      const comment = source[i + 1] === '%' && tag.match(/^\{%-?\s*(comment\b|#)/);
+
+      if (comment && comment[1] === 'comment') {
+        const closing = /\{%-?\s*endcomment\s*-?%\}/g;
+        closing.lastIndex = stop;
+        const match = closing.exec(source);
+        i = match ? match.index + match[0].length : source.length;
+        if (bufferStart !== -1) buffer += ' ';
+        continue;
+      }
+
+      if (comment) {
+        if (bufferStart !== -1) buffer += ' ';
+      } else if (source[i + 1] === '%' && bufferStart === -1) {
+        parent().nodes.push({ type: 'liquid', value: tag, ...locate(lineStarts, i) });
+      } else {
+        append(tag, i);
+      }
+      i = stop;
+      continue;
+    }
+
+    if (char === '(' || char === '[') {
+      depth++;
+    } else if ((char === ')' || char === ']') && depth > 0) {
+      depth--;
+    }
+
+    if (depth === 0 && char === '{') {
+      const prelude = buffer.trim();
+      const loc = bufferStart === -1 ? locate(lineStarts, i) : locate(lineStarts, bufferStart);
+      let node;
+
+      if (prelude.startsWith('@')) {
+        const [, name, params] = prelude.match(/^@([\w-]+)\s*([\s\S]*)$/) || [null, prelude.slice(1), ''];
+        node = { type: 'atrule', name: name.toLowerCase(), params: normalizeWhitespace(params), nodes: [], ...loc };
+      } else {
+        if (!prelude) addError('Rule without a selector', i);
+        node = { type: 'rule', selector: normalizeWhitespace(prelude), nodes: [], ...loc };
+      }
+
+      parent().nodes.push(node);
+      stack.push(node);
+      reset();
+      i++;
+      continue;
+    }
+
+    if (depth === 0 && char === ';') {
+      flushStatement();
+      i++;
+      continue;
+    }
+
+    if (depth === 0 && char === '}') {
+      flushStatement();
+      if (stack.length === 1) {
+        addError('Unexpected }', i);
+      } else {
+        const node = stack.pop();
+        const end = locate(lineStarts, i);
+        node.endLine = end.line;
+        node.endColumn = end.column;
+      }
+      i++;
+      continue;
+    }
+
+    append(char, i);
+    i++;
+  }
+
+  flushStatement();
+  for (let k = stack.length - 1; k > 0; k--) {
+    addError(`Unclosed block "${describeNode(stack[k])}"`, lineStarts[stack[k].line - 1] + stack[k].column - 1);
+  }
+
+  return root;
+}
+
+/**
+ * First index of `char` that is not inside a Liquid {{ }} or {% %} span
+ */
+function indexOutsideLiquid(text, char) {
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '{' && (text[i + 1] === '{' || text[i + 1] === '%')) {
+      const end = text.indexOf(text[i + 1] === '{' ? '}}' : '%}', i + 2);
+      if (end === -1) return -1;
+      i = end + 1;
+    } else if (text[i] === char) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function describeNode(node) {
+  return node.type === 'atrule' ? `@${node.name} ${node.params}`.trim() : node.selector;
+}
+
+/**
+ * Split a selector list on top-level commas (not inside :is(), [attr="a,b"] etc.)
+ */
+function splitSelectorList(selector) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+
+    if (quote) {
+      if (char === '\\') {
+        current += char + (selector[++i] || '');
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Resolve a nested selector list against its parent rule's selectors
+ */
+function resolveNestedSelectors(parentSelectors, selector) {
+  const children = splitSelectorList(selector);
+  if (parentSelectors.length === 0) return children;
+
+  const resolved = [];
+  for (const parentSelector of parentSelectors) {
+    for (const child of children) {
+      resolved.push(child.includes('&') ? child.replace(/&/g, parentSelector) : `${parentSelector} ${child}`);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Index of the parenthesis that closes the one opened at `start`
+ */
+function findClosingParen(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '(') {
+      depth++;
+    } else if (text[i] === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return text.length;
+}
+
+function readIdent(text, start) {
+  let i = start;
+  while (i < text.length) {
+    if (text[i] === '\\') {
+      i += 2;
+    } else if (/[\w-]/.test(text[i]) || text.charCodeAt(i) > 127) {
+      i++;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+function maxSpecificity(selectors) {
+  return selectors
+    .map(selector => calculateSpecificity(selector))
+    .reduce((max, current) => (compareSpecificity(current, max) > 0 ? current : max), [0, 0, 0]);
+}
+
+/**
+ * Selectors Level 4 specificity of one complex selector, as [ids, classes, types].
+ * For a selector list, the most specific member wins.
+ */
+function calculateSpecificity(selector) {
+  const list = splitSelectorList(selector);
+  if (list.length > 1) return maxSpecificity(list);
+
+  const text = list[0] || '';
+  const result = [0, 0, 0];
+  const add = ([a, b, c]) => {
+    result[0] += a;
+    result[1] += b;
+    result[2] += c;
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '#') {
+      result[0]++;
+      i = readIdent(text, i + 1);
+    } else if (char === '.') {
+      result[1]++;
+      i = readIdent(text, i + 1);
+    } else if (char === '[') {
+      result[1]++;
+      let j = i + 1;
+      let quote = null;
+      while (j < text.length && (quote || text[j] !== ']')) {
+        if (quote && text[j] === '\\') j++;
+        else if (quote && text[j] === quote) quote = null;
+        else if (!quote && (text[j] === '"' || text[j] === '\'')) quote = text[j];
+        j++;
+      }
+      i = j + 1;
+    } else if (char === ':') {
+      const isElement = text[i + 1] === ':';
+      const nameStart = i + (isElement ? 2 : 1);
+      const nameEnd = readIdent(text, nameStart);
+      const name = text.slice(nameStart, nameEnd).toLowerCase();
+      let args = null;
+      i = nameEnd;
+
+      if (text[i] === '(') {
+        const close = findClosingParen(text, i);
+        args = text.slice(i + 1, close);
+        i = close + 1;
+      }
+
+      if (isElement || LEGACY_PSEUDO_ELEMENTS.has(name)) {
+        result[2]++;
+        if (args && name === 'slotted') add(maxSpecificity(splitSelectorList(args)));
+      } else if (name === 'where') {
+        // :where() always contributes zero
+      } else if (MATCHES_ANY_PSEUDOS.has(name)) {
+        if (args) add(maxSpecificity(splitSelectorList(args)));
+      } else if ((name === 'nth-child' || name === 'nth-last-child') && args && /\sof\s/i.test(args)) {
+        result[1]++;
+        add(maxSpecificity(splitSelectorList(args.split(/\sof\s/i).slice(1).join(' of '))));
+      } else {
+        result[1]++;
+        if (args && (name === 'host' || name === 'host-context')) {
+          add(maxSpecificity(splitSelectorList(args)));
+        }
+      }
+    } else if (/[a-zA-Z_-]/.test(char) || text.charCodeAt(i) > 127 || char === '\\') {
+      const end = readIdent(text, i);
+      // `ns|type` - the namespace prefix itself does not count
+      if (text[end] !== '|') result[2]++;
+      i = end;
+    } else {
+      // Combinators, whitespace, `*`, `&` and `|`
+      i++;
+    }
+  }
+
+  return result;
+}
+
+function compareSpecificity(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Collapse [a, b, c] into the single weighted number the older reports used
+ */
+function specificityToNumber([a, b, c]) {
+  return (a * 100) + (b * 10) + c;
+}
+
+/**
+ * Visit every node with its resolved selectors and at-rule chain
+ */
+function walk(root, visitor) {
+  const visit = (nodes, context) => {
+    for (const node of nodes) {
+      visitor(node, context);
+
+      if (!node.nodes) continue;
+
+      if (node.type === 'rule') {
+        visit(node.nodes, {
+          ...context,
+          selectors: context.inKeyframes ? [node.selector] : resolveNestedSelectors(context.selectors, node.selector)
+        });
+      } else if (node.type === 'atrule') {
+        visit(node.nodes, {
+          ...context,
+          atRules: [...context.atRules, `@${node.name}${node.params ? ` ${node.params}` : ''}`],
+          inKeyframes: context.inKeyframes || KEYFRAMES_AT_RULES.has(node.name)
+        });
+      }
+    }
+  };
+
+  visit(root.nodes, { selectors: [], atRules: [], inKeyframes: false });
+}
+
+/**
+ * `var(--name, fallback)` references in a value, including nested fallbacks
+ */
+function extractVarReferences(value) {
+  const references = [];
+  const regex = /var\(\s*(--[\w-]+)\s*/g;
+  let match;
+
+  while ((match = regex.exec(value)) !== null) {
+    const open = match.index + 3;
+    const close = findClosingParen(value, open);
+    const inner = value.slice(match.index + match[0].length, close);
+    const fallback = inner.startsWith(',') ? inner.slice(1).trim() : null;
+
+    references.push({ name: match[1], fallback: fallback || null });
+  }
+
+  return references;
+}
+
+/**
+ * True when a value contains a color below full opacity:
+ * rgba()/hsla() with an alpha argument, `rgb(r g b / a)` or #rrggbbaa / #rgba hex
+ */
+function hasTranslucentColor(value) {
+  const functionRegex = /(?:rgba?|hsla?)\(([^)]*)\)/gi;
+  let match;
+
+  while ((match = functionRegex.exec(value)) !== null) {
+    const args = match[1];
+    const alphaText = args.includes('/')
+      ? args.split('/')[1]
+      : args.split(',')[3];
+    if (alphaText === undefined || alphaText.includes('var(')) continue;
+
+    const alpha = alphaText.trim().endsWith('%') ? parseFloat(alphaText) / 100 : parseFloat(alphaText);
+    if (!Number.isNaN(alpha) && alpha < 1) return true;
+  }
+
+  const hexRegex = /#([0-9a-f]{8}|[0-9a-f]{4})(?![0-9a-f])/gi;
+  while ((match = hexRegex.exec(value)) !== null) {
+    const alpha = match[1].length === 8 ? match[1].slice(6) : match[1][3].repeat(2);
+    if (alpha.toLowerCase() !== 'ff') return true;
+  }
+
+  return false;
+}
+
+function parseImport(params) {
+  const match = params.match(/^(?:url\(\s*)?(['"]?)([^'")\s]+)\1\s*\)?\s*([\s\S]*)$/);
+  if (!match) return { url: params, conditions: '' };
+  return { url: match[2], conditions: match[3].trim() };
+}
+
+/**
+ * Parse a stylesheet and flatten it into declarations, variables, rules and imports
+ */
+function analyzeStylesheet(source, { file = null } = {}) {
+  const ast = parseCSS(source, { file });
+  const declarations = [];
+  const rules = [];
+  const imports = [];
+  const liquidTags = [];
+
+  walk(ast, (node, context) => {
+    if (node.type === 'decl') {
+      declarations.push({
+        prop: node.prop,
+        value: node.value,
+        important: node.important,
+        selectors: context.inKeyframes ? [] : context.selectors,
+        atRules: context.atRules,
+        line: node.line,
+        column: node.column
+      });
+    } else if (node.type === 'rule' && !context.inKeyframes) {
+      const selectors = resolveNestedSelectors(context.selectors, node.selector);
+      rules.push({
+        selector: node.selector,
+        selectors: selectors.map(selector => ({ selector, specificity: calculateSpecificity(selector) })),
+        atRules: context.atRules,
+        line: node.line,
+        column: node.column
+      });
+    } else if (node.type === 'atrule' && node.name === 'import') {
+      imports.push({ ...parseImport(node.params), line: node.line, column: node.column });
+    } else if (node.type === 'liquid') {
+      liquidTags.push({
+        value: node.value,
+        selectors: context.selectors,
+        atRules: context.atRules,
+        line: node.line,
+        column: node.column
+      });
+    }
+  });
+
+  const variables = declarations
+    .filter(declaration => declaration.prop.startsWith('--'))
+    .map(declaration => ({ name: declaration.prop, ...declaration }));
+
+  return { ast, errors: ast.errors, declarations, variables, rules, imports, liquidTags };
+}
+
+module.exports = {
+  analyzeStylesheet,
+  calculateSpecificity,
+  compareSpecificity,
+  createLocator,
+  extractVarReferences,
+  findClosingParen,
+  hasTranslucentColor,
+  parseCSS,
+  specificityToNumber,
+  splitSelectorList,
+  walk
+};
@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import {
+  analyzeStylesheet,
+  calculateSpecificity,
+  extractVarReferences,
+  hasTranslucentColor,
+  parseCSS,
+  splitSelectorList
+} from './css-analysis.js';
+
+describe('parseCSS', () => {
+  it('records the line and column of each node', () => {
+    const root = parseCSS('/* note */\n.card {\n  color: red;\n}\n');
+    const rule = root.nodes.find(node => node.type === 'rule');
+
+    expect(rule).toMatchObject({ selector: '.card', line: 2, column: 1 });
+    expect(rule.nodes[0]).toMatchObject({ type: 'decl', prop: 'color', value: 'red', line: 3, column: 3 });
+  });
+
+  it('keeps braces and semicolons inside strings and url()s', () => {
+    const { declarations } = analyzeStylesheet('.a { content: "{;}"; background: url(data:image/png;base64,AA==); }');
+    expect(declarations.map(d => d.value)).toEqual(['"{;}"', 'url(data:image/png;base64,AA==)']);
+  });
+
+  it('collects syntax errors instead of throwing', () => {
+    const root = parseCSS('.a { color: red;\n.b { color: blue; }');
+    expect(root.errors.length).toBeGreaterThan(0);
+  });
+});
+
+describe('analyzeStylesheet', () => {
+  it('flattens nested rules with their at-rule chain', () => {
+    const { declarations } = analyzeStylesheet(`
+      @media (min-width: 750px) {
+        .card {
+          &:hover { opacity: 0.8; }
+        }
+      }
+    `);
+
+    expect(declarations).toHaveLength(1);
+    expect(declarations[0]).toMatchObject({
+      prop: 'opacity',
+      selectors: ['.card:hover'],
+      atRules: ['@media (min-width: 750px)']
+    });
+  });
+
+  it('lists custom properties, imports and !important', () => {
+    const result = analyzeStylesheet('@import url("base.css") screen;\n:root { --glass-blur: 12px !important; }');
+
+    expect(result.imports).toEqual([expect.objectContaining({ url: 'base.css', conditions: 'screen' })]);
+    expect(result.variables).toEqual([
+      expect.objectContaining({ name: '--glass-blur', value: '12px', important: true })
+    ]);
+  });
+
+  it('does not give keyframe steps selectors', () => {
+    const { declarations, rules } = analyzeStylesheet('@keyframes fade { from { opacity: 0; } }');
+    expect(declarations[0].selectors).toEqual([]);
+    expect(rules).toEqual([]);
+  });
+});
+
+describe('calculateSpecificity', () => {
+  it.each([
+    ['*', [0, 0, 0]],
+    ['li', [0, 0, 1]],
+    ['.card .title', [0, 2, 0]],
+    ['#main > a:hover::before', [1, 1, 2]],
+    [':is(#a, .b) p', [1, 0, 1]],
+    [':where(#a) p', [0, 0, 1]]
+  ])('%s', (selector, expected) => {
+    expect(calculateSpecificity(selector)).toEqual(expected);
+  });
+});
+
+describe('splitSelectorList', () => {
+  it('splits on top-level commas only', () => {
+    expect(splitSelectorList('.a, :is(.b, .c), [data-x="1,2"]')).toEqual(['.a', ':is(.b, .c)', '[data-x="1,2"]']);
+  });
+});
+
+describe('extractVarReferences', () => {
+  it('finds nested fallbacks', () => {
+    expect(extractVarReferences('var(--a, var(--b, 4px))')).toEqual([
+      { name: '--a', fallback: 'var(--b, 4px)' },
+      { name: '--b', fallback: '4px' }
+    ]);
+  });
+});
+
+describe('hasTranslucentColor', () => {
+  it.each([
+    ['rgba(255, 255, 255, 0.2)', true],
+    ['rgb(0 0 0 / 40%)', true],
+    ['#ffffff80', true],
+    ['#fff', false],
+    ['rgba(0, 0, 0, 1)', false],
+    ['rgba(0, 0, 0, var(--alpha))', false]
+  ])('%s', (value, expected) => {
+    expect(hasTranslucentColor(value)).toBe(expected);
+  });
+});
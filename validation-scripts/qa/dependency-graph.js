@@ -0,0 +1,430 @@
+/**
+ * Glass QA Dependency Graph
+ * Renders ShopifyDependencyAnalyzer's dependency map as a self-contained HTML page
+ *
+ * The page embeds the graph data and needs no network access or build step.
+ * Files are laid out in one column per type (layout, template, section, block,
+ * snippet, asset). It can be filtered by type, searched, and selecting a file
+ * highlights everything that reaches it and everything it reaches - for an
+ * asset, that is every template that (transitively) loads it. Files flagged by
+ * generateCleanupPlan(), and files only referenced from unreachable files, are
+ * listed in the sidebar.
+ *
+ * writeDependencyGraphJSON() saves the same map in the shape the standalone
+ * dependency-visualizer.html loads through "Load Analysis Data".
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const NODE_TYPES = ['layout', 'template', 'section', 'block', 'snippet', 'asset'];
+
+const TYPE_COLORS = {
+  layout: '#0f766e',
+  template: '#7c3aed',
+  section: '#2563eb',
+  block: '#0891b2',
+  snippet: '#ca8a04',
+  asset: '#db2777',
+  unknown: '#6b7280'
+};
+
+// Type names dependency-visualizer.html filters and colors by
+const VISUALIZER_TYPES = {
+  layout: 'layout',
+  template: 'templates',
+  section: 'sections',
+  block: 'blocks',
+  snippet: 'snippets',
+  asset: 'assets'
+};
+
+/**
+ * Serialize data for a <script> element without letting file names close it
+ */
+function embedJSON(data) {
+  return JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), sizes.length - 1);
+  return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(2))} ${sizes[i]}`;
+}
+
+/**
+ * Browser-side viewer. Serialized with Function#toString, so it must not use
+ * anything from this module's scope.
+ */
+function viewer(data) {
+  const ROW = 18;
+  const COLUMN = 260;
+  const TOP = 40;
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  const nodes = new Map(data.nodes.map(node => [node.id, node]));
+  const outgoing = new Map(data.nodes.map(node => [node.id, []]));
+  const incoming = new Map(data.nodes.map(node => [node.id, []]));
+  data.edges.forEach(edge => {
+    if (nodes.has(edge.from) && nodes.has(edge.to)) {
+      outgoing.get(edge.from).push(edge);
+      incoming.get(edge.to).push(edge);
+    }
+  });
+
+  const state = { hiddenTypes: new Set(), query: '', onlyUnused: false, selected: null };
+  const svg = document.getElementById('graph');
+  const details = document.getElementById('details');
+
+  function closure(start, edgesOf, key) {
+    const seen = new Set();
+    const queue = [start];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      for (const edge of edgesOf.get(id) || []) {
+        const next = edge[key];
+        if (!seen.has(next) && next !== start) {
+          seen.add(next);
+          queue.push(next);
+        }
+      }
+    }
+    return seen;
+  }
+
+  function element(name, attributes, parent) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => el.setAttribute(key, value));
+    parent.appendChild(el);
+    return el;
+  }
+
+  function escape(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+  }
+
+  function listItems(ids) {
+    if (ids.length === 0) return '<li class="muted">none</li>';
+    return ids.sort().map(id => `<li><a href="#" data-id="${escape(id)}">${escape(id)}</a></li>`).join('');
+  }
+
+  function formatBytes(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  function select(id) {
+    state.selected = id;
+    render();
+  }
+
+  function renderDetails(ancestors, descendants) {
+    if (!state.selected) {
+      details.innerHTML = '<p class="muted">Select a file to see what reaches it and what it uses.</p>';
+      return;
+    }
+    const node = nodes.get(state.selected);
+    const entryPoints = [...ancestors].filter(id => ['template', 'layout'].includes(nodes.get(id).type));
+    const flags = [
+      node.safeToDelete ? '<span class="flag flag-delete">safe to delete</span>' : '',
+      node.unused ? '<span class="flag">unused</span>' : '',
+      !node.reachable && !node.unused ? '<span class="flag">unreachable</span>' : '',
+      node.critical ? '<span class="flag flag-critical">critical</span>' : ''
+    ].join('');
+
+    details.innerHTML = `
+      <h3>${escape(node.label)}</h3>
+      <p><code>${escape(node.id)}</code></p>
+      <p>${node.type} · ${formatBytes(node.size)} · referenced ${node.usageCount}×</p>
+      <p>${flags}</p>
+      <h4>Reached from templates &amp; layouts (${entryPoints.length})</h4>
+      <ul>${listItems(entryPoints)}</ul>
+      <h4>Used by (${incoming.get(node.id).length})</h4>
+      <ul>${listItems(incoming.get(node.id).map(edge => edge.from))}</ul>
+      <h4>Uses (${outgoing.get(node.id).length})</h4>
+      <ul>${listItems(outgoing.get(node.id).map(edge => edge.to))}</ul>
+      <p class="muted">${ancestors.size} file(s) reach it, it reaches ${descendants.size}.</p>`;
+  }
+
+  function render() {
+    const ancestors = state.selected ? closure(state.selected, incoming, 'from') : new Set();
+    const descendants = state.selected ? closure(state.selected, outgoing, 'to') : new Set();
+    const related = id => id === state.selected || ancestors.has(id) || descendants.has(id);
+    const query = state.query.toLowerCase();
+
+    const visible = data.nodes.filter(node =>
+      !state.hiddenTypes.has(node.type) &&
+      (!state.onlyUnused || node.unused || !node.reachable || node.id === state.selected) &&
+      (!query || node.id.toLowerCase().includes(query) || (state.selected && related(node.id)))
+    );
+
+    const positions = new Map();
+    const columns = data.types.filter(type => !state.hiddenTypes.has(type));
+    let height = 0;
+    columns.forEach((type, column) => {
+      const inColumn = visible.filter(node => node.type === type).sort((a, b) => a.label.localeCompare(b.label));
+      inColumn.forEach((node, row) => positions.set(node.id, { x: column * COLUMN + 12, y: TOP + row * ROW }));
+      height = Math.max(height, TOP + inColumn.length * ROW + 20);
+    });
+
+    svg.innerHTML = '';
+    svg.setAttribute('width', Math.max(columns.length * COLUMN, 600));
+    svg.setAttribute('height', height);
+
+    columns.forEach((type, column) => {
+      const label = element('text', { x: column * COLUMN + 12, y: 20, class: 'column-label' }, svg);
+      label.textContent = `${type}s`;
+    });
+
+    const edgeLayer = element('g', {}, svg);
+    for (const edge of data.edges) {
+      const from = positions.get(edge.from);
+      const to = positions.get(edge.to);
+      if (!from || !to) continue;
+
+      let className = 'edge';
+      if (state.selected) {
+        const upstream = (ancestors.has(edge.from) || edge.from === state.selected) && (ancestors.has(edge.to) || edge.to === state.selected);
+        const downstream = (descendants.has(edge.from) || edge.from === state.selected) && descendants.has(edge.to);
+        if (!upstream && !downstream) continue;
+        className += upstream ? ' edge-upstream' : ' edge-downstream';
+      }
+
+      const midX = (from.x + to.x) / 2 + (from.x === to.x ? 60 : 0);
+      element('path', {
+        d: `M${from.x + 5},${from.y} C${midX},${from.y} ${midX},${to.y} ${to.x - 5},${to.y}`,
+        class: className
+      }, edgeLayer);
+    }
+
+    const nodeLayer = element('g', {}, svg);
+    for (const node of visible) {
+      const { x, y } = positions.get(node.id);
+      let className = 'node';
+      if (state.selected) {
+        className += node.id === state.selected ? ' node-selected'
+          : ancestors.has(node.id) ? ' node-upstream'
+            : descendants.has(node.id) ? ' node-downstream' : ' node-dimmed';
+      }
+      if (query && node.id.toLowerCase().includes(query)) className += ' node-match';
+
+      const group = element('g', { class: className, transform: `translate(${x},${y})` }, nodeLayer);
+      element('circle', {
+        r: 5,
+        fill: node.unused ? '#ffffff' : data.colors[node.type],
+        stroke: data.colors[node.type],
+        'stroke-width': node.safeToDelete ? 3 : 1.5,
+        'stroke-dasharray': node.unused || !node.reachable ? '2,2' : ''
+      }, group);
+      const text = element('text', { x: 10, y: 4 }, group);
+      text.textContent = node.label;
+      const title = element('title', {}, group);
+      title.textContent = node.id;
+      group.addEventListener('click', () => select(node.id === state.selected ? null : node.id));
+    }
+
+    renderDetails(ancestors, descendants);
+    document.getElementById('visible-count').textContent = `${visible.length} of ${data.nodes.length} files shown`;
+  }
+
+  // Controls
+  const typeFilters = document.getElementById('type-filters');
+  data.types.forEach(type => {
+    const count = data.nodes.filter(node => node.type === type).length;
+    const label = document.createElement('label');
+    label.innerHTML = `<input type="checkbox" checked> <span class="swatch" style="background:${data.colors[type]}"></span>${type} (${count})`;
+    label.querySelector('input').addEventListener('change', event => {
+      if (event.target.checked) state.hiddenTypes.delete(type); else state.hiddenTypes.add(type);
+      render();
+    });
+    typeFilters.appendChild(label);
+  });
+
+  const search = document.getElementById('search');
+  search.addEventListener('input', () => {
+    state.query = search.value.trim();
+    render();
+  });
+  search.addEventListener('keydown', event => {
+    if (event.key !== 'Enter') return;
+    const match = data.nodes.find(node => node.id.toLowerCase().includes(state.query.toLowerCase()));
+    if (match) select(match.id);
+  });
+
+  document.getElementById('only-unused').addEventListener('change', event => {
+    state.onlyUnused = event.target.checked;
+    render();
+  });
+
+  document.addEventListener('click', event => {
+    const link = event.target.closest('a[data-id]');
+    if (!link) return;
+    event.preventDefault();
+    select(link.dataset.id);
+  });
+
+  const unreachable = data.nodes
+    .filter(node => !node.unused && !node.reachable && !['template', 'layout'].includes(node.type))
+    .map(node => node.id);
+  document.getElementById('cleanup').innerHTML = `
+    <h4>Safe to delete (${data.safeToDelete.length})</h4>
+    <ul>${listItems(data.safeToDelete.map(item => item.file))}</ul>
+    <h4>Only referenced by unreachable files (${unreachable.length})</h4>
+    <ul>${listItems(unreachable)}</ul>`;
+
+  render();
+}
+
+/**
+ * Build the HTML page for a ShopifyDependencyAnalyzer report
+ */
+function renderDependencyGraphHTML(report, { title = 'Theme Dependency Graph' } = {}) {
+  const map = report.dependencyMap || { nodes: [], edges: [] };
+  const types = NODE_TYPES.filter(type => map.nodes.some(node => node.type === type));
+  if (map.nodes.some(node => !NODE_TYPES.includes(node.type))) {
+    types.push('unknown');
+  }
+
+  const data = {
+    nodes: map.nodes,
+    edges: map.edges,
+    types,
+    colors: TYPE_COLORS,
+    safeToDelete: report.safesToDelete || []
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(title)}</title>
+<style>
+  body { margin: 0; font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; color: #1f2937; display: flex; height: 100vh; }
+  aside { width: 340px; flex: none; overflow-y: auto; padding: 16px; border-right: 1px solid #e5e7eb; background: #f9fafb; box-sizing: border-box; }
+  main { flex: 1; overflow: auto; }
+  h1 { font-size: 16px; margin: 0 0 4px; }
+  h3 { margin: 0 0 4px; font-size: 15px; }
+  h4 { margin: 14px 0 4px; font-size: 12px; text-transform: uppercase; color: #6b7280; }
+  ul { margin: 0; padding-left: 18px; }
+  li { margin: 2px 0; word-break: break-all; }
+  a { color: #2563eb; text-decoration: none; }
+  input[type="search"] { width: 100%; box-sizing: border-box; padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 6px; }
+  label { display: block; margin: 3px 0; cursor: pointer; }
+  .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 6px; vertical-align: middle; }
+  .muted { color: #6b7280; }
+  .flag { display: inline-block; padding: 1px 6px; margin-right: 4px; border-radius: 4px; background: #e5e7eb; font-size: 11px; }
+  .flag-delete { background: #fee2e2; color: #991b1b; }
+  .flag-critical { background: #fef3c7; color: #92400e; }
+  section { margin-bottom: 12px; }
+  .column-label { font-weight: 600; fill: #374151; text-transform: capitalize; }
+  .node { cursor: pointer; }
+  .node text { fill: #1f2937; font-size: 11px; }
+  .node-dimmed { opacity: 0.2; }
+  .node-selected text { font-weight: 700; }
+  .node-upstream text { fill: #c2410c; }
+  .node-downstream text { fill: #1d4ed8; }
+  .node-match text { text-decoration: underline; }
+  .edge { fill: none; stroke: #9ca3af; stroke-opacity: 0.12; }
+  .edge-upstream { stroke: #ea580c; stroke-opacity: 0.7; }
+  .edge-downstream { stroke: #2563eb; stroke-opacity: 0.7; }
+</style>
+</head>
+<body>
+<aside>
+  <section>
+    <h1>${escapeHTML(title)}</h1>
+    <div class="muted">${map.nodes.length} files · ${map.edges.length} references · generated ${escapeHTML(report.timestamp || '')}</div>
+  </section>
+  <section>
+    <input type="search" id="search" placeholder="Search files (Enter selects first match)">
+  </section>
+  <section>
+    <h4>Types</h4>
+    <div id="type-filters"></div>
+    <label><input type="checkbox" id="only-unused"> Only unused or unreachable files</label>
+    <div class="muted" id="visible-count"></div>
+  </section>
+  <section>
+    <h4>Legend</h4>
+    <div class="muted">Hollow: unused · dashed: not reachable from a template · thick ring: safe to delete.
+    With a file selected, <span style="color:#c2410c">orange</span> files reach it and <span style="color:#1d4ed8">blue</span> files are reached from it.
+    A file reached from <code>layout/theme.liquid</code> is loaded by every template using that layout.</div>
+  </section>
+  <section id="details"></section>
+  <section id="cleanup"></section>
+</aside>
+<main><svg id="graph" xmlns="http://www.w3.org/2000/svg"></svg></main>
+<script>
+(${viewer.toString()})(${embedJSON(data)});
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * The dependency map as dependency-visualizer.html expects it: d3 links with
+ * `source` / `target`, directory-style types and the summary stats
+ */
+function buildVisualizerData(report) {
+  const map = report.dependencyMap || { nodes: [], edges: [] };
+  const nodes = map.nodes.map(node => ({ ...node, type: VISUALIZER_TYPES[node.type] || 'unknown' }));
+  const ids = new Set(nodes.map(node => node.id));
+  const sizeOf = list => list.reduce((sum, node) => sum + (node.size || 0), 0);
+  const totalSize = sizeOf(nodes);
+  const unusedSize = sizeOf(nodes.filter(node => node.safeToDelete));
+
+  return {
+    nodes,
+    // d3.forceLink throws on links to missing nodes, e.g. assets referenced but not in the theme
+    edges: map.edges
+      .filter(edge => ids.has(edge.from) && ids.has(edge.to))
+      .map(edge => ({ ...edge, source: edge.from, target: edge.to })),
+    stats: {
+      totalFiles: nodes.length,
+      usedFiles: nodes.filter(node => !node.unused).length,
+      unusedFiles: nodes.filter(node => node.unused).length,
+      criticalFiles: nodes.filter(node => node.critical).length,
+      totalSize: formatBytes(totalSize),
+      unusedSize: formatBytes(unusedSize),
+      bloatPercentage: totalSize > 0 ? ((unusedSize / totalSize) * 100).toFixed(1) : 0
+    }
+  };
+}
+
+/**
+ * Write the dependency map for dependency-visualizer.html to `outputPath`
+ */
+async function writeDependencyGraphJSON(report, outputPath) {
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify(buildVisualizerData(report), null, 2));
+  return outputPath;
+}
+
+/**
+ * Write the dependency graph page to `outputPath`
+ */
+async function writeDependencyGraphHTML(report, outputPath, options = {}) {
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, renderDependencyGraphHTML(report, options));
+  return outputPath;
+}
+
+module.exports = {
+  buildVisualizerData,
+  renderDependencyGraphHTML,
+  writeDependencyGraphHTML,
+  writeDependencyGraphJSON
+};
@@ -0,0 +1,494 @@
+/**
+ * Glass QA Design Sync
+ * Offline round-trip between the quantum state token files and the JSON that
+ * design tools export, so Figma and the theme stay in lockstep without a live API
+ *
+ * Supported exports, detected automatically:
+ *   figma          - Figma Variables as returned by GET /v1/files/:key/variables/local
+ *                    (or saved by a variables export plugin):
+ *                    { meta: { variableCollections, variables } }
+ *   tokens-studio  - a Tokens Studio single-file export: one token set per
+ *                    top-level key, plus $themes and $metadata. Tokens may use
+ *                    the W3C format ($value, $type) or the legacy one (value, type).
+ *
+ * Figma modes and Tokens Studio themes map to the quantum states by name, so a
+ * mode called "Heritage" or "Heritage Dark" is heritage; explicit mappings
+ * ({ Light: 'heritage' }) win. A Figma collection with a single mode that names
+ * no state, such as a primitives collection, applies to every state.
+ *
+ * Variable names are token paths with / separators (colors/primary/main). The
+ * <state>Material groups are one material/... group in Figma, the same way they
+ * share one set of custom properties.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { QUANTUM_STATES, TOKEN_SOURCES, createTokenSystem, loadStateSystems } = require('./design-tokens');
+const { diffTokenSystems } = require('./token-diff');
+const { dtcgType, fromDTCGValue, normalizeTokenSource, toDTCG, toDTCGValue } = require('./token-formats');
+const { parseColor } = require('./color');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+const EXPORT_FORMATS = ['figma', 'tokens-studio'];
+
+const DEFAULT_STATE = 'quantum';
+
+// Figma name of the <state>Material groups
+const SHARED_MATERIAL_GROUP = 'material';
+
+const COLLECTION_ID = 'VariableCollectionId:quantum-states';
+
+// FLOAT variables scoped to these are lengths; new ones are written with px
+const PX_SCOPES = new Set([
+  'CORNER_RADIUS',
+  'WIDTH_HEIGHT',
+  'GAP',
+  'FONT_SIZE',
+  'LETTER_SPACING',
+  'PARAGRAPH_SPACING',
+  'PARAGRAPH_INDENT',
+  'STROKE_FLOAT',
+  'EFFECT_FLOAT'
+]);
+
+// Legacy Tokens Studio types that have a W3C equivalent
+const LEGACY_TYPES = {
+  boxShadow: 'shadow',
+  fontFamilies: 'fontFamily',
+  fontWeights: 'fontWeight',
+  fontSizes: 'dimension',
+  lineHeights: 'number',
+  letterSpacing: 'dimension',
+  spacing: 'dimension',
+  sizing: 'dimension',
+  borderRadius: 'dimension',
+  borderWidth: 'dimension',
+  opacity: 'number'
+};
+
+// Token sets a Tokens Studio theme reads; source sets only feed aliases there,
+// but the aliases have to resolve inside the state file here
+const ACTIVE_SET_STATUSES = new Set(['enabled', 'source']);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function listOf(collection) {
+  return Array.isArray(collection) ? collection : Object.values(collection || {});
+}
+
+function isLegacyToken(node) {
+  return isPlainObject(node) && 'value' in node && typeof node.type === 'string';
+}
+
+function containsToken(node) {
+  if (!isPlainObject(node)) return false;
+  if ('$value' in node || isLegacyToken(node)) return true;
+  return Object.values(node).some(containsToken);
+}
+
+/**
+ * 'figma' or 'tokens-studio' for parsed export JSON
+ */
+function detectExportFormat(data) {
+  const figma = isPlainObject(data) && (data.meta || data);
+  if (figma && figma.variableCollections && figma.variables) return 'figma';
+  if (isPlainObject(data) && (Array.isArray(data.$themes) || isPlainObject(data.$metadata) || containsToken(data))) {
+    return 'tokens-studio';
+  }
+  throw new Error('Unrecognized design export: expected Figma Variables (meta.variableCollections) or Tokens Studio token sets');
+}
+
+/**
+ * Quantum state for a mode or theme name, or null
+ */
+function stateForMode(name, modeStates = {}) {
+  if (modeStates[name]) return modeStates[name];
+  const words = String(name).toLowerCase().split(/[^a-z]+/);
+  const matches = QUANTUM_STATES.filter(state => words.includes(state));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * colors.primary.main -> colors/primary/main; heritageMaterial.metallic -> material/metallic
+ */
+function variableName(tokenPath, state) {
+  const [group, ...rest] = tokenPath.split('.');
+  return [group === `${state}Material` ? SHARED_MATERIAL_GROUP : group, ...rest].join('/');
+}
+
+function tokenPathFor(name, state) {
+  const [group, ...rest] = name.split('/').map(segment => segment.trim());
+  return [group === SHARED_MATERIAL_GROUP ? `${state}Material` : group, ...rest].join('.');
+}
+
+function roundFloat(value) {
+  // Figma stores floats in single precision: 0.3 comes back as 0.30000001192092896
+  return Math.round(value * 10000) / 10000;
+}
+
+function hexChannel(channel) {
+  return Math.round(channel * 255).toString(16).padStart(2, '0').toUpperCase();
+}
+
+function fromFigmaColor({ r, g, b, a = 1 }) {
+  if (a >= 1) return `#${hexChannel(r)}${hexChannel(g)}${hexChannel(b)}`;
+  return `rgba(${[r, g, b].map(channel => Math.round(channel * 255)).join(', ')}, ${roundFloat(a)})`;
+}
+
+/**
+ * Entries per state from Figma Variables
+ */
+function figmaEntries(data, modeStates) {
+  const { variableCollections, variables } = data.meta || data;
+  const allVariables = listOf(variables).filter(variable => !variable.remote && !variable.deletedButReferenced);
+  const byId = new Map(listOf(variables).map(variable => [variable.id, variable]));
+  const byState = {};
+  const warnings = [];
+
+  for (const collection of listOf(variableCollections)) {
+    if (collection.remote) continue;
+    const collectionVariables = allVariables.filter(variable => variable.variableCollectionId === collection.id);
+
+    for (const mode of collection.modes) {
+      const state = stateForMode(mode.name, modeStates);
+      const states = state ? [state] : collection.modes.length === 1 ? QUANTUM_STATES : [];
+      if (states.length === 0) {
+        warnings.push(`Mode "${mode.name}" of collection "${collection.name}" names no quantum state; map it with --mode="${mode.name}=<state>"`);
+        continue;
+      }
+
+      for (const target of states) {
+        byState[target] = byState[target] || [];
+        for (const variable of collectionVariables) {
+          if (!(mode.modeId in variable.valuesByMode)) continue;
+
+          const value = variable.valuesByMode[mode.modeId];
+          const entry = { path: tokenPathFor(variable.name, target), value, unit: null };
+
+          if (isPlainObject(value) && value.type === 'VARIABLE_ALIAS') {
+            const aliased = byId.get(value.id);
+            if (!aliased || aliased.remote) {
+              warnings.push(`${variable.name} (${mode.name}) aliases a variable outside this file; skipped`);
+              continue;
+            }
+            entry.value = `{${tokenPathFor(aliased.name, target)}}`;
+          } else if (variable.resolvedType === 'COLOR') {
+            entry.value = fromFigmaColor(value);
+          } else if (variable.resolvedType === 'FLOAT') {
+            entry.value = roundFloat(value);
+            if ((variable.scopes || []).some(scope => PX_SCOPES.has(scope))) entry.unit = 'px';
+          }
+
+          byState[target].push(entry);
+        }
+      }
+    }
+  }
+
+  return { byState, warnings };
+}
+
+function legacyDimension(value) {
+  return /^-?\d*\.?\d+$/.test(String(value)) ? `${value}px` : String(value);
+}
+
+function legacyShadow(value) {
+  if (Array.isArray(value)) return value.map(legacyShadow);
+  if (!isPlainObject(value)) return value;
+
+  const shadow = {
+    color: value.color,
+    offsetX: legacyDimension(value.x || 0),
+    offsetY: legacyDimension(value.y || 0),
+    blur: legacyDimension(value.blur || 0),
+    spread: legacyDimension(value.spread || 0)
+  };
+  if (value.type === 'innerShadow') shadow.inset = true;
+  return shadow;
+}
+
+/**
+ * Legacy Tokens Studio tokens ({ value, type }) -> W3C tokens ({ $value, $type })
+ */
+function fromLegacyTokens(node) {
+  if (isLegacyToken(node)) {
+    const type = LEGACY_TYPES[node.type] || node.type;
+    const token = { $value: type === 'shadow' ? legacyShadow(node.value) : node.value, $type: type };
+    if (node.description) token.$description = node.description;
+    return token;
+  }
+  if (!isPlainObject(node)) return node;
+  return Object.fromEntries(Object.entries(node).map(([key, child]) => [key, fromLegacyTokens(child)]));
+}
+
+/**
+ * Entries per state from a Tokens Studio export; later sets override earlier ones
+ */
+function tokensStudioEntries(data, modeStates) {
+  const setNames = (data.$metadata && data.$metadata.tokenSetOrder)
+    || Object.keys(data).filter(key => !key.startsWith('$'));
+  const themes = Array.isArray(data.$themes) && data.$themes.length > 0
+    ? data.$themes.map(theme => ({
+      name: theme.name,
+      sets: setNames.filter(set => ACTIVE_SET_STATUSES.has((theme.selectedTokenSets || {})[set]))
+    }))
+    : setNames.map(set => ({ name: set, sets: [set] }));
+
+  const byState = {};
+  const warnings = [];
+
+  for (const theme of themes) {
+    const state = stateForMode(theme.name, modeStates);
+    if (!state) {
+      warnings.push(`Theme "${theme.name}" names no quantum state; map it with --mode="${theme.name}=<state>"`);
+      continue;
+    }
+
+    const entries = new Map();
+    for (const set of theme.sets) {
+      if (!isPlainObject(data[set])) continue;
+      for (const entry of normalizeTokenSource(fromLegacyTokens(data[set])).entries) {
+        entries.set(entry.path, { path: entry.path, value: entry.value, unit: null });
+      }
+    }
+    byState[state] = [...entries.values()];
+  }
+
+  return { byState, warnings };
+}
+
+/**
+ * Parse a design export: { format, byState: { state: [{ path, value, unit }] }, warnings }
+ */
+function readDesignExport(data, { modeStates = {} } = {}) {
+  const format = detectExportFormat(data);
+  const result = format === 'figma' ? figmaEntries(data, modeStates) : tokensStudioEntries(data, modeStates);
+  return { format, ...result };
+}
+
+/**
+ * Comparable text for a token value, so that #fff, #FFFFFF and rgb(255, 255, 255)
+ * or a shadow with and without its 0 spread are the same
+ */
+function canonicalValue(value, type) {
+  const color = typeof value === 'string' ? parseColor(value) : null;
+  if (color) return [color.r, color.g, color.b].map(Math.round).concat(roundFloat(color.alpha)).join(',');
+  // Figma only keeps single precision, so 9.600000000000001px is 9.6px
+  const number = String(value).trim().match(/^(-?\d*\.?\d+(?:e-?\d+)?)([a-z%]*)$/i);
+  if (number) return `${roundFloat(parseFloat(number[1]))}${number[2]}`;
+  if (type && typeof value === 'string') {
+    const normalized = fromDTCGValue(toDTCGValue(value, type), type);
+    if (normalized !== null) return String(normalized);
+  }
+  return String(value);
+}
+
+/**
+ * Numbers from Figma take the unit the token already has: 18 for "16px" is "18px"
+ */
+function withUnit(entry, existing) {
+  if (typeof entry.value !== 'number') return entry.value;
+  const match = existing && typeof existing.value === 'string' && existing.value.trim().match(/^-?\d*\.?\d+([a-z%]*)$/i);
+  if (match) return `${entry.value}${match[1]}`;
+  if (!existing && entry.unit) return `${entry.value}${entry.unit}`;
+  return entry.value;
+}
+
+function setPath(data, tokenPath, value) {
+  const segments = tokenPath.split('.');
+  let node = data;
+  segments.slice(0, -1).forEach((segment, index) => {
+    if (node[segment] === undefined) node[segment] = {};
+    if (!isPlainObject(node[segment])) {
+      throw new Error(`Cannot add ${tokenPath}: ${segments.slice(0, index + 1).join('.')} is a token, not a group`);
+    }
+    node = node[segment];
+  });
+  node[segments[segments.length - 1]] = value;
+}
+
+/**
+ * Apply imported entries to the raw JSON of a nested token file. Values that
+ * only differ in notation keep the file's spelling.
+ */
+function applyEntries(data, system, entries) {
+  const updated = JSON.parse(JSON.stringify(data));
+  const byPath = new Map(system.tokens.map(token => [token.path, token]));
+
+  for (const entry of entries) {
+    const existing = byPath.get(entry.path);
+    const value = withUnit(entry, existing);
+    if (existing) {
+      const type = dtcgType(existing);
+      if (canonicalValue(existing.value, type) === canonicalValue(value, type)) continue;
+    }
+    setPath(updated, entry.path, value);
+  }
+
+  return updated;
+}
+
+/**
+ * Update the state token files from a design export. Tokens missing from the
+ * export are kept; they are counted as notInExport.
+ */
+async function importDesignTokens(exportFile, { modeStates = {}, states = QUANTUM_STATES, outputDir = null, dryRun = false, repoRoot = REPO_ROOT } = {}) {
+  const data = JSON.parse(await fs.readFile(exportFile, 'utf8'));
+  const { format, byState, warnings } = readDesignExport(data, { modeStates });
+  const results = [];
+
+  for (const state of states.filter(name => byState[name])) {
+    const file = path.join(repoRoot, TOKEN_SOURCES[state]);
+    const text = await fs.readFile(file, 'utf8');
+    const before = createTokenSystem(JSON.parse(text), { name: state, file });
+    if (before.format !== 'nested') {
+      throw new Error(`${TOKEN_SOURCES[state]} is in the ${before.format} format; only nested token files can be updated`);
+    }
+
+    const updated = applyEntries(JSON.parse(text), before, byState[state]);
+    const target = outputDir ? path.join(path.resolve(outputDir), path.basename(file)) : file;
+    // Unknown and circular references fail here, before anything is written
+    const after = createTokenSystem(updated, { name: state, file: target });
+    const imported = new Set(byState[state].map(entry => entry.path));
+    const diff = diffTokenSystems(before, after);
+
+    let written = null;
+    if (!dryRun && (diff.summary.changed > 0 || diff.summary.added > 0 || target !== file)) {
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, JSON.stringify(updated, null, 2) + (text.endsWith('\n') ? '\n' : ''));
+      written = target;
+    }
+
+    results.push({
+      state,
+      file: target,
+      diff,
+      notInExport: before.tokens.filter(token => !imported.has(token.path)).map(token => token.path),
+      written
+    });
+  }
+
+  const skipped = Object.keys(byState).filter(state => !states.includes(state));
+  return { format, states: results, skipped, warnings };
+}
+
+function figmaVariableValue(token) {
+  const value = token.resolved;
+  if (typeof value === 'boolean') return { type: 'BOOLEAN', value };
+  if (typeof value === 'number') return { type: 'FLOAT', value };
+
+  const color = parseColor(value);
+  if (color) return { type: 'COLOR', value: { r: color.r / 255, g: color.g / 255, b: color.b / 255, a: color.alpha } };
+
+  // Only px and unitless lengths are numbers in Figma; rem, ms and % stay strings
+  const length = String(value).match(/^(-?\d*\.?\d+)(px)?$/);
+  if (length) return { type: 'FLOAT', value: parseFloat(length[1]) };
+
+  return { type: 'STRING', value: String(token.value) };
+}
+
+/**
+ * Figma Variables document: one "Quantum States" collection with a mode per state.
+ * Modes of states without a token are left out of its valuesByMode.
+ */
+function toFigmaVariables(systems) {
+  const modeId = state => `${COLLECTION_ID}:${state}`;
+  const variableId = name => `VariableID:${name}`;
+
+  const tokensByName = new Map();
+  for (const system of systems) {
+    for (const token of system.tokens) {
+      const name = variableName(token.path, system.name);
+      if (!tokensByName.has(name)) tokensByName.set(name, []);
+      tokensByName.get(name).push({ state: system.name, token, ...figmaVariableValue(token) });
+    }
+  }
+
+  const variables = [...tokensByName].map(([name, modes]) => {
+    const [{ token }] = modes;
+    // A variable has one type in every mode; mixed ones become strings
+    const resolvedType = modes.every(mode => mode.type === modes[0].type) ? modes[0].type : 'STRING';
+
+    return {
+      id: variableId(name),
+      name,
+      description: token.description || '',
+      variableCollectionId: COLLECTION_ID,
+      resolvedType,
+      valuesByMode: Object.fromEntries(modes.map(mode => [
+        modeId(mode.state),
+        mode.token.reference
+          ? { type: 'VARIABLE_ALIAS', id: variableId(variableName(mode.token.reference, mode.state)) }
+          : resolvedType === mode.type ? mode.value : String(mode.token.value)
+      ])),
+      remote: false,
+      hiddenFromPublishing: false,
+      scopes: ['ALL_SCOPES'],
+      codeSyntax: { WEB: `var(--${token.name})` }
+    };
+  });
+
+  const names = systems.map(system => system.name);
+  return {
+    meta: {
+      variableCollections: {
+        [COLLECTION_ID]: {
+          id: COLLECTION_ID,
+          name: 'Quantum States',
+          modes: names.map(name => ({ modeId: modeId(name), name })),
+          defaultModeId: modeId(names.includes(DEFAULT_STATE) ? DEFAULT_STATE : names[0]),
+          remote: false,
+          hiddenFromPublishing: false,
+          variableIds: variables.map(variable => variable.id)
+        }
+      },
+      variables: Object.fromEntries(variables.map(variable => [variable.id, variable]))
+    }
+  };
+}
+
+/**
+ * Tokens Studio document: a W3C token set and a theme per state
+ */
+function toTokensStudio(systems) {
+  const names = systems.map(system => system.name);
+  return {
+    ...Object.fromEntries(systems.map(system => [system.name, toDTCG(system.tokens)])),
+    $themes: names.map(name => ({ id: name, name, selectedTokenSets: { [name]: 'enabled' } })),
+    $metadata: { tokenSetOrder: names }
+  };
+}
+
+/**
+ * Export the state token systems in a design tool's format
+ */
+async function exportDesignTokens({ format = 'figma', states = QUANTUM_STATES, repoRoot = REPO_ROOT } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+  }
+
+  const systems = await loadStateSystems(states, { repoRoot });
+  return format === 'figma' ? toFigmaVariables(systems) : toTokensStudio(systems);
+}
+
+async function writeDesignExport(document, outputPath) {
+  await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify(document, null, 2) + '\n');
+  return path.resolve(outputPath);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  applyEntries,
+  detectExportFormat,
+  exportDesignTokens,
+  importDesignTokens,
+  readDesignExport,
+  stateForMode,
+  toFigmaVariables,
+  toTokensStudio,
+  writeDesignExport
+};
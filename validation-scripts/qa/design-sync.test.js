@@ -0,0 +1,57 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, describe, expect, it } from 'vitest';
+import { QUANTUM_STATES } from './design-tokens.js';
+import { detectExportFormat, exportDesignTokens, importDesignTokens, readDesignExport, stateForMode, writeDesignExport } from './design-sync.js';
+
+let dir;
+
+afterEach(async () => {
+  if (dir) await fs.rm(dir, { recursive: true, force: true });
+  dir = null;
+});
+
+async function roundTrip(format) {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'design-sync-'));
+  const document = await exportDesignTokens({ format });
+  const file = await writeDesignExport(document, path.join(dir, `${format}.json`));
+  return { document, result: await importDesignTokens(file, { dryRun: true }) };
+}
+
+describe('stateForMode', () => {
+  it('maps mode names to quantum states, explicit mappings first', () => {
+    expect(stateForMode('Heritage Dark')).toBe('heritage');
+    expect(stateForMode('Light', { Light: 'superposition' })).toBe('superposition');
+    expect(stateForMode('Primitives')).toBeNull();
+  });
+});
+
+describe.each(['figma', 'tokens-studio'])('%s round trip', format => {
+  it('imports its own export without changes', async () => {
+    const { document, result } = await roundTrip(format);
+
+    expect(detectExportFormat(document)).toBe(format);
+    expect(result.format).toBe(format);
+    expect(result.states.map(entry => entry.state)).toEqual(QUANTUM_STATES);
+    for (const entry of result.states) {
+      expect(entry.diff.summary).toMatchObject({ changed: 0, added: 0 });
+      expect(entry.notInExport).toEqual([]);
+      expect(entry.written).toBeNull();
+    }
+  });
+});
+
+describe('readDesignExport', () => {
+  it('reads a changed Figma color into the state of its mode', async () => {
+    const document = await exportDesignTokens({ format: 'figma', states: ['quantum'] });
+    const variable = Object.values(document.meta.variables).find(entry => entry.name === 'colors/primary/main');
+    const [modeId] = Object.keys(variable.valuesByMode);
+    variable.valuesByMode[modeId] = { r: 1, g: 0, b: 0, a: 1 };
+
+    const { byState } = readDesignExport(document);
+    const entry = byState.quantum.find(token => token.path === 'colors.primary.main');
+
+    expect(entry.value.toLowerCase()).toBe('#ff0000');
+  });
+});
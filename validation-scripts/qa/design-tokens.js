@@ -0,0 +1,648 @@
+/**
+ * Glass QA Design Tokens
+ * Loads the structured token systems in tokens/*.json and renders every
+ * generated token file from them
+ *
+ * A source is a nested JSON object (colors, typography, spacing, borders,
+ * shadows, opacities, grid, animation, quantumMaterial, ...), or any other
+ * shape token-formats.js reads, including W3C DTCG files. Every leaf
+ * becomes one token whose path is its dotted key path, e.g.
+ *   colors.primary.main -> --color-primary-main
+ * A value can reference another token by path, either as the whole value
+ *   "link": "{colors.accent.main}"
+ * or inside a longer one
+ *   "focusRing": "0 0 0 2px {colors.accent.light}"
+ * Whole-value references stay live in CSS (var(--color-accent-main)); the
+ * SCSS, TypeScript and ES module outputs get the resolved value.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeTokenSource } = require('./token-formats');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+// Token systems shipped in tokens/, selectable by name
+const TOKEN_SOURCES = {
+  quantum: 'tokens/quantum.json',
+  heritage: 'tokens/heritage.json',
+  superposition: 'tokens/superposition.json',
+  transitional: 'tokens/transitional.json'
+};
+
+// Output files, relative to the output root
+const DEFAULT_OUTPUTS = {
+  css: 'assets/design-tokens.css',
+  liquid: 'snippets/petersen-design-tokens.liquid',
+  typescript: 'design-tokens.ts',
+  scss: 'tokens.scss',
+  module: 'assets/design-tokens.js',
+  moduleTypes: 'assets/design-tokens.d.ts'
+};
+
+// Token systems a storefront can switch between with data-quantum-state
+const QUANTUM_STATES = ['heritage', 'quantum', 'superposition', 'transitional'];
+
+// Per-state outputs (--states), relative to the output root
+const DEFAULT_STATE_OUTPUTS = {
+  css: 'assets/quantum-states.css',
+  liquid: 'snippets/quantum-state.liquid'
+};
+
+// CSS name prefix and token type per group; the longest matching path wins
+const TOKEN_GROUPS = [
+  { path: 'colors', prefix: 'color', type: 'color' },
+  { path: 'typography', prefix: 'typography', type: 'typography' },
+  { path: 'typography.fontFamilies', prefix: 'font-family', type: 'typography' },
+  { path: 'typography.fontSizes', prefix: 'font-size', type: 'typography' },
+  { path: 'typography.fontWeights', prefix: 'font-weight', type: 'typography' },
+  { path: 'typography.lineHeights', prefix: 'line-height', type: 'typography' },
+  { path: 'typography.letterSpacings', prefix: 'letter-spacing', type: 'typography' },
+  { path: 'spacing', prefix: 'space', type: 'spacing' },
+  { path: 'borders', prefix: 'border', type: 'border' },
+  { path: 'borders.radius', prefix: 'radius', type: 'border' },
+  { path: 'borders.width', prefix: 'border-width', type: 'border' },
+  { path: 'shadows', prefix: 'shadow', type: 'shadow' },
+  { path: 'opacities', prefix: 'opacity', type: 'opacity' },
+  { path: 'grid', prefix: 'grid', type: 'grid' },
+  { path: 'animation', prefix: 'animation', type: 'animation' },
+  { path: 'animation.durations', prefix: 'duration', type: 'animation' },
+  { path: 'animation.easings', prefix: 'easing', type: 'animation' },
+  // Each state names its material after itself; they share one set of custom properties
+  { path: 'quantumMaterial', prefix: 'material', type: 'material' },
+  { path: 'heritageMaterial', prefix: 'material', type: 'material' },
+  { path: 'superpositionMaterial', prefix: 'material', type: 'material' },
+  { path: 'transitionalMaterial', prefix: 'material', type: 'material' },
+  // Glass material recipes (tokens/glass-materials.json, see glass-materials.js)
+  { path: 'glassMaterials', prefix: 'glass-material', type: 'glass' }
+];
+
+const REFERENCE_PATTERN = /\{([^{}\s]+)\}/g;
+const WHOLE_REFERENCE_PATTERN = /^\{([^{}\s]+)\}$/;
+
+function kebabCase(segment) {
+  return String(segment)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[^a-zA-Z0-9-]+/g, '-')
+    .toLowerCase();
+}
+
+function groupFor(segments) {
+  let match = null;
+  for (const group of TOKEN_GROUPS) {
+    const groupSegments = group.path.split('.');
+    const matches = groupSegments.every((segment, index) => segments[index] === segment);
+    if (matches && (!match || groupSegments.length > match.path.split('.').length)) {
+      match = group;
+    }
+  }
+  return match;
+}
+
+/**
+ * CSS custom property name (without the leading --) for a token path
+ */
+function tokenName(tokenPath) {
+  const segments = tokenPath.split('.');
+  const group = groupFor(segments);
+  const rest = group ? segments.slice(group.path.split('.').length) : segments;
+  return [group ? group.prefix : null, ...rest.map(kebabCase)].filter(Boolean).join('-');
+}
+
+/**
+ * Flatten a token source of any supported shape (see token-formats.js) into a
+ * list of { name, path, value, type, category, dtcgType, description }
+ */
+function flattenTokens(source) {
+  return createTokens(normalizeTokenSource(source).entries);
+}
+
+function createTokens(entries) {
+  const tokens = entries.map(entry => {
+    const segments = entry.path.split('.');
+    const group = groupFor(segments);
+    return {
+      name: tokenName(entry.path),
+      path: entry.path,
+      value: entry.value,
+      type: group ? group.type : kebabCase(segments[0]),
+      category: segments.length > 1 ? segments[segments.length - 2] : segments[0],
+      dtcgType: entry.type || null,
+      description: entry.description || null
+    };
+  });
+
+  const seen = new Map();
+  for (const token of tokens) {
+    if (seen.has(token.name)) {
+      throw new Error(`Tokens ${seen.get(token.name)} and ${token.path} both map to --${token.name}`);
+    }
+    seen.set(token.name, token.path);
+  }
+
+  return tokens;
+}
+
+/**
+ * Resolve {path} references in place. Each token gets `resolved` (the final
+ * value) and, when its whole value is a reference, `reference` (the target path).
+ */
+function resolveTokens(tokens) {
+  const byPath = new Map(tokens.map(token => [token.path, token]));
+
+  function resolve(token, chain) {
+    if ('resolved' in token) return token.resolved;
+    if (chain.includes(token.path)) {
+      throw new Error(`Circular token reference: ${[...chain, token.path].join(' -> ')}`);
+    }
+
+    const lookup = referencePath => {
+      const target = byPath.get(referencePath);
+      if (!target) {
+        throw new Error(`Token ${token.path} references unknown token {${referencePath}}`);
+      }
+      return resolve(target, [...chain, token.path]);
+    };
+
+    let resolved = token.value;
+    if (typeof token.value === 'string') {
+      const whole = token.value.match(WHOLE_REFERENCE_PATTERN);
+      if (whole) {
+        token.reference = whole[1];
+        resolved = lookup(whole[1]);
+      } else {
+        resolved = token.value.replace(REFERENCE_PATTERN, (match, referencePath) => String(lookup(referencePath)));
+      }
+    }
+
+    token.resolved = resolved;
+    return resolved;
+  }
+
+  for (const token of tokens) {
+    resolve(token, []);
+  }
+
+  return tokens;
+}
+
+/**
+ * Token system for parsed token JSON of any supported shape
+ */
+function createTokenSystem(data, { name, file }) {
+  const normalized = normalizeTokenSource(data);
+
+  return {
+    name,
+    file,
+    format: normalized.format,
+    version: normalized.version,
+    description: normalized.description,
+    tokens: resolveTokens(createTokens(normalized.entries))
+  };
+}
+
+/**
+ * Read a token source by name (see TOKEN_SOURCES) or path, in any supported shape
+ */
+async function loadTokenSource(source, { repoRoot = REPO_ROOT } = {}) {
+  const file = TOKEN_SOURCES[source]
+    ? path.join(repoRoot, TOKEN_SOURCES[source])
+    : path.resolve(source);
+
+  return createTokenSystem(JSON.parse(await fs.readFile(file, 'utf8')), {
+    name: TOKEN_SOURCES[source] ? source : path.basename(file, '.json'),
+    file
+  });
+}
+
+function sourceLabel(system) {
+  const relative = path.relative(REPO_ROOT, system.file);
+  const label = relative.startsWith('..') ? system.file : relative.split(path.sep).join('/');
+  return system.version ? `${label} (v${system.version})` : label;
+}
+
+function cssValue(token) {
+  return token.reference ? `var(--${tokenName(token.reference)})` : String(token.resolved);
+}
+
+function cssDeclarations(tokens, indent) {
+  const lines = [];
+  let group = null;
+
+  for (const token of tokens) {
+    const tokenGroup = token.path.split('.')[0];
+    if (tokenGroup !== group) {
+      if (group !== null) lines.push('');
+      lines.push(`${indent}/* ${tokenGroup} */`);
+      group = tokenGroup;
+    }
+    lines.push(`${indent}--${token.name}: ${cssValue(token)};`);
+  }
+
+  return lines;
+}
+
+function renderCSS(system) {
+  return [
+    '/**',
+    ` * Design Tokens - ${system.name}`,
+    ` * Generated by validation-scripts/build-design-tokens from ${sourceLabel(system)}`,
+    ' * Do not edit; change the JSON source and rebuild.',
+    ' */',
+    '',
+    ':root {',
+    ...cssDeclarations(system.tokens, '  '),
+    '}',
+    ''
+  ].join('\n');
+}
+
+function renderLiquid(system) {
+  return [
+    '{%- comment -%}',
+    `  Design Tokens - ${system.name}`,
+    `  Generated by validation-scripts/build-design-tokens from ${sourceLabel(system)}`,
+    '  Do not edit; change the JSON source and rebuild.',
+    '{%- endcomment -%}',
+    '',
+    '<style>',
+    '  :root {',
+    ...cssDeclarations(system.tokens, '    '),
+    '  }',
+    '</style>',
+    ''
+  ].join('\n');
+}
+
+function tsLiteral(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function renderTypeScript(system) {
+  return [
+    '/**',
+    ` * Design Token Types - ${system.name}`,
+    ` * Generated by validation-scripts/build-design-tokens from ${sourceLabel(system)}`,
+    ' * Do not edit; change the JSON source and rebuild.',
+    ' */',
+    '',
+    'export interface PetersenDesignTokens {',
+    ...system.tokens.map(token => `  '${token.name}': ${typeof token.resolved === 'number' ? 'number' : 'string'};`),
+    '}',
+    '',
+    'export const petersenTokens: PetersenDesignTokens = {',
+    ...system.tokens.map(token => `  '${token.name}': ${tsLiteral(token.resolved)},`),
+    '};',
+    '',
+    'export default petersenTokens;',
+    ''
+  ].join('\n');
+}
+
+function renderSCSS(system) {
+  return [
+    '//',
+    `// Design Tokens - ${system.name}`,
+    `// Generated by validation-scripts/build-design-tokens from ${sourceLabel(system)}`,
+    '// Do not edit; change the JSON source and rebuild.',
+    '//',
+    '',
+    ...system.tokens.map(token => `$${token.name}: ${token.resolved};`),
+    '',
+    '$design-tokens: (',
+    ...system.tokens.map((token, index) => `  '${token.name}': $${token.name}${index < system.tokens.length - 1 ? ',' : ''}`),
+    ');',
+    ''
+  ].join('\n');
+}
+
+// JavaScript identifier for a token name: color-primary-main -> colorPrimaryMain
+function constantName(name) {
+  const identifier = name.replace(/-([a-z0-9])/g, (match, character) => character.toUpperCase());
+  return /^[0-9]/.test(identifier) ? `token${identifier}` : identifier;
+}
+
+function isDuration(token) {
+  return /^-?(\d+\.?\d*|\.\d+)m?s$/.test(String(token.resolved).trim());
+}
+
+function moduleHeader(system, title) {
+  return [
+    '/**',
+    ` * ${title} - ${system.name}`,
+    ` * Generated by validation-scripts/build-design-tokens from ${sourceLabel(system)}`,
+    ' * Do not edit; change the JSON source and rebuild.',
+    ' */'
+  ];
+}
+
+function constantComment(token) {
+  return token.description ? [`/** ${String(token.description).replace(/\*\//g, '* /')} */`] : [];
+}
+
+/**
+ * ES module with one constant per token, the `tokens` map, and cssVar(),
+ * tokenValue() and durationMs() for reading them from theme scripts
+ */
+function renderModule(system) {
+  const lines = [
+    ...moduleHeader(system, 'Design Tokens'),
+    '',
+    "// import { cssVar, durationMs, colorPrimaryMain } from '@theme/design-tokens';",
+    ''
+  ];
+
+  let group = null;
+  for (const token of system.tokens) {
+    const tokenGroup = token.path.split('.')[0];
+    if (tokenGroup !== group) {
+      if (group !== null) lines.push('');
+      lines.push(`/* ${tokenGroup} */`);
+      group = tokenGroup;
+    }
+    lines.push(...constantComment(token), `export const ${constantName(token.name)} = ${tsLiteral(token.resolved)};`);
+  }
+
+  lines.push(
+    '',
+    'export const tokens = Object.freeze({',
+    ...system.tokens.map(token => `  '${token.name}': ${constantName(token.name)},`),
+    '});',
+    '',
+    'function assertToken(name) {',
+    '  if (!Object.prototype.hasOwnProperty.call(tokens, name)) {',
+    '    throw new Error(`Unknown design token "${name}"`);',
+    '  }',
+    '}',
+    '',
+    '/**',
+    ' * var(--<name>) for a token, with an optional fallback; throws for names',
+    ' * that are not tokens',
+    ' */',
+    'export function cssVar(name, fallback) {',
+    '  assertToken(name);',
+    '  return fallback === undefined ? `var(--${name})` : `var(--${name}, ${fallback})`;',
+    '}',
+    '',
+    '/**',
+    ' * Current CSS value of a token on `element` (the document root by default),',
+    ' * so it follows data-quantum-state; the generated value when the property',
+    ' * is not set or there is no document',
+    ' */',
+    'export function tokenValue(name, element) {',
+    '  assertToken(name);',
+    "  const target = element || (typeof document !== 'undefined' ? document.documentElement : null);",
+    "  const live = target ? getComputedStyle(target).getPropertyValue(`--${name}`).trim() : '';",
+    '  return live || String(tokens[name]);',
+    '}',
+    '',
+    '/**',
+    ' * Milliseconds of a duration token, for setTimeout() and the Web Animations API',
+    ' */',
+    'export function durationMs(name, element) {',
+    '  const value = tokenValue(name, element);',
+    '  const amount = parseFloat(value);',
+    '  return /[^m]s$/.test(value) ? amount * 1000 : amount;',
+    '}',
+    '',
+    'export default tokens;',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Declarations for renderModule(): literal types for every token, and token
+ * names checked at compile time
+ */
+function renderModuleTypes(system) {
+  const durations = system.tokens.filter(isDuration);
+
+  return [
+    ...moduleHeader(system, 'Design Token Types'),
+    '',
+    ...system.tokens.flatMap(token => [
+      ...constantComment(token),
+      `export declare const ${constantName(token.name)}: ${tsLiteral(token.resolved)};`
+    ]),
+    '',
+    'export interface DesignTokens {',
+    ...system.tokens.map(token => `  readonly '${token.name}': ${tsLiteral(token.resolved)};`),
+    '}',
+    '',
+    'export type TokenName = keyof DesignTokens;',
+    '',
+    `export type DurationTokenName = ${durations.length > 0 ? durations.map(token => `'${token.name}'`).join(' | ') : 'never'};`,
+    '',
+    'export declare const tokens: Readonly<DesignTokens>;',
+    '',
+    'export declare function cssVar<N extends TokenName>(name: N): `var(--${N})`;',
+    'export declare function cssVar<N extends TokenName, F extends string>(name: N, fallback: F): `var(--${N}, ${F})`;',
+    '',
+    'export declare function tokenValue(name: TokenName, element?: Element): string;',
+    '',
+    'export declare function durationMs(name: DurationTokenName, element?: Element): number;',
+    '',
+    'export default tokens;',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Load every quantum state's token system, in QUANTUM_STATES order
+ */
+async function loadStateSystems(states = QUANTUM_STATES, options = {}) {
+  const systems = [];
+  for (const state of states) {
+    systems.push(await loadTokenSource(state, options));
+  }
+  return systems;
+}
+
+/**
+ * Tokens with the same CSS value in every state, and per state the ones that differ
+ */
+function splitStateTokens(systems) {
+  const valuesByName = new Map();
+  for (const system of systems) {
+    for (const token of system.tokens) {
+      if (!valuesByName.has(token.name)) valuesByName.set(token.name, []);
+      valuesByName.get(token.name).push(cssValue(token));
+    }
+  }
+
+  const isShared = token => {
+    const values = valuesByName.get(token.name);
+    return values.length === systems.length && values.every(value => value === values[0]);
+  };
+
+  return {
+    shared: systems[0].tokens.filter(isShared),
+    byState: Object.fromEntries(systems.map(system => [system.name, system.tokens.filter(token => !isShared(token))]))
+  };
+}
+
+function statesHeader(systems) {
+  return [
+    `Quantum States - ${systems.map(system => system.name).join(', ')}`,
+    `Generated by validation-scripts/build-design-tokens from ${systems.map(sourceLabel).join(', ')}`,
+    'Do not edit; change the JSON sources and rebuild.'
+  ];
+}
+
+function renderStatesCSS(systems) {
+  const { shared, byState } = splitStateTokens(systems);
+  const lines = [
+    '/**',
+    ...statesHeader(systems).map(line => ` * ${line}`),
+    ' *',
+    ' * Tokens that differ between states are scoped to :root[data-quantum-state],',
+    ' * which only the stored state and the switcher set, so an attribute elsewhere',
+    ' * cannot override them for its subtree; snippets/quantum-state.liquid applies',
+    ' * the store default server-side.',
+    ' */',
+    '',
+    ':root {',
+    ...cssDeclarations(shared, '  '),
+    '}'
+  ];
+
+  for (const system of systems) {
+    lines.push('', `:root[data-quantum-state="${system.name}"] {`, ...cssDeclarations(byState[system.name], '  '), '}');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function renderStatesLiquid(systems) {
+  const { byState } = splitStateTokens(systems);
+  const names = systems.map(system => system.name);
+  const fallback = names.includes('quantum') ? 'quantum' : names[0];
+  const lines = [
+    '{%- comment -%}',
+    ...statesHeader(systems).map(line => `  ${line}`),
+    '',
+    '  Render inside <head>, before other stylesheets:',
+    "    {% render 'quantum-state' %}",
+    "  The default comes from the quantum_design_state theme setting (or pass state: 'heritage').",
+    '  Its tokens are inlined on :root, so the first paint already uses it; a state',
+    '  picked earlier with OksanaPlatformEnhancedTheme.switchQuantumState() is',
+    '  restored from localStorage before the body renders.',
+    '{%- endcomment -%}',
+    '',
+    `{%- assign quantum_state = state | default: settings.quantum_design_state | default: '${fallback}' -%}`,
+    '',
+    "{{ 'quantum-states.css' | asset_url | stylesheet_tag }}",
+    '<style data-quantum-state-default="{{ quantum_state }}">',
+    '  {%- case quantum_state -%}'
+  ];
+
+  for (const system of systems) {
+    lines.push(
+      `    {%- when '${system.name}' %}`,
+      '  :root:not([data-quantum-state]) {',
+      ...cssDeclarations(byState[system.name], '    '),
+      '  }'
+    );
+  }
+
+  lines.push(
+    '  {%- endcase %}',
+    '</style>',
+    '<script>',
+    '  (function () {',
+    `    var states = ${JSON.stringify(names).replace(/"/g, "'").replace(/,/g, ', ')};`,
+    '    try {',
+    "      var stored = localStorage.getItem('oksana-quantum-state');",
+    '      if (states.indexOf(stored) !== -1) {',
+    "        document.documentElement.setAttribute('data-quantum-state', stored);",
+    '      }',
+    '    } catch (error) {',
+    '      // Storage unavailable: keep the store default',
+    '    }',
+    '  })();',
+    '</script>',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+const RENDERERS = {
+  css: renderCSS,
+  liquid: renderLiquid,
+  typescript: renderTypeScript,
+  scss: renderSCSS,
+  module: renderModule,
+  moduleTypes: renderModuleTypes
+};
+
+const STATE_RENDERERS = {
+  css: renderStatesCSS,
+  liquid: renderStatesLiquid
+};
+
+/**
+ * Render `input` with renderers[format] into each output path; returns { format: absolute path }
+ */
+async function writeOutputs(renderers, input, outputRoot, outputs) {
+  const written = {};
+
+  for (const [format, relativePath] of Object.entries(outputs)) {
+    const render = renderers[format];
+    if (!render) {
+      throw new Error(`Unknown token output format "${format}"`);
+    }
+    const target = path.resolve(outputRoot, relativePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, render(input));
+    written[format] = target;
+  }
+
+  return written;
+}
+
+/**
+ * Write every output of a loaded token system; returns { format: absolute path }
+ */
+async function writeTokenOutputs(system, outputRoot, outputs = DEFAULT_OUTPUTS) {
+  return writeOutputs(RENDERERS, system, outputRoot, outputs);
+}
+
+/**
+ * Write the per-state stylesheet and snippet for loaded state systems
+ */
+async function writeStateOutputs(systems, outputRoot, outputs = DEFAULT_STATE_OUTPUTS) {
+  return writeOutputs(STATE_RENDERERS, systems, outputRoot, outputs);
+}
+
+module.exports = {
+  DEFAULT_OUTPUTS,
+  DEFAULT_STATE_OUTPUTS,
+  QUANTUM_STATES,
+  TOKEN_GROUPS,
+  TOKEN_SOURCES,
+  createTokenSystem,
+  createTokens,
+  flattenTokens,
+  loadStateSystems,
+  loadTokenSource,
+  renderCSS,
+  renderLiquid,
+  renderModule,
+  renderModuleTypes,
+  renderSCSS,
+  renderStatesCSS,
+  renderStatesLiquid,
+  renderTypeScript,
+  resolveTokens,
+  sourceLabel,
+  splitStateTokens,
+  tokenName,
+  writeOutputs,
+  writeStateOutputs,
+  writeTokenOutputs
+};
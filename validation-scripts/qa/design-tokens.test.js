@@ -0,0 +1,112 @@
+// @vitest-environment happy-dom
+import fs from 'fs';
+import path from 'path';
+import { beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import {
+  DEFAULT_OUTPUTS,
+  DEFAULT_STATE_OUTPUTS,
+  loadStateSystems,
+  loadTokenSource,
+  renderModule,
+  renderModuleTypes,
+  renderStatesCSS,
+  renderStatesLiquid
+} from './design-tokens.js';
+import {
+  DEFAULT_MATERIAL_OUTPUTS,
+  readGlassMaterials,
+  renderGlassMaterialLiquid,
+  renderGlassMaterialsCSS
+} from './glass-materials.js';
+
+const THEME_ROOT = path.join(__dirname, '..', '..', 'enhanced-quantum-spatial');
+
+let systems;
+
+beforeAll(async () => {
+  systems = await loadStateSystems();
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  document.documentElement.removeAttribute('data-quantum-state');
+  document.head.replaceChildren();
+  document.body.removeAttribute('data-quantum-state');
+});
+
+// Runs the snippet's inline script, which restores the stored state in <head>
+function runSnippetScript() {
+  const [, script] = renderStatesLiquid(systems).match(/<script>([\s\S]*?)<\/script>/);
+  new Function(script)();
+}
+
+// The CSS the snippet serves: the stylesheet, then the inlined quantum default
+function applyStateStyles() {
+  const [, defaultBlock] = renderStatesLiquid(systems).match(/\{%- when 'quantum' %\}([\s\S]*?)\s*\{%- (?:when|endcase)/);
+  const style = document.createElement('style');
+  style.textContent = `${renderStatesCSS(systems)}\n${defaultBlock}`;
+  document.head.append(style);
+}
+
+const primary = element => getComputedStyle(element).getPropertyValue('--color-primary-main').trim();
+
+describe('quantum state precedence', () => {
+  it('restores a stored state on <html> before the body renders', () => {
+    localStorage.setItem('oksana-quantum-state', 'heritage');
+    runSnippetScript();
+
+    expect(document.documentElement.getAttribute('data-quantum-state')).toBe('heritage');
+  });
+
+  it('ignores unknown stored states', () => {
+    localStorage.setItem('oksana-quantum-state', 'retro');
+    runSnippetScript();
+
+    expect(document.documentElement.hasAttribute('data-quantum-state')).toBe(false);
+  });
+
+  it('scopes every state block to :root, so a body attribute cannot override the stored state', () => {
+    const css = renderStatesCSS(systems);
+
+    expect(css).not.toMatch(/^\[data-quantum-state/m);
+    expect(css.match(/^:root\[data-quantum-state="(\w+)"\] \{/gm)).toHaveLength(systems.length);
+  });
+
+  it('gives the page the stored state over the store default and a stale body attribute', () => {
+    const heritage = systems.find(system => system.name === 'heritage');
+    const expected = heritage.tokens.find(token => token.name === 'color-primary-main').value;
+
+    applyStateStyles();
+    document.body.setAttribute('data-quantum-state', 'quantum');
+    localStorage.setItem('oksana-quantum-state', 'heritage');
+    runSnippetScript();
+
+    expect(primary(document.documentElement).toLowerCase()).toBe(String(expected).toLowerCase());
+    // No state block matches the body itself, so it inherits the stored state
+    expect(primary(document.body)).toBe('');
+  });
+});
+
+// The files npm run build:tokens writes into the theme
+describe('committed theme artifacts', () => {
+  const committed = relativePath => fs.readFileSync(path.join(THEME_ROOT, relativePath), 'utf8');
+
+  it('match the ES module built from tokens/quantum.json', async () => {
+    const quantum = await loadTokenSource('quantum');
+
+    expect(committed(DEFAULT_OUTPUTS.module)).toBe(renderModule(quantum));
+    expect(committed(DEFAULT_OUTPUTS.moduleTypes)).toBe(renderModuleTypes(quantum));
+  });
+
+  it('match the quantum states built from the four systems', () => {
+    expect(committed(DEFAULT_STATE_OUTPUTS.css)).toBe(renderStatesCSS(systems));
+    expect(committed(DEFAULT_STATE_OUTPUTS.liquid)).toBe(renderStatesLiquid(systems));
+  });
+
+  it('match the glass materials built from tokens/glass-materials.json', () => {
+    const recipes = readGlassMaterials();
+
+    expect(committed(DEFAULT_MATERIAL_OUTPUTS.css)).toBe(renderGlassMaterialsCSS(recipes));
+    expect(committed(DEFAULT_MATERIAL_OUTPUTS.liquid)).toBe(renderGlassMaterialLiquid(recipes));
+  });
+});
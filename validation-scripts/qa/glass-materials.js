@@ -0,0 +1,316 @@
+/**
+ * Glass QA Glass Materials
+ * Named glass recipes defined once in tokens/glass-materials.json and rendered
+ * into utility classes and a Liquid snippet, plus the matching
+ * ShopifyThemeAuditor uses to flag hand-written glass
+ *
+ * Every material under `glassMaterials` has
+ *   blur        backdrop blur radius                        20px
+ *   saturation  backdrop saturate() amount                  150%
+ *   tint        translucent background over the blur        rgba(255, 255, 255, 0.1)
+ *   border      border shorthand                            1px solid rgba(255, 255, 255, 0.12)
+ *   shadow      box-shadow
+ *   fallback    background for browsers without backdrop-filter and for
+ *               prefers-reduced-transparency, opaque enough to read text on
+ * and becomes the --glass-material-<name>-<property> custom properties and
+ * the .glass-material-<name> class.
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+const { findClosingParen } = require('./css-analysis');
+const { createTokenSystem, sourceLabel, tokenName, writeOutputs } = require('./design-tokens');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+const GLASS_MATERIALS_SOURCE = path.join(REPO_ROOT, 'tokens', 'glass-materials.json');
+
+// Outputs of build-design-tokens --materials, relative to the output root
+const DEFAULT_MATERIAL_OUTPUTS = {
+  css: 'assets/glass-materials.css',
+  liquid: 'snippets/glass-material.liquid'
+};
+
+const RECIPE_PROPERTIES = ['blur', 'saturation', 'tint', 'border', 'shadow', 'fallback'];
+
+const DEFAULT_MATERIAL = 'regular';
+
+// backdrop-filter values that switch glass off or defer to the parent
+const NEUTRAL_FILTERS = new Set(['none', 'inherit', 'initial', 'unset', 'revert', 'revert-layer']);
+
+/**
+ * Recipes of a loaded token system: { system, materials: [{ name, className,
+ * blur, saturation, tint, border, shadow, fallback, backdropFilter, tokens }] }
+ */
+function createGlassMaterials(system) {
+  const byName = new Map();
+
+  for (const token of system.tokens) {
+    const [group, name, property, ...rest] = token.path.split('.');
+    if (group !== 'glassMaterials') continue;
+    if (!name || !property || rest.length > 0 || !RECIPE_PROPERTIES.includes(property)) {
+      throw new Error(`Unexpected glass material token ${token.path} (expected glassMaterials.<name>.<${RECIPE_PROPERTIES.join('|')}>)`);
+    }
+
+    // --glass-material-void-blur -> .glass-material-void
+    if (!byName.has(name)) byName.set(name, { name, className: token.name.slice(0, -(property.length + 1)), tokens: {} });
+    const material = byName.get(name);
+    material[property] = String(token.resolved);
+    material.tokens[property] = token.name;
+  }
+
+  if (byName.size === 0) {
+    throw new Error(`No glassMaterials found in ${system.file}`);
+  }
+
+  const materials = [...byName.values()].map(material => {
+    const missing = RECIPE_PROPERTIES.filter(property => material[property] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Glass material "${material.name}" is missing ${missing.join(', ')}`);
+    }
+    return { ...material, backdropFilter: `blur(${material.blur}) saturate(${material.saturation})` };
+  });
+
+  return { system, materials };
+}
+
+/**
+ * Read and validate a glass material file (synchronous, so the auditor can load it in its constructor)
+ */
+function readGlassMaterials(file = GLASS_MATERIALS_SOURCE) {
+  const resolved = path.resolve(file);
+  const data = JSON.parse(fsSync.readFileSync(resolved, 'utf8'));
+  return createGlassMaterials(createTokenSystem(data, { name: 'glass-materials', file: resolved }));
+}
+
+function parseLength(text) {
+  const match = String(text).trim().match(/^(\d*\.?\d+)(px|rem|em)?$/);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  return match[2] === 'rem' || match[2] === 'em' ? number * 16 : number;
+}
+
+function parseAmount(text) {
+  const value = String(text).trim();
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) return null;
+  return value.endsWith('%') ? number : number * 100;
+}
+
+/**
+ * `blur(20px) saturate(150%)` -> { blur: 20, saturation: 150, other: [] }; blur in
+ * px, saturation in percent (100 when absent). Null when the value uses var().
+ */
+function parseBackdropFilter(value) {
+  if (/var\(/i.test(value)) return null;
+
+  const result = { blur: null, saturation: 100, other: [] };
+  for (const [, name, args] of String(value).matchAll(/([a-z-]+)\(([^()]*)\)/gi)) {
+    const fn = name.toLowerCase();
+    if (fn === 'blur') result.blur = parseLength(args);
+    else if (fn === 'saturate') result.saturation = parseAmount(args);
+    else result.other.push(`${fn}(${args.trim()})`);
+  }
+
+  return result.blur === null ? null : result;
+}
+
+// Nested var() deeper than this is treated as unresolvable (and guards against cycles)
+const MAX_VAR_DEPTH = 8;
+
+/**
+ * `value` with every var(--name, fallback) replaced by the value of --name in
+ * `variables` (name -> value), or else its fallback; null when some var() has
+ * neither
+ */
+function resolveVars(value, variables = new Map(), depth = 0) {
+  const start = value.search(/var\(/i);
+  if (start === -1) return value;
+  if (depth >= MAX_VAR_DEPTH) return null;
+
+  const close = findClosingParen(value, start + 3);
+  const inner = value.slice(start + 4, close);
+  const comma = inner.indexOf(',');
+  const name = (comma === -1 ? inner : inner.slice(0, comma)).trim();
+  const replacement = variables.has(name)
+    ? variables.get(name)
+    : comma === -1 ? null : inner.slice(comma + 1).trim();
+  if (replacement === null) return null;
+
+  const resolvedReplacement = resolveVars(replacement, variables, depth + 1);
+  if (resolvedReplacement === null) return null;
+  return resolveVars(value.slice(0, start) + resolvedReplacement + value.slice(close + 1), variables, depth + 1);
+}
+
+/**
+ * Which recipe a backdrop-filter value is:
+ *   { neutral: true }                    none, inherit, ...
+ *   { material: 'regular' }              the recipe's custom properties, or its exact values
+ *   { unknown: true }                    var() that is neither in `variables`
+ *                                        (name -> value) nor has a fallback
+ *   { material: null, nearest: 'thin' }  anything else; nearest is null when the value
+ *                                        has no blur() to compare
+ */
+function matchGlassMaterial(value, materials, variables = new Map()) {
+  let text = String(value).replace(/\s*!important\s*$/i, '').trim();
+  if (NEUTRAL_FILTERS.has(text.toLowerCase())) return { neutral: true };
+
+  const referenced = materials.find(material => text.includes(`var(--${material.tokens.blur})`));
+  if (referenced) return { material: referenced.name };
+
+  if (/var\(/i.test(text)) {
+    const resolved = resolveVars(text, variables);
+    if (resolved === null) return { unknown: true };
+    text = resolved.trim();
+    if (NEUTRAL_FILTERS.has(text.toLowerCase())) return { neutral: true };
+  }
+
+  const parsed = parseBackdropFilter(text);
+  if (!parsed) return { material: null, nearest: null };
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const material of materials) {
+    const blur = parseLength(material.blur);
+    const saturation = parseAmount(material.saturation);
+    // 1px of blur weighs as much as 10% of saturation
+    const distance = Math.abs(blur - parsed.blur) + Math.abs(saturation - parsed.saturation) / 10;
+    if (distance === 0 && parsed.other.length === 0) return { material: material.name };
+    if (distance < nearestDistance) {
+      nearest = material.name;
+      nearestDistance = distance;
+    }
+  }
+
+  return { material: null, nearest };
+}
+
+function materialHeader(recipes, title, prefix) {
+  return [
+    `${prefix} ${title}`,
+    `${prefix} Generated by validation-scripts/build-design-tokens from ${sourceLabel(recipes.system)}`,
+    `${prefix} Do not edit; change the JSON source and rebuild.`
+  ];
+}
+
+function renderGlassMaterialsCSS(recipes) {
+  const { system, materials } = recipes;
+  const cssValue = token => (token.reference ? `var(--${tokenName(token.reference)})` : String(token.resolved));
+  const materialTokens = system.tokens.filter(token => token.path.startsWith('glassMaterials.'));
+  const backdrop = material => `blur(var(--${material.tokens.blur})) saturate(var(--${material.tokens.saturation}))`;
+
+  const lines = [
+    '/**',
+    ...materialHeader(recipes, 'Glass Materials', ' *'),
+    ' *',
+    ` * <div class="${materials[0].className}"> or {% render 'glass-material', material: '${materials[0].name}' %}`,
+    ' */',
+    '',
+    ':root {'
+  ];
+
+  let current = null;
+  for (const token of materialTokens) {
+    const name = token.path.split('.')[1];
+    if (name !== current) {
+      if (current !== null) lines.push('');
+      lines.push(`  /* ${name} */`);
+      current = name;
+    }
+    lines.push(`  --${token.name}: ${cssValue(token)};`);
+  }
+  lines.push('}');
+
+  for (const material of materials) {
+    lines.push(
+      '',
+      `.${material.className} {`,
+      `  background: var(--${material.tokens.tint});`,
+      `  border: var(--${material.tokens.border});`,
+      `  box-shadow: var(--${material.tokens.shadow});`,
+      `  -webkit-backdrop-filter: ${backdrop(material)};`,
+      `  backdrop-filter: ${backdrop(material)};`,
+      '}'
+    );
+  }
+
+  lines.push(
+    '',
+    '/* The tint alone is too transparent to read on without the blur behind it */',
+    '@supports not ((-webkit-backdrop-filter: blur(1px)) or (backdrop-filter: blur(1px))) {',
+    ...materials.map(material => `  .${material.className} { background: var(--${material.tokens.fallback}); }`),
+    '}',
+    '',
+    '@media (prefers-reduced-transparency: reduce) {'
+  );
+  materials.forEach((material, index) => {
+    if (index > 0) lines.push('');
+    lines.push(
+      `  .${material.className} {`,
+      `    background: var(--${material.tokens.fallback});`,
+      '    -webkit-backdrop-filter: none;',
+      '    backdrop-filter: none;',
+      '  }'
+    );
+  });
+  lines.push('}', '');
+
+  return lines.join('\n');
+}
+
+function renderGlassMaterialLiquid(recipes) {
+  const { materials } = recipes;
+  const names = materials.map(material => material.name);
+  const fallback = names.includes(DEFAULT_MATERIAL) ? DEFAULT_MATERIAL : names[0];
+  const quoted = names.map(name => `'${name}'`);
+
+  return [
+    '{%- comment -%}',
+    ...materialHeader(recipes, 'Glass Material', ' '),
+    '',
+    '  Outputs the utility class of a glass material; the classes are in',
+    '  glass-materials.css.',
+    '',
+    '  Usage:',
+    `  <div class="product-card {% render 'glass-material', material: '${names[names.length - 1]}' %}">`,
+    '',
+    '  Parameters:',
+    `  - material: ${quoted.join(' | ')} (default: '${fallback}')`,
+    '{%- endcomment -%}',
+    '',
+    '{%- liquid',
+    '  case material',
+    ...materials.flatMap(material => [`    when '${material.name}'`, `      echo '${material.className}'`]),
+    '    else',
+    `      echo '${materials.find(material => material.name === fallback).className}'`,
+    '  endcase',
+    '-%}',
+    ''
+  ].join('\n');
+}
+
+const MATERIAL_RENDERERS = {
+  css: renderGlassMaterialsCSS,
+  liquid: renderGlassMaterialLiquid
+};
+
+/**
+ * Write the utility stylesheet and snippet for loaded recipes
+ */
+async function writeGlassMaterialOutputs(recipes, outputRoot, outputs = DEFAULT_MATERIAL_OUTPUTS) {
+  return writeOutputs(MATERIAL_RENDERERS, recipes, outputRoot, outputs);
+}
+
+module.exports = {
+  DEFAULT_MATERIAL_OUTPUTS,
+  GLASS_MATERIALS_SOURCE,
+  RECIPE_PROPERTIES,
+  createGlassMaterials,
+  matchGlassMaterial,
+  parseBackdropFilter,
+  readGlassMaterials,
+  resolveVars,
+  renderGlassMaterialLiquid,
+  renderGlassMaterialsCSS,
+  writeGlassMaterialOutputs
+};
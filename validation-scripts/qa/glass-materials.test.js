@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { matchGlassMaterial, readGlassMaterials, resolveVars } from './glass-materials.js';
+import ShopifyThemeAuditor from '../shopify-theme-auditor.js';
+
+const { materials } = readGlassMaterials();
+
+describe('resolveVars', () => {
+  it('uses known custom properties, then fallbacks', () => {
+    const variables = new Map([['--blur', '20px'], ['--glass', 'blur(var(--blur))']]);
+
+    expect(resolveVars('var(--glass) saturate(150%)', variables)).toBe('blur(20px) saturate(150%)');
+    expect(resolveVars('blur(var(--missing, var(--blur)))', variables)).toBe('blur(20px)');
+  });
+
+  it('gives null for a var() with no value and no fallback, or a cycle', () => {
+    expect(resolveVars('blur(var(--missing))')).toBeNull();
+    expect(resolveVars('var(--a)', new Map([['--a', 'var(--a)']]))).toBeNull();
+  });
+});
+
+describe('matchGlassMaterial', () => {
+  it('matches recipes by custom property or exact values', () => {
+    expect(matchGlassMaterial('blur(var(--glass-material-thick-blur)) saturate(180%)', materials)).toEqual({ material: 'thick' });
+    expect(matchGlassMaterial('blur(20px) saturate(150%) !important', materials)).toEqual({ material: 'regular' });
+    expect(matchGlassMaterial('none', materials)).toEqual({ neutral: true });
+  });
+
+  it('suggests the nearest recipe for other values', () => {
+    expect(matchGlassMaterial('blur(12px)', materials)).toEqual({ material: null, nearest: 'thin' });
+  });
+
+  it('judges var() through its fallback or the given variables', () => {
+    expect(matchGlassMaterial('var(--card-blur, blur(20px) saturate(150%))', materials)).toEqual({ material: 'regular' });
+    expect(matchGlassMaterial('blur(var(--card-blur))', materials, new Map([['--card-blur', '12px']]))).toEqual({ material: null, nearest: 'thin' });
+  });
+
+  it('reports a var() it cannot resolve as unknown', () => {
+    expect(matchGlassMaterial('blur(var(--card-blur))', materials)).toEqual({ unknown: true });
+  });
+});
+
+describe('ShopifyThemeAuditor#detectGlassmorphism', () => {
+  it('does not count unresolvable var() as off-recipe', () => {
+    const auditor = new ShopifyThemeAuditor();
+    const result = auditor.detectGlassmorphism(`
+      .a { --local-blur: 12px; backdrop-filter: blur(var(--local-blur)); }
+      .b { backdrop-filter: var(--theme-glass); }
+    `);
+
+    expect(result.backdropFilters.map(filter => filter.unknown)).toEqual([false, true]);
+    expect(result.offRecipe).toHaveLength(1);
+    expect(result.offRecipe[0]).toMatchObject({ selectors: ['.a'], nearest: 'thin' });
+  });
+});
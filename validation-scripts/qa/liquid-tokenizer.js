@@ -0,0 +1,336 @@
+/**
+ * Glass QA Liquid Tokenizer
+ * Liquid-aware scanning of section/snippet templates for the theme auditors
+ *
+ * tokenizeLiquid() splits a template into text, output ({{ }}), tag ({% %}),
+ * comment and raw tokens, honouring whitespace control (`{%-`, `-}}`), quoted
+ * strings inside markup and `{% comment %}` / `{% raw %}` / `{% # %}` regions.
+ *
+ * scanLiquidTemplate() uses those tokens to find, with 1-based line/column:
+ *   styleBlocks      {% style %}, {% stylesheet %} and <style> blocks
+ *   scriptBlocks     {% javascript %} and inline <script> blocks
+ *   scriptSources    <script src="..."> references
+ *   styleAttributes  style="..." attributes, including Liquid inside the value
+ * Each region lists the Liquid variables (e.g. `section.settings.accent_color`)
+ * that feed it, so dynamic styles can be traced back to their settings.
+ */
+
+const { createLocator } = require('./css-analysis');
+
+// Block tags whose bodies are not markup the auditors should look into
+// ({% comment %} and {% raw %} are already single tokens)
+const OPAQUE_BLOCK_TAGS = { schema: 'endschema' };
+
+const STYLE_BLOCK_TAGS = { style: 'endstyle', stylesheet: 'endstylesheet' };
+const SCRIPT_BLOCK_TAGS = { javascript: 'endjavascript' };
+
+// Words inside Liquid expressions that are operators or literals, not variables
+const LIQUID_KEYWORDS = new Set([
+  'and', 'or', 'not', 'contains', 'in', 'with', 'as', 'for', 'by',
+  'true', 'false', 'nil', 'null', 'empty', 'blank', 'else',
+  'limit', 'offset', 'reversed', 'cols'
+]);
+
+/**
+ * Index just past `closer`, skipping quoted strings inside the markup
+ */
+function findLiquidEnd(source, from, closer) {
+  let quote = null;
+
+  for (let i = from; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (source.startsWith(closer, i)) {
+      return i + closer.length;
+    }
+  }
+
+  return source.length;
+}
+
+function stripWhitespaceControl(inner) {
+  return inner.replace(/^-/, '').replace(/-$/, '').trim();
+}
+
+/**
+ * Split a template into Liquid tokens
+ */
+function tokenizeLiquid(source) {
+  const locate = createLocator(source);
+  const tokens = [];
+  const push = (token) => tokens.push({ ...token, ...locate(token.start) });
+  let i = 0;
+
+  while (i < source.length) {
+    const next = source.slice(i).search(/\{\{|\{%/);
+    if (next === -1) {
+      push({ type: 'text', value: source.slice(i), start: i, end: source.length });
+      break;
+    }
+
+    const start = i + next;
+    if (start > i) {
+      push({ type: 'text', value: source.slice(i, start), start: i, end: start });
+    }
+
+    if (source[start + 1] === '{') {
+      const end = findLiquidEnd(source, start + 2, '}}');
+      const markup = stripWhitespaceControl(source.slice(start + 2, end - 2));
+      push({ type: 'output', markup, value: source.slice(start, end), start, end });
+      i = end;
+      continue;
+    }
+
+    const end = findLiquidEnd(source, start + 2, '%}');
+    const inner = stripWhitespaceControl(source.slice(start + 2, end - 2));
+
+    if (inner.startsWith('#')) {
+      push({ type: 'comment', value: inner.slice(1).trim(), start, end });
+      i = end;
+      continue;
+    }
+
+    const [, name = '', markup = ''] = inner.match(/^([\w-]+)\s*([\s\S]*)$/) || [];
+
+    if (name === 'comment' || name === 'raw') {
+      const closing = new RegExp(`\\{%-?\\s*end${name}\\s*-?%\\}`, 'g');
+      closing.lastIndex = end;
+      const match = closing.exec(source);
+      const blockEnd = match ? match.index + match[0].length : source.length;
+
+      push({
+        type: name,
+        value: source.slice(end, match ? match.index : source.length),
+        start,
+        end: blockEnd
+      });
+      i = blockEnd;
+      continue;
+    }
+
+    push({ type: 'tag', name, markup: markup.trim(), value: source.slice(start, end), start, end });
+    i = end;
+  }
+
+  return tokens;
+}
+
+/**
+ * Variables read by a Liquid expression, e.g. `section.settings.color | default: settings.accent`
+ */
+function expressionVariables(markup, tagName = null) {
+  if (tagName === 'liquid') {
+    // {% liquid %} holds one tag per line
+    return [...new Set(markup.split('\n').flatMap(line => {
+      const [, name = '', rest = ''] = line.trim().match(/^([\w-]+)\s*([\s\S]*)$/) || [];
+      return expressionVariables(rest, name);
+    }))];
+  }
+
+  let expression = markup.replace(/"[^"]*"|'[^']*'/g, ' ');
+
+  if (tagName === 'assign') {
+    expression = expression.slice(expression.indexOf('=') + 1);
+  } else if (tagName === 'for' || tagName === 'tablerow') {
+    expression = expression.replace(/^\s*[\w-]+\s+in\s+/, '');
+  } else if (tagName === 'capture' || tagName === 'increment' || tagName === 'decrement') {
+    return [];
+  }
+
+  const variables = new Set();
+  expression.split('|').forEach((segment, index) => {
+    // Filter names and named-argument keys are not variables
+    let text = index > 0 ? segment.replace(/^\s*[\w-]+\s*:?/, ' ') : segment;
+    text = text.replace(/[\w-]+\s*:/g, ' ');
+
+    const identifierRegex = /(^|[^\w.\-\]])([A-Za-z_][\w-]*(?:\.[\w-]+|\[[^\]]*\])*)/g;
+    let match;
+    while ((match = identifierRegex.exec(text)) !== null) {
+      const variable = match[2].replace(/\?$/, '');
+      if (!LIQUID_KEYWORDS.has(variable)) {
+        variables.add(variable);
+      }
+    }
+  });
+
+  return [...variables];
+}
+
+/**
+ * Names a tag defines locally (assign/capture targets and loop variables)
+ */
+function definedVariables(markup, tagName) {
+  if (tagName === 'liquid') {
+    return markup.split('\n').flatMap(line => {
+      const [, name = '', rest = ''] = line.trim().match(/^([\w-]+)\s*([\s\S]*)$/) || [];
+      return definedVariables(rest, name);
+    });
+  }
+
+  const match = tagName === 'assign' || tagName === 'capture' || tagName === 'for' || tagName === 'tablerow'
+    ? markup.match(/^\s*([\w-]+)/)
+    : null;
+  return match ? [match[1]] : [];
+}
+
+/**
+ * All variables read by output and tags in a piece of template.
+ * Locals defined in the same text are left out; what they were assigned from is kept.
+ */
+function liquidVariablesIn(text) {
+  const variables = new Set();
+  const locals = new Set();
+
+  for (const token of tokenizeLiquid(text)) {
+    if (token.type === 'output') {
+      expressionVariables(token.markup).forEach(v => variables.add(v));
+    } else if (token.type === 'tag') {
+      expressionVariables(token.markup, token.name).forEach(v => variables.add(v));
+      definedVariables(token.markup, token.name).forEach(v => locals.add(v));
+    }
+  }
+
+  return [...variables].filter(variable => !locals.has(variable.split(/[.[]/)[0]));
+}
+
+function hasLiquid(text) {
+  return /\{\{|\{%/.test(text);
+}
+
+/**
+ * Replace [start, end) with spaces, keeping newlines so offsets and lines still match
+ */
+function maskRange(chars, start, end) {
+  for (let i = start; i < end; i++) {
+    if (chars[i] !== '\n') chars[i] = ' ';
+  }
+}
+
+/**
+ * Find style/script regions and style attributes in a Liquid template
+ */
+function scanLiquidTemplate(source) {
+  const locate = createLocator(source);
+  const tokens = tokenizeLiquid(source);
+  const styleBlocks = [];
+  const scriptBlocks = [];
+  const scriptSources = [];
+  const styleAttributes = [];
+
+  // HTML is searched in a copy where Liquid is blanked out, so quotes and
+  // angle brackets inside {{ }} / {% %} cannot end an attribute or a tag
+  const masked = source.split('');
+
+  const region = (kind, start, contentStart, contentEnd) => {
+    const content = source.slice(contentStart, contentEnd);
+    const contentLocation = locate(contentStart);
+    return {
+      kind,
+      content,
+      ...locate(start),
+      contentStart,
+      contentLine: contentLocation.line,
+      contentColumn: contentLocation.column,
+      dynamic: hasLiquid(content),
+      liquidVariables: liquidVariablesIn(content)
+    };
+  };
+
+  for (let t = 0; t < tokens.length; t++) {
+    const token = tokens[t];
+
+    if (token.type === 'comment' || token.type === 'raw') {
+      maskRange(masked, token.start, token.end);
+      continue;
+    }
+    if (token.type === 'output') {
+      maskRange(masked, token.start, token.end);
+      continue;
+    }
+    if (token.type !== 'tag') continue;
+
+    const closingName = STYLE_BLOCK_TAGS[token.name] || SCRIPT_BLOCK_TAGS[token.name] || OPAQUE_BLOCK_TAGS[token.name];
+    if (!closingName) {
+      maskRange(masked, token.start, token.end);
+      continue;
+    }
+
+    const closing = tokens.findIndex((candidate, index) => index > t && candidate.type === 'tag' && candidate.name === closingName);
+    const blockEnd = closing === -1 ? source.length : tokens[closing].end;
+    const contentEnd = closing === -1 ? source.length : tokens[closing].start;
+
+    if (STYLE_BLOCK_TAGS[token.name]) {
+      styleBlocks.push(region(token.name, token.start, token.end, contentEnd));
+    } else if (SCRIPT_BLOCK_TAGS[token.name]) {
+      scriptBlocks.push({ ...region(token.name, token.start, token.end, contentEnd), type: null });
+    }
+
+    maskRange(masked, token.start, blockEnd);
+    if (closing !== -1) t = closing;
+  }
+
+  let html = masked.join('');
+
+  const elementRegex = /<(style|script)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi;
+  let match;
+  while ((match = elementRegex.exec(html)) !== null) {
+    const [whole, tagName, attributesText] = match;
+    const openTagEnd = match.index + whole.indexOf('>') + 1;
+    const contentEnd = match.index + whole.lastIndexOf('</');
+
+    if (tagName.toLowerCase() === 'style') {
+      styleBlocks.push(region('html', match.index, openTagEnd, contentEnd));
+    } else {
+      const src = attributesText.match(/\ssrc\s*=\s*(["'])([\s\S]*?)\1/i);
+      if (src) {
+        const srcStart = match.index + whole.indexOf(src[0]) + src[0].indexOf(src[1]) + 1;
+        scriptSources.push({ src: source.slice(srcStart, srcStart + src[2].length), ...locate(match.index) });
+      } else {
+        const type = attributesText.match(/\stype\s*=\s*["']?([^"'\s>]+)/i);
+        scriptBlocks.push({ ...region('html', match.index, openTagEnd, contentEnd), type: type ? type[1] : null });
+      }
+    }
+  }
+
+  // Style attributes outside <style>/<script> elements
+  html = html.replace(elementRegex, whole => whole.replace(/[^\n]/g, ' '));
+  const tagRegex = /<[a-zA-Z][\w:-]*\b[^>]*>/g;
+  while ((match = tagRegex.exec(html)) !== null) {
+    const attributeRegex = /\sstyle\s*=\s*(["'])([\s\S]*?)\1/gi;
+    let attribute;
+
+    while ((attribute = attributeRegex.exec(match[0])) !== null) {
+      const start = match.index + attribute.index + 1;
+      const valueStart = match.index + attribute.index + attribute[0].indexOf(attribute[1]) + 1;
+      const value = source.slice(valueStart, valueStart + attribute[2].length);
+      const valueLocation = locate(valueStart);
+
+      styleAttributes.push({
+        value,
+        ...locate(start),
+        valueStart,
+        valueLine: valueLocation.line,
+        valueColumn: valueLocation.column,
+        dynamic: hasLiquid(value),
+        liquidVariables: liquidVariablesIn(value)
+      });
+    }
+  }
+
+  const byPosition = (a, b) => (a.line - b.line) || (a.column - b.column);
+  styleBlocks.sort(byPosition);
+  scriptBlocks.sort(byPosition);
+
+  return { tokens, styleBlocks, scriptBlocks, scriptSources, styleAttributes };
+}
+
+module.exports = {
+  expressionVariables,
+  hasLiquid,
+  liquidVariablesIn,
+  scanLiquidTemplate,
+  tokenizeLiquid
+};
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { expressionVariables, liquidVariablesIn, scanLiquidTemplate, tokenizeLiquid } from './liquid-tokenizer.js';
+
+describe('tokenizeLiquid', () => {
+  it('splits text, output and tags with whitespace control', () => {
+    const tokens = tokenizeLiquid('<p>{{- product.title -}}</p>\n{%- if show -%}');
+
+    expect(tokens.map(token => token.type)).toEqual(['text', 'output', 'text', 'tag']);
+    expect(tokens[1]).toMatchObject({ markup: 'product.title', line: 1, column: 4 });
+    expect(tokens[3]).toMatchObject({ name: 'if', markup: 'show', line: 2, column: 1 });
+  });
+
+  it('does not end markup at a closer inside a string', () => {
+    const [token] = tokenizeLiquid('{{ "}}" | append: x }}');
+    expect(token).toMatchObject({ type: 'output', markup: '"}}" | append: x' });
+  });
+
+  it('keeps comment and raw blocks as single tokens', () => {
+    const tokens = tokenizeLiquid('{% comment %}{{ hidden }}{% endcomment %}{% raw %}{{ raw }}{% endraw %}{% # note %}');
+    expect(tokens.map(token => [token.type, token.value])).toEqual([
+      ['comment', '{{ hidden }}'],
+      ['raw', '{{ raw }}'],
+      ['comment', 'note']
+    ]);
+  });
+});
+
+describe('expressionVariables', () => {
+  it('leaves out filters, named arguments, strings and keywords', () => {
+    expect(expressionVariables('section.settings.color | default: settings.accent | append: "px", sep: true'))
+      .toEqual(['section.settings.color', 'settings.accent']);
+  });
+
+  it('reads the right-hand side of assign and the collection of for', () => {
+    expect(expressionVariables('size = block.settings.size | times: 2', 'assign')).toEqual(['block.settings.size']);
+    expect(expressionVariables('item in collection.products limit: 4', 'for')).toEqual(['collection.products']);
+  });
+});
+
+describe('liquidVariablesIn', () => {
+  it('drops locals but keeps what they were assigned from', () => {
+    const text = '{% assign gap = section.settings.gap %}{{ gap }}px {{ settings.radius }}';
+    expect(liquidVariablesIn(text)).toEqual(['section.settings.gap', 'settings.radius']);
+  });
+
+  it('reads {% liquid %} tags line by line', () => {
+    expect(liquidVariablesIn('{% liquid\n  assign a = block.settings.a\n  echo a\n%}')).toEqual(['block.settings.a']);
+  });
+});
+
+describe('scanLiquidTemplate', () => {
+  const template = [
+    '{% style %}',
+    '  .a { color: {{ section.settings.color }}; }',
+    '{% endstyle %}',
+    '<div style="gap: {{ block.settings.gap }}px" data-x="{{ \'>\' }}">',
+    '<script src="{{ \'a.js\' | asset_url }}" defer></script>',
+    '<script type="application/json">{}</script>',
+    '{% comment %}<style>.hidden {}</style>{% endcomment %}',
+    '{% schema %}{ "name": "<style>" }{% endschema %}'
+  ].join('\n');
+
+  it('finds style blocks with the settings that feed them', () => {
+    const { styleBlocks } = scanLiquidTemplate(template);
+    expect(styleBlocks).toHaveLength(1);
+    expect(styleBlocks[0]).toMatchObject({
+      kind: 'style',
+      line: 1,
+      contentLine: 1,
+      dynamic: true,
+      liquidVariables: ['section.settings.color']
+    });
+  });
+
+  it('finds style attributes, script sources and inline scripts outside comments and schema', () => {
+    const { styleAttributes, scriptSources, scriptBlocks } = scanLiquidTemplate(template);
+
+    expect(styleAttributes).toEqual([
+      expect.objectContaining({ value: 'gap: {{ block.settings.gap }}px', line: 4, liquidVariables: ['block.settings.gap'] })
+    ]);
+    expect(scriptSources).toEqual([expect.objectContaining({ src: "{{ 'a.js' | asset_url }}", line: 5 })]);
+    expect(scriptBlocks).toEqual([expect.objectContaining({ kind: 'html', type: 'application/json', content: '{}' })]);
+  });
+});
@@ -0,0 +1,384 @@
+/**
+ * Glass QA Plugins
+ * Adapters that run each theme analyzer against an arbitrary theme root
+ *
+ * Every plugin exposes the same shape:
+ *   { name, description, run(context) -> { summary, findings, details } }
+ *
+ * `context` carries { themeRoot, outputDir, options }. Findings are normalized to
+ *   { ruleId, severity: 'error' | 'warning' | 'note', message, file, line }
+ * so that the combined report can merge results from every analyzer.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Map analyzer-specific severities onto the shared error/warning/note scale
+ */
+function normalizeSeverity(severity) {
+  switch (severity) {
+    case 'error':
+    case 'critical':
+    case 'high':
+      return 'error';
+    case 'warning':
+    case 'medium':
+      return 'warning';
+    default:
+      return 'note';
+  }
+}
+
+const themeAuditorPlugin = {
+  name: 'theme-auditor',
+  description: 'ShopifyThemeAuditor - CSS/JS sources, inline code and Apple HIG compliance',
+
+  async run({ themeRoot, outputDir, options }) {
+    const ShopifyThemeAuditor = require('../shopify-theme-auditor');
+    const auditor = new ShopifyThemeAuditor({
+      themeRoot,
+      configPath: options.configPath,
+      reportsDir: outputDir,
+      extractedDir: path.join(outputDir, 'extracted-styles')
+    });
+
+    const report = await auditor.performComprehensiveAudit();
+    const findings = [...auditor.ruleEngine.findings];
+
+    for (const [source, analysis] of Object.entries(auditor.cssAnalysis)) {
+      if (!analysis.exists) {
+        findings.push({
+          ruleId: 'audit/missing-css-source',
+          severity: 'note',
+          message: `Expected CSS source not found: ${source}`,
+          file: path.join('assets', source),
+          line: null
+        });
+      }
+    }
+
+    return {
+      summary: report.executive_summary,
+      findings,
+      details: report
+    };
+  }
+};
+
+const architecturePlugin = {
+  name: 'architecture',
+  description: 'ThemeArchitectureAnalyzer - CSS architecture, Liquid dependencies and glass integration',
+
+  async run({ themeRoot }) {
+    // theme-architecture-analyzer.js is an ES module, so it has to be loaded dynamically
+    const moduleUrl = pathToFileURL(path.join(__dirname, '..', 'theme-architecture-analyzer.js')).href;
+    const { default: ThemeArchitectureAnalyzer } = await import(moduleUrl);
+
+    const analyzer = new ThemeArchitectureAnalyzer(themeRoot);
+    const analysis = await analyzer.analyzeGlassTheme();
+    const findings = [];
+
+    for (const [file, deps] of Object.entries(analysis.liquidDependencies.sections || {})) {
+      for (const snippet of deps.renders) {
+        if (!(`${snippet}.liquid` in (analysis.liquidDependencies.snippets || {}))) {
+          findings.push({
+            ruleId: 'architecture/missing-snippet',
+            severity: 'error',
+            message: `Rendered snippet "${snippet}" does not exist`,
+            file: path.join('sections', file),
+            line: null
+          });
+        }
+      }
+    }
+
+    return {
+      summary: {
+        cssFiles: analysis.cssArchitecture.totalFiles || 0,
+        sections: Object.keys(analysis.liquidDependencies.sections || {}).length,
+        snippets: Object.keys(analysis.liquidDependencies.snippets || {}).length,
+        glassEffectFiles: analysis.glassSystemIntegration.glassEffectFiles?.length || 0,
+        backdropFilterSupport: analysis.glassSystemIntegration.backDropFilterSupport || false
+      },
+      findings,
+      details: analysis
+    };
+  }
+};
+
+const dependenciesPlugin = {
+  name: 'dependencies',
+  description: 'ShopifyDependencyAnalyzer - usage tracing, redundancies and unused files',
+
+  async run({ themeRoot, outputDir }) {
+    const ShopifyDependencyAnalyzer = require('../../shopify-dependency-analyzer');
+    const analyzer = new ShopifyDependencyAnalyzer(themeRoot);
+    const report = await analyzer.analyze();
+    const graphPath = await analyzer.generateDependencyGraph(path.join(outputDir, 'dependency-graph.html'));
+    console.log(`🗺️  Dependency graph: ${graphPath}`);
+
+    const findings = report.safesToDelete.map(item => ({
+      ruleId: 'dependencies/unused-file',
+      severity: 'note',
+      message: item.reason,
+      file: item.file,
+      line: null
+    }));
+
+    for (const [baseName, info] of analyzer.redundancies) {
+      findings.push({
+        ruleId: 'dependencies/redundant-file',
+        severity: 'warning',
+        message: `${info.files.length} near-identical files for "${baseName}" (${Math.round(info.similarity * 100)}% similarity)`,
+        file: info.files[0].relativePath,
+        line: null
+      });
+    }
+
+    return {
+      summary: {
+        totalFiles: report.totalFiles,
+        usedFiles: report.usedFiles,
+        unusedFiles: report.unusedFiles,
+        redundantFiles: report.redundantFiles,
+        safeToDelete: report.safesToDelete.length,
+        dependencyGraph: graphPath
+      },
+      findings,
+      details: report
+    };
+  }
+};
+
+const variablesPlugin = {
+  name: 'variables',
+  description: 'VariableConsistencyValidator - CSS variable conflicts, undefined variables and fallbacks',
+
+  async run({ themeRoot, outputDir }) {
+    const VariableConsistencyValidator = require('../variable-consistency-validator');
+    const validator = new VariableConsistencyValidator(themeRoot, { outputDir });
+
+    await validator.collectVariableDefinitions();
+    await validator.collectVariableUsage();
+    await validator.validateConsistency(null);
+
+    const { report } = validator;
+    const findings = validator.getFindings();
+
+    return {
+      summary: {
+        totalVariablesDefined: validator.variableDefinitions.size,
+        totalVariablesUsed: validator.variableUsage.size,
+        conflicts: report.conflicts.length,
+        undefinedVariables: report.undefinedVariables.length,
+        inconsistentFallbacks: report.inconsistentFallbacks.length,
+        spacingIssues: report.spacingIssues.length
+      },
+      findings,
+      details: report
+    };
+  }
+};
+
+const tokensPlugin = {
+  name: 'tokens',
+  description: 'ComprehensiveTokenScanner - token file discovery and fragmentation',
+
+  async run({ themeRoot }) {
+    const { ComprehensiveTokenScanner } = require('../mega-token-scanner');
+    const scanner = new ComprehensiveTokenScanner({
+      projectRoot: themeRoot,
+      scanLocations: { shopifyLiquid: [themeRoot] }
+    });
+
+    await scanner.discoverAllTokenFiles();
+    await scanner.analyzePlatformTokens();
+    await scanner.analyzeTokenContent();
+    await scanner.identifyUnificationOpportunities();
+
+    const { discoveries } = scanner;
+    const findings = discoveries.conflicts
+      .filter(conflict => conflict.count > 1)
+      .map(conflict => ({
+        ruleId: 'tokens/fragmentation',
+        severity: 'note',
+        message: `${conflict.type}: ${conflict.count} files. ${conflict.recommendation}`,
+        file: null,
+        line: null
+      }));
+
+    return {
+      summary: {
+        tokenFiles: discoveries.tokenFiles.length,
+        conflicts: discoveries.conflicts.length,
+        opportunities: discoveries.opportunities.length
+      },
+      findings,
+      details: {
+        tokenFiles: discoveries.tokenFiles.map(file => ({
+          path: file.relativePath,
+          type: file.type,
+          size: file.size
+        })),
+        conflicts: discoveries.conflicts
+      }
+    };
+  }
+};
+
+const petersenQAPlugin = {
+  name: 'petersen-qa',
+  description: 'EnhancedPetersenQAService - glass component JS, responsive and foundation checks',
+
+  async run({ themeRoot }) {
+    // Only the read-only validation steps are run here; runFullQAValidation() rewrites theme files
+    const { EnhancedPetersenQAService } = require(path.join(REPO_ROOT, 'enhanced-petersen-qa-service'));
+    const service = new EnhancedPetersenQAService();
+    service.baseDir = themeRoot;
+
+    await service.loadFoundationVariables();
+    await service.mapGlassComponents();
+
+    const jsValidation = await service.validateJavaScriptPatterns();
+    const responsiveValidation = await service.validateResponsiveLayouts();
+    const foundationCompliance = await service.validateFoundationCompliance();
+    const findings = [];
+
+    for (const [component, validation] of jsValidation.patterns) {
+      for (const issue of validation.issues) {
+        findings.push({
+          ruleId: 'petersen-qa/javascript',
+          severity: 'warning',
+          message: issue,
+          file: component,
+          line: null
+        });
+      }
+    }
+
+    for (const [viewport, result] of Object.entries(responsiveValidation)) {
+      for (const issue of result.issues) {
+        findings.push({
+          ruleId: `petersen-qa/responsive-${viewport}`,
+          severity: 'warning',
+          message: issue,
+          file: null,
+          line: null
+        });
+      }
+    }
+
+    for (const component of foundationCompliance.missingVariables) {
+      findings.push({
+        ruleId: 'petersen-qa/foundation-variables',
+        severity: 'note',
+        message: 'Component does not use any foundation variables',
+        file: component,
+        line: null
+      });
+    }
+
+    return {
+      summary: {
+        foundationVariables: service.foundationVariables.size,
+        glassComponents: service.glassComponents.size,
+        componentsUsingFoundation: foundationCompliance.componentsUsingFoundation,
+        touchTargetCompliance: foundationCompliance.touchTargetCompliance
+      },
+      findings,
+      details: { foundationCompliance }
+    };
+  }
+};
+
+const contrastPlugin = {
+  name: 'contrast',
+  description: 'Contrast engine - WCAG and APCA contrast of glass components over every quantum state',
+
+  async run({ themeRoot }) {
+    const { createContrastReport } = require('./contrast');
+    const report = await createContrastReport({ themeRoot });
+
+    // One finding per component, listing the states it fails in
+    const byLocation = new Map();
+    for (const { state, components } of report.states) {
+      for (const component of components.filter(c => c.status === 'fail' || c.status === 'warn')) {
+        const key = `${component.file}:${component.line}`;
+        const entry = byLocation.get(key) || { component, states: [], worst: component };
+        entry.states.push(state);
+        if (component.ratio < entry.worst.ratio) entry.worst = component;
+        byLocation.set(key, entry);
+      }
+    }
+
+    const findings = [...byLocation.values()].map(({ component, states, worst }) => ({
+      ruleId: worst.status === 'fail' ? 'contrast/wcag' : 'contrast/apca',
+      severity: worst.status === 'fail' ? 'error' : 'warning',
+      message: `${component.selector}: ${worst.ratio}:1, APCA Lc ${worst.lc} on ${worst.background} (${states.join(', ')})`,
+      // The ratio changes with every token tweak; the baseline tracks the selector
+      key: component.selector,
+      file: component.file,
+      line: component.line
+    }));
+
+    const total = key => report.states.reduce((sum, state) => sum + state.summary.pairs[key], 0);
+    return {
+      summary: {
+        states: report.states.length,
+        componentsChecked: report.states[0] ? report.states[0].summary.components.checked : 0,
+        failingComponents: findings.filter(finding => finding.severity === 'error').length,
+        failingTokenPairs: total('failing'),
+        apcaWarningTokenPairs: total('apcaWarnings')
+      },
+      findings,
+      details: report
+    };
+  }
+};
+
+/**
+ * Whether a plugin failed because its analyzer module is not in this checkout.
+ * A module that the analyzer itself requires is a broken analyzer, not a
+ * missing one, so only modules loaded from this file count.
+ */
+function isMissingPluginModule(error) {
+  if (error.code === 'MODULE_NOT_FOUND') {
+    return Array.isArray(error.requireStack) && error.requireStack[0] === __filename;
+  }
+  if (error.code === 'ERR_MODULE_NOT_FOUND') {
+    return error.message.endsWith(`imported from ${__filename}`);
+  }
+  return false;
+}
+
+const plugins = [
+  themeAuditorPlugin,
+  architecturePlugin,
+  dependenciesPlugin,
+  variablesPlugin,
+  tokensPlugin,
+  petersenQAPlugin,
+  contrastPlugin
+];
+
+/**
+ * Resolve plugin names to plugins, throwing on unknown names
+ */
+function resolvePlugins(names) {
+  if (!names || names.length === 0) {
+    return plugins;
+  }
+
+  return names.map(name => {
+    const plugin = plugins.find(p => p.name === name);
+    if (!plugin) {
+      throw new Error(`Unknown plugin "${name}". Available: ${plugins.map(p => p.name).join(', ')}`);
+    }
+    return plugin;
+  });
+}
+
+module.exports = { plugins, resolvePlugins, normalizeSeverity, isMissingPluginModule };
@@ -0,0 +1,51 @@
+import fs from 'fs';
+import { createRequire } from 'module';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { afterAll, describe, expect, it } from 'vitest';
+import { isMissingPluginModule, plugins } from './plugins.js';
+
+// Modules loaded the way plugins.js loads its analyzers
+const requireFromPlugins = createRequire(fileURLToPath(new URL('./plugins.js', import.meta.url)));
+const fixtures = fs.mkdtempSync(path.join(os.tmpdir(), 'glass-qa-plugins-'));
+
+afterAll(() => {
+  fs.rmSync(fixtures, { recursive: true, force: true });
+});
+
+/**
+ * The error a require throws
+ */
+function requireError(request) {
+  try {
+    requireFromPlugins(request);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${request} loaded`);
+}
+
+describe('isMissingPluginModule', () => {
+  it('is true when the analyzer module is not in the checkout', () => {
+    expect(isMissingPluginModule(requireError('../missing-analyzer'))).toBe(true);
+  });
+
+  it('is false when the analyzer is there but one of its dependencies is missing', () => {
+    const analyzer = path.join(fixtures, 'analyzer.js');
+    fs.writeFileSync(analyzer, "require('./base-service');\n");
+
+    expect(isMissingPluginModule(requireError(analyzer))).toBe(false);
+  });
+
+  it('is false for other errors', () => {
+    expect(isMissingPluginModule(new Error('Unexpected token'))).toBe(false);
+  });
+});
+
+describe('plugins', () => {
+  it('loads the petersen-qa analyzer', () => {
+    expect(plugins.some(plugin => plugin.name === 'petersen-qa')).toBe(true);
+    expect(requireFromPlugins('../../enhanced-petersen-qa-service').EnhancedPetersenQAService).toBeTypeOf('function');
+  });
+});
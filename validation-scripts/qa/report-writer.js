@@ -0,0 +1,173 @@
+/**
+ * Glass QA Report Writer
+ * Writes the combined JSON + Markdown report for a glass-qa run
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { writeMachineReports } = require('./reporters');
+
+const SEVERITIES = ['error', 'warning', 'note'];
+
+/**
+ * Count findings by severity
+ */
+function countBySeverity(findings) {
+  const counts = { error: 0, warning: 0, note: 0 };
+
+  for (const finding of findings) {
+    counts[finding.severity] = (counts[finding.severity] || 0) + 1;
+  }
+
+  return counts;
+}
+
+/**
+ * Totals of the per-plugin baseline comparisons
+ */
+function sumBaselines(results, baselinePath) {
+  const totals = { baseline: baselinePath, new: 0, fixed: 0, unchanged: 0, failing: 0 };
+
+  for (const result of results) {
+    if (!result.baseline) continue;
+    for (const key of ['new', 'fixed', 'unchanged', 'failing']) {
+      totals[key] += result.baseline[key];
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Build the combined report from per-plugin results
+ */
+function buildCombinedReport(themeRoot, results, baselinePath = null) {
+  const allFindings = results.flatMap(result => result.findings || []);
+
+  const report = {
+    timestamp: new Date().toISOString(),
+    themeRoot,
+    theme: path.basename(themeRoot),
+    summary: {
+      plugins: results.length,
+      passed: results.filter(r => r.status === 'completed').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      skipped: results.filter(r => r.status === 'skipped').length,
+      findings: allFindings.length,
+      bySeverity: countBySeverity(allFindings)
+    },
+    plugins: results
+  };
+
+  if (baselinePath) {
+    report.summary.baseline = sumBaselines(results, baselinePath);
+  }
+
+  return report;
+}
+
+function formatLocation(finding) {
+  if (!finding.file) return '';
+  return finding.line ? `\`${finding.file}:${finding.line}\`` : `\`${finding.file}\``;
+}
+
+/**
+ * Render the combined report as Markdown
+ */
+function renderMarkdown(report) {
+  const lines = [
+    `# Glass QA Report - ${report.theme}`,
+    '',
+    `Generated: ${report.timestamp}`,
+    `Theme root: \`${report.themeRoot}\``,
+    '',
+    '## Summary',
+    '',
+    `- **Plugins run**: ${report.summary.plugins} (${report.summary.passed} completed, ${report.summary.failed} failed, ${report.summary.skipped} skipped)`,
+    `- **Findings**: ${report.summary.findings}`,
+    ...SEVERITIES.map(severity => `  - ${severity}: ${report.summary.bySeverity[severity]}`),
+    ...(report.summary.baseline
+      ? [`- **Against baseline** \`${report.summary.baseline.baseline}\`: ${report.summary.baseline.new} new, ${report.summary.baseline.fixed} fixed, ${report.summary.baseline.unchanged} unchanged`]
+      : []),
+    '',
+    '| Plugin | Status | Errors | Warnings | Notes | Duration |',
+    '| --- | --- | --- | --- | --- | --- |'
+  ];
+
+  for (const result of report.plugins) {
+    const counts = countBySeverity(result.findings || []);
+    lines.push(`| ${result.name} | ${result.status} | ${counts.error} | ${counts.warning} | ${counts.note} | ${result.durationMs}ms |`);
+  }
+
+  for (const result of report.plugins) {
+    lines.push('', `## ${result.name}`, '', result.description, '');
+
+    if (result.status !== 'completed') {
+      lines.push(`**${result.status === 'skipped' ? 'Skipped' : 'Failed'}**: ${result.error}`);
+      continue;
+    }
+
+    const findings = result.findings || [];
+    if (result.baseline) {
+      lines.push(`Against baseline: ${result.baseline.new} new, ${result.baseline.fixed} fixed, ${result.baseline.unchanged} unchanged`, '');
+    }
+    if (findings.length === 0) {
+      lines.push('No findings.');
+      continue;
+    }
+
+    for (const severity of SEVERITIES) {
+      // New findings first, so a baseline run never truncates them away
+      const matching = findings
+        .filter(f => f.severity === severity)
+        .sort((a, b) => (b.baselineState === 'new') - (a.baselineState === 'new'));
+      if (matching.length === 0) continue;
+
+      lines.push(`### ${severity} (${matching.length})`, '');
+      for (const finding of matching.slice(0, 50)) {
+        const location = formatLocation(finding);
+        const marker = finding.baselineState === 'new' ? ' _(new)_' : '';
+        lines.push(`- **${finding.ruleId}**${location ? ` ${location}` : ''}${marker}: ${finding.message}`);
+      }
+      if (matching.length > 50) {
+        lines.push(`- ...and ${matching.length - 50} more (see JSON report)`);
+      }
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write glass-qa-report.{json,md,sarif,junit.xml} to the output directory
+ */
+async function writeCombinedReport(report, outputDir, formats = ['json', 'md']) {
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const basePath = path.join(outputDir, 'glass-qa-report');
+  const written = {};
+
+  if (formats.includes('json')) {
+    written.json = `${basePath}.json`;
+    await fs.writeFile(written.json, JSON.stringify(report, null, 2));
+  }
+
+  if (formats.includes('md')) {
+    written.md = `${basePath}.md`;
+    await fs.writeFile(written.md, renderMarkdown(report));
+  }
+
+  Object.assign(written, await writeMachineReports(report.plugins, basePath, formats, {
+    themeRoot: report.themeRoot
+  }));
+
+  return written;
+}
+
+module.exports = {
+  buildCombinedReport,
+  countBySeverity,
+  renderMarkdown,
+  writeCombinedReport
+};
@@ -0,0 +1,179 @@
+/**
+ * Glass QA Reporters
+ * Shared SARIF 2.1.0 and JUnit XML output for normalized QA findings
+ *
+ * Every reporter takes a list of tool runs:
+ *   [{ name, version, description, findings, status, error }]
+ * where findings use the shared { ruleId, severity, message, file, line } shape.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { RULES } = require('./rule-engine');
+const { fingerprintFinding } = require('./baseline');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Build a SARIF 2.1.0 log with one run per tool
+ */
+function toSarif(runs, { themeRoot = null } = {}) {
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: runs.map(run => {
+      const findings = run.findings || [];
+      const ruleIds = [...new Set(findings.map(f => f.ruleId))];
+
+      const sarifRun = {
+        tool: {
+          driver: {
+            name: run.name,
+            version: run.version || '1.0.0',
+            rules: ruleIds.map(ruleId => ({
+              id: ruleId,
+              shortDescription: { text: RULES[ruleId]?.description || ruleId }
+            }))
+          }
+        },
+        results: findings.map(finding => {
+          const result = {
+            ruleId: finding.ruleId,
+            ruleIndex: ruleIds.indexOf(finding.ruleId),
+            level: finding.severity,
+            message: { text: finding.message },
+            partialFingerprints: {
+              'glassQa/v1': finding.fingerprint || fingerprintFinding(finding)
+            }
+          };
+
+          if (finding.baselineState) {
+            result.baselineState = finding.baselineState;
+          }
+
+          if (finding.file) {
+            const physicalLocation = {
+              artifactLocation: {
+                uri: finding.file.split(path.sep).join('/'),
+                uriBaseId: 'THEMEROOT'
+              }
+            };
+            if (finding.line) {
+              physicalLocation.region = { startLine: finding.line };
+              if (finding.column) {
+                physicalLocation.region.startColumn = finding.column;
+              }
+            }
+            result.locations = [{ physicalLocation }];
+          }
+
+          return result;
+        })
+      };
+
+      if (themeRoot) {
+        sarifRun.originalUriBaseIds = {
+          THEMEROOT: { uri: pathToFileURL(themeRoot).href.replace(/\/?$/, '/') }
+        };
+      }
+
+      if (run.status === 'failed') {
+        sarifRun.invocations = [{
+          executionSuccessful: false,
+          toolExecutionNotifications: [{ level: 'error', message: { text: run.error } }]
+        }];
+      }
+
+      return sarifRun;
+    })
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build a JUnit XML document with one test suite per tool.
+ * Errors and warnings become failures; notes and findings already in the
+ * baseline are reported as skipped test cases.
+ */
+function toJUnit(runs) {
+  const suites = runs.map(run => {
+    const findings = run.findings || [];
+    const testcases = [];
+    let failures = 0;
+    let skipped = 0;
+    let errors = 0;
+
+    if (run.status === 'failed') {
+      errors++;
+      testcases.push(
+        `    <testcase classname="${escapeXml(run.name)}" name="${escapeXml(run.name)}">\n` +
+        `      <error message="${escapeXml(run.error)}"/>\n` +
+        '    </testcase>'
+      );
+    } else if (findings.length === 0) {
+      testcases.push(`    <testcase classname="${escapeXml(run.name)}" name="no findings"/>`);
+    }
+
+    for (const finding of findings) {
+      const location = finding.file ? `${finding.file}${finding.line ? `:${finding.line}` : ''}` : run.name;
+      const open = `    <testcase classname="${escapeXml(`${run.name}.${finding.ruleId}`)}" name="${escapeXml(location)}"`;
+
+      if (finding.severity === 'note' || finding.baselineState === 'unchanged') {
+        const message = finding.baselineState === 'unchanged' ? `In baseline: ${finding.message}` : finding.message;
+        skipped++;
+        testcases.push(`${open}>\n      <skipped message="${escapeXml(message)}"/>\n    </testcase>`);
+      } else {
+        failures++;
+        testcases.push(
+          `${open}>\n` +
+          `      <failure message="${escapeXml(finding.message)}" type="${finding.severity}">${escapeXml(`${finding.ruleId}: ${finding.message}`)}</failure>\n` +
+          '    </testcase>'
+        );
+      }
+    }
+
+    return (
+      `  <testsuite name="${escapeXml(run.name)}" tests="${testcases.length}" failures="${failures}" errors="${errors}" skipped="${skipped}">\n` +
+      `${testcases.join('\n')}\n` +
+      '  </testsuite>'
+    );
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="glass-qa">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+/**
+ * Write SARIF and/or JUnit files for a set of runs.
+ * `basePath` is the output path without extension, e.g. reports/shopify-theme-audit-report
+ */
+async function writeMachineReports(runs, basePath, formats = [], options = {}) {
+  const written = {};
+  await fs.mkdir(path.dirname(basePath), { recursive: true });
+
+  if (formats.includes('sarif')) {
+    written.sarif = `${basePath}.sarif`;
+    await fs.writeFile(written.sarif, JSON.stringify(toSarif(runs, options), null, 2));
+  }
+
+  if (formats.includes('junit')) {
+    written.junit = `${basePath}.junit.xml`;
+    await fs.writeFile(written.junit, toJUnit(runs));
+  }
+
+  return written;
+}
+
+module.exports = {
+  toSarif,
+  toJUnit,
+  writeMachineReports
+};
@@ -0,0 +1,304 @@
+/**
+ * Glass QA Rule Engine
+ * Named rules with configurable severity (off/warn/error) and comment-based suppressions
+ *
+ * Project config lives in `.glass-qa.json` (theme root first, then the working directory):
+ *   {
+ *     "rules": {
+ *       "spacing-grid": "off",
+ *       "touch-target": "error",
+ *       "css-file-size": ["warn", { "maxKB": 150 }]
+ *     }
+ *   }
+ *
+ * Suppressions work in CSS, HTML and Liquid comments:
+ *   /* glass-qa-disable touch-target *\/           until glass-qa-enable or end of file
+ *   /* glass-qa-disable-next-line font-size-min *\/
+ *   <!-- glass-qa-disable-line spacing-grid -->
+ *   {% comment %} glass-qa-disable touch-target {% endcomment %}
+ *   {%- # glass-qa-disable-next-line -%}           (no rule list suppresses every rule)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = '.glass-qa.json';
+
+const RULES = {
+  // Apple HIG - checkPropertyHIGCompliance
+  'touch-target': {
+    category: 'hig',
+    description: 'Interactive element dimensions must be at least 44px',
+    defaultSeverity: 'error'
+  },
+  'font-size-min': {
+    category: 'hig',
+    description: 'Font size must be at least 11px',
+    defaultSeverity: 'error'
+  },
+  'font-size-preferred': {
+    category: 'hig',
+    description: 'Body font size should be at least 17px',
+    defaultSeverity: 'warn'
+  },
+  'line-height': {
+    category: 'hig',
+    description: 'Line height must be at least 1.2',
+    defaultSeverity: 'warn'
+  },
+  'spacing-grid': {
+    category: 'hig',
+    description: 'Padding and margin should sit on the 8pt grid',
+    defaultSeverity: 'warn'
+  },
+  'animation-duration': {
+    category: 'hig',
+    description: 'Animations should not exceed 400ms',
+    defaultSeverity: 'warn'
+  },
+
+  // Tokenization - checkTokenizability
+  'token-color': {
+    category: 'tokens',
+    description: 'Colors should come from design tokens',
+    defaultSeverity: 'warn'
+  },
+  'token-spacing': {
+    category: 'tokens',
+    description: 'Spacing should come from design tokens',
+    defaultSeverity: 'warn'
+  },
+  'token-typography': {
+    category: 'tokens',
+    description: 'Font sizes and line heights should come from design tokens',
+    defaultSeverity: 'warn'
+  },
+  'token-radius': {
+    category: 'tokens',
+    description: 'Border radii should come from design tokens',
+    defaultSeverity: 'off'
+  },
+  'token-shadow': {
+    category: 'tokens',
+    description: 'Shadows should come from design tokens',
+    defaultSeverity: 'off'
+  },
+  'token-gradient': {
+    category: 'tokens',
+    description: 'Gradients should come from design tokens',
+    defaultSeverity: 'off'
+  },
+  'token-animation': {
+    category: 'tokens',
+    description: 'Durations should come from design tokens',
+    defaultSeverity: 'off'
+  },
+
+  // Glass - detectGlassmorphism against tokens/glass-materials.json
+  'glass-material': {
+    category: 'glass',
+    description: 'backdrop-filter should use one of the named glass materials',
+    defaultSeverity: 'warn'
+  },
+
+  // Performance - analyzeCSSPerformance
+  'css-file-size': {
+    category: 'performance',
+    description: 'Stylesheets should stay under the size budget',
+    defaultSeverity: 'warn',
+    defaultOptions: { maxKB: 100 }
+  },
+  'css-media-queries': {
+    category: 'performance',
+    description: 'Stylesheets should not accumulate too many media queries',
+    defaultSeverity: 'off',
+    defaultOptions: { max: 50 }
+  },
+  'css-keyframes': {
+    category: 'performance',
+    description: 'Stylesheets should not define too many keyframe animations',
+    defaultSeverity: 'off',
+    defaultOptions: { max: 20 }
+  },
+  'css-will-change': {
+    category: 'performance',
+    description: 'will-change should be used sparingly',
+    defaultSeverity: 'warn',
+    defaultOptions: { max: 10 }
+  },
+
+  // Syntax - qa/css-analysis parser
+  'css-syntax': {
+    category: 'syntax',
+    description: 'Stylesheets should parse without unclosed blocks, stray braces or malformed declarations',
+    defaultSeverity: 'warn'
+  }
+};
+
+const SEVERITY_LEVELS = {
+  off: null,
+  warn: 'warning',
+  error: 'error'
+};
+
+const DIRECTIVE_REGEX = /(?:\/\*|<!--|\{%-?\s*comment\s*-?%\}|\{%-?\s*#)\s*glass-qa-(disable-next-line|disable-line|disable|enable)\b([\s\S]*?)(?:\*\/|-->|\{%-?\s*endcomment\s*-?%\}|-?%\})/g;
+
+/**
+ * Load `.glass-qa.json` from an explicit path or the first search directory that has one
+ */
+function loadRuleConfig({ configPath = null, searchDirs = [] } = {}) {
+  const candidates = configPath
+    ? [configPath]
+    : searchDirs.map(dir => path.join(dir, CONFIG_FILE));
+
+  for (const candidate of candidates) {
+    if (fs.existsSync(candidate)) {
+      const config = JSON.parse(fs.readFileSync(candidate, 'utf8'));
+      return { ...config, source: candidate };
+    }
+  }
+
+  if (configPath) {
+    throw new Error(`Rule config not found: ${configPath}`);
+  }
+
+  return { rules: {}, source: null };
+}
+
+/**
+ * Comment-based suppressions for a single file
+ */
+class Suppressions {
+  constructor(content = '') {
+    this.ranges = [];
+
+    const openRanges = [];
+    let match;
+    DIRECTIVE_REGEX.lastIndex = 0;
+
+    while ((match = DIRECTIVE_REGEX.exec(content)) !== null) {
+      const directive = match[1];
+      const rules = match[2].split(/[\s,]+/).filter(Boolean);
+      const line = content.slice(0, match.index).split('\n').length;
+      const ruleIds = rules.length > 0 ? rules : ['*'];
+
+      if (directive === 'disable-line') {
+        ruleIds.forEach(rule => this.ranges.push({ rule, start: line, end: line, fileLevel: false }));
+      } else if (directive === 'disable-next-line') {
+        ruleIds.forEach(rule => this.ranges.push({ rule, start: line + 1, end: line + 1, fileLevel: false }));
+      } else if (directive === 'disable') {
+        ruleIds.forEach(rule => {
+          const range = { rule, start: line, end: Infinity, fileLevel: true };
+          openRanges.push(range);
+          this.ranges.push(range);
+        });
+      } else if (directive === 'enable') {
+        for (const range of openRanges) {
+          if (range.end === Infinity && (ruleIds.includes('*') || ruleIds.includes(range.rule))) {
+            range.end = line;
+            range.fileLevel = false;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * A finding without a line number is file-level and only matched by block disables
+   * that are never re-enabled
+   */
+  isSuppressed(ruleId, line = null) {
+    return this.ranges.some(range => {
+      if (range.rule !== '*' && range.rule !== ruleId) return false;
+      if (line === null || line === undefined) return range.fileLevel;
+      return line >= range.start && line <= range.end;
+    });
+  }
+}
+
+class RuleEngine {
+  constructor(config = {}) {
+    this.config = config;
+    this.findings = [];
+    this.suppressed = [];
+  }
+
+  getRuleSetting(ruleId) {
+    const rule = RULES[ruleId];
+    if (!rule) {
+      throw new Error(`Unknown rule "${ruleId}"`);
+    }
+
+    const configured = (this.config.rules || {})[ruleId];
+    const [severity, options] = Array.isArray(configured)
+      ? configured
+      : [configured || rule.defaultSeverity, {}];
+
+    if (!(severity in SEVERITY_LEVELS)) {
+      throw new Error(`Invalid severity "${severity}" for rule "${ruleId}" (expected off, warn or error)`);
+    }
+
+    return {
+      severity,
+      options: { ...(rule.defaultOptions || {}), ...(options || {}) }
+    };
+  }
+
+  isEnabled(ruleId) {
+    return this.getRuleSetting(ruleId).severity !== 'off';
+  }
+
+  getOptions(ruleId) {
+    return this.getRuleSetting(ruleId).options;
+  }
+
+  /**
+   * Record a finding for a rule, applying configured severity and file suppressions.
+   * Returns the recorded finding, or null when the rule is off or suppressed.
+   * `key` optionally identifies the finding for baseline fingerprints when the
+   * message contains values that change from run to run.
+   */
+  report(ruleId, { message, file = null, line = null, column, key }, suppressions = null) {
+    const { severity } = this.getRuleSetting(ruleId);
+    if (severity === 'off') return null;
+
+    const finding = {
+      ruleId,
+      severity: SEVERITY_LEVELS[severity],
+      message,
+      file,
+      line
+    };
+    if (column !== undefined) {
+      finding.column = column;
+    }
+    if (key !== undefined) {
+      finding.key = key;
+    }
+
+    if (suppressions && suppressions.isSuppressed(ruleId, line)) {
+      this.suppressed.push(finding);
+      return null;
+    }
+
+    this.findings.push(finding);
+    return finding;
+  }
+
+  summarize() {
+    return {
+      configSource: this.config.source || null,
+      errors: this.findings.filter(f => f.severity === 'error').length,
+      warnings: this.findings.filter(f => f.severity === 'warning').length,
+      suppressed: this.suppressed.length
+    };
+  }
+}
+
+module.exports = {
+  CONFIG_FILE,
+  RULES,
+  RuleEngine,
+  Suppressions,
+  loadRuleConfig
+};
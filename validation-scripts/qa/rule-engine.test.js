@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { Suppressions } from './rule-engine.js';
+
+describe('Suppressions', () => {
+  it('suppresses file-level findings under a disable left open to the end of the file', () => {
+    const suppressions = new Suppressions('/* glass-qa-disable glass-material */\n.a { color: red; }\n');
+
+    expect(suppressions.isSuppressed('glass-material')).toBe(true);
+    expect(suppressions.isSuppressed('glass-material', 2)).toBe(true);
+  });
+
+  it('keeps file-level findings when the disabled range is closed', () => {
+    const suppressions = new Suppressions([
+      '/* glass-qa-disable glass-material */',
+      '.a { backdrop-filter: blur(4px); }',
+      '/* glass-qa-enable glass-material */',
+      '.b { backdrop-filter: blur(4px); }'
+    ].join('\n'));
+
+    expect(suppressions.isSuppressed('glass-material')).toBe(false);
+    expect(suppressions.isSuppressed('glass-material', 2)).toBe(true);
+    expect(suppressions.isSuppressed('glass-material', 4)).toBe(false);
+  });
+});
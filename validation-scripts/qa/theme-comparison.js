@@ -0,0 +1,361 @@
+/**
+ * Glass QA Theme Comparison
+ * N-way comparison of theme variants against their upstream base themes
+ *
+ * Every theme is compared with its base (Rise and Ride with Dawn, the client
+ * themes with Horizon) over the directories that carry theme code:
+ *   assets/, sections/, blocks/, snippets/
+ * A file is `added` when only the theme has it, `removed` when only the base
+ * has it and `modified` when both have it with different content. Content is
+ * compared with line endings normalized, so a CRLF checkout is not drift.
+ *
+ * Drift is the share of the base's files that the theme removed or modified,
+ * plus the files it added, over the base's file count. It is the number to
+ * watch before merging a new upstream release into a client theme.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+const COMPARED_DIRECTORIES = ['assets', 'sections', 'blocks', 'snippets'];
+
+// Theme variants kept in this repo, each with the upstream theme it was built from
+const DEFAULT_THEMES = [
+  { name: 'dawn', path: 'source-themes/dawn', base: null },
+  { name: 'rise', path: 'source-themes/rise', base: 'dawn' },
+  { name: 'ride', path: 'source-themes/ride', base: 'dawn' },
+  { name: 'horizon', path: 'source-themes/horizon', base: null },
+  { name: 'liquid-glass-void-theme', path: 'liquid-glass-void-theme', base: 'horizon' },
+  { name: 'petersen-liquid-glass-void-theme', path: 'petersen-liquid-glass-void-theme', base: 'horizon' },
+  { name: 'enhanced-quantum-spatial', path: 'enhanced-quantum-spatial', base: 'horizon' },
+  { name: 'johnson-health-theme', path: 'johnson-health-theme', base: 'horizon' }
+];
+
+/**
+ * Normalize file content for comparison (line endings only)
+ */
+function normalizeContent(content) {
+  return content.replace(/\r\n?/g, '\n');
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * All compared files of a theme, keyed by theme-relative POSIX path
+ */
+async function readThemeInventory(themeRoot, directories = COMPARED_DIRECTORIES) {
+  const inventory = new Map();
+
+  async function scan(directory) {
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        await scan(fullPath);
+      } else if (entry.isFile() && !entry.name.startsWith('.')) {
+        // Images and fonts are compared byte for byte and carry no text content
+        const buffer = await fs.readFile(fullPath);
+        const binary = buffer.includes(0);
+        const content = binary ? null : normalizeContent(buffer.toString('utf8'));
+        inventory.set(path.relative(themeRoot, fullPath).split(path.sep).join('/'), {
+          hash: hashContent(binary ? buffer : content),
+          size: buffer.length,
+          binary,
+          content
+        });
+      }
+    }
+  }
+
+  for (const directory of directories) {
+    await scan(path.join(themeRoot, directory));
+  }
+
+  return inventory;
+}
+
+/**
+ * Lines only in `before` / only in `after`, compared as multisets.
+ * Cheap and order-insensitive: a moved line is not counted as a change.
+ */
+function countChangedLines(before, after) {
+  const counts = new Map();
+  for (const line of before.split('\n')) {
+    counts.set(line, (counts.get(line) || 0) + 1);
+  }
+
+  let added = 0;
+  for (const line of after.split('\n')) {
+    const remaining = counts.get(line) || 0;
+    if (remaining > 0) {
+      counts.set(line, remaining - 1);
+    } else {
+      added++;
+    }
+  }
+
+  let removed = 0;
+  for (const remaining of counts.values()) {
+    removed += remaining;
+  }
+
+  return { added, removed };
+}
+
+function directoryOf(file) {
+  return file.split('/')[0];
+}
+
+/**
+ * Compare one theme's inventory with its base's inventory
+ */
+function compareInventories(inventory, baseInventory) {
+  const result = { added: [], removed: [], modified: [], unchanged: 0 };
+
+  for (const [file, entry] of inventory) {
+    const baseEntry = baseInventory.get(file);
+    if (!baseEntry) {
+      result.added.push({ file, size: entry.size });
+    } else if (baseEntry.hash !== entry.hash) {
+      const lines = entry.binary || baseEntry.binary ? null : countChangedLines(baseEntry.content, entry.content);
+      result.modified.push({ file, lines });
+    } else {
+      result.unchanged++;
+    }
+  }
+
+  for (const [file, entry] of baseInventory) {
+    if (!inventory.has(file)) {
+      result.removed.push({ file, size: entry.size });
+    }
+  }
+
+  const byFile = (a, b) => a.file.localeCompare(b.file);
+  result.added.sort(byFile);
+  result.removed.sort(byFile);
+  result.modified.sort(byFile);
+
+  const baseFiles = baseInventory.size;
+  const changedLines = result.modified.reduce((total, { lines }) => total + (lines ? lines.added + lines.removed : 0), 0);
+
+  result.byDirectory = {};
+  for (const directory of COMPARED_DIRECTORIES) {
+    const inDirectory = list => list.filter(({ file }) => directoryOf(file) === directory).length;
+    result.byDirectory[directory] = {
+      added: inDirectory(result.added),
+      removed: inDirectory(result.removed),
+      modified: inDirectory(result.modified)
+    };
+  }
+
+  result.drift = {
+    baseFiles,
+    added: result.added.length,
+    removed: result.removed.length,
+    modified: result.modified.length,
+    unchanged: result.unchanged,
+    changedLines,
+    percent: baseFiles === 0
+      ? 0
+      : Math.round(((result.added.length + result.removed.length + result.modified.length) / baseFiles) * 1000) / 10
+  };
+
+  return result;
+}
+
+/**
+ * Resolve theme entries to absolute paths and check their bases exist in the set
+ */
+function resolveThemes(themes, repoRoot = REPO_ROOT) {
+  const names = new Set(themes.map(theme => theme.name));
+
+  return themes.map(theme => {
+    if (theme.base && !names.has(theme.base)) {
+      throw new Error(`Theme "${theme.name}" is based on "${theme.base}", which is not in the comparison`);
+    }
+    return { ...theme, root: path.resolve(repoRoot, theme.path) };
+  });
+}
+
+/**
+ * Compare every theme with its base and build the N-way presence matrix
+ */
+async function compareThemes(themes = DEFAULT_THEMES, { repoRoot = REPO_ROOT } = {}) {
+  const resolved = resolveThemes(themes, repoRoot);
+  const inventories = new Map();
+  const missing = [];
+
+  for (const theme of resolved) {
+    try {
+      await fs.access(theme.root);
+    } catch (error) {
+      missing.push(theme.name);
+      continue;
+    }
+    inventories.set(theme.name, await readThemeInventory(theme.root));
+  }
+
+  const report = {
+    timestamp: new Date().toISOString(),
+    directories: COMPARED_DIRECTORIES,
+    themes: [],
+    missing,
+    matrix: {},
+    sharedChanges: []
+  };
+
+  for (const theme of resolved) {
+    const inventory = inventories.get(theme.name);
+    if (!inventory) continue;
+
+    const entry = { name: theme.name, path: theme.path, base: theme.base, files: inventory.size };
+    if (theme.base && inventories.has(theme.base)) {
+      Object.assign(entry, compareInventories(inventory, inventories.get(theme.base)));
+    }
+    report.themes.push(entry);
+  }
+
+  // Which themes carry each file, and in what state relative to their base
+  const allFiles = new Set([...inventories.values()].flatMap(inventory => [...inventory.keys()]));
+  for (const file of [...allFiles].sort()) {
+    const row = {};
+    for (const theme of report.themes) {
+      const inventory = inventories.get(theme.name);
+      if (!theme.base) {
+        row[theme.name] = inventory.has(file) ? 'present' : 'absent';
+      } else if (theme.removed.some(item => item.file === file)) {
+        row[theme.name] = 'removed';
+      } else if (!inventory.has(file)) {
+        row[theme.name] = 'absent';
+      } else if (theme.added.some(item => item.file === file)) {
+        row[theme.name] = 'added';
+      } else {
+        row[theme.name] = theme.modified.some(item => item.file === file) ? 'modified' : 'unchanged';
+      }
+    }
+    report.matrix[file] = row;
+  }
+
+  // Files changed the same way (added/modified/removed) by more than one theme on the same base.
+  // These are the customizations a shared patch, or an upstream merge, has to deal with once.
+  for (const [file, row] of Object.entries(report.matrix)) {
+    for (const base of new Set(report.themes.map(theme => theme.base).filter(Boolean))) {
+      const descendants = report.themes.filter(theme => theme.base === base);
+      const changedBy = descendants.filter(theme => ['added', 'modified', 'removed'].includes(row[theme.name]));
+      if (changedBy.length > 1) {
+        report.sharedChanges.push({ file, base, themes: changedBy.map(theme => `${theme.name} (${row[theme.name]})`) });
+      }
+    }
+  }
+
+  return report;
+}
+
+function formatFileList(items, limit = 40) {
+  const lines = items.slice(0, limit).map(item => {
+    const detail = item.lines ? ` (+${item.lines.added} / -${item.lines.removed} lines)` : '';
+    return `- \`${item.file}\`${detail}`;
+  });
+  if (items.length > limit) {
+    lines.push(`- ...and ${items.length - limit} more (see JSON report)`);
+  }
+  return lines;
+}
+
+/**
+ * Render a comparison report as Markdown
+ */
+function renderComparisonMarkdown(report) {
+  const lines = [
+    '# Cross-Theme Comparison',
+    '',
+    `Generated: ${report.timestamp}`,
+    `Compared directories: ${report.directories.map(d => `\`${d}/\``).join(', ')}`,
+    ''
+  ];
+
+  if (report.missing.length > 0) {
+    lines.push(`Not found in this checkout: ${report.missing.join(', ')}`, '');
+  }
+
+  lines.push(
+    '## Drift from Upstream',
+    '',
+    '| Theme | Base | Files | Added | Removed | Modified | Changed lines | Drift |',
+    '| --- | --- | --- | --- | --- | --- | --- | --- |'
+  );
+
+  for (const theme of report.themes) {
+    if (!theme.drift) {
+      lines.push(`| ${theme.name} | _upstream_ | ${theme.files} | | | | | |`);
+      continue;
+    }
+    const { added, removed, modified, changedLines, percent } = theme.drift;
+    lines.push(`| ${theme.name} | ${theme.base} | ${theme.files} | ${added} | ${removed} | ${modified} | ${changedLines} | ${percent}% |`);
+  }
+
+  for (const theme of report.themes.filter(t => t.drift)) {
+    lines.push('', `## ${theme.name} vs ${theme.base}`, '');
+    lines.push('| Directory | Added | Removed | Modified |', '| --- | --- | --- | --- |');
+    for (const [directory, counts] of Object.entries(theme.byDirectory)) {
+      lines.push(`| ${directory}/ | ${counts.added} | ${counts.removed} | ${counts.modified} |`);
+    }
+
+    for (const [label, items] of [['Added', theme.added], ['Removed', theme.removed], ['Modified', theme.modified]]) {
+      if (items.length === 0) continue;
+      lines.push('', `### ${label} (${items.length})`, '', ...formatFileList(items));
+    }
+  }
+
+  if (report.sharedChanges.length > 0) {
+    lines.push('', '## Changed in More Than One Theme', '');
+    for (const change of report.sharedChanges.slice(0, 100)) {
+      lines.push(`- \`${change.file}\` vs ${change.base}: ${change.themes.join(', ')}`);
+    }
+    if (report.sharedChanges.length > 100) {
+      lines.push(`- ...and ${report.sharedChanges.length - 100} more (see JSON report)`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write theme-comparison.{json,md} to the output directory
+ */
+async function writeComparisonReport(report, outputDir) {
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const basePath = path.join(outputDir, 'theme-comparison');
+  const written = { json: `${basePath}.json`, md: `${basePath}.md` };
+
+  await fs.writeFile(written.json, JSON.stringify(report, null, 2));
+  await fs.writeFile(written.md, renderComparisonMarkdown(report));
+
+  return written;
+}
+
+module.exports = {
+  COMPARED_DIRECTORIES,
+  DEFAULT_THEMES,
+  compareInventories,
+  compareThemes,
+  countChangedLines,
+  hashContent,
+  normalizeContent,
+  readThemeInventory,
+  renderComparisonMarkdown,
+  writeComparisonReport
+};
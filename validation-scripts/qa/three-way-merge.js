@@ -0,0 +1,466 @@
+/**
+ * Glass QA Three-Way Merge
+ * Line diff, diff3 merge and the merge plan for bringing a new upstream theme
+ * release into a fork
+ *
+ * Three trees take part:
+ *   base      the upstream release the fork was made from (e.g. Horizon 3.1.0)
+ *   fork      the client theme with its local edits
+ *   upstream  the newer upstream release
+ *
+ * planThemeMerge() classifies every file:
+ *   upstream-only  changed upstream, untouched in the fork - take upstream
+ *   fork-only      changed in the fork only - keep the fork
+ *   same-change    both sides made the identical change - nothing to do
+ *   merged         both sides changed different lines - clean diff3 merge
+ *   conflict       both sides changed the same lines, or one side deleted
+ *                  a file the other edited
+ * Binary files (images, fonts) are never line-merged; changed on both sides
+ * they are always conflicts.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { readThemeInventory } = require('./theme-comparison');
+
+// Everything Shopify reads from a theme
+const MERGED_DIRECTORIES = ['assets', 'blocks', 'config', 'layout', 'locales', 'sections', 'snippets', 'templates'];
+
+// Store data saved from the theme editor; upstream defaults must never replace it
+const FORK_OWNED_FILES = ['config/settings_data.json'];
+
+// Beyond this many edits a file is treated as rewritten rather than diffed line by line
+const MAX_EDIT_DISTANCE = 4000;
+
+function splitLines(text) {
+  return text === '' ? [] : text.split('\n');
+}
+
+/**
+ * Matched line pairs between `a` and `b` (Myers' O(ND) shortest edit script).
+ * Returns null when the edit distance exceeds `maxDistance`.
+ */
+function matchLines(a, b, maxDistance = MAX_EDIT_DISTANCE) {
+  const n = a.length;
+  const m = b.length;
+  const trace = [];
+
+  for (let d = 0; d <= Math.min(n + m, maxDistance); d++) {
+    // x reached on each diagonal k (stored at index k + d) after d edits
+    const v = new Int32Array(2 * d + 1);
+    const previous = trace[d - 1];
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (d === 0) {
+        x = 0;
+      } else if (k === -d || (k !== d && previous[k - 1 + d - 1] < previous[k + 1 + d - 1])) {
+        x = previous[k + 1 + d - 1];
+      } else {
+        x = previous[k - 1 + d - 1] + 1;
+      }
+
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[k + d] = x;
+
+      if (x >= n && y >= m) {
+        trace.push(v);
+        return backtrack(trace, a, b);
+      }
+    }
+
+    trace.push(v);
+  }
+
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const pairs = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d - 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && previous[k - 1 + d - 1] < previous[k + 1 + d - 1]) ? k + 1 : k - 1;
+    const previousX = previous[previousK + d - 1];
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      pairs.push([--x, --y]);
+    }
+    x = previousX;
+    y = previousY;
+  }
+
+  while (x > 0 && y > 0) {
+    pairs.push([--x, --y]);
+  }
+
+  return pairs.reverse();
+}
+
+/**
+ * Changed regions between `base` and `other` line arrays:
+ * [{ baseStart, baseEnd, start, end }], half-open on both sides
+ */
+function diffLines(base, other) {
+  // Common prefix and suffix are trimmed first; most theme edits are small
+  let prefix = 0;
+  while (prefix < base.length && prefix < other.length && base[prefix] === other[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < base.length - prefix &&
+    suffix < other.length - prefix &&
+    base[base.length - 1 - suffix] === other[other.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const baseMiddle = base.slice(prefix, base.length - suffix);
+  const otherMiddle = other.slice(prefix, other.length - suffix);
+  if (baseMiddle.length === 0 && otherMiddle.length === 0) {
+    return [];
+  }
+
+  const pairs = matchLines(baseMiddle, otherMiddle) || [];
+  pairs.push([baseMiddle.length, otherMiddle.length]);
+
+  const hunks = [];
+  let baseIndex = 0;
+  let otherIndex = 0;
+  for (const [baseMatch, otherMatch] of pairs) {
+    if (baseMatch > baseIndex || otherMatch > otherIndex) {
+      hunks.push({
+        baseStart: prefix + baseIndex,
+        baseEnd: prefix + baseMatch,
+        start: prefix + otherIndex,
+        end: prefix + otherMatch
+      });
+    }
+    baseIndex = baseMatch + 1;
+    otherIndex = otherMatch + 1;
+  }
+
+  return hunks;
+}
+
+/**
+ * Lines of one side covering base range [regionStart, regionEnd), given that side's hunks inside it
+ */
+function sideLines(lines, hunks, regionStart, regionEnd, baseLines) {
+  if (hunks.length === 0) {
+    return baseLines.slice(regionStart, regionEnd);
+  }
+  const first = hunks[0];
+  const last = hunks[hunks.length - 1];
+  return lines.slice(first.start - (first.baseStart - regionStart), last.end + (regionEnd - last.baseEnd));
+}
+
+/**
+ * diff3 merge of two edits of the same base text.
+ * Returns { clean, conflicts, text } where `text` carries git-style conflict markers.
+ */
+function mergeText(baseText, forkText, upstreamText, labels = {}) {
+  const { fork: forkLabel = 'fork', base: baseLabel = 'base', upstream: upstreamLabel = 'upstream' } = labels;
+  const base = splitLines(baseText);
+  const fork = splitLines(forkText);
+  const upstream = splitLines(upstreamText);
+
+  const hunks = [
+    ...diffLines(base, fork).map(hunk => ({ ...hunk, side: 'fork' })),
+    ...diffLines(base, upstream).map(hunk => ({ ...hunk, side: 'upstream' }))
+  ].sort((a, b) => a.baseStart - b.baseStart || a.baseEnd - b.baseEnd);
+
+  const output = [];
+  const conflicts = [];
+  let baseIndex = 0;
+  let h = 0;
+
+  while (h < hunks.length) {
+    // Group hunks whose base ranges overlap or touch into one region
+    const region = [hunks[h]];
+    const regionStart = hunks[h].baseStart;
+    let regionEnd = hunks[h].baseEnd;
+    h++;
+    while (h < hunks.length && hunks[h].baseStart <= regionEnd) {
+      regionEnd = Math.max(regionEnd, hunks[h].baseEnd);
+      region.push(hunks[h]);
+      h++;
+    }
+
+    output.push(...base.slice(baseIndex, regionStart));
+    baseIndex = regionEnd;
+
+    const forkHunks = region.filter(hunk => hunk.side === 'fork');
+    const upstreamHunks = region.filter(hunk => hunk.side === 'upstream');
+    const forkLines = sideLines(fork, forkHunks, regionStart, regionEnd, base);
+    const upstreamLines = sideLines(upstream, upstreamHunks, regionStart, regionEnd, base);
+
+    if (upstreamHunks.length === 0) {
+      output.push(...forkLines);
+    } else if (forkHunks.length === 0 || forkLines.join('\n') === upstreamLines.join('\n')) {
+      output.push(...upstreamLines);
+    } else {
+      conflicts.push({
+        line: output.length + 1,
+        baseLines: [regionStart + 1, regionEnd],
+        fork: forkLines,
+        base: base.slice(regionStart, regionEnd),
+        upstream: upstreamLines
+      });
+      output.push(
+        `<<<<<<< ${forkLabel}`,
+        ...forkLines,
+        `||||||| ${baseLabel}`,
+        ...base.slice(regionStart, regionEnd),
+        '=======',
+        ...upstreamLines,
+        `>>>>>>> ${upstreamLabel}`
+      );
+    }
+  }
+
+  output.push(...base.slice(baseIndex));
+
+  return { clean: conflicts.length === 0, conflicts, text: output.join('\n') };
+}
+
+/**
+ * Classify a single file from its base / fork / upstream inventory entries (any may be missing)
+ */
+function classifyFile(file, baseEntry, forkEntry, upstreamEntry, labels) {
+  const hashOf = entry => (entry ? entry.hash : null);
+  const [baseHash, forkHash, upstreamHash] = [baseEntry, forkEntry, upstreamEntry].map(hashOf);
+
+  if (FORK_OWNED_FILES.includes(file)) {
+    return upstreamHash !== baseHash ? { file, status: 'fork-owned' } : null;
+  }
+  if (forkHash === upstreamHash) {
+    return forkHash === baseHash ? null : { file, status: 'same-change' };
+  }
+  if (upstreamHash === baseHash) {
+    return { file, status: 'fork-only' };
+  }
+  if (forkHash === baseHash) {
+    const action = !upstreamEntry ? 'delete' : !forkEntry ? 'add' : 'update';
+    return { file, status: 'upstream-only', action };
+  }
+
+  // Changed on both sides
+  if (!forkEntry || !upstreamEntry) {
+    return {
+      file,
+      status: 'conflict',
+      reason: !forkEntry ? 'deleted in fork, changed upstream' : 'changed in fork, deleted upstream'
+    };
+  }
+  if (forkEntry.binary || upstreamEntry.binary || (baseEntry && baseEntry.binary)) {
+    return { file, status: 'conflict', reason: 'binary file changed on both sides' };
+  }
+
+  const merge = mergeText(baseEntry ? baseEntry.content : '', forkEntry.content, upstreamEntry.content, labels);
+  if (merge.clean) {
+    return { file, status: 'merged', text: merge.text };
+  }
+  return {
+    file,
+    status: 'conflict',
+    reason: baseEntry ? `${merge.conflicts.length} conflicting region(s)` : 'added on both sides with different content',
+    conflicts: merge.conflicts,
+    text: merge.text
+  };
+}
+
+/**
+ * Theme name and version from config/settings_schema.json
+ */
+async function readThemeInfo(themeRoot) {
+  try {
+    const schema = JSON.parse(await fs.readFile(path.join(themeRoot, 'config', 'settings_schema.json'), 'utf8'));
+    const info = schema.find(entry => entry.name === 'theme_info') || {};
+    return { name: info.theme_name || null, version: info.theme_version || null };
+  } catch (error) {
+    return { name: null, version: null };
+  }
+}
+
+/**
+ * Three-way comparison of base / fork / upstream theme directories
+ */
+async function planThemeMerge({ base, fork, upstream }) {
+  const roots = { base: path.resolve(base), fork: path.resolve(fork), upstream: path.resolve(upstream) };
+  const [baseInventory, forkInventory, upstreamInventory] = await Promise.all(
+    [roots.base, roots.fork, roots.upstream].map(root => readThemeInventory(root, MERGED_DIRECTORIES))
+  );
+  const [baseInfo, forkInfo, upstreamInfo] = await Promise.all(
+    [roots.base, roots.fork, roots.upstream].map(readThemeInfo)
+  );
+
+  const labels = {
+    fork: `fork (${path.basename(roots.fork)})`,
+    base: `base${baseInfo.version ? ` ${baseInfo.version}` : ''}`,
+    upstream: `upstream${upstreamInfo.version ? ` ${upstreamInfo.version}` : ''}`
+  };
+
+  const files = [...new Set([...baseInventory.keys(), ...forkInventory.keys(), ...upstreamInventory.keys()])].sort();
+  const entries = files
+    .map(file => classifyFile(file, baseInventory.get(file), forkInventory.get(file), upstreamInventory.get(file), labels))
+    .filter(Boolean);
+
+  const warnings = [];
+  // A fork made from a different release than `base` makes every upstream change look like a conflict
+  if (forkInfo.version && baseInfo.version && forkInfo.version !== baseInfo.version) {
+    warnings.push(`Fork reports ${forkInfo.name || 'theme'} ${forkInfo.version} but base is ${baseInfo.version}; use the release the fork was made from as --base`);
+  }
+
+  const byStatus = status => entries.filter(entry => entry.status === status);
+
+  return {
+    timestamp: new Date().toISOString(),
+    roots,
+    versions: { base: baseInfo.version, fork: forkInfo.version, upstream: upstreamInfo.version },
+    warnings,
+    summary: {
+      upstreamOnly: byStatus('upstream-only').length,
+      forkOnly: byStatus('fork-only').length,
+      sameChange: byStatus('same-change').length,
+      merged: byStatus('merged').length,
+      conflicts: byStatus('conflict').length,
+      forkOwned: byStatus('fork-owned').length
+    },
+    entries
+  };
+}
+
+/**
+ * Write upstream-only changes and clean merges into the fork.
+ * Conflicted files are left untouched; returns the list of files written or deleted.
+ */
+async function applyThemeMerge(plan) {
+  const applied = [];
+
+  for (const entry of plan.entries) {
+    const target = path.join(plan.roots.fork, entry.file);
+
+    if (entry.status === 'upstream-only') {
+      if (entry.action === 'delete') {
+        await fs.rm(target, { force: true });
+      } else {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.copyFile(path.join(plan.roots.upstream, entry.file), target);
+      }
+      applied.push({ file: entry.file, action: entry.action });
+    } else if (entry.status === 'merged') {
+      await fs.writeFile(target, entry.text);
+      applied.push({ file: entry.file, action: 'merge' });
+    }
+  }
+
+  return applied;
+}
+
+/**
+ * Render the merge plan as a Markdown conflict report
+ */
+function renderMergeMarkdown(plan, applied = null) {
+  const { summary } = plan;
+  const lines = [
+    `# Upstream Merge Report - ${path.basename(plan.roots.fork)}`,
+    '',
+    `Generated: ${plan.timestamp}`,
+    '',
+    `- **Base**: \`${plan.roots.base}\`${plan.versions.base ? ` (${plan.versions.base})` : ''}`,
+    `- **Fork**: \`${plan.roots.fork}\`${plan.versions.fork ? ` (${plan.versions.fork})` : ''}`,
+    `- **Upstream**: \`${plan.roots.upstream}\`${plan.versions.upstream ? ` (${plan.versions.upstream})` : ''}`,
+    '',
+    ...plan.warnings.map(warning => `> ⚠️ ${warning}`),
+    ...(plan.warnings.length > 0 ? [''] : []),
+    '| Status | Files |',
+    '| --- | --- |',
+    `| Upstream only (auto-apply) | ${summary.upstreamOnly} |`,
+    `| Clean merge (auto-apply) | ${summary.merged} |`,
+    `| Conflicts | ${summary.conflicts} |`,
+    `| Fork only (kept) | ${summary.forkOnly} |`,
+    `| Same change on both sides | ${summary.sameChange} |`,
+    `| Fork-owned (kept) | ${summary.forkOwned} |`,
+    '',
+    applied
+      ? `Applied ${applied.length} file(s) to the fork.`
+      : 'Dry run: nothing was written to the fork. Re-run with `--apply` to take the upstream-only changes and clean merges.'
+  ];
+
+  const conflicts = plan.entries.filter(entry => entry.status === 'conflict');
+  if (conflicts.length > 0) {
+    lines.push('', '## Conflicts', '');
+    for (const entry of conflicts) {
+      lines.push(`### \`${entry.file}\``, '', entry.reason, '');
+      for (const conflict of entry.conflicts || []) {
+        lines.push(
+          `Base lines ${conflict.baseLines[0]}-${conflict.baseLines[1]}:`,
+          '',
+          '```diff',
+          ...conflict.fork.map(line => `- fork     | ${line}`),
+          ...conflict.upstream.map(line => `+ upstream | ${line}`),
+          '```',
+          ''
+        );
+      }
+    }
+  }
+
+  for (const [title, status] of [['Upstream Only', 'upstream-only'], ['Clean Merges', 'merged'], ['Fork Only', 'fork-only']]) {
+    const matching = plan.entries.filter(entry => entry.status === status);
+    if (matching.length === 0) continue;
+    lines.push('', `## ${title} (${matching.length})`, '');
+    matching.forEach(entry => lines.push(`- \`${entry.file}\`${entry.action ? ` (${entry.action})` : ''}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write upstream-merge-report.{json,md} and one file with conflict markers per text conflict
+ */
+async function writeMergeReport(plan, outputDir, applied = null) {
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const basePath = path.join(outputDir, 'upstream-merge-report');
+  const written = { json: `${basePath}.json`, md: `${basePath}.md` };
+
+  const serializable = {
+    ...plan,
+    applied,
+    // Merged text is only needed to apply; the conflict copies below carry the marked-up text
+    entries: plan.entries.map(({ text, ...entry }) => entry)
+  };
+  await fs.writeFile(written.json, JSON.stringify(serializable, null, 2));
+  await fs.writeFile(written.md, renderMergeMarkdown(plan, applied));
+
+  for (const entry of plan.entries.filter(e => e.status === 'conflict' && e.text !== undefined)) {
+    const target = path.join(outputDir, 'conflicts', entry.file);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, entry.text);
+  }
+
+  return written;
+}
+
+module.exports = {
+  FORK_OWNED_FILES,
+  MERGED_DIRECTORIES,
+  applyThemeMerge,
+  diffLines,
+  mergeText,
+  planThemeMerge,
+  readThemeInfo,
+  renderMergeMarkdown,
+  writeMergeReport
+};
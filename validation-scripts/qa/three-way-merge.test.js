@@ -0,0 +1,106 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, describe, expect, it } from 'vitest';
+import { diffLines, mergeText, planThemeMerge } from './three-way-merge.js';
+
+describe('diffLines', () => {
+  it('returns no hunks for identical input', () => {
+    expect(diffLines(['a', 'b'], ['a', 'b'])).toEqual([]);
+  });
+
+  it('reports replaced, inserted and deleted lines as half-open ranges', () => {
+    expect(diffLines(['a', 'b', 'c', 'd'], ['a', 'B', 'c', 'd', 'e'])).toEqual([
+      { baseStart: 1, baseEnd: 2, start: 1, end: 2 },
+      { baseStart: 4, baseEnd: 4, start: 4, end: 5 }
+    ]);
+    expect(diffLines(['a', 'b', 'c'], ['a', 'c'])).toEqual([{ baseStart: 1, baseEnd: 2, start: 1, end: 1 }]);
+  });
+});
+
+describe('mergeText', () => {
+  const base = 'one\ntwo\nthree\nfour\nfive';
+
+  it('combines edits to different lines', () => {
+    const result = mergeText(base, 'ONE\ntwo\nthree\nfour\nfive', 'one\ntwo\nthree\nfour\nFIVE');
+    expect(result).toEqual({ clean: true, conflicts: [], text: 'ONE\ntwo\nthree\nfour\nFIVE' });
+  });
+
+  it('takes an identical change once', () => {
+    const edited = 'one\nTWO\nthree\nfour\nfive';
+    expect(mergeText(base, edited, edited).text).toBe(edited);
+  });
+
+  it('marks overlapping edits with diff3 conflict markers', () => {
+    const result = mergeText(base, 'one\nfork\nthree\nfour\nfive', 'one\nupstream\nthree\nfour\nfive', {
+      base: 'base 3.0.0'
+    });
+
+    expect(result.clean).toBe(false);
+    expect(result.conflicts).toEqual([
+      { line: 2, baseLines: [2, 2], fork: ['fork'], base: ['two'], upstream: ['upstream'] }
+    ]);
+    expect(result.text).toBe(
+      'one\n<<<<<<< fork\nfork\n||||||| base 3.0.0\ntwo\n=======\nupstream\n>>>>>>> upstream\nthree\nfour\nfive'
+    );
+  });
+});
+
+describe('planThemeMerge', () => {
+  let root;
+
+  const writeTheme = async (name, files) => {
+    for (const [file, content] of Object.entries(files)) {
+      const target = path.join(root, name, file);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, content);
+    }
+    return path.join(root, name);
+  };
+
+  afterEach(async () => {
+    if (root) await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('classifies every changed file', async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'three-way-merge-'));
+    const files = {
+      'sections/upstream.liquid': 'a',
+      'sections/fork.liquid': 'a',
+      'sections/both.liquid': 'a\nb\nc',
+      'sections/conflict.liquid': 'a',
+      'config/settings_data.json': '{}'
+    };
+
+    const base = await writeTheme('base', files);
+    const fork = await writeTheme('fork', {
+      ...files,
+      'sections/fork.liquid': 'fork',
+      'sections/both.liquid': 'A\nb\nc',
+      'sections/conflict.liquid': 'fork',
+      'config/settings_data.json': '{"fork":true}'
+    });
+    const upstream = await writeTheme('upstream', {
+      ...files,
+      'sections/upstream.liquid': 'upstream',
+      'sections/both.liquid': 'a\nb\nC',
+      'sections/conflict.liquid': 'upstream',
+      'config/settings_data.json': '{"upstream":true}',
+      'snippets/new.liquid': 'new'
+    });
+
+    const plan = await planThemeMerge({ base, fork, upstream });
+    const statuses = Object.fromEntries(plan.entries.map(entry => [entry.file, entry.status]));
+
+    expect(statuses).toEqual({
+      'config/settings_data.json': 'fork-owned',
+      'sections/both.liquid': 'merged',
+      'sections/conflict.liquid': 'conflict',
+      'sections/fork.liquid': 'fork-only',
+      'sections/upstream.liquid': 'upstream-only',
+      'snippets/new.liquid': 'upstream-only'
+    });
+    expect(plan.entries.find(entry => entry.file === 'sections/both.liquid').text).toBe('A\nb\nC');
+    expect(plan.entries.find(entry => entry.file === 'snippets/new.liquid').action).toBe('add');
+  });
+});
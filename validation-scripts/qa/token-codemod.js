@@ -0,0 +1,696 @@
+/**
+ * Glass QA Token Codemod
+ * Replaces hard-coded colors and lengths in a theme with the design tokens
+ * that theme already defines
+ *
+ * The token catalog is every custom property set on `:root` (outside at-rules)
+ * in the theme's token files, `assets/design-tokens.css` by default, with
+ * var() aliases resolved. Only tokens the theme loads can be substituted, so
+ * the rewrite never references an undefined variable.
+ *
+ * Literals are matched per declaration:
+ *   colors   - hex, rgb() and hsl(), to the nearest color token within
+ *              `tolerance` (ΔE plus alpha difference in percent, see
+ *              color.js). A token named for a role (text, border, shadow,
+ *              background) only replaces colors in properties of that role;
+ *              palette tokens (`--color-primary`) fit any property
+ *   lengths  - px and rem in padding/margin/gap, font-size and border-radius,
+ *              to a step of the spacing, font-size or radius scale of exactly
+ *              that value and unit. Component tokens such as
+ *              `--foundation-modal-border-radius` are never offered
+ * When several tokens match equally well, the one ShopifyThemeAuditor suggests
+ * wins, then the shortest name, which is usually the generic scale token
+ * (`--radius-lg` rather than `--modal-border-radius`).
+ * Custom property definitions, var() fallbacks, url()s and strings are left
+ * alone, as are negative and zero lengths.
+ *
+ * Rewritten sources are assets/*.css (backup copies excluded), the {% style %}, {% stylesheet %} and
+ * <style> blocks and style="" attributes of Liquid templates, and the CSS
+ * strings of JSON templates (`custom_css` and other *css / *style settings).
+ * Color picker and range settings stay literal: Shopify validates their type.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { COLOR_PATTERN, colorDistance, parseColor } = require('./color');
+const { analyzeStylesheet, createLocator } = require('./css-analysis');
+const { scanLiquidTemplate } = require('./liquid-tokenizer');
+
+const DEFAULT_TOKEN_FILES = ['assets/design-tokens.css'];
+
+// Just-noticeable difference for CIE76 ΔE
+const DEFAULT_TOLERANCE = 2.3;
+
+const LIQUID_DIRECTORIES = ['layout', 'sections', 'blocks', 'snippets', 'templates'];
+const JSON_DIRECTORIES = ['templates', 'sections'];
+
+// Backup copies, as ShopifyDependencyAnalyzer recognizes them: uploaded with
+// the theme but never loaded
+const BACKUP_FILE_PATTERN = /(\.(bak|backup|old|tmp)$)|([-.]backup\.)/;
+
+/**
+ * Step tokens of a scale: an optional prefix, the scale name and the step,
+ * e.g. `--radius-lg`, `--foundation-spacing-md`, `--font-size-base`
+ */
+function scaleTokenPattern(scale) {
+  return new RegExp(`^--(?:[a-z]+-)?(?:${scale})-(?:\\d*x*[sl]|sm|md|lg|base|full|\\d+)$`);
+}
+
+// Length tokens are only offered to the properties of their own category
+const LENGTH_CATEGORIES = [
+  {
+    category: 'spacing',
+    properties: /^(?:padding|margin)(?:-[a-z-]+)?$|^(?:row-|column-)?gap$/,
+    tokens: scaleTokenPattern('space|spacing|gap|gutter'),
+    suggest: (auditor, property, value) => auditor.suggestSpacingToken(value)
+  },
+  {
+    category: 'typography',
+    properties: /^font-size$/,
+    tokens: scaleTokenPattern('font-size|text'),
+    suggest: (auditor, property, value) => auditor.suggestTypographyToken(property, value)
+  },
+  {
+    category: 'borderRadius',
+    properties: /radius$/,
+    tokens: scaleTokenPattern('radius|border-radius'),
+    suggest: () => null
+  }
+];
+
+/**
+ * Name segments, e.g. `bg` matches `--color-bg` but not `--color-bgx`
+ */
+function segmentPattern(words) {
+  return new RegExp(`(?:^--|-)(?:${words})(?:-|$)`);
+}
+
+// Roles a color token can be named for, checked in order (`--glass-border`
+// is a border color), with the properties each fits
+const COLOR_ROLES = [
+  {
+    role: 'text',
+    tokens: segmentPattern('text|foreground|fg|labels?'),
+    properties: /^(?:color|caret-color|fill|stroke|-webkit-text-fill-color|text-decoration(?:-color)?)$/
+  },
+  {
+    role: 'border',
+    tokens: segmentPattern('border|outline|divider|separator'),
+    properties: /^(?:border|outline|column-rule)(?:-[a-z-]+)?$/
+  },
+  {
+    role: 'shadow',
+    tokens: segmentPattern('shadow'),
+    properties: /^(?:box|text)-shadow$|^filter$/
+  },
+  {
+    role: 'background',
+    tokens: segmentPattern('background|bg|surface|glass|overlay|backdrop'),
+    properties: /^background(?:-color|-image)?$/
+  }
+];
+
+/**
+ * Whether a color token may replace a color in `property`
+ */
+function colorTokenFits(name, property) {
+  const role = COLOR_ROLES.find(entry => entry.tokens.test(name));
+  return !role || role.properties.test(property);
+}
+
+const LENGTH_PATTERN = /(^|[\s,(])(\d*\.?\d+)(px|rem)(?![\w%])/g;
+
+// prop: value, up to the `;` or `}` that ends it (or the end of a style="" value)
+const DECLARATION_PATTERN = /(^|[\s{;}])(-{0,2}[a-zA-Z][\w-]*)\s*:([^;{}]*)(?=[;}]|$)/g;
+
+// Regions of a value whose contents must not be rewritten
+const PROTECTED_PATTERN = /\b(?:var|url|env)\(|["']/gi;
+
+function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
+
+/**
+ * Blank out comments and Liquid markup, keeping offsets and line breaks
+ */
+function maskSource(source) {
+  const blank = match => match.replace(/[^\n]/g, ' ');
+  return source
+    .replace(/\/\*[\s\S]*?(?:\*\/|$)/g, blank)
+    .replace(/\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}/g, blank);
+}
+
+/**
+ * [start, end) ranges of var(), url(), env() and quoted strings in a value
+ */
+function protectedRanges(value) {
+  const ranges = [];
+  PROTECTED_PATTERN.lastIndex = 0;
+  let match;
+
+  while ((match = PROTECTED_PATTERN.exec(value)) !== null) {
+    const start = match.index;
+    let end = value.length;
+
+    if (match[0] === '"' || match[0] === "'") {
+      const close = value.indexOf(match[0], start + 1);
+      end = close === -1 ? value.length : close + 1;
+    } else {
+      let depth = 0;
+      for (let i = start + match[0].length - 1; i < value.length; i++) {
+        if (value[i] === '(') depth++;
+        else if (value[i] === ')' && --depth === 0) {
+          end = i + 1;
+          break;
+        }
+      }
+    }
+
+    ranges.push([start, end]);
+    PROTECTED_PATTERN.lastIndex = end;
+  }
+
+  return ranges;
+}
+
+function insideRanges(ranges, start, end) {
+  return ranges.some(([from, to]) => start < to && end > from);
+}
+
+function parseLength(value) {
+  const match = String(value).trim().match(/^(\d*\.?\d+)(px|rem)$/);
+  return match ? { number: parseFloat(match[1]), unit: match[2] } : null;
+}
+
+/**
+ * Token catalog: `:root` custom properties of the token files, aliases resolved.
+ * Returns [{ name, value, file, color, length }] in definition order.
+ */
+async function loadTokenCatalog(themeRoot, tokenFiles = DEFAULT_TOKEN_FILES) {
+  const definitions = new Map();
+
+  for (const file of tokenFiles) {
+    let source;
+    try {
+      source = await fs.readFile(path.join(themeRoot, file), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    // A Liquid token file is either a snippet rendered inside <style> or has its own style blocks
+    const regions = file.endsWith('.liquid')
+      ? scanLiquidTemplate(source).styleBlocks.map(block => block.content)
+      : [];
+    const stylesheets = regions.length > 0 ? regions : [source];
+
+    for (const stylesheet of stylesheets) {
+      for (const variable of analyzeStylesheet(stylesheet, { file }).variables) {
+        const global = variable.atRules.length === 0 &&
+          variable.selectors.some(selector => selector === ':root' || selector === 'html');
+        // Later definitions win, as in the cascade
+        if (global) definitions.set(variable.name, { value: variable.value, file });
+      }
+    }
+  }
+
+  const resolve = (name, seen = new Set()) => {
+    const definition = definitions.get(name);
+    if (!definition || seen.has(name)) return null;
+    seen.add(name);
+
+    const alias = definition.value.match(/^var\(\s*(--[\w-]+)\s*(?:,\s*([\s\S]+))?\)$/);
+    if (!alias) return definition.value;
+    return resolve(alias[1], seen) ?? (alias[2] ? alias[2].trim() : null);
+  };
+
+  const catalog = [];
+  for (const [name, definition] of definitions) {
+    const value = resolve(name);
+    if (value === null) continue;
+
+    catalog.push({ name, value, file: definition.file, color: parseColor(value), length: parseLength(value) });
+  }
+
+  return catalog;
+}
+
+/**
+ * (property, literal) -> { token, category, match, distance, suggested } or null
+ */
+function createTokenMatcher(catalog, { tolerance = DEFAULT_TOLERANCE, auditor = null } = {}) {
+  const colors = catalog.filter(token => token.color);
+  const lengths = LENGTH_CATEGORIES.map(category => ({
+    ...category,
+    candidates: catalog.filter(token => token.length && category.tokens.test(token.name))
+  }));
+
+  const suggestion = (callback, ...args) => {
+    if (!auditor) return null;
+    try {
+      return callback(...args);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Closest first; among equals the auditor's suggestion, then the shortest
+  // (most generic) name, then definition order
+  const preferred = (candidate, best) => {
+    if (Math.abs(candidate.distance - best.distance) > 1e-9) return candidate.distance < best.distance;
+    if (candidate.suggested !== best.suggested) return candidate.suggested;
+    return candidate.token.name.length < best.token.name.length;
+  };
+
+  function matchColor(property, literal) {
+    const color = parseColor(literal);
+    if (!color) return null;
+
+    const suggested = suggestion(value => auditor.suggestColorToken(value), literal);
+    let best = null;
+
+    for (const token of colors) {
+      if (!colorTokenFits(token.name, property)) continue;
+
+      const distance = colorDistance(color, token.color);
+      if (distance > tolerance) continue;
+
+      const candidate = { token, distance, suggested: token.name === suggested };
+      if (!best || preferred(candidate, best)) best = candidate;
+    }
+
+    return best && {
+      token: best.token.name,
+      category: 'color',
+      match: best.distance < 1e-9 ? 'exact' : 'nearest',
+      distance: Math.round(best.distance * 100) / 100,
+      suggested: best.suggested
+    };
+  }
+
+  function matchLength(property, literal) {
+    const category = lengths.find(entry => entry.properties.test(property));
+    const length = parseLength(literal);
+    if (!category || !length || length.number === 0) return null;
+
+    const equal = category.candidates.filter(token =>
+      token.length.unit === length.unit && Math.abs(token.length.number - length.number) < 1e-9
+    );
+    if (equal.length === 0) return null;
+
+    const suggested = suggestion(category.suggest, auditor, property, literal);
+    const token = equal.find(candidate => candidate.name === suggested) ||
+      equal.reduce((best, candidate) => (candidate.name.length < best.name.length ? candidate : best));
+
+    return { token: token.name, category: category.category, match: 'exact', distance: 0, suggested: token.name === suggested };
+  }
+
+  return { matchColor, matchLength };
+}
+
+/**
+ * Replace literals in a CSS fragment. Returns { text, edits, unmatched } with
+ * edits at offsets into the original fragment.
+ */
+function rewriteCSS(source, matcher) {
+  const masked = maskSource(source);
+  const edits = [];
+  const unmatched = [];
+
+  DECLARATION_PATTERN.lastIndex = 0;
+  let declaration;
+  while ((declaration = DECLARATION_PATTERN.exec(masked)) !== null) {
+    const property = declaration[2].toLowerCase();
+    if (property.startsWith('--')) continue;
+
+    const value = declaration[3];
+    const valueStart = declaration.index + declaration[0].length - value.length;
+    const ranges = protectedRanges(value);
+    const literals = [];
+
+    COLOR_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = COLOR_PATTERN.exec(value)) !== null) {
+      literals.push({ start: match.index, text: match[0], result: matcher.matchColor(property, match[0]) });
+    }
+
+    LENGTH_PATTERN.lastIndex = 0;
+    while ((match = LENGTH_PATTERN.exec(value)) !== null) {
+      const start = match.index + match[1].length;
+      const text = match[2] + match[3];
+      if (parseFloat(match[2]) === 0) continue;
+      if (literals.some(literal => start >= literal.start && start < literal.start + literal.text.length)) continue;
+      const result = matcher.matchLength(property, text);
+      // Lengths outside the token categories are not candidates at all
+      if (result || LENGTH_CATEGORIES.some(category => category.properties.test(property))) {
+        literals.push({ start, text, result });
+      }
+    }
+
+    for (const literal of literals) {
+      if (insideRanges(ranges, literal.start, literal.start + literal.text.length)) continue;
+
+      const index = valueStart + literal.start;
+      if (!literal.result) {
+        unmatched.push({ index, property, value: literal.text });
+        continue;
+      }
+
+      edits.push({
+        index,
+        length: literal.text.length,
+        property,
+        from: literal.text,
+        to: `var(${literal.result.token})`,
+        ...literal.result
+      });
+    }
+  }
+
+  edits.sort((a, b) => a.index - b.index);
+  let text = source;
+  for (const edit of [...edits].reverse()) {
+    text = text.slice(0, edit.index) + edit.to + text.slice(edit.index + edit.length);
+  }
+
+  return { text, edits, unmatched };
+}
+
+async function listFiles(directory, extension) {
+  const files = [];
+
+  async function scan(current) {
+    let entries;
+    try {
+      entries = await fs.readdir(current, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory() && !entry.name.startsWith('.')) {
+        await scan(fullPath);
+      } else if (entry.isFile() && entry.name.endsWith(extension)) {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  await scan(directory);
+  return files;
+}
+
+/**
+ * Theme files the codemod reads: [{ file, kind }] with theme-relative paths
+ */
+async function listCodemodFiles(themeRoot) {
+  const entries = [];
+  const add = (files, kind) => files.forEach(file => entries.push({ file: toPosix(path.relative(themeRoot, file)), kind }));
+
+  add((await listFiles(path.join(themeRoot, 'assets'), '.css')).filter(file => !BACKUP_FILE_PATTERN.test(file)), 'css');
+  for (const directory of LIQUID_DIRECTORIES) {
+    add(await listFiles(path.join(themeRoot, directory), '.liquid'), 'liquid');
+  }
+  for (const directory of JSON_DIRECTORIES) {
+    add(await listFiles(path.join(themeRoot, directory), '.json'), 'json');
+  }
+
+  return entries.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+// Fragments of a file that hold CSS: [{ start, end, css, encode? }]
+function cssRegions(source, kind) {
+  if (kind === 'css') return [{ start: 0, end: source.length, css: source }];
+
+  if (kind === 'liquid') {
+    const { styleBlocks, styleAttributes } = scanLiquidTemplate(source);
+    return [
+      ...styleBlocks.map(block => ({ start: block.contentStart, end: block.contentStart + block.content.length, css: block.content })),
+      ...styleAttributes.map(attribute => ({ start: attribute.valueStart, end: attribute.valueStart + attribute.value.length, css: attribute.value }))
+    ];
+  }
+
+  // JSON: string values of *css / *style settings, including custom_css arrays
+  let data;
+  try {
+    data = JSON.parse(source.replace(/^\s*\/\*[\s\S]*?\*\//, ''));
+  } catch (error) {
+    return [];
+  }
+
+  const strings = new Set();
+  const collect = (value, styled) => {
+    if (typeof value === 'string') {
+      if (styled) strings.add(value);
+    } else if (Array.isArray(value)) {
+      value.forEach(item => collect(item, styled));
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, item]) => collect(item, /css|style/i.test(key)));
+    }
+  };
+  collect(data, false);
+
+  const regions = [];
+  const literalPattern = /"(?:[^"\\\n]|\\.)*"/g;
+  let match;
+  while ((match = literalPattern.exec(source)) !== null) {
+    const decoded = JSON.parse(match[0]);
+    if (strings.has(decoded) && decoded.includes(':')) {
+      regions.push({ start: match.index, end: match.index + match[0].length, css: decoded, encode: text => JSON.stringify(text) });
+    }
+  }
+  return regions;
+}
+
+/**
+ * Rewrite one file. Returns { file, kind, edits, unmatched, before, after }.
+ */
+function rewriteFile(source, { file, kind }, matcher) {
+  const locate = createLocator(source);
+  const edits = [];
+  const unmatched = [];
+  const replacements = [];
+
+  for (const region of cssRegions(source, kind)) {
+    const result = rewriteCSS(region.css, matcher);
+    const position = offset => locate(region.encode ? region.start : region.start + offset);
+
+    result.unmatched.forEach(({ index, ...literal }) => unmatched.push({ ...position(index), ...literal }));
+    if (result.edits.length === 0) continue;
+
+    for (const { index, length, ...edit } of result.edits) {
+      edits.push({ ...position(index), ...edit });
+    }
+    replacements.push({
+      start: region.start,
+      end: region.end,
+      text: region.encode ? region.encode(result.text) : result.text
+    });
+  }
+
+  let after = source;
+  for (const replacement of replacements.sort((a, b) => b.start - a.start)) {
+    after = after.slice(0, replacement.start) + replacement.text + after.slice(replacement.end);
+  }
+
+  return { file, kind, edits, unmatched, before: source, after };
+}
+
+/**
+ * Plan the codemod for a theme without writing anything
+ */
+async function planTokenCodemod({ themeRoot, tokenFiles = DEFAULT_TOKEN_FILES, tolerance = DEFAULT_TOLERANCE }) {
+  const root = path.resolve(themeRoot);
+  const catalog = await loadTokenCatalog(root, tokenFiles);
+  if (catalog.length === 0) {
+    throw new Error(`No :root tokens found in ${tokenFiles.join(', ')} under ${root}`);
+  }
+
+  // Required lazily, like the analyzers in plugins.js
+  const ShopifyThemeAuditor = require('../shopify-theme-auditor');
+  const matcher = createTokenMatcher(catalog, { tolerance, auditor: new ShopifyThemeAuditor({ themeRoot: root }) });
+
+  const excluded = new Set(tokenFiles.map(toPosix));
+  const files = [];
+  const unmatched = new Map();
+
+  for (const entry of await listCodemodFiles(root)) {
+    if (excluded.has(entry.file)) continue;
+
+    const source = await fs.readFile(path.join(root, entry.file), 'utf8');
+    const result = rewriteFile(source, entry, matcher);
+    result.unmatched.forEach(literal => unmatched.set(literal.value, (unmatched.get(literal.value) || 0) + 1));
+    if (result.edits.length > 0) files.push(result);
+  }
+
+  const edits = files.flatMap(file => file.edits);
+  return {
+    timestamp: new Date().toISOString(),
+    themeRoot: root,
+    tokenFiles,
+    tolerance,
+    tokens: catalog.length,
+    files,
+    unmatched: [...unmatched.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    summary: {
+      files: files.length,
+      edits: edits.length,
+      exact: edits.filter(edit => edit.match === 'exact').length,
+      nearest: edits.filter(edit => edit.match === 'nearest').length,
+      unmatched: [...unmatched.values()].reduce((sum, count) => sum + count, 0)
+    }
+  };
+}
+
+/**
+ * Unified diff of one planned file (edits never add or remove lines)
+ */
+function renderFileDiff({ file, before, after }, context = 2) {
+  const oldLines = before.split('\n');
+  const newLines = after.split('\n');
+  const finalNewline = before.endsWith('\n');
+  if (finalNewline) {
+    oldLines.pop();
+    newLines.pop();
+  }
+  const noNewline = '\\ No newline at end of file';
+  const lastLine = oldLines.length - 1;
+  const changed = oldLines.map((line, i) => line !== newLines[i]);
+
+  const hunks = [];
+  changed.forEach((isChanged, i) => {
+    if (!isChanged) return;
+    const start = Math.max(0, i - context);
+    const end = Math.min(oldLines.length, i + context + 1);
+    const previous = hunks[hunks.length - 1];
+    if (previous && start <= previous.end) previous.end = end;
+    else hunks.push({ start, end });
+  });
+
+  const lines = [`--- a/${file}`, `+++ b/${file}`];
+  for (const { start, end } of hunks) {
+    lines.push(`@@ -${start + 1},${end - start} +${start + 1},${end - start} @@`);
+    for (let i = start; i < end; i++) {
+      if (!changed[i]) {
+        lines.push(` ${oldLines[i]}`);
+        if (i === lastLine && !finalNewline) lines.push(noNewline);
+        continue;
+      }
+      let runEnd = i;
+      while (runEnd < end && changed[runEnd]) runEnd++;
+      const atEnd = runEnd - 1 === lastLine && !finalNewline;
+      oldLines.slice(i, runEnd).forEach(line => lines.push(`-${line}`));
+      if (atEnd) lines.push(noNewline);
+      newLines.slice(i, runEnd).forEach(line => lines.push(`+${line}`));
+      if (atEnd) lines.push(noNewline);
+      i = runEnd - 1;
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function renderCodemodDiff(plan) {
+  return plan.files.map(file => renderFileDiff(file)).join('');
+}
+
+/**
+ * Write the planned rewrites; `accept(file)` selects which files to write
+ */
+async function applyTokenCodemod(plan, accept = () => true) {
+  const applied = [];
+
+  for (const entry of plan.files) {
+    if (!(await accept(entry.file, entry))) continue;
+    await fs.writeFile(path.join(plan.themeRoot, entry.file), entry.after);
+    applied.push({ file: entry.file, edits: entry.edits.length });
+  }
+
+  return applied;
+}
+
+/**
+ * Render the plan as a Markdown report
+ */
+function renderCodemodMarkdown(plan, applied = null) {
+  const { summary } = plan;
+  const lines = [
+    `# Token Codemod - ${path.basename(plan.themeRoot)}`,
+    '',
+    `Generated: ${plan.timestamp}`,
+    `Tokens: ${plan.tokens} from ${plan.tokenFiles.map(file => `\`${file}\``).join(', ')}`,
+    `Color tolerance: ΔE ${plan.tolerance}`,
+    '',
+    '| Files | Replacements | Exact | Nearest color | Literals without a token |',
+    '| --- | --- | --- | --- | --- |',
+    `| ${summary.files} | ${summary.edits} | ${summary.exact} | ${summary.nearest} | ${summary.unmatched} |`,
+    '',
+    applied
+      ? `Applied ${applied.reduce((sum, entry) => sum + entry.edits, 0)} replacement(s) to ${applied.length} file(s).`
+      : 'Dry run: nothing was written. Review `token-codemod.diff`, then re-run with `--apply`, `--accept=<file>` or `--interactive`.'
+  ];
+
+  if (plan.files.length > 0) {
+    lines.push('', '## Files', '', '| File | Replacements | Nearest color | Applied |', '| --- | --- | --- | --- |');
+    const appliedFiles = new Set((applied || []).map(entry => entry.file));
+    for (const entry of plan.files) {
+      const nearest = entry.edits.filter(edit => edit.match === 'nearest').length;
+      lines.push(`| \`${entry.file}\` | ${entry.edits.length} | ${nearest} | ${appliedFiles.has(entry.file) ? 'yes' : 'no'} |`);
+    }
+  }
+
+  const nearest = plan.files.flatMap(entry => entry.edits.filter(edit => edit.match === 'nearest').map(edit => ({ file: entry.file, ...edit })));
+  if (nearest.length > 0) {
+    lines.push('', '## Nearest-Color Replacements', '', 'These change the rendered color slightly; check them in the diff.', '', '| Location | Literal | Token | ΔE |', '| --- | --- | --- | --- |');
+    nearest.forEach(edit => lines.push(`| \`${edit.file}:${edit.line}\` | \`${edit.from}\` | \`${edit.token}\` | ${edit.distance} |`));
+  }
+
+  if (plan.unmatched.length > 0) {
+    lines.push('', '## Most Common Literals Without a Token', '', '| Value | Occurrences |', '| --- | --- |');
+    plan.unmatched.slice(0, 25).forEach(({ value, count }) => lines.push(`| \`${value}\` | ${count} |`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write token-codemod.{json,md,diff} to the output directory
+ */
+async function writeCodemodReport(plan, outputDir, applied = null) {
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const basePath = path.join(outputDir, 'token-codemod');
+  const written = { json: `${basePath}.json`, md: `${basePath}.md`, diff: `${basePath}.diff` };
+
+  const serializable = {
+    ...plan,
+    applied,
+    // File contents are only needed to apply; the diff carries the changes
+    files: plan.files.map(({ before, after, unmatched, ...entry }) => entry)
+  };
+  await fs.writeFile(written.json, JSON.stringify(serializable, null, 2));
+  await fs.writeFile(written.md, renderCodemodMarkdown(plan, applied));
+  await fs.writeFile(written.diff, renderCodemodDiff(plan));
+
+  return written;
+}
+
+module.exports = {
+  DEFAULT_TOKEN_FILES,
+  DEFAULT_TOLERANCE,
+  applyTokenCodemod,
+  createTokenMatcher,
+  cssRegions,
+  listCodemodFiles,
+  loadTokenCatalog,
+  planTokenCodemod,
+  protectedRanges,
+  renderCodemodDiff,
+  renderCodemodMarkdown,
+  renderFileDiff,
+  rewriteCSS,
+  writeCodemodReport
+};
@@ -0,0 +1,106 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, describe, expect, it } from 'vitest';
+import { createTokenMatcher, listCodemodFiles, loadTokenCatalog, rewriteCSS } from './token-codemod.js';
+
+const TOKENS = `
+:root {
+  --radius-lg: 16px;
+  --foundation-modal-border-radius: 20px;
+  --spacing-md: 16px;
+  --foundation-card-gap: 20px;
+  --color-primary: #6366f1;
+  --glass-border-hover: rgba(255, 255, 255, 0.2);
+  --color-text: var(--color-white, #ffffff);
+}
+@media (min-width: 750px) {
+  :root { --spacing-lg: 32px; }
+}
+`;
+
+let root;
+
+async function writeTheme(files) {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'token-codemod-'));
+  for (const [file, content] of Object.entries(files)) {
+    const target = path.join(root, file);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+  }
+  return root;
+}
+
+afterEach(async () => {
+  if (root) await fs.rm(root, { recursive: true, force: true });
+  root = null;
+});
+
+async function matcherFor(tokens = TOKENS) {
+  const catalog = await loadTokenCatalog(await writeTheme({ 'assets/design-tokens.css': tokens }));
+  return createTokenMatcher(catalog);
+}
+
+describe('loadTokenCatalog', () => {
+  it('reads global :root tokens and resolves var() fallbacks', async () => {
+    const catalog = await loadTokenCatalog(await writeTheme({ 'assets/design-tokens.css': TOKENS }));
+    const names = catalog.map(token => token.name);
+
+    expect(names).toContain('--radius-lg');
+    expect(names).not.toContain('--spacing-lg');
+    expect(catalog.find(token => token.name === '--color-text').value).toBe('#ffffff');
+  });
+});
+
+describe('rewriteCSS', () => {
+  it('replaces exact lengths with scale tokens only', async () => {
+    const matcher = await matcherFor();
+    const { text } = rewriteCSS('.a { padding: 16px 20px; border-radius: 16px; }\n.b { border-radius: 20px; gap: 20px; }', matcher);
+
+    expect(text).toBe('.a { padding: var(--spacing-md) 20px; border-radius: var(--radius-lg); }\n.b { border-radius: 20px; gap: 20px; }');
+  });
+
+  it('only offers role tokens to properties of that role', async () => {
+    const matcher = await matcherFor();
+    const { text } = rewriteCSS(
+      '.a { border: 1px solid rgba(255,255,255,.2); background: linear-gradient(rgba(255,255,255,.2), #6366f1); }',
+      matcher
+    );
+
+    expect(text).toBe(
+      '.a { border: 1px solid var(--glass-border-hover); background: linear-gradient(rgba(255,255,255,.2), var(--color-primary)); }'
+    );
+  });
+
+  it('leaves custom properties, var() fallbacks, strings and comments alone', async () => {
+    const matcher = await matcherFor();
+    const source = '.a { --x: #6366f1; color: var(--y, #6366f1); content: "#6366f1"; /* #6366f1 */ }';
+
+    expect(rewriteCSS(source, matcher)).toMatchObject({ text: source, edits: [] });
+  });
+
+  it('reports literals without a token', async () => {
+    const matcher = await matcherFor();
+    const { unmatched } = rewriteCSS('.a { color: #123456; margin: 7px; }', matcher);
+
+    expect(unmatched.map(literal => literal.value)).toEqual(['#123456', '7px']);
+  });
+});
+
+describe('listCodemodFiles', () => {
+  it('skips backup copies of stylesheets', async () => {
+    await writeTheme({
+      'assets/base.css': '',
+      'assets/base.backup.css': '',
+      'assets/buttons-backup.css': '',
+      'sections/header.liquid': '',
+      'templates/index.json': '{}'
+    });
+
+    expect((await listCodemodFiles(root)).map(entry => entry.file)).toEqual([
+      'assets/base.css',
+      'sections/header.liquid',
+      'templates/index.json'
+    ]);
+  });
+});
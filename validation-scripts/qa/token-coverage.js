@@ -0,0 +1,463 @@
+/**
+ * Glass QA Token Coverage
+ * How much of a theme's styling goes through its custom properties, and which
+ * of them are dead, missing or contradictory
+ *
+ * Custom properties are collected from the same sources the token codemod
+ * reads: assets/*.css, the style blocks and style="" attributes of Liquid
+ * templates, and the CSS strings of JSON templates. For each theme the report
+ * lists
+ *   unused     - defined custom properties nothing references
+ *   undefined  - var() references to properties the theme never defines, with
+ *                the fallbacks they are written with
+ *   conflicts  - properties set on :root / html / body outside @media,
+ *                @supports and @container in more than one file, with different
+ *                values, so the winner depends on load order
+ *   coverage   - the share of color and spacing declarations whose value comes
+ *                from var() rather than a literal
+ * A var() inside another property's value counts as a use, and so does a
+ * `--name` string in assets/*.js (getPropertyValue(), var()); setProperty()
+ * counts as a definition, as does `--name:` anywhere in a Liquid file (style
+ * strings built in {% capture %} and snippets). Names built with Liquid (`--font-{{ type }}--size`)
+ * define or use every name they can render.
+ *
+ * Declarations with Liquid in the value come from theme settings and are left
+ * out of the coverage figures, as are keywords (inherit, auto, 0, ...).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { COLOR_PATTERN } = require('./color');
+const { analyzeStylesheet, createLocator, extractVarReferences } = require('./css-analysis');
+const { cssRegions, listCodemodFiles, protectedRanges } = require('./token-codemod');
+
+const COLOR_LITERAL = new RegExp(COLOR_PATTERN.source, 'i');
+
+// Properties whose literals are counted as hard-coded colors or spacing
+const COVERAGE_CATEGORIES = [
+  {
+    category: 'color',
+    properties: /^(?:color|background(?:-color)?|border(?:-(?:top|right|bottom|left|block|inline)(?:-(?:start|end))?)?(?:-color)?|outline(?:-color)?|fill|stroke|caret-color|accent-color|text-decoration-color|column-rule(?:-color)?|box-shadow|text-shadow)$/,
+    literal: value => COLOR_LITERAL.test(value) || /\b(?:white|black)\b/i.test(value)
+  },
+  {
+    category: 'spacing',
+    properties: /^(?:padding|margin)(?:-[a-z-]+)?$|^(?:row-|column-)?gap$/,
+    literal: value => /(^|[\s,(-])(?:\d*\.?\d*[1-9]\d*)(?:px|rem|em)(?![\w%])/.test(value)
+  }
+];
+
+// Selectors whose custom properties are global tokens rather than component state
+const GLOBAL_SELECTOR = /^(?::root|html|body|:host)$/;
+
+// `--name` mentioned in a script: "var(--name)", setProperty('--name', ...)
+const SCRIPT_PROPERTY_PATTERN = /(?:var\(\s*|['"`])--([a-zA-Z][\w-]*)/g;
+const SCRIPT_SETTER_PATTERN = /setProperty\(\s*['"`]--([a-zA-Z][\w-]*)/g;
+
+// var(--name) where the name is built with Liquid: var(--font-{{ type }}--size)
+const LIQUID_VAR_PATTERN = /var\(\s*--((?:[\w-]|\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\})+)/g;
+const LIQUID_MARKUP = /\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}/g;
+
+// `--name:` anywhere in a Liquid file, e.g. in a {% capture %} later output as a style attribute
+const TEMPLATE_DEFINITION_PATTERN = /(?:^|[\s;"'{])--([a-zA-Z][\w-]*)\s*:/g;
+
+const USAGE_LIMIT = 5;
+
+function normalizeValue(value) {
+  return String(value).trim().replace(/\s+/g, ' ');
+}
+
+// --font-{{ type }}--size -> /^font-[\w-]*--size$/, matching every name it can render
+function liquidNamePattern(name) {
+  const parts = name.split(LIQUID_MARKUP).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${parts.join('[\\w-]*')}$`);
+}
+
+function percent(part, whole) {
+  return whole === 0 ? null : Math.round((part / whole) * 1000) / 10;
+}
+
+/**
+ * Category of a declaration and whether its value goes through a token:
+ * { category, tokenized } or null when the declaration does not count
+ */
+function classifyDeclaration(prop, value) {
+  const category = COVERAGE_CATEGORIES.find(entry => entry.properties.test(prop.toLowerCase()));
+  if (!category || /\{\{|\{%/.test(value)) return null;
+
+  // Literals inside var() fallbacks, url()s and strings do not count
+  let outside = value;
+  for (const [start, end] of protectedRanges(value)) {
+    outside = outside.slice(0, start) + ' '.repeat(end - start) + outside.slice(end);
+  }
+
+  if (category.literal(outside)) return { category: category.category, tokenized: false };
+  if (/var\(/i.test(value)) return { category: category.category, tokenized: true };
+  return null;
+}
+
+// analyzeStylesheet() positions are relative to the region; map them onto the file
+function regionLocator(source, region) {
+  const start = createLocator(source)(region.start);
+  if (region.encode) return () => start;
+
+  return ({ line, column }) => ({
+    line: start.line + line - 1,
+    column: line === 1 ? start.column + column - 1 : column
+  });
+}
+
+async function listScripts(themeRoot) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(themeRoot, 'assets'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return entries.filter(file => file.endsWith('.js')).sort().map(file => `assets/${file}`);
+}
+
+/**
+ * Definitions, uses and classified declarations of every custom property in a theme
+ */
+async function scanTheme(themeRoot) {
+  const definitions = new Map();
+  const usages = new Map();
+  const scriptSetters = new Set();
+  const templateDefinitions = new Set();
+  const declarations = [];
+  // Names built with Liquid, kept as patterns
+  const dynamicDefinitions = [];
+  const dynamicUsages = [];
+
+  const push = (map, name, entry) => {
+    if (!map.has(name)) map.set(name, []);
+    map.get(name).push(entry);
+  };
+
+  for (const entry of await listCodemodFiles(themeRoot)) {
+    const source = await fs.readFile(path.join(themeRoot, entry.file), 'utf8');
+
+    if (entry.kind === 'liquid') {
+      for (const match of source.matchAll(TEMPLATE_DEFINITION_PATTERN)) templateDefinitions.add(match[1]);
+    }
+
+    for (const region of cssRegions(source, entry.kind)) {
+      const position = regionLocator(source, region);
+      const stylesheet = analyzeStylesheet(region.css, { file: entry.file });
+
+      for (const declaration of stylesheet.declarations) {
+        const { line, column } = position(declaration);
+
+        if (declaration.prop.startsWith('--') && /\{[{%]/.test(declaration.prop)) {
+          dynamicDefinitions.push(liquidNamePattern(declaration.prop.slice(2)));
+        } else if (declaration.prop.startsWith('--')) {
+          push(definitions, declaration.prop.slice(2), {
+            file: entry.file,
+            line,
+            column,
+            value: normalizeValue(declaration.value),
+            selectors: declaration.selectors,
+            atRules: declaration.atRules
+          });
+        } else {
+          const classified = classifyDeclaration(declaration.prop, declaration.value);
+          if (classified) declarations.push({ ...classified, file: entry.file, line });
+        }
+
+        for (const match of declaration.value.matchAll(LIQUID_VAR_PATTERN)) {
+          if (/\{[{%]/.test(match[1])) dynamicUsages.push(liquidNamePattern(match[1]));
+        }
+
+        for (const reference of extractVarReferences(declaration.value)) {
+          // Only the literal head of a Liquid-built name, handled above
+          if (declaration.value.includes(`${reference.name}{`)) continue;
+          push(usages, reference.name.slice(2), { file: entry.file, line, column, fallback: reference.fallback });
+        }
+      }
+    }
+  }
+
+  for (const file of await listScripts(themeRoot)) {
+    const source = await fs.readFile(path.join(themeRoot, file), 'utf8');
+    const locate = createLocator(source);
+
+    // setProperty('--name') defines the property at runtime rather than using it
+    const setterEnds = new Set();
+    for (const match of source.matchAll(SCRIPT_SETTER_PATTERN)) {
+      scriptSetters.add(match[1]);
+      setterEnds.add(match.index + match[0].length);
+    }
+
+    for (const match of source.matchAll(SCRIPT_PROPERTY_PATTERN)) {
+      if (setterEnds.has(match.index + match[0].length)) continue;
+      push(usages, match[1], { file, ...locate(match.index), fallback: null, script: true });
+    }
+  }
+
+  return { definitions, usages, scriptSetters, templateDefinitions, dynamicDefinitions, dynamicUsages, declarations };
+}
+
+// The variable validator's conflict and undefined-variable checks, run over
+// everything scanTheme() collected rather than assets/*.css alone
+function consistencyValidator(themeRoot, definitions, usages) {
+  // Required lazily, like the analyzers in plugins.js
+  const VariableConsistencyValidator = require('../variable-consistency-validator');
+  const validator = new VariableConsistencyValidator(themeRoot);
+
+  for (const [name, entries] of definitions) {
+    validator.variableDefinitions.set(`--${name}`, entries.map(entry => ({ ...entry, selector: entry.selectors.join(', ') })));
+  }
+  for (const [name, uses] of usages) {
+    validator.variableUsage.set(`--${name}`, uses);
+  }
+
+  return validator;
+}
+
+// Global tokens set in more than one file with different values, so the winner depends on load order
+function findConflicts(validator) {
+  const isGlobal = entry =>
+    entry.selectors.length > 0 && entry.selectors.every(selector => GLOBAL_SELECTOR.test(selector.trim()));
+
+  return validator.findConflicts(null, isGlobal)
+    .filter(conflict => new Set(conflict.definitions.map(entry => entry.file)).size > 1)
+    .map(conflict => ({
+      name: conflict.variable.slice(2),
+      values: conflict.values.map(value => ({
+        value,
+        locations: conflict.definitions
+          .filter(entry => entry.value === value)
+          .map(entry => `${entry.file}:${entry.line}`)
+      }))
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function summarizeCoverage(declarations) {
+  const coverage = {};
+
+  for (const { category } of COVERAGE_CATEGORIES) {
+    const counted = declarations.filter(declaration => declaration.category === category);
+    const tokenized = counted.filter(declaration => declaration.tokenized).length;
+    coverage[category] = {
+      declarations: counted.length,
+      tokenized,
+      hardCoded: counted.length - tokenized,
+      percent: percent(tokenized, counted.length)
+    };
+  }
+
+  const total = declarations.length;
+  coverage.overall = {
+    declarations: total,
+    tokenized: declarations.filter(declaration => declaration.tokenized).length,
+    hardCoded: declarations.filter(declaration => !declaration.tokenized).length,
+    percent: percent(declarations.filter(declaration => declaration.tokenized).length, total)
+  };
+
+  return coverage;
+}
+
+// Files with the most hard-coded color and spacing declarations
+function hardCodedFiles(declarations, limit = 15) {
+  const files = new Map();
+  for (const declaration of declarations) {
+    const entry = files.get(declaration.file) || { file: declaration.file, declarations: 0, hardCoded: 0 };
+    entry.declarations++;
+    if (!declaration.tokenized) entry.hardCoded++;
+    files.set(declaration.file, entry);
+  }
+
+  return [...files.values()]
+    .filter(entry => entry.hardCoded > 0)
+    .map(entry => ({ ...entry, percent: percent(entry.declarations - entry.hardCoded, entry.declarations) }))
+    .sort((a, b) => b.hardCoded - a.hardCoded || a.file.localeCompare(b.file))
+    .slice(0, limit);
+}
+
+/**
+ * Coverage of one theme: { name, root, summary, coverage, unused, undefined, conflicts, files }
+ */
+async function analyzeTokenCoverage({ name, root }) {
+  const themeRoot = path.resolve(root);
+  const { definitions, usages, scriptSetters, templateDefinitions, dynamicDefinitions, dynamicUsages, declarations } = await scanTheme(themeRoot);
+  const isUsed = property => usages.has(property) || dynamicUsages.some(pattern => pattern.test(property));
+  // Set by scripts or Liquid rather than in a stylesheet
+  const isDefinedElsewhere = property =>
+    scriptSetters.has(property) || templateDefinitions.has(property) ||
+    dynamicDefinitions.some(pattern => pattern.test(property));
+
+  const unused = [...definitions.entries()]
+    .filter(([property]) => !isUsed(property))
+    .map(([property, entries]) => ({
+      name: property,
+      definitions: entries.map(({ file, line, value }) => ({ file, line, value }))
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const validator = consistencyValidator(themeRoot, definitions, usages);
+  const undefinedProperties = validator.findUndefinedVariables(null, variable => isDefinedElsewhere(variable.slice(2)))
+    .map(({ variable }) => {
+      const property = variable.slice(2);
+      const uses = usages.get(property);
+      const cssUses = uses.filter(use => !use.script);
+      return {
+        name: property,
+        count: uses.length,
+        fallbacks: [...new Set(cssUses.filter(use => use.fallback).map(use => use.fallback))],
+        withoutFallback: cssUses.filter(use => !use.fallback).length,
+        usages: uses.slice(0, USAGE_LIMIT).map(({ script, ...use }) => use)
+      };
+    })
+    .sort((a, b) => b.withoutFallback - a.withoutFallback || b.count - a.count || a.name.localeCompare(b.name));
+
+  const conflicts = findConflicts(validator);
+  const coverage = summarizeCoverage(declarations);
+
+  return {
+    name: name || path.basename(themeRoot),
+    root: themeRoot,
+    summary: {
+      defined: definitions.size,
+      used: usages.size,
+      unused: unused.length,
+      undefined: undefinedProperties.length,
+      undefinedWithoutFallback: undefinedProperties.filter(entry => entry.withoutFallback > 0).length,
+      conflicts: conflicts.length,
+      coverage: coverage.overall.percent
+    },
+    coverage,
+    unused,
+    undefined: undefinedProperties,
+    conflicts,
+    files: hardCodedFiles(declarations)
+  };
+}
+
+/**
+ * Coverage report for several themes; `minCoverage` (percent) marks themes
+ * below it as failing, and themes with nothing to measure as well
+ */
+async function createTokenCoverageReport({ themes, minCoverage = null }) {
+  const results = [];
+  for (const theme of themes) {
+    const result = await analyzeTokenCoverage(theme);
+    const { percent } = result.coverage.overall;
+    result.passed = minCoverage === null || (percent !== null && percent >= minCoverage);
+    results.push(result);
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    minCoverage,
+    themes: results,
+    summary: {
+      themes: results.length,
+      failing: results.filter(result => !result.passed).length
+    }
+  };
+}
+
+function formatPercent(value) {
+  return value === null ? 'n/a' : `${value}%`;
+}
+
+function renderThemeCoverage(result, minCoverage) {
+  const { summary, coverage } = result;
+  const status = minCoverage === null ? '' :
+    result.passed ? ' ✅' :
+    coverage.overall.percent === null ? ' ❌ no color or spacing declarations found' : ` ❌ below ${minCoverage}%`;
+  const lines = [
+    `## ${result.name}`,
+    '',
+    `Coverage: **${formatPercent(coverage.overall.percent)}**${status}`,
+    '',
+    '| | Declarations | Through tokens | Hard-coded | Coverage |',
+    '| --- | --- | --- | --- | --- |',
+    ...['color', 'spacing', 'overall'].map(key => {
+      const entry = coverage[key];
+      return `| ${key} | ${entry.declarations} | ${entry.tokenized} | ${entry.hardCoded} | ${formatPercent(entry.percent)} |`;
+    }),
+    '',
+    `${summary.defined} custom properties defined, ${summary.used} used, ${summary.unused} unused, ${summary.undefined} undefined (${summary.undefinedWithoutFallback} without a fallback), ${summary.conflicts} conflicting.`
+  ];
+
+  if (result.undefined.length > 0) {
+    lines.push('', '### Used but Undefined', '', '| Property | Uses | Without fallback | Fallbacks | First use |', '| --- | --- | --- | --- | --- |');
+    for (const entry of result.undefined) {
+      const fallbacks = entry.fallbacks.map(fallback => `\`${fallback.replace(/\|/g, '\\|')}\``).join(', ') || '-';
+      const first = entry.usages[0];
+      lines.push(`| \`--${entry.name}\` | ${entry.count} | ${entry.withoutFallback} | ${fallbacks} | ${first.file}:${first.line} |`);
+    }
+  }
+
+  if (result.conflicts.length > 0) {
+    lines.push('', '### Conflicting Definitions');
+    for (const conflict of result.conflicts) {
+      lines.push('', `- \`--${conflict.name}\``);
+      conflict.values.forEach(({ value, locations }) => lines.push(`  - \`${value}\` in ${locations.join(', ')}`));
+    }
+  }
+
+  if (result.unused.length > 0) {
+    lines.push('', '### Defined but Unused', '');
+    for (const entry of result.unused) {
+      const locations = [...new Set(entry.definitions.map(definition => definition.file))].join(', ');
+      lines.push(`- \`--${entry.name}\` (${locations})`);
+    }
+  }
+
+  if (result.files.length > 0) {
+    lines.push('', '### Most Hard-Coded Files', '', '| File | Hard-coded | Coverage |', '| --- | --- | --- |');
+    result.files.forEach(file => lines.push(`| ${file.file} | ${file.hardCoded} | ${formatPercent(file.percent)} |`));
+  }
+
+  return lines;
+}
+
+function renderTokenCoverageMarkdown(report) {
+  const lines = [
+    '# Design Token Coverage',
+    '',
+    `Generated: ${report.timestamp}`,
+    report.minCoverage === null ? 'Threshold: none' : `Threshold: ${report.minCoverage}%`,
+    '',
+    '| Theme | Coverage | Color | Spacing | Unused | Undefined | Conflicts |',
+    '| --- | --- | --- | --- | --- | --- | --- |',
+    ...report.themes.map(result => {
+      const { summary, coverage } = result;
+      const mark = report.minCoverage === null ? '' : result.passed ? ' ✅' : ' ❌';
+      return `| ${result.name} | ${formatPercent(coverage.overall.percent)}${mark} | ${formatPercent(coverage.color.percent)} | ${formatPercent(coverage.spacing.percent)} | ${summary.unused} | ${summary.undefined} | ${summary.conflicts} |`;
+    })
+  ];
+
+  for (const result of report.themes) {
+    lines.push('', ...renderThemeCoverage(result, report.minCoverage));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+async function writeTokenCoverageReport(report, outputDir) {
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const written = {
+    json: path.join(outputDir, 'token-coverage.json'),
+    md: path.join(outputDir, 'token-coverage.md')
+  };
+  await fs.writeFile(written.json, JSON.stringify(report, null, 2));
+  await fs.writeFile(written.md, renderTokenCoverageMarkdown(report));
+
+  return written;
+}
+
+module.exports = {
+  COVERAGE_CATEGORIES,
+  analyzeTokenCoverage,
+  classifyDeclaration,
+  createTokenCoverageReport,
+  renderTokenCoverageMarkdown,
+  writeTokenCoverageReport
+};
@@ -0,0 +1,98 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, describe, expect, it } from 'vitest';
+import { analyzeTokenCoverage, classifyDeclaration, createTokenCoverageReport } from './token-coverage.js';
+
+let root;
+
+async function writeTheme(files) {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'token-coverage-'));
+  for (const [file, content] of Object.entries(files)) {
+    const target = path.join(root, file);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+  }
+  return root;
+}
+
+afterEach(async () => {
+  if (root) await fs.rm(root, { recursive: true, force: true });
+  root = null;
+});
+
+describe('classifyDeclaration', () => {
+  it('counts literals outside var() fallbacks as hard-coded', () => {
+    expect(classifyDeclaration('color', '#fff')).toEqual({ category: 'color', tokenized: false });
+    expect(classifyDeclaration('color', 'var(--color-text, #fff)')).toEqual({ category: 'color', tokenized: true });
+    expect(classifyDeclaration('padding', '16px var(--space-md)')).toEqual({ category: 'spacing', tokenized: false });
+  });
+
+  it('skips keywords, Liquid values and other properties', () => {
+    expect(classifyDeclaration('margin', '0')).toBeNull();
+    expect(classifyDeclaration('color', '{{ settings.text_color }}')).toBeNull();
+    expect(classifyDeclaration('width', 'var(--page-width)')).toBeNull();
+  });
+});
+
+describe('analyzeTokenCoverage', () => {
+  it('reports unused, undefined and conflicting properties', async () => {
+    const result = await analyzeTokenCoverage({
+      name: 'fixture',
+      root: await writeTheme({
+        'assets/base.css': ':root { --color-text: #111; --unused: 1px; }\n.a { color: var(--color-text); padding: var(--space-md, 16px); }',
+        'assets/theme.css': ':root { --color-text: #222; }\n@media (min-width: 750px) { :root { --color-text: #333; } }',
+        'assets/menu.js': "element.style.setProperty('--menu-height', '40px');",
+        'snippets/card.liquid': '<div style="margin: var(--menu-height);"></div>'
+      })
+    });
+
+    expect(result.unused.map(entry => entry.name)).toEqual(['unused']);
+    expect(result.undefined).toEqual([
+      expect.objectContaining({ name: 'space-md', count: 1, fallbacks: ['16px'], withoutFallback: 0 })
+    ]);
+    expect(result.conflicts).toEqual([
+      {
+        name: 'color-text',
+        values: [
+          { value: '#111', locations: ['assets/base.css:1'] },
+          { value: '#222', locations: ['assets/theme.css:1'] }
+        ]
+      }
+    ]);
+    expect(result.coverage.overall).toMatchObject({ declarations: 3, tokenized: 3, percent: 100 });
+  });
+
+  it('does not treat component-scoped overrides as conflicts', async () => {
+    const result = await analyzeTokenCoverage({
+      root: await writeTheme({
+        'assets/a.css': ':root { --gap: 8px; }\n.a { gap: var(--gap); }',
+        'assets/b.css': '.card { --gap: 16px; }'
+      })
+    });
+
+    expect(result.conflicts).toEqual([]);
+  });
+});
+
+describe('createTokenCoverageReport', () => {
+  it('fails a theme below the threshold', async () => {
+    const theme = await writeTheme({ 'assets/base.css': '.a { color: #fff; padding: var(--space); }' });
+    const report = await createTokenCoverageReport({ themes: [{ name: 'fixture', root: theme }], minCoverage: 60 });
+
+    expect(report.themes[0].coverage.overall.percent).toBe(50);
+    expect(report.themes[0].passed).toBe(false);
+    expect(report.summary.failing).toBe(1);
+  });
+
+  it('fails a theme with nothing to measure when a threshold is set', async () => {
+    const theme = await writeTheme({ 'assets/base.css': '.a { width: 100%; }' });
+
+    const gated = await createTokenCoverageReport({ themes: [{ name: 'fixture', root: theme }], minCoverage: 60 });
+    expect(gated.themes[0].coverage.overall.percent).toBeNull();
+    expect(gated.themes[0].passed).toBe(false);
+
+    const ungated = await createTokenCoverageReport({ themes: [{ name: 'fixture', root: theme }] });
+    expect(ungated.themes[0].passed).toBe(true);
+  });
+});
@@ -0,0 +1,408 @@
+/**
+ * Glass QA Token Diff
+ * Compares two versions of a token source and lists the theme files that
+ * consume every changed token
+ *
+ * A version is a file path, a token system name (`quantum`) or a git
+ * revision of either (`HEAD~1:tokens/quantum.json`, `v2.0.0:quantum`).
+ * Tokens are compared by CSS custom property name, since that is what themes
+ * consume:
+ *   added     - only in the new version
+ *   removed   - only in the old version (breaking)
+ *   renamed   - a removed and an added token of the same type and value; the
+ *               old custom property disappears, so this is breaking too
+ *   changed   - same name, different value or alias target
+ * Usage comes from VariableConsistencyValidator for assets/*.css and from the
+ * style blocks and style="" attributes of every Liquid template.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const { TOKEN_SOURCES, createTokenSystem } = require('./design-tokens');
+const { createLocator } = require('./css-analysis');
+const { scanLiquidTemplate } = require('./liquid-tokenizer');
+
+const execFileAsync = promisify(execFile);
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+// Theme directories whose Liquid templates can consume tokens
+const LIQUID_DIRECTORIES = ['layout', 'sections', 'blocks', 'snippets', 'templates'];
+
+const VAR_PATTERN = /var\(\s*--([\w-]+)/g;
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * { ref, file } for a version spec; `ref` is null for the working tree
+ */
+async function parseVersionSpec(spec) {
+  const match = spec.match(/^([^:]+):(.+)$/);
+  if (!match || (await exists(spec))) {
+    return { ref: null, file: spec };
+  }
+  return { ref: match[1], file: match[2] };
+}
+
+/**
+ * Load one version of a token source as a token system
+ */
+async function loadTokenVersion(spec, { repoRoot = REPO_ROOT } = {}) {
+  const { ref, file } = await parseVersionSpec(spec);
+  const sourcePath = TOKEN_SOURCES[file] || file;
+  const localPath = TOKEN_SOURCES[file] ? path.join(repoRoot, sourcePath) : path.resolve(sourcePath);
+  let content;
+
+  if (ref) {
+    // Git paths are relative to the repository root
+    const gitPath = sourcePath.split(path.sep).join('/');
+    try {
+      const { stdout } = await execFileAsync('git', ['show', `${ref}:${gitPath}`], { cwd: repoRoot, maxBuffer: 64 * 1024 * 1024 });
+      content = stdout;
+    } catch (error) {
+      throw new Error(`Cannot read ${gitPath} at ${ref}: ${(error.stderr || error.message).trim()}`);
+    }
+  } else {
+    content = await fs.readFile(localPath, 'utf8');
+  }
+
+  const system = createTokenSystem(JSON.parse(content), {
+    name: path.basename(sourcePath, '.json'),
+    file: ref ? path.join(repoRoot, sourcePath) : localPath
+  });
+  return { ...system, spec, ref, sourcePath };
+}
+
+function describeValue(token) {
+  return {
+    value: String(token.resolved),
+    reference: token.reference || null
+  };
+}
+
+function sameValue(a, b) {
+  return String(a.resolved) === String(b.resolved) && (a.reference || null) === (b.reference || null);
+}
+
+function lastSegment(tokenPath) {
+  return tokenPath.split('.').pop();
+}
+
+/**
+ * Classify every difference between two token systems
+ */
+function diffTokenSystems(before, after) {
+  const beforeByName = new Map(before.tokens.map(token => [token.name, token]));
+  const afterByName = new Map(after.tokens.map(token => [token.name, token]));
+
+  const diff = { added: [], removed: [], renamed: [], changed: [], unchanged: 0 };
+  let removed = before.tokens.filter(token => !afterByName.has(token.name));
+  let added = after.tokens.filter(token => !beforeByName.has(token.name));
+
+  // A removed token is renamed when exactly one added token of its type has its value;
+  // several candidates are narrowed down to the one with the same last path segment
+  const taken = new Set();
+  for (const token of removed) {
+    let candidates = added.filter(candidate => !taken.has(candidate.name)
+      && candidate.type === token.type
+      && String(candidate.resolved) === String(token.resolved));
+    if (candidates.length > 1) {
+      candidates = candidates.filter(candidate => lastSegment(candidate.path) === lastSegment(token.path));
+    }
+    if (candidates.length !== 1) continue;
+
+    const [target] = candidates;
+    taken.add(target.name);
+    diff.renamed.push({
+      from: token.name,
+      to: target.name,
+      fromPath: token.path,
+      toPath: target.path,
+      ...describeValue(target),
+      breaking: true
+    });
+  }
+
+  const renamedFrom = new Set(diff.renamed.map(rename => rename.from));
+  removed = removed.filter(token => !renamedFrom.has(token.name));
+  added = added.filter(token => !taken.has(token.name));
+
+  diff.removed = removed.map(token => ({ name: token.name, path: token.path, ...describeValue(token), breaking: true }));
+  diff.added = added.map(token => ({ name: token.name, path: token.path, ...describeValue(token) }));
+
+  for (const token of after.tokens) {
+    const previous = beforeByName.get(token.name);
+    if (!previous) continue;
+    if (sameValue(previous, token)) {
+      diff.unchanged++;
+    } else {
+      diff.changed.push({ name: token.name, path: token.path, before: describeValue(previous), after: describeValue(token) });
+    }
+  }
+
+  diff.summary = {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    renamed: diff.renamed.length,
+    changed: diff.changed.length,
+    unchanged: diff.unchanged,
+    breaking: diff.removed.length + diff.renamed.length
+  };
+
+  return diff;
+}
+
+/**
+ * Custom property names (without --) whose consumers are affected by a diff
+ */
+function affectedNames(diff) {
+  return [
+    ...diff.removed.map(token => token.name),
+    ...diff.renamed.map(rename => rename.from),
+    ...diff.changed.map(token => token.name)
+  ];
+}
+
+async function listLiquidFiles(themeRoot) {
+  const files = [];
+
+  async function scan(directory) {
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        await scan(fullPath);
+      } else if (entry.name.endsWith('.liquid')) {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  for (const directory of LIQUID_DIRECTORIES) {
+    await scan(path.join(themeRoot, directory));
+  }
+  return files;
+}
+
+async function collectCSSUsage(themeRoot) {
+  // Required lazily, like the analyzers in plugins.js
+  const VariableConsistencyValidator = require('../variable-consistency-validator');
+  const validator = new VariableConsistencyValidator(themeRoot);
+
+  try {
+    await validator.collectVariableUsage();
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw error;
+  }
+
+  const usage = new Map();
+  for (const [variable, uses] of validator.variableUsage) {
+    usage.set(variable.slice(2), uses.map(use => ({
+      file: `assets/${use.file}`,
+      line: use.line,
+      context: use.context
+    })));
+  }
+  return usage;
+}
+
+async function collectLiquidUsage(themeRoot) {
+  const usage = new Map();
+
+  for (const file of await listLiquidFiles(themeRoot)) {
+    const source = await fs.readFile(file, 'utf8');
+    const sourceLines = source.split('\n');
+    const locate = createLocator(source);
+    const { styleBlocks, styleAttributes } = scanLiquidTemplate(source);
+    const regions = [
+      ...styleBlocks.map(block => ({ content: block.content, start: block.contentStart })),
+      ...styleAttributes.map(attribute => ({ content: attribute.value, start: attribute.valueStart }))
+    ];
+
+    for (const region of regions) {
+      VAR_PATTERN.lastIndex = 0;
+      let match;
+      while ((match = VAR_PATTERN.exec(region.content)) !== null) {
+        const { line } = locate(region.start + match.index);
+        const lineText = sourceLines[line - 1] || '';
+        if (!usage.has(match[1])) usage.set(match[1], []);
+        usage.get(match[1]).push({
+          file: path.relative(themeRoot, file).split(path.sep).join('/'),
+          line,
+          context: lineText.trim().slice(0, 160)
+        });
+      }
+    }
+  }
+
+  return usage;
+}
+
+/**
+ * Where each of `names` is consumed in the given themes:
+ * Map name -> [{ theme, file, line, context }]
+ */
+async function findTokenUsage(themes, names) {
+  const wanted = new Set(names);
+  const usage = new Map(names.map(name => [name, []]));
+  if (wanted.size === 0) return usage;
+
+  for (const theme of themes) {
+    if (!(await exists(theme.root))) continue;
+
+    for (const source of [await collectCSSUsage(theme.root), await collectLiquidUsage(theme.root)]) {
+      for (const [name, uses] of source) {
+        if (!wanted.has(name)) continue;
+        usage.get(name).push(...uses.map(use => ({ theme: theme.name, ...use })));
+      }
+    }
+  }
+
+  return usage;
+}
+
+/**
+ * Diff two versions and attach usage to every affected token
+ */
+async function createTokenChangelog({ from, to, themes = [], repoRoot = REPO_ROOT }) {
+  const before = await loadTokenVersion(from, { repoRoot });
+  const after = await loadTokenVersion(to, { repoRoot });
+  const diff = diffTokenSystems(before, after);
+  const usage = await findTokenUsage(themes, affectedNames(diff));
+
+  const withUsage = (entry, name) => ({ ...entry, usage: usage.get(name) || [] });
+  diff.removed = diff.removed.map(entry => withUsage(entry, entry.name));
+  diff.renamed = diff.renamed.map(entry => withUsage(entry, entry.from));
+  diff.changed = diff.changed.map(entry => withUsage(entry, entry.name));
+  diff.summary.breakingInUse = [...diff.removed, ...diff.renamed].filter(entry => entry.usage.length > 0).length;
+
+  return {
+    timestamp: new Date().toISOString(),
+    from: { spec: from, version: before.version, tokens: before.tokens.length },
+    to: { spec: to, version: after.version, tokens: after.tokens.length },
+    themes: themes.map(theme => theme.name),
+    ...diff
+  };
+}
+
+function formatValue({ value, reference }) {
+  return reference ? `\`{${reference}}\` (${value})` : `\`${value}\``;
+}
+
+function formatUsage(usage, limit = 20) {
+  if (usage.length === 0) return ['No usage found in the checked themes.'];
+
+  const files = new Set(usage.map(use => `${use.theme}/${use.file}`));
+  const lines = [`Used ${usage.length} time(s) in ${files.size} file(s):`, ''];
+  for (const use of usage.slice(0, limit)) {
+    lines.push(`- \`${use.theme}/${use.file}:${use.line}\` - \`${use.context.replace(/`/g, "'")}\``);
+  }
+  if (usage.length > limit) {
+    lines.push(`- ...and ${usage.length - limit} more (see JSON report)`);
+  }
+  return lines;
+}
+
+function versionLabel(side) {
+  return side.version ? `\`${side.spec}\` (v${side.version}, ${side.tokens} tokens)` : `\`${side.spec}\` (${side.tokens} tokens)`;
+}
+
+/**
+ * Render a changelog as Markdown
+ */
+function renderTokenChangelog(changelog) {
+  const { summary } = changelog;
+  const lines = [
+    '# Design Token Changelog',
+    '',
+    `Generated: ${changelog.timestamp}`,
+    `From: ${versionLabel(changelog.from)}`,
+    `To: ${versionLabel(changelog.to)}`,
+    `Themes checked: ${changelog.themes.length > 0 ? changelog.themes.join(', ') : 'none'}`,
+    '',
+    '| Added | Removed | Renamed | Changed | Unchanged | Breaking | Breaking in use |',
+    '| --- | --- | --- | --- | --- | --- | --- |',
+    `| ${summary.added} | ${summary.removed} | ${summary.renamed} | ${summary.changed} | ${summary.unchanged} | ${summary.breaking} | ${summary.breakingInUse} |`
+  ];
+
+  if (summary.breaking > 0) {
+    lines.push('', '## ⚠️ Breaking Changes');
+
+    for (const token of changelog.removed) {
+      lines.push('', `### Removed \`--${token.name}\``, '', `\`${token.path}\`, was ${formatValue(token)}.`, '', ...formatUsage(token.usage));
+    }
+    for (const rename of changelog.renamed) {
+      lines.push(
+        '',
+        `### Renamed \`--${rename.from}\` → \`--${rename.to}\``,
+        '',
+        `\`${rename.fromPath}\` → \`${rename.toPath}\`, value ${formatValue(rename)}. Replace \`var(--${rename.from})\` with \`var(--${rename.to})\`.`,
+        '',
+        ...formatUsage(rename.usage)
+      );
+    }
+  }
+
+  if (changelog.changed.length > 0) {
+    lines.push('', '## Changed Values', '', '| Token | Before | After | Files |', '| --- | --- | --- | --- |');
+    for (const token of changelog.changed) {
+      const files = new Set(token.usage.map(use => `${use.theme}/${use.file}`));
+      lines.push(`| \`--${token.name}\` | ${formatValue(token.before)} | ${formatValue(token.after)} | ${files.size} |`);
+    }
+
+    for (const token of changelog.changed.filter(entry => entry.usage.length > 0)) {
+      lines.push('', `### \`--${token.name}\``, '', ...formatUsage(token.usage));
+    }
+  }
+
+  if (changelog.added.length > 0) {
+    lines.push('', '## Added', '');
+    for (const token of changelog.added) {
+      lines.push(`- \`--${token.name}\` (\`${token.path}\`): ${formatValue(token)}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write token-changelog.md and token-diff.json to the output directory
+ */
+async function writeTokenChangelog(changelog, outputDir) {
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const written = {
+    json: path.join(outputDir, 'token-diff.json'),
+    md: path.join(outputDir, 'token-changelog.md')
+  };
+  await fs.writeFile(written.json, JSON.stringify(changelog, null, 2));
+  await fs.writeFile(written.md, renderTokenChangelog(changelog));
+
+  return written;
+}
+
+module.exports = {
+  affectedNames,
+  createTokenChangelog,
+  diffTokenSystems,
+  findTokenUsage,
+  loadTokenVersion,
+  renderTokenChangelog,
+  writeTokenChangelog
+};
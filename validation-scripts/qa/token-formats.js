@@ -0,0 +1,371 @@
+/**
+ * Glass QA Token Formats
+ * Reads every token JSON shape in this repo, plus the W3C Design Tokens
+ * Community Group (DTCG) format, into one list of entries, and writes DTCG
+ *
+ * Supported input shapes:
+ *   nested  - tokens/quantum.json: plain nested groups, `version` at the top
+ *   meta    - tokens/quantum-tokens.json: nested groups described by `_meta`
+ *   prefixed - tokens/quantum-framer-formatted.json: one level of groups whose
+ *             keys carry the system name, e.g. colors["quantum-primary-main"]
+ *   dtcg    - tokens are objects with `$value`, optional `$type` (inherited
+ *             from the enclosing groups) and `$description`
+ *
+ * An entry is { path, value, type, description }: `path` is the dotted token
+ * path, `value` a CSS-ready string or number that may contain {group.token}
+ * aliases, `type` the DTCG type when the source declares one.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SOURCE_METADATA_KEYS = new Set(['version', 'name', 'description']);
+
+// Prefixed exports flatten a few nested groups to the top level
+const PREFIXED_GROUPS = {
+  easing: 'animation.easings',
+  durations: 'animation.durations'
+};
+
+// DTCG $type for groups of the nested format whose values do not give it away
+const DTCG_GROUP_TYPES = [
+  ['colors', 'color'],
+  ['typography.fontFamilies', 'fontFamily'],
+  ['typography.fontWeights', 'fontWeight'],
+  ['shadows', 'shadow'],
+  ['animation.durations', 'duration'],
+  ['animation.easings', 'cubicBezier']
+];
+
+// Types of the properties of a DTCG typography composite
+const TYPOGRAPHY_PART_TYPES = {
+  fontFamily: 'fontFamily',
+  fontSize: 'dimension',
+  fontWeight: 'fontWeight',
+  letterSpacing: 'dimension',
+  lineHeight: 'number'
+};
+
+// Composite types whose $value is an object; exported as a plain string they lose their $type
+const COMPOSITE_TYPES = new Set(['shadow', 'border', 'transition']);
+
+const WHOLE_ALIAS_PATTERN = /^\{[^{}\s]+\}$/;
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgba?|hsla?)\(.+\))$/i;
+const DIMENSION_PATTERN = /^-?\d*\.?\d+(px|rem|em|%|vh|vw|vmin|vmax)$/;
+const DURATION_PATTERN = /^-?\d*\.?\d+m?s$/;
+const CUBIC_BEZIER_PATTERN = /^cubic-bezier\(\s*([^)]+)\)$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function containsDTCGToken(node) {
+  if (!isPlainObject(node)) return false;
+  if ('$value' in node) return true;
+  return Object.values(node).some(containsDTCGToken);
+}
+
+/**
+ * System name shared by every key of every group, or null
+ */
+function sharedKeyPrefix(data) {
+  let prefix = null;
+  for (const [group, tokens] of Object.entries(data)) {
+    if (SOURCE_METADATA_KEYS.has(group)) continue;
+    if (!isPlainObject(tokens)) return null;
+    for (const key of Object.keys(tokens)) {
+      const match = key.match(/^([a-z0-9]+)-./i);
+      if (!match || (prefix !== null && match[1] !== prefix)) return null;
+      prefix = match[1];
+    }
+  }
+  return prefix;
+}
+
+/**
+ * 'dtcg', 'meta', 'prefixed' or 'nested'
+ */
+function detectTokenFormat(data) {
+  if (containsDTCGToken(data)) return 'dtcg';
+  if (isPlainObject(data._meta)) return 'meta';
+  if (sharedKeyPrefix(data)) return 'prefixed';
+  return 'nested';
+}
+
+function quoteFontFamily(name) {
+  return /\s/.test(name) && !/^['"]/.test(name) ? `'${name}'` : name;
+}
+
+/**
+ * CSS value for a DTCG $value. Composites that have no single CSS value
+ * (typography, unknown objects) return null and are split into sub-tokens.
+ */
+function fromDTCGValue(value, type) {
+  if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    if (type === 'cubicBezier') return `cubic-bezier(${value.join(', ')})`;
+    if (type === 'fontFamily') return value.map(quoteFontFamily).join(', ');
+    return value.map(item => fromDTCGValue(item, type)).join(', ');
+  }
+
+  if (isPlainObject(value)) {
+    if ('value' in value && 'unit' in value) return `${value.value}${value.unit}`;
+    if (type === 'shadow') {
+      const layer = [value.offsetX, value.offsetY, value.blur, value.spread, value.color]
+        .filter(part => part !== undefined)
+        .map(part => fromDTCGValue(part, 'dimension'));
+      return (value.inset ? 'inset ' : '') + layer.join(' ');
+    }
+    if (type === 'border') {
+      return [value.width, value.style, value.color].filter(part => part !== undefined).join(' ');
+    }
+    if (type === 'transition') {
+      return [value.duration, fromDTCGValue(value.timingFunction, 'cubicBezier'), value.delay]
+        .filter(part => part !== undefined)
+        .join(' ');
+    }
+  }
+
+  return null;
+}
+
+function dtcgEntries(data) {
+  const entries = [];
+
+  function walk(node, segments, inheritedType) {
+    const type = node.$type || inheritedType;
+
+    if ('$value' in node) {
+      addValue(node.$value, segments, type, node.$description);
+      return;
+    }
+
+    for (const [key, child] of Object.entries(node)) {
+      if (key.startsWith('$') || !isPlainObject(child)) continue;
+      walk(child, [...segments, key], type);
+    }
+  }
+
+  function addValue(value, segments, type, description) {
+    const cssValue = fromDTCGValue(value, type);
+    if (cssValue === null) {
+      // typography and other composites become one token per property
+      for (const [key, part] of Object.entries(value)) {
+        addValue(part, [...segments, key], type === 'typography' ? TYPOGRAPHY_PART_TYPES[key] : undefined, undefined);
+      }
+      return;
+    }
+    entries.push({ path: segments.join('.'), value: cssValue, type: type || null, description: description || null });
+  }
+
+  walk(data, [], undefined);
+  return entries;
+}
+
+function nestedEntries(data, skipKey) {
+  const entries = [];
+
+  function walk(node, segments) {
+    if (Array.isArray(node)) {
+      // Font stacks and similar lists
+      entries.push({ path: segments.join('.'), value: node.join(', '), type: null, description: null });
+    } else if (isPlainObject(node)) {
+      for (const [key, value] of Object.entries(node)) {
+        if (skipKey(key, segments)) continue;
+        walk(value, [...segments, key]);
+      }
+    } else if (node !== null && node !== undefined) {
+      entries.push({ path: segments.join('.'), value: node, type: null, description: null });
+    }
+  }
+
+  walk(data, []);
+  return entries;
+}
+
+function prefixedEntries(data, prefix) {
+  const regrouped = {};
+
+  for (const [group, tokens] of Object.entries(data)) {
+    if (SOURCE_METADATA_KEYS.has(group)) continue;
+    for (const [key, value] of Object.entries(tokens)) {
+      const segments = [...(PREFIXED_GROUPS[group] || group).split('.'), ...key.slice(prefix.length + 1).split('-')];
+      let node = regrouped;
+      for (const segment of segments.slice(0, -1)) {
+        node = node[segment] = node[segment] || {};
+      }
+      node[segments[segments.length - 1]] = value;
+    }
+  }
+
+  return nestedEntries(regrouped, () => false);
+}
+
+/**
+ * Normalize parsed token JSON of any supported shape.
+ * Returns { format, name, version, description, entries }.
+ */
+function normalizeTokenSource(data) {
+  const format = detectTokenFormat(data);
+  const meta = format === 'meta' ? data._meta : data;
+  const result = {
+    format,
+    name: meta.name || (format === 'prefixed' ? sharedKeyPrefix(data) : null),
+    version: meta.version || null,
+    description: meta.description || data.$description || null,
+    entries: null
+  };
+
+  if (format === 'dtcg') {
+    result.entries = dtcgEntries(data);
+  } else if (format === 'prefixed') {
+    result.entries = prefixedEntries(data, sharedKeyPrefix(data));
+  } else if (format === 'meta') {
+    result.entries = nestedEntries(data, key => key.startsWith('_'));
+  } else {
+    result.entries = nestedEntries(data, (key, segments) => key.startsWith('$') || (segments.length === 0 && SOURCE_METADATA_KEYS.has(key)));
+  }
+
+  return result;
+}
+
+function splitTopLevel(value, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth === 0 && (separator === ' ' ? /\s/.test(char) : char === separator)) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function toDimension(value) {
+  return value === '0' ? '0px' : value;
+}
+
+/**
+ * DTCG shadow object(s) for a CSS box-shadow, or null when it does not parse
+ */
+function parseShadow(value) {
+  const layers = splitTopLevel(value, ',').map(layer => {
+    const parts = splitTopLevel(layer, ' ');
+    const inset = parts[0] === 'inset';
+    const lengths = parts.filter(part => part !== 'inset' && (part === '0' || DIMENSION_PATTERN.test(part)));
+    const colors = parts.filter(part => part !== 'inset' && !lengths.includes(part));
+    if (lengths.length < 2 || lengths.length > 4 || colors.length > 1) return null;
+
+    const [offsetX, offsetY, blur = '0px', spread = '0px'] = lengths.map(toDimension);
+    const shadow = { color: colors[0] || '#000000', offsetX, offsetY, blur, spread };
+    if (inset) shadow.inset = true;
+    return shadow;
+  });
+
+  if (layers.includes(null)) return null;
+  return layers.length === 1 ? layers[0] : layers;
+}
+
+/**
+ * DTCG $type for a token, from its declared type, its group or its value
+ */
+function dtcgType(token) {
+  if (token.dtcgType) return token.dtcgType;
+
+  for (const [group, type] of DTCG_GROUP_TYPES) {
+    if (token.path === group || token.path.startsWith(`${group}.`)) return type;
+  }
+
+  const value = token.resolved !== undefined ? token.resolved : token.value;
+  if (typeof value === 'number') return 'number';
+  if (typeof value !== 'string') return null;
+  if (COLOR_PATTERN.test(value)) return 'color';
+  if (DURATION_PATTERN.test(value)) return 'duration';
+  if (DIMENSION_PATTERN.test(value)) return 'dimension';
+  if (CUBIC_BEZIER_PATTERN.test(value)) return 'cubicBezier';
+  return null;
+}
+
+function toDTCGValue(value, type) {
+  if (typeof value !== 'string' || WHOLE_ALIAS_PATTERN.test(value)) return value;
+
+  if (type === 'cubicBezier') {
+    const match = value.match(CUBIC_BEZIER_PATTERN);
+    if (match) return match[1].split(',').map(Number);
+  }
+  if (type === 'fontFamily') {
+    return splitTopLevel(value, ',').map(name => name.replace(/^['"]|['"]$/g, ''));
+  }
+  if (type === 'shadow') {
+    return parseShadow(value) || value;
+  }
+  if (type === 'border') {
+    const parts = splitTopLevel(value, ' ');
+    if (parts.length === 3) return { width: parts[0], style: parts[1], color: parts[2] };
+  }
+  if (type === 'transition') {
+    const parts = splitTopLevel(value, ' ');
+    if (parts.length === 3 && DURATION_PATTERN.test(parts[0]) && DURATION_PATTERN.test(parts[2])) {
+      return { duration: parts[0], delay: parts[2], timingFunction: toDTCGValue(parts[1], 'cubicBezier') };
+    }
+  }
+  if (type === 'fontWeight' && /^\d+$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * DTCG document for a token list (entries or loaded design tokens).
+ * Aliases are kept as {group.token} references.
+ */
+function toDTCG(tokens, { description = null } = {}) {
+  const document = {};
+  if (description) document.$description = description;
+
+  for (const token of tokens) {
+    const segments = token.path.split('.');
+    let node = document;
+    for (const segment of segments.slice(0, -1)) {
+      node = node[segment] = node[segment] || {};
+    }
+
+    const type = dtcgType(token);
+    const leaf = { $value: toDTCGValue(token.value, type) };
+    const unparsedComposite = COMPOSITE_TYPES.has(type) && typeof leaf.$value === 'string' && !WHOLE_ALIAS_PATTERN.test(leaf.$value);
+    if (type && !unparsedComposite) leaf.$type = type;
+    if (token.description) leaf.$description = token.description;
+    node[segments[segments.length - 1]] = leaf;
+  }
+
+  return document;
+}
+
+/**
+ * Write a DTCG file (conventionally *.tokens.json)
+ */
+async function writeDTCG(tokens, outputPath, options = {}) {
+  await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify(toDTCG(tokens, options), null, 2) + '\n');
+  return path.resolve(outputPath);
+}
+
+module.exports = {
+  detectTokenFormat,
+  dtcgType,
+  fromDTCGValue,
+  normalizeTokenSource,
+  parseShadow,
+  toDTCG,
+  toDTCGValue,
+  writeDTCG
+};
@@ -7,6 +7,18 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { RuleEngine, Suppressions, loadRuleConfig } = require('./qa/rule-engine');
+const { writeMachineReports } = require('./qa/reporters');
+const { compareToBaseline, loadBaseline, summarizeComparison, withFingerprints } = require('./qa/baseline');
+const {
+    analyzeStylesheet,
+    calculateSpecificity,
+    compareSpecificity,
+    hasTranslucentColor,
+    specificityToNumber
+} = require('./qa/css-analysis');
+const { hasLiquid, liquidVariablesIn, scanLiquidTemplate } = require('./qa/liquid-tokenizer');
+const { matchGlassMaterial, readGlassMaterials } = require('./qa/glass-materials');
 
 class ShopifyThemeAuditor {
     constructor(options = {}) {
@@ -22,6 +34,8 @@ class ShopifyThemeAuditor {
             extractEmbeddedStyles: options.extractEmbeddedStyles !== false, // Default true
             tokenValidation: options.tokenValidation || false, // Default false as requested
             deepAnalysis: options.deepAnalysis !== false, // Default true
+            formats: options.formats || [], // Extra machine-readable outputs: 'sarif', 'junit'
+            baseline: options.baseline || null, // Saved report to diff findings against
             ...options
         };
         
@@ -33,6 +47,15 @@ class ShopifyThemeAuditor {
         // Default theme path, can be overridden
         this.themeRoot = options.themeRoot || path.join(studioRoot, 'petersen-portal', 'fresh-glass-theme', 'petersen-glass-theme');
         
+        // Rule severities from .glass-qa.json (theme root, then working directory)
+        this.ruleEngine = new RuleEngine(options.ruleConfig || loadRuleConfig({
+            configPath: options.configPath,
+            searchDirs: [this.themeRoot, process.cwd()]
+        }));
+        
+        // Named glass recipes that backdrop-filter declarations are checked against
+        this.glassMaterials = options.glassMaterials || readGlassMaterials().materials;
+        
         // Initialize analysis storage
         this.criticalIssues = [];
         this.inlineStyles = new Map();
@@ -41,6 +64,8 @@ class ShopifyThemeAuditor {
         this.cssAnalysis = {};
         this.liquidAnalysis = {};
         this.higViolations = [];
+        this.baselineSummary = null; // Set when a baseline report is configured
+        this.parsedStylesheet = { content: null, analysis: null }; // Last parsed CSS source
         
         // Apple HIG standards for validation
         this.higStandards = {
@@ -59,8 +84,8 @@ class ShopifyThemeAuditor {
         // Paths for saving results
         this.paths = {
             services: currentDir,
-            reports: path.join(currentDir, 'reports'),
-            extracted: path.join(currentDir, 'extracted-styles')
+            reports: options.reportsDir || path.join(currentDir, 'reports'),
+            extracted: options.extractedDir || path.join(currentDir, 'extracted-styles')
         };
     }
     
@@ -116,12 +141,17 @@ class ShopifyThemeAuditor {
                     variableDeclarations: this.extractCSSVariables(content),
                     selectors: this.extractSelectors(content),
                     glassmorphism: this.detectGlassmorphism(content),
+                    parseErrors: this.parseStylesheet(content).errors,
                     conflicts: await this.detectSelectorConflicts(source, content),
                     tokenUsage: this.analyzeTokenUsage(content),
                     appleHIGCompliance: this.checkAppleHIGCompliance(content),
                     performance: this.analyzeCSSPerformance(content)
                 };
                 
+                this.applyPerformanceRules(path.join('assets', source), content, analysis[source].performance);
+                this.reportParseErrors(path.join('assets', source), content);
+                this.reportGlassMaterials(path.join('assets', source), content);
+                
                 console.log(`  ✅ Analyzed: ${source}`);
             } catch (error) {
                 analysis[source] = {
@@ -136,22 +166,73 @@ class ShopifyThemeAuditor {
         return analysis;
     }
     
+    /**
+     * Parse a stylesheet with the shared CSS analysis module.
+     * The extract and detect methods below all receive the same content, so the
+     * last result is reused instead of re-parsing the file for each of them.
+     */
+    parseStylesheet(content) {
+        if (this.parsedStylesheet.content !== content) {
+            this.parsedStylesheet = { content, analysis: analyzeStylesheet(content) };
+        }
+        
+        return this.parsedStylesheet.analysis;
+    }
+    
+    /**
+     * Report stylesheet syntax errors found by the parser under the css-syntax rule
+     */
+    reportParseErrors(file, content) {
+        const suppressions = new Suppressions(content);
+        
+        for (const error of this.parseStylesheet(content).errors) {
+            this.ruleEngine.report('css-syntax', {
+                message: error.message,
+                file,
+                line: error.line,
+                column: error.column
+            }, suppressions);
+        }
+    }
+    
+    /**
+     * Report backdrop-filter declarations that match none of the glass materials
+     * under the glass-material rule
+     */
+    reportGlassMaterials(file, content) {
+        const suppressions = new Suppressions(content);
+        
+        for (const filter of this.detectGlassmorphism(content).offRecipe) {
+            const nearest = this.glassMaterials.find(material => material.name === filter.nearest);
+            const hint = nearest
+                ? `; nearest is "${nearest.name}" (${nearest.backdropFilter}, .${nearest.className})`
+                : '';
+            this.ruleEngine.report('glass-material', {
+                message: `${filter.selectors.join(', ')} { ${filter.prop}: ${filter.value} } is not a glass material${hint}`,
+                file,
+                line: filter.line,
+                column: filter.column
+            }, suppressions);
+        }
+    }
+    
     /**
      * Extract CSS variables
      */
     extractCSSVariables(content) {
-        const regex = /--([\w-]+):\s*([^;]+);/g;
+        const declarations = this.parseStylesheet(content).variables;
         const variables = new Map();
-        let match;
         
-        while ((match = regex.exec(content)) !== null) {
-            variables.set(match[1], match[2].trim());
+        for (const declaration of declarations) {
+            variables.set(declaration.name.slice(2), declaration.value);
         }
         
         return {
             count: variables.size,
             categories: this.categorizeCSSVariables(variables),
-            samples: Array.from(variables.entries()).slice(0, 5)
+            samples: Array.from(variables.entries()).slice(0, 5),
+            // Redefinitions inside @media, @supports, @layer etc.
+            contextual: declarations.filter(declaration => declaration.atRules.length > 0).length
         };
     }
     
@@ -188,29 +269,27 @@ class ShopifyThemeAuditor {
     }
     
     /**
-     * Extract selectors
+     * Extract selectors, including those nested in at-rules (keyframe stops excluded)
      */
     extractSelectors(content) {
-        // Remove comments and @rules
-        const cleanContent = content
-            .replace(/\/\*[\s\S]*?\*\//g, '')
-            .replace(/@[^{]+{[^}]*}/g, '');
-        
-        const selectorRegex = /([^{]+){/g;
-        const selectors = [];
-        let match;
-        
-        while ((match = selectorRegex.exec(cleanContent)) !== null) {
-            const selector = match[1].trim();
-            if (selector && !selector.startsWith('@')) {
-                selectors.push(selector);
-            }
-        }
+        const entries = this.parseStylesheet(content).rules.flatMap(rule =>
+            rule.selectors.map(({ selector, specificity }) => ({
+                selector,
+                specificity,
+                atRules: rule.atRules,
+                line: rule.line,
+                column: rule.column
+            }))
+        );
+        const selectors = entries.map(entry => entry.selector);
         
         return {
             total: selectors.length,
             unique: new Set(selectors).size,
-            complexity: this.analyzeSelectorComplexity(selectors)
+            complexity: this.analyzeSelectorComplexity(selectors),
+            mostSpecific: entries
+                .sort((a, b) => compareSpecificity(b.specificity, a.specificity))
+                .slice(0, 5)
         };
     }
     
@@ -233,32 +312,56 @@ class ShopifyThemeAuditor {
     }
     
     /**
-     * Calculate CSS specificity (simplified)
+     * Calculate CSS specificity as a weighted number (ids × 100 + classes × 10 + types)
      */
     calculateSpecificity(selector) {
-        const ids = (selector.match(/#[\w-]+/g) || []).length;
-        const classes = (selector.match(/\.[\w-]+/g) || []).length;
-        const elements = (selector.match(/^[a-z]+|\s[a-z]+/gi) || []).length;
-        
-        return (ids * 100) + (classes * 10) + elements;
+        return specificityToNumber(calculateSpecificity(selector));
     }
     
     /**
      * Detect glassmorphism usage
      */
     detectGlassmorphism(content) {
+        const { declarations, variables } = this.parseStylesheet(content);
+        // var() in a backdrop-filter resolves against this stylesheet's custom properties
+        const customProperties = new Map(variables.map(variable => [variable.name, variable.value]));
+        const backdropFilters = declarations.filter(d => d.prop === 'backdrop-filter' || d.prop === '-webkit-backdrop-filter');
+        const filters = backdropFilters.map(d => {
+            const match = matchGlassMaterial(d.value, this.glassMaterials, customProperties);
+            return {
+                selectors: d.selectors,
+                prop: d.prop,
+                value: d.value,
+                atRules: d.atRules,
+                line: d.line,
+                column: d.column,
+                // none/inherit/... switch glass off and need no recipe
+                neutral: Boolean(match.neutral),
+                // var() defined in another file and without a fallback; cannot be judged here
+                unknown: Boolean(match.unknown),
+                material: match.material || null,
+                nearest: match.nearest || null
+            };
+        });
+        
         const glassProperties = {
-            backdropFilter: (content.match(/backdrop-filter:/g) || []).length,
-            blur: (content.match(/blur\(/g) || []).length,
-            opacity: (content.match(/opacity:\s*0\.\d+/g) || []).length,
-            background: (content.match(/background:\s*rgba\([^)]+,\s*0\.\d+\)/g) || []).length,
-            borderGlass: (content.match(/border:.*rgba\([^)]+,\s*0\.\d+\)/g) || []).length
+            backdropFilter: backdropFilters.length,
+            blur: declarations.reduce((count, d) => count + (d.value.match(/blur\(/g) || []).length, 0),
+            opacity: declarations.filter(d => {
+                const opacity = parseFloat(d.value) / (d.value.trim().endsWith('%') ? 100 : 1);
+                return d.prop === 'opacity' && opacity > 0 && opacity < 1;
+            }).length,
+            background: declarations.filter(d => (d.prop === 'background' || d.prop === 'background-color') && hasTranslucentColor(d.value)).length,
+            borderGlass: declarations.filter(d => d.prop.startsWith('border') && hasTranslucentColor(d.value)).length
         };
         
         return {
             isUsed: Object.values(glassProperties).some(count => count > 0),
             properties: glassProperties,
-            score: this.calculateGlassmorphismScore(glassProperties)
+            score: this.calculateGlassmorphismScore(glassProperties),
+            backdropFilters: filters,
+            // Declarations that are none of tokens/glass-materials.json's recipes
+            offRecipe: filters.filter(filter => !filter.neutral && !filter.unknown && filter.material === null)
         };
     }
     
@@ -336,6 +439,32 @@ class ShopifyThemeAuditor {
         };
     }
     
+    /**
+     * Apply the css-* performance rules to an analyzed stylesheet
+     */
+    applyPerformanceRules(file, content, performance) {
+        const suppressions = new Suppressions(content);
+        const checks = [
+            { rule: 'css-file-size', option: 'maxKB', actual: parseFloat(performance.fileSize), label: 'KB' },
+            { rule: 'css-media-queries', option: 'max', actual: performance.mediaQueries, label: 'media queries' },
+            { rule: 'css-keyframes', option: 'max', actual: performance.animations, label: '@keyframes rules' },
+            { rule: 'css-will-change', option: 'max', actual: performance.willChange, label: 'will-change declarations' }
+        ];
+        
+        for (const check of checks) {
+            if (!this.ruleEngine.isEnabled(check.rule)) continue;
+            
+            const limit = this.ruleEngine.getOptions(check.rule)[check.option];
+            if (check.actual > limit) {
+                this.ruleEngine.report(check.rule, {
+                    message: `${check.actual} ${check.label} (limit: ${limit})`,
+                    file,
+                    key: check.label
+                }, suppressions);
+            }
+        }
+    }
+    
     /**
      * Audit JavaScript sources
      */
@@ -447,22 +576,27 @@ class ShopifyThemeAuditor {
             totalInlineCSS: 0,
             totalInlineJS: 0,
             criticalInlineCSS: [],
-            criticalInlineJS: []
+            criticalInlineJS: [],
+            dynamicStyles: [] // Styles rendered from Liquid, with the variables that feed them
         };
         
         for (const file of liquidFiles) {
             try {
                 const content = await fs.readFile(file, 'utf-8');
+                const relativePath = path.relative(this.themeRoot, file);
+                const template = scanLiquidTemplate(content);
                 const analysis = {
-                    inlineCSS: this.extractInlineCSS(content),
-                    inlineJS: this.extractInlineJS(content),
-                    styleAttributes: this.extractStyleAttributes(content),
-                    scriptTags: this.extractScriptTags(content)
+                    inlineCSS: this.extractInlineCSS(content, template),
+                    inlineJS: this.extractInlineJS(content, template),
+                    styleAttributes: this.extractStyleAttributes(content, relativePath, template),
+                    scriptTags: this.extractScriptTags(content, template)
                 };
                 
-                if (analysis.inlineCSS.length > 0 || analysis.styleAttributes.length > 0) {
+                inlineAnalysis.dynamicStyles.push(...this.collectDynamicStyles(relativePath, analysis));
+                
+                if (analysis.inlineCSS.length > 0 || analysis.styleAttributes.count > 0) {
                     inlineAnalysis.filesWithInlineCSS++;
-                    inlineAnalysis.totalInlineCSS += analysis.inlineCSS.length + analysis.styleAttributes.length;
+                    inlineAnalysis.totalInlineCSS += analysis.inlineCSS.length + analysis.styleAttributes.count;
                     
                     if (analysis.inlineCSS.length > 5) {
                         inlineAnalysis.criticalInlineCSS.push({
@@ -520,57 +654,139 @@ class ShopifyThemeAuditor {
     }
     
     /**
-     * Extract inline CSS
+     * Extract inline CSS: {% style %}, {% stylesheet %} and <style> blocks
      */
-    extractInlineCSS(content) {
-        const styleRegex = /<style[^>]*>([\s\S]*?)<\/style>/gi;
-        const matches = [];
-        let match;
+    extractInlineCSS(content, template = scanLiquidTemplate(content)) {
+        return template.styleBlocks.map(block => ({
+            kind: block.kind,
+            line: block.line,
+            content: block.content.trim(),
+            dynamic: block.dynamic,
+            liquidVariables: block.liquidVariables,
+            declarations: this.parseInlineDeclarations(block.content, {
+                line: block.contentLine,
+                column: block.contentColumn
+            })
+        }));
+    }
+    
+    /**
+     * Extract inline JavaScript: {% javascript %} and <script> blocks without src
+     */
+    extractInlineJS(content, template = scanLiquidTemplate(content)) {
+        return template.scriptBlocks.map(block => ({
+            kind: block.kind,
+            type: block.type,
+            line: block.line,
+            content: block.content.trim(),
+            liquidVariables: block.liquidVariables
+        }));
+    }
+    
+    /**
+     * Parse inline declarations (a style attribute value or a style block body).
+     * `origin` is where the text starts in the template, so locations point at the file.
+     */
+    parseInlineDeclarations(text, origin = { line: 1, column: 1 }) {
+        const stylesheet = analyzeStylesheet(text);
+        const toLocation = node => ({
+            selectors: node.selectors,
+            atRules: node.atRules,
+            line: origin.line + node.line - 1,
+            column: node.line === 1 ? origin.column + node.column - 1 : node.column
+        });
+        
+        const declarations = stylesheet.declarations.map(declaration => {
+            const raw = `${declaration.prop}: ${declaration.value}`;
+            return {
+                property: declaration.prop.toLowerCase(),
+                value: declaration.value,
+                ...toLocation(declaration),
+                dynamic: hasLiquid(raw),
+                liquidVariables: liquidVariablesIn(raw)
+            };
+        });
         
-        while ((match = styleRegex.exec(content)) !== null) {
-            matches.push(match[1].trim());
+        // {% render %} / {% include %} / {% echo %} print declarations only known at render time
+        for (const tag of stylesheet.liquidTags) {
+            if (/^\{%-?\s*(render|include|echo)\b/.test(tag.value)) {
+                declarations.push({
+                    property: tag.value.replace(/\s+/g, ' '),
+                    value: null,
+                    ...toLocation(tag),
+                    dynamic: true,
+                    liquidVariables: liquidVariablesIn(tag.value)
+                });
+            }
         }
         
-        return matches;
+        return declarations.sort((a, b) => (a.line - b.line) || (a.column - b.column));
     }
     
     /**
-     * Extract inline JavaScript
+     * Style attributes and style blocks whose values are rendered from Liquid
      */
-    extractInlineJS(content) {
-        const scriptRegex = /<script[^>]*>([\s\S]*?)<\/script>/gi;
-        const matches = [];
-        let match;
+    collectDynamicStyles(file, analysis) {
+        const dynamicStyles = [];
+        
+        for (const block of analysis.inlineCSS.filter(b => b.dynamic)) {
+            dynamicStyles.push({
+                file,
+                line: block.line,
+                kind: block.kind,
+                liquidVariables: block.liquidVariables,
+                properties: block.declarations
+                    .filter(d => d.dynamic)
+                    .map(d => ({ property: d.property, selectors: d.selectors, line: d.line, liquidVariables: d.liquidVariables }))
+            });
+        }
         
-        while ((match = scriptRegex.exec(content)) !== null) {
-            if (!match[0].includes('src=')) {
-                matches.push(match[1].trim());
-            }
+        for (const style of analysis.styleAttributes.analyzed.filter(s => s.dynamic)) {
+            dynamicStyles.push({
+                file,
+                line: style.line,
+                kind: 'attribute',
+                liquidVariables: style.liquidVariables,
+                properties: Object.entries(style.dynamicProperties).map(([property, liquidVariables]) => ({
+                    property,
+                    line: style.propertyLines[property],
+                    liquidVariables
+                }))
+            });
         }
         
-        return matches;
+        return dynamicStyles;
     }
     
     /**
      * Extract style attributes with sophisticated analysis
      */
-    extractStyleAttributes(content) {
-        const styleRegex = /style\s*=\s*["']([^"']+)["']/gi;
+    extractStyleAttributes(content, file = null, template = scanLiquidTemplate(content)) {
         const matches = [];
         const embeddedAnalysis = [];
-        let match;
+        const suppressions = new Suppressions(content);
         
-        while ((match = styleRegex.exec(content)) !== null) {
-            const styleString = match[1];
+        for (const attribute of template.styleAttributes) {
+            const styleString = attribute.value;
             matches.push(styleString);
             
             // Sophisticated embedded style extraction
-            const analysis = this.analyzeEmbeddedStyle(styleString, match.index);
+            const declarations = this.parseInlineDeclarations(styleString, {
+                line: attribute.valueLine,
+                column: attribute.valueColumn
+            });
+            const analysis = this.analyzeEmbeddedStyle(styleString, attribute.valueStart, declarations);
             if (analysis) {
+                analysis.file = file;
+                analysis.line = attribute.line;
+                analysis.liquidVariables = attribute.liquidVariables;
                 embeddedAnalysis.push(analysis);
+                this.reportEmbeddedStyleFindings(analysis, suppressions);
                 
                 // Store for token extraction
-                const key = `embedded-${embeddedAnalysis.length}`;
+                const key = file
+                    ? `${file}:${analysis.line}:${embeddedAnalysis.length}`
+                    : `embedded-${embeddedAnalysis.length}`;
                 this.embeddedStyles.set(key, analysis);
             }
         }
@@ -583,21 +799,57 @@ class ShopifyThemeAuditor {
         };
     }
     
+    /**
+     * Report rule findings for an analyzed embedded style
+     */
+    reportEmbeddedStyleFindings(analysis, suppressions) {
+        // Multi-line attributes report each property on its own line
+        const locate = property => ({
+            file: analysis.file,
+            line: (analysis.propertyLines && analysis.propertyLines[property]) || analysis.line
+        });
+        
+        for (const higCheck of [...analysis.higIssues, ...analysis.higWarnings]) {
+            for (const issue of higCheck.issues) {
+                const finding = this.ruleEngine.report(issue.rule, { ...locate(higCheck.property), message: issue.message }, suppressions);
+                if (finding) {
+                    this.higViolations.push(finding);
+                }
+            }
+        }
+        
+        for (const info of Object.values(analysis.tokenizable)) {
+            this.ruleEngine.report(info.rule, {
+                ...locate(info.property),
+                message: `Hard-coded ${info.property}: ${info.originalValue}` +
+                    (info.suggestedToken ? ` (suggested token: ${info.suggestedToken})` : ''),
+                key: `${info.property}: ${info.originalValue}`
+            }, suppressions);
+        }
+    }
+    
     /**
      * Analyze individual embedded style for token extraction potential
      */
-    analyzeEmbeddedStyle(styleString, position) {
+    analyzeEmbeddedStyle(styleString, position, declarations = this.parseInlineDeclarations(styleString)) {
         const properties = {};
+        const propertyLines = {};
+        const dynamicProperties = {};
         const tokenizable = {};
         const higIssues = [];
+        const higWarnings = [];
         
-        // Parse CSS properties
-        const propertyRegex = /([a-zA-Z-]+)\s*:\s*([^;]+)/g;
-        let propMatch;
-        
-        while ((propMatch = propertyRegex.exec(styleString)) !== null) {
-            const property = propMatch[1].trim();
-            const value = propMatch[2].trim();
+        for (const declaration of declarations) {
+            const { property, value } = declaration;
+            propertyLines[property] = declaration.line;
+            
+            // Values rendered from Liquid are unknown until render time
+            if (declaration.dynamic) {
+                dynamicProperties[property] = declaration.liquidVariables;
+                if (value !== null) properties[property] = value;
+                continue;
+            }
+            
             properties[property] = value;
             
             // Check if this can be tokenized
@@ -610,6 +862,8 @@ class ShopifyThemeAuditor {
             const higCheck = this.checkPropertyHIGCompliance(property, value);
             if (!higCheck.compliant) {
                 higIssues.push(higCheck);
+            } else if (higCheck.issues.length > 0) {
+                higWarnings.push(higCheck);
             }
         }
         
@@ -617,10 +871,14 @@ class ShopifyThemeAuditor {
             position,
             original: styleString,
             properties,
+            propertyLines,
+            dynamic: Object.keys(dynamicProperties).length > 0,
+            dynamicProperties,
             tokenizable,
             canTokenize: Object.keys(tokenizable).length > 0,
             higCompliant: higIssues.length === 0,
             higIssues,
+            higWarnings,
             complexity: this.calculateStyleComplexity(properties),
             recommendations: this.generateStyleRecommendations(properties, tokenizable, higIssues)
         };
@@ -680,12 +938,30 @@ class ShopifyThemeAuditor {
         return {
             canTokenize,
             category,
+            rule: category ? this.tokenRuleForCategory(category) : null,
             suggestedToken,
             originalValue: value,
             property
         };
     }
     
+    /**
+     * Map a tokenizability category to its token-* rule
+     */
+    tokenRuleForCategory(category) {
+        const rules = {
+            color: 'token-color',
+            spacing: 'token-spacing',
+            typography: 'token-typography',
+            borderRadius: 'token-radius',
+            shadow: 'token-shadow',
+            gradient: 'token-gradient',
+            animation: 'token-animation'
+        };
+        
+        return rules[category];
+    }
+    
     /**
      * Suggest color token based on value
      */
@@ -782,6 +1058,7 @@ class ShopifyThemeAuditor {
                 result.compliant = false;
                 result.issues.push({
                     type: 'touch-target',
+                    rule: 'touch-target',
                     message: `Touch target too small: ${size}px (minimum: ${this.higStandards.touchTarget.min}px)`,
                     severity: 'high'
                 });
@@ -796,12 +1073,14 @@ class ShopifyThemeAuditor {
                     result.compliant = false;
                     result.issues.push({
                         type: 'typography',
+                        rule: 'font-size-min',
                         message: `Font size too small: ${size}px (minimum: ${this.higStandards.fontSize.min}px)`,
                         severity: 'high'
                     });
                 } else if (size < this.higStandards.fontSize.preferred) {
                     result.issues.push({
                         type: 'typography',
+                        rule: 'font-size-preferred',
                         message: `Font size below preferred: ${size}px (preferred: ${this.higStandards.fontSize.preferred}px)`,
                         severity: 'warning'
                     });
@@ -816,6 +1095,7 @@ class ShopifyThemeAuditor {
                 result.compliant = false;
                 result.issues.push({
                     type: 'typography',
+                    rule: 'line-height',
                     message: `Line height too tight: ${height} (minimum: ${this.higStandards.lineHeight.min})`,
                     severity: 'medium'
                 });
@@ -828,6 +1108,7 @@ class ShopifyThemeAuditor {
             if (!isNaN(size) && value.includes('px') && size % this.higStandards.spacing.base !== 0) {
                 result.issues.push({
                     type: 'spacing',
+                    rule: 'spacing-grid',
                     message: `Spacing not on 8pt grid: ${size}px`,
                     severity: 'warning'
                 });
@@ -843,6 +1124,7 @@ class ShopifyThemeAuditor {
             if (durationMs > this.higStandards.animation.maxDuration) {
                 result.issues.push({
                     type: 'animation',
+                    rule: 'animation-duration',
                     message: `Animation too slow: ${durationMs}ms (max recommended: ${this.higStandards.animation.maxDuration}ms)`,
                     severity: 'medium'
                 });
@@ -930,16 +1212,8 @@ class ShopifyThemeAuditor {
     /**
      * Extract script tags
      */
-    extractScriptTags(content) {
-        const scriptRegex = /<script[^>]*src=["']([^"']+)["'][^>]*>/gi;
-        const matches = [];
-        let match;
-        
-        while ((match = scriptRegex.exec(content)) !== null) {
-            matches.push(match[1]);
-        }
-        
-        return matches;
+    extractScriptTags(content, template = scanLiquidTemplate(content)) {
+        return template.scriptSources.map(script => script.src);
     }
     
     /**
@@ -1254,6 +1528,10 @@ class ShopifyThemeAuditor {
      * Generate audit report
      */
     async generateAuditReport(auditResults) {
+        // Read the baseline before anything is written, it may be the previous copy of this report
+        const baseline = await this.compareWithBaseline();
+        const findings = baseline ? baseline.comparison.findings : withFingerprints(this.ruleEngine.findings);
+        
         const report = {
             title: 'Shopify Theme Audit Report - Petersen Games',
             generatedAt: auditResults.timestamp,
@@ -1263,8 +1541,10 @@ class ShopifyThemeAuditor {
                 criticalIssues: auditResults.recommendations.filter(r => r.priority === 'high').length,
                 totalRecommendations: auditResults.recommendations.length,
                 embeddedStylesFound: this.embeddedStyles.size,
-                higViolations: this.higViolations.length
+                higViolations: this.higViolations.length,
+                ...this.ruleEngine.summarize()
             },
+            findings,
             detailed_results: {
                 css: this.summarizeCSS(auditResults.cssAnalysis),
                 javascript: this.summarizeJS(auditResults.jsAnalysis),
@@ -1278,6 +1558,13 @@ class ShopifyThemeAuditor {
             next_steps: this.generateNextSteps(auditResults)
         };
         
+        if (baseline) {
+            report.baseline = {
+                ...baseline.summary,
+                fixedFindings: baseline.comparison.fixed
+            };
+        }
+        
         // Ensure directories exist
         await this.ensureDirectories();
         
@@ -1287,6 +1574,15 @@ class ShopifyThemeAuditor {
         
         console.log(`📄 Full report saved to: ${reportPath}`);
         
+        // SARIF / JUnit alongside the JSON report
+        const machineReports = await writeMachineReports(
+            [{ name: this.name, version: this.version, findings }],
+            path.join(this.paths.reports, 'shopify-theme-audit-report'),
+            this.config.formats,
+            { themeRoot: this.themeRoot }
+        );
+        Object.values(machineReports).forEach(file => console.log(`📄 ${file}`));
+        
         // Export extracted styles if requested
         if (this.config.extractEmbeddedStyles && this.embeddedStyles.size > 0) {
             await this.exportExtractedStyles();
@@ -1295,6 +1591,23 @@ class ShopifyThemeAuditor {
         return report;
     }
     
+    /**
+     * Diff rule findings against the configured baseline report
+     */
+    async compareWithBaseline() {
+        if (!this.config.baseline) {
+            return null;
+        }
+        
+        const baselineFindings = await loadBaseline(this.config.baseline, 'theme-auditor');
+        const comparison = compareToBaseline(this.ruleEngine.findings, baselineFindings);
+        this.baselineSummary = summarizeComparison(comparison, this.config.baseline);
+        
+        console.log(`📐 Baseline: ${this.baselineSummary.new} new, ${this.baselineSummary.fixed} fixed, ${this.baselineSummary.unchanged} unchanged`);
+        
+        return { comparison, summary: this.baselineSummary };
+    }
+    
     /**
      * Ensure required directories exist
      */
@@ -1598,7 +1911,13 @@ module.exports = ShopifyThemeAuditor;
 
 // Run audit if called directly
 if (require.main === module) {
-    const auditor = new ShopifyThemeAuditor();
+    // node shopify-theme-auditor.js [--format=sarif,junit] [--baseline=reports/shopify-theme-audit-report.json]
+    const formatArg = process.argv.slice(2).find(arg => arg.startsWith('--format='));
+    const baselineArg = process.argv.slice(2).find(arg => arg.startsWith('--baseline='));
+    const auditor = new ShopifyThemeAuditor({
+        formats: formatArg ? formatArg.slice('--format='.length).split(',') : [],
+        baseline: baselineArg ? baselineArg.slice('--baseline='.length) : null
+    });
     
     auditor.performComprehensiveAudit()
         .then(report => {
@@ -1606,12 +1925,27 @@ if (require.main === module) {
             console.log(`   Overall Health: ${report.executive_summary.overallHealth}%`);
             console.log(`   Critical Issues: ${report.executive_summary.criticalIssues}`);
             console.log(`   Recommendations: ${report.executive_summary.totalRecommendations}`);
+            console.log(`   Rule Findings: ${report.executive_summary.errors} errors, ${report.executive_summary.warnings} warnings (${report.executive_summary.suppressed} suppressed)`);
+            if (report.baseline) {
+                console.log(`   Against Baseline: ${report.baseline.new} new, ${report.baseline.fixed} fixed, ${report.baseline.unchanged} unchanged`);
+            }
             console.log('📋 Next Steps:');
             report.next_steps.forEach(step => {
                 console.log(`   ${step.step}. ${step.action} (${step.timeline})`);
             });
         })
+        .then(() => {
+            // Zero-tolerance gate: only unsuppressed error-severity findings fail the run,
+            // or with a baseline, any new error or warning
+            const failing = auditor.baselineSummary
+                ? auditor.baselineSummary.failing
+                : auditor.ruleEngine.summarize().errors;
+            if (failing > 0) {
+                process.exitCode = 1;
+            }
+        })
         .catch(error => {
             console.error('❌ Audit failed:', error);
+            process.exitCode = 1;
         });
 }
\ No newline at end of file
@@ -7,6 +7,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { analyzeStylesheet, extractVarReferences } from './qa/css-analysis.js';
+import { DEFAULT_THEMES, compareThemes, writeComparisonReport } from './qa/theme-comparison.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,7 +31,8 @@ export default class ThemeArchitectureAnalyzer {
             rise: {},
             horizon: {},
             glassTheme: {},
-            comparative: {}
+            comparative: {},
+            crossTheme: {}
         };
     }
 
@@ -201,23 +204,30 @@ export default class ThemeArchitectureAnalyzer {
 
     // Extract CSS dependencies and imports
     extractCSSDependencies(cssContent) {
+        const stylesheet = analyzeStylesheet(cssContent);
         const dependencies = {
             imports: [],
             customProperties: [],
             references: []
         };
 
-        // @import statements
-        const imports = cssContent.match(/@import\s+['"]([^'"]+)['"]/g);
-        if (imports) {
-            dependencies.imports = imports.map(imp => imp.match(/['"]([^'"]+)['"]/)[1]);
-        }
-
-        // CSS custom properties
-        const customProps = cssContent.match(/var\(--[\w-]+\)/g);
-        if (customProps) {
-            dependencies.customProperties = [...new Set(customProps)];
+        // @import statements, quoted or url()
+        dependencies.imports = stylesheet.imports.map(imp => imp.url);
+
+        // CSS custom properties read through var(), including fallbacks and nested var()s
+        const customProps = new Set();
+        for (const declaration of stylesheet.declarations) {
+            for (const reference of extractVarReferences(declaration.value)) {
+                customProps.add(`var(${reference.name})`);
+                dependencies.references.push({
+                    variable: reference.name,
+                    property: declaration.prop,
+                    atRules: declaration.atRules,
+                    line: declaration.line
+                });
+            }
         }
+        dependencies.customProperties = [...customProps];
 
         return dependencies;
     }
@@ -672,6 +682,36 @@ export default class ThemeArchitectureAnalyzer {
         return comparison;
     }
 
+    // Cross-theme comparison: every theme variant against its upstream base
+    async createCrossThemeComparison(themes = DEFAULT_THEMES, outputDir = null) {
+        console.log('🔍 Cross-Theme Comparison');
+        console.log('=========================');
+        console.log('');
+
+        const comparison = await compareThemes(themes);
+
+        for (const theme of comparison.themes) {
+            if (!theme.drift) {
+                console.log(`  📦 ${theme.name}: upstream, ${theme.files} files`);
+                continue;
+            }
+            const { added, removed, modified, percent } = theme.drift;
+            console.log(`  🔀 ${theme.name} vs ${theme.base}: +${added} added, -${removed} removed, ~${modified} modified (${percent}% drift)`);
+        }
+        comparison.missing.forEach(name => console.log(`  ⚪ ${name}: not found, skipped`));
+
+        if (outputDir) {
+            const paths = await writeComparisonReport(comparison, outputDir);
+            Object.values(paths).forEach(file => console.log(`📄 ${file}`));
+        }
+
+        this.analysisResults.crossTheme = comparison;
+        console.log('✅ Cross-theme comparison complete');
+        console.log('');
+
+        return comparison;
+    }
+
     // Compare complexity between themes
     compareComplexity() {
         const rise = this.analysisResults.rise;
@@ -1375,12 +1415,25 @@ export class VariableAnalyzer {
 }
 
 // CLI usage
-if (process.argv[1] === __filename) {
+if (process.argv[1] === __filename && process.argv.includes('--compare')) {
+    // N-way comparison of the theme variants in this repo against their upstream bases
+    const outArg = process.argv.find(arg => arg.startsWith('--out='));
+    const outputDir = outArg ? outArg.slice('--out='.length) : path.join(__dirname, 'reports');
+
+    new ThemeArchitectureAnalyzer()
+        .createCrossThemeComparison(DEFAULT_THEMES, outputDir)
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('Comparison failed:', error);
+            process.exit(1);
+        });
+} else if (process.argv[1] === __filename) {
     const themePath = process.argv[2];
     
     if (!themePath) {
         console.error('Please provide a theme path as argument');
         console.error('Usage: node theme-architecture-analyzer.js /path/to/theme');
+        console.error('       node theme-architecture-analyzer.js --compare [--out=dir]');
         process.exit(1);
     }
     
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const readline = require('readline');
+const {
+  DEFAULT_TOKEN_FILES,
+  DEFAULT_TOLERANCE,
+  applyTokenCodemod,
+  planTokenCodemod,
+  renderFileDiff,
+  writeCodemodReport
+} = require('./qa/token-codemod');
+
+/**
+ * Design Token Codemod
+ * Replaces hard-coded colors, spacing, font sizes and radii in a theme's CSS,
+ * Liquid style blocks and JSON template CSS with var() references to the
+ * tokens the theme defines. Colors match the nearest token within a ΔE
+ * tolerance; lengths must match a token exactly.
+ *
+ * Usage:
+ *   node validation-scripts/token-codemod.js --theme=petersen-liquid-glass-void-theme
+ *     [--tokens=assets/design-tokens.css ...] [--tolerance=2.3] [--out=dir]
+ *     [--apply | --accept=assets/base.css ... | --interactive]
+ *
+ * Without --apply, --accept or --interactive nothing in the theme is written
+ * (dry run); the preview diff is in token-codemod.diff. --accept takes a file,
+ * a directory or a glob (`sections/*.liquid`) relative to the theme.
+ */
+
+function parseArgs(argv) {
+  const args = {
+    theme: null,
+    tokenFiles: [],
+    tolerance: DEFAULT_TOLERANCE,
+    outputDir: null,
+    apply: false,
+    accept: [],
+    interactive: false
+  };
+
+  for (const arg of argv) {
+    if (arg === '--apply') {
+      args.apply = true;
+    } else if (arg === '--interactive') {
+      args.interactive = true;
+    } else if (arg.startsWith('--theme=')) {
+      args.theme = arg.slice('--theme='.length);
+    } else if (arg.startsWith('--tokens=')) {
+      args.tokenFiles.push(arg.slice('--tokens='.length));
+    } else if (arg.startsWith('--tolerance=')) {
+      args.tolerance = parseFloat(arg.slice('--tolerance='.length));
+    } else if (arg.startsWith('--accept=')) {
+      args.accept.push(arg.slice('--accept='.length));
+    } else if (arg.startsWith('--out=')) {
+      args.outputDir = arg.slice('--out='.length);
+    } else if (!arg.startsWith('--')) {
+      args.theme = arg;
+    }
+  }
+
+  if (args.tokenFiles.length === 0) args.tokenFiles = DEFAULT_TOKEN_FILES;
+  return args;
+}
+
+function matchesPattern(file, pattern) {
+  const normalized = pattern.replace(/^\.\//, '').replace(/\/$/, '');
+  if (file === normalized || file.startsWith(`${normalized}/`)) return true;
+  if (!normalized.includes('*')) return false;
+
+  const regex = normalized
+    .split('**')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*'))
+    .join('.*');
+  return new RegExp(`^${regex}$`).test(file);
+}
+
+// Show each file's diff and ask; 'a' accepts the rest, 'q' skips the rest
+function createInteractiveAccept() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const ask = question => new Promise(resolve => rl.question(question, resolve));
+  let remaining = null;
+
+  const accept = async (file, entry) => {
+    if (remaining !== null) return remaining;
+
+    console.log('');
+    process.stdout.write(renderFileDiff(entry));
+    const answer = (await ask(`Apply ${entry.edits.length} replacement(s) to ${file}? [y]es/[n]o/[a]ll/[q]uit `)).trim().toLowerCase();
+
+    if (answer === 'a' || answer === 'all') remaining = true;
+    if (answer === 'q' || answer === 'quit') remaining = false;
+    return remaining !== null ? remaining : answer === 'y' || answer === 'yes';
+  };
+
+  return { accept, close: () => rl.close() };
+}
+
+async function runTokenCodemod({ theme, tokenFiles = DEFAULT_TOKEN_FILES, tolerance = DEFAULT_TOLERANCE, outputDir = null, apply = false, accept = [], interactive = false }) {
+  console.log('🪄 DESIGN TOKEN CODEMOD');
+  console.log('=' + '='.repeat(60));
+  console.log(`Theme:  ${path.resolve(theme)}`);
+  console.log(`Tokens: ${tokenFiles.join(', ')}`);
+
+  const plan = await planTokenCodemod({ themeRoot: theme, tokenFiles, tolerance });
+  const { summary } = plan;
+
+  console.log('');
+  console.log(`🎨 Tokens available:        ${plan.tokens}`);
+  console.log(`📄 Files with replacements: ${summary.files}`);
+  console.log(`✅ Exact matches:           ${summary.exact}`);
+  console.log(`≈  Nearest-color matches:   ${summary.nearest} (ΔE ≤ ${tolerance})`);
+  console.log(`❔ Literals without a token: ${summary.unmatched}`);
+
+  let applied = null;
+  if (interactive) {
+    const prompt = createInteractiveAccept();
+    try {
+      applied = await applyTokenCodemod(plan, prompt.accept);
+    } finally {
+      prompt.close();
+    }
+  } else if (apply || accept.length > 0) {
+    applied = await applyTokenCodemod(plan, file => apply || accept.some(pattern => matchesPattern(file, pattern)));
+  }
+
+  if (applied) {
+    console.log(`\n✅ Applied ${applied.reduce((sum, entry) => sum + entry.edits, 0)} replacement(s) to ${applied.length} file(s)`);
+  } else {
+    console.log('\n💡 Dry run - review the diff, then re-run with --apply, --accept=<file> or --interactive');
+  }
+
+  const reportDir = path.resolve(outputDir || path.join(plan.themeRoot, '.glass-qa', 'token-codemod'));
+  const paths = await writeCodemodReport(plan, reportDir, applied);
+  Object.values(paths).forEach(file => console.log(`📄 ${file}`));
+
+  return { plan, applied, paths };
+}
+
+module.exports = { runTokenCodemod, parseArgs, matchesPattern };
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.theme || Number.isNaN(args.tolerance)) {
+    console.error('Please provide the theme to rewrite');
+    console.error('Usage: node token-codemod.js --theme=<dir> [--tokens=<file>] [--tolerance=<ΔE>] [--apply | --accept=<file> | --interactive]');
+    process.exit(1);
+  }
+
+  if (args.interactive && !process.stdin.isTTY) {
+    console.error('--interactive needs a terminal; use --accept=<file> in scripts');
+    process.exit(1);
+  }
+
+  runTokenCodemod(args).catch(error => {
+    console.error('❌ Token codemod failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { DEFAULT_THEMES } = require('./qa/theme-comparison');
+const { createTokenCoverageReport, writeTokenCoverageReport } = require('./qa/token-coverage');
+
+/**
+ * Design Token Coverage
+ * Per theme: custom properties defined but never used, var() references to
+ * properties that are never defined (with their fallbacks), :root tokens
+ * defined with different values in several files, and the percentage of color
+ * and spacing declarations that go through var() instead of literals.
+ *
+ * Usage:
+ *   node validation-scripts/token-coverage.js [--theme=petersen-liquid-glass-void-theme ...]
+ *     [--min-coverage=60] [--out=dir]
+ *
+ * Without --theme every Horizon-based theme in the repo is checked. With
+ * --min-coverage, exits with code 1 when any theme's coverage is below it or
+ * the theme has no color or spacing declarations to measure.
+ */
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+function parseArgs(argv) {
+  const args = { themes: [], minCoverage: null, outputDir: path.join(__dirname, 'reports') };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--theme=')) {
+      args.themes.push(arg.slice('--theme='.length));
+    } else if (arg.startsWith('--min-coverage=')) {
+      args.minCoverage = parseFloat(arg.slice('--min-coverage='.length));
+    } else if (arg.startsWith('--out=')) {
+      args.outputDir = arg.slice('--out='.length);
+    } else if (!arg.startsWith('--')) {
+      args.themes.push(arg);
+    }
+  }
+
+  return args;
+}
+
+function resolveThemes(themeArgs) {
+  if (themeArgs.length === 0) {
+    return DEFAULT_THEMES
+      .filter(theme => theme.base === 'horizon')
+      .map(theme => ({ name: theme.name, root: path.join(REPO_ROOT, theme.path) }));
+  }
+  return themeArgs.map(theme => ({ name: path.basename(path.resolve(theme)), root: path.resolve(theme) }));
+}
+
+async function runTokenCoverage({ themes = [], minCoverage = null, outputDir }) {
+  console.log('📏 DESIGN TOKEN COVERAGE');
+  console.log('=' + '='.repeat(60));
+  if (minCoverage !== null) console.log(`Threshold: ${minCoverage}%`);
+
+  const report = await createTokenCoverageReport({ themes: resolveThemes(themes), minCoverage });
+
+  for (const result of report.themes) {
+    const { summary, coverage } = result;
+    const format = value => (value === null ? 'n/a' : `${value}%`);
+    console.log('');
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}: ${format(coverage.overall.percent)} (color ${format(coverage.color.percent)}, spacing ${format(coverage.spacing.percent)})`);
+    console.log(`   ${summary.defined} defined, ${summary.unused} unused, ${summary.undefined} undefined (${summary.undefinedWithoutFallback} without fallback), ${summary.conflicts} conflicting`);
+  }
+
+  const paths = await writeTokenCoverageReport(report, path.resolve(outputDir));
+  console.log('');
+  Object.values(paths).forEach(file => console.log(`📄 ${file}`));
+
+  return { report, paths };
+}
+
+module.exports = { runTokenCoverage, parseArgs };
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (Number.isNaN(args.minCoverage)) {
+    console.error('--min-coverage must be a percentage, e.g. --min-coverage=60');
+    process.exit(1);
+  }
+
+  runTokenCoverage(args)
+    .then(({ report }) => {
+      process.exit(report.summary.failing > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('❌ Token coverage failed:', error.message);
+      process.exit(1);
+    });
+}
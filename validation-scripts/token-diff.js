@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { DEFAULT_THEMES } = require('./qa/theme-comparison');
+const { createTokenChangelog, writeTokenChangelog } = require('./qa/token-diff');
+
+/**
+ * Design Token Diff
+ * Compares two versions of a token source, classifies every change as added,
+ * removed, renamed or value-changed, and lists the CSS and Liquid files in the
+ * glass themes that consume each changed custom property.
+ *
+ * Usage:
+ *   node validation-scripts/token-diff.js --from=HEAD~1:tokens/quantum.json [--to=tokens/quantum.json]
+ *     [--theme=petersen-liquid-glass-void-theme ...] [--out=dir]
+ *
+ * --to defaults to the working-tree copy of --from's file. Without --theme
+ * every Horizon-based theme in the repo is checked. Exits with code 1 when a
+ * removed or renamed token is still in use.
+ */
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+function parseArgs(argv) {
+  const args = { from: null, to: null, themes: [], outputDir: path.join(__dirname, 'reports') };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--from=')) {
+      args.from = arg.slice('--from='.length);
+    } else if (arg.startsWith('--to=')) {
+      args.to = arg.slice('--to='.length);
+    } else if (arg.startsWith('--theme=')) {
+      args.themes.push(arg.slice('--theme='.length));
+    } else if (arg.startsWith('--out=')) {
+      args.outputDir = arg.slice('--out='.length);
+    }
+  }
+
+  // Comparing a revision with the working tree is the common case
+  if (args.from && !args.to && args.from.includes(':')) {
+    args.to = args.from.slice(args.from.indexOf(':') + 1);
+  }
+
+  return args;
+}
+
+function resolveThemes(themeArgs) {
+  if (themeArgs.length === 0) {
+    return DEFAULT_THEMES
+      .filter(theme => theme.base === 'horizon')
+      .map(theme => ({ name: theme.name, root: path.join(REPO_ROOT, theme.path) }));
+  }
+  return themeArgs.map(theme => ({ name: path.basename(path.resolve(theme)), root: path.resolve(theme) }));
+}
+
+async function runTokenDiff({ from, to, themes, outputDir }) {
+  console.log('🔀 DESIGN TOKEN DIFF');
+  console.log('=' + '='.repeat(60));
+  console.log(`From: ${from}`);
+  console.log(`To:   ${to}`);
+
+  const changelog = await createTokenChangelog({ from, to, themes: resolveThemes(themes) });
+  const { summary } = changelog;
+
+  console.log('');
+  console.log(`➕ Added:    ${summary.added}`);
+  console.log(`➖ Removed:  ${summary.removed}`);
+  console.log(`🏷️  Renamed:  ${summary.renamed}`);
+  console.log(`✏️  Changed:  ${summary.changed}`);
+  console.log(`⚠️  Breaking: ${summary.breaking} (${summary.breakingInUse} still in use)`);
+
+  const paths = await writeTokenChangelog(changelog, path.resolve(outputDir));
+  Object.values(paths).forEach(file => console.log(`📄 ${file}`));
+
+  return { changelog, paths };
+}
+
+module.exports = { runTokenDiff, parseArgs };
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.from || !args.to) {
+    console.error('Please provide the two token versions to compare');
+    console.error('Usage: node token-diff.js --from=<ref:file|file> [--to=<ref:file|file>] [--theme=<dir>] [--out=<dir>]');
+    process.exit(1);
+  }
+
+  runTokenDiff(args)
+    .then(({ changelog }) => {
+      process.exit(changelog.summary.breakingInUse > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('❌ Token diff failed:', error.message);
+      process.exit(1);
+    });
+}
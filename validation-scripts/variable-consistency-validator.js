@@ -2,6 +2,12 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { writeMachineReports } = require('./qa/reporters');
+const { compareToBaseline, loadBaseline, summarizeComparison, withFingerprints } = require('./qa/baseline');
+const { analyzeStylesheet, extractVarReferences } = require('./qa/css-analysis');
+
+// At-rules whose declarations only apply under a condition (responsive or feature overrides)
+const CONDITIONAL_AT_RULE = /^@(media|supports|container)\b/;
 
 /**
  * Variable Consistency Validator
@@ -9,10 +15,15 @@ const path = require('path');
  */
 
 class VariableConsistencyValidator {
-  constructor() {
-    this.themeDir = '/Users/pennyplatt/Documents//petersen-portal/fresh-glass-theme/petersen-glass-theme';
+  constructor(themeDir, options = {}) {
+    this.themeDir = path.resolve(themeDir || process.cwd());
+    this.outputDir = options.outputDir || __dirname;
+    this.formats = options.formats || [];
+    this.baseline = options.baseline || null;
+    this.baselineSummary = null;
     this.variableDefinitions = new Map();
     this.variableUsage = new Map();
+    this.stylesheets = new Map(); // file -> analyzeStylesheet() result
     this.report = {
       timestamp: new Date().toISOString(),
       conflicts: [],
@@ -41,15 +52,17 @@ class VariableConsistencyValidator {
       await this.validateConsistency(targetVariable);
       
       // Step 4: Generate report
-      await this.generateReport();
+      return await this.generateReport();
       
     } catch (error) {
       console.error('❌ Validation error:', error);
+      return null;
     }
   }
 
-  async collectVariableDefinitions() {
-    console.log('📋 COLLECTING VARIABLE DEFINITIONS...');
+  // Parse every stylesheet in assets/ once, shared by definition and usage collection
+  async loadStylesheets() {
+    if (this.stylesheets.size > 0) return this.stylesheets;
     
     const assetsDir = path.join(this.themeDir, 'assets');
     const files = await fs.readdir(assetsDir);
@@ -57,28 +70,31 @@ class VariableConsistencyValidator {
     
     for (const file of cssFiles) {
       const content = await fs.readFile(path.join(assetsDir, file), 'utf8');
-      const lines = content.split('');
-      
-      lines.forEach((line, index) => {
-        // Match CSS variable definitions
-        const matches = line.matchAll(/(--[a-zA-Z0-9-]+)\s*:\s*([^;]+);/g);
-        
-        for (const match of matches) {
-          const varName = match[1];
-          const value = match[2].trim();
-          
-          if (!this.variableDefinitions.has(varName)) {
-            this.variableDefinitions.set(varName, []);
-          }
-          
-          this.variableDefinitions.get(varName).push({
-            file,
-            line: index + 1,
-            value,
-            context: line.trim()
-          });
+      this.stylesheets.set(file, analyzeStylesheet(content, { file }));
+    }
+    
+    return this.stylesheets;
+  }
+
+  async collectVariableDefinitions() {
+    console.log('📋 COLLECTING VARIABLE DEFINITIONS...');
+    
+    for (const [file, stylesheet] of await this.loadStylesheets()) {
+      for (const variable of stylesheet.variables) {
+        if (!this.variableDefinitions.has(variable.name)) {
+          this.variableDefinitions.set(variable.name, []);
         }
-      });
+        
+        this.variableDefinitions.get(variable.name).push({
+          file,
+          line: variable.line,
+          column: variable.column,
+          value: variable.value,
+          selector: variable.selectors.join(', '),
+          atRules: variable.atRules,
+          context: `${variable.selectors.join(', ')} { ${variable.name}: ${variable.value} }`
+        });
+      }
     }
     
     console.log(`  Found ${this.variableDefinitions.size} unique variables`);
@@ -87,34 +103,22 @@ class VariableConsistencyValidator {
   async collectVariableUsage() {
     console.log('📋 COLLECTING VARIABLE USAGE...');
     
-    const assetsDir = path.join(this.themeDir, 'assets');
-    const files = await fs.readdir(assetsDir);
-    const cssFiles = files.filter(f => f.endsWith('.css'));
-    
-    for (const file of cssFiles) {
-      const content = await fs.readFile(path.join(assetsDir, file), 'utf8');
-      const lines = content.split('');
-      
-      lines.forEach((line, index) => {
-        // Match var() usage
-        const matches = line.matchAll(/var\((--[a-zA-Z0-9-]+)(?:,\s*([^)]+))?\)/g);
-        
-        for (const match of matches) {
-          const varName = match[1];
-          const fallback = match[2] ? match[2].trim() : null;
-          
-          if (!this.variableUsage.has(varName)) {
-            this.variableUsage.set(varName, []);
+    for (const [file, stylesheet] of await this.loadStylesheets()) {
+      for (const declaration of stylesheet.declarations) {
+        for (const reference of extractVarReferences(declaration.value)) {
+          if (!this.variableUsage.has(reference.name)) {
+            this.variableUsage.set(reference.name, []);
           }
           
-          this.variableUsage.get(varName).push({
+          this.variableUsage.get(reference.name).push({
             file,
-            line: index + 1,
-            fallback,
-            context: line.trim()
+            line: declaration.line,
+            column: declaration.column,
+            fallback: reference.fallback,
+            context: `${declaration.prop}: ${declaration.value}`
           });
         }
-      });
+      }
     }
     
     console.log(`  Found ${this.variableUsage.size} variables being used`);
@@ -124,30 +128,10 @@ class VariableConsistencyValidator {
     console.log('🔍 VALIDATING CONSISTENCY...');
     
     // 1. Find conflicts (multiple definitions)
-    for (const [varName, definitions] of this.variableDefinitions) {
-      if (targetVariable && varName !== targetVariable) continue;
-      
-      const uniqueValues = [...new Set(definitions.map(d => d.value))];
-      if (uniqueValues.length > 1) {
-        this.report.conflicts.push({
-          variable: varName,
-          values: uniqueValues,
-          definitions: definitions
-        });
-      }
-    }
+    this.report.conflicts.push(...this.findConflicts(targetVariable));
     
     // 2. Find undefined variables
-    for (const [varName, usages] of this.variableUsage) {
-      if (targetVariable && varName !== targetVariable) continue;
-      
-      if (!this.variableDefinitions.has(varName)) {
-        this.report.undefinedVariables.push({
-          variable: varName,
-          usages: usages.slice(0, 5) // First 5 usages
-        });
-      }
-    }
+    this.report.undefinedVariables.push(...this.findUndefinedVariables(targetVariable));
     
     // 3. Check fallback consistency
     for (const [varName, usages] of this.variableUsage) {
@@ -174,6 +158,48 @@ class VariableConsistencyValidator {
     console.log(`  Found ${this.report.spacingIssues.length} spacing issues`);
   }
 
+  // Variables defined with different values. Redefinitions inside @media,
+  // @supports or @container are intentional overrides, not conflicts;
+  // `inScope` narrows the definitions compared (e.g. to :root only).
+  findConflicts(targetVariable = null, inScope = () => true) {
+    const conflicts = [];
+    
+    for (const [varName, allDefinitions] of this.variableDefinitions) {
+      if (targetVariable && varName !== targetVariable) continue;
+      
+      const definitions = allDefinitions.filter(d => inScope(d) && !d.atRules.some(atRule => CONDITIONAL_AT_RULE.test(atRule)));
+      const uniqueValues = [...new Set(definitions.map(d => d.value))];
+      if (uniqueValues.length > 1) {
+        conflicts.push({
+          variable: varName,
+          values: uniqueValues,
+          definitions: definitions
+        });
+      }
+    }
+    
+    return conflicts;
+  }
+
+  // Variables used with var() but never defined; `isDefinedElsewhere` accepts
+  // variables set outside the collected stylesheets (scripts, templates)
+  findUndefinedVariables(targetVariable = null, isDefinedElsewhere = () => false) {
+    const undefinedVariables = [];
+    
+    for (const [varName, usages] of this.variableUsage) {
+      if (targetVariable && varName !== targetVariable) continue;
+      
+      if (!this.variableDefinitions.has(varName) && !isDefinedElsewhere(varName)) {
+        undefinedVariables.push({
+          variable: varName,
+          usages: usages.slice(0, 5) // First 5 usages
+        });
+      }
+    }
+    
+    return undefinedVariables;
+  }
+
   async validateSpacingVariables(targetVariable) {
     const spacingPattern = /space|padding|margin|gap/;
     const expectedValues = {
@@ -192,7 +218,9 @@ class VariableConsistencyValidator {
         // Check if it matches expected patterns
         for (const [size, validValues] of Object.entries(expectedValues)) {
           if (varName.includes(size)) {
-            const actualValue = definitions[0].value;
+            // Judge the base value, not a responsive override
+            const baseDefinition = definitions.find(d => !d.atRules.some(atRule => CONDITIONAL_AT_RULE.test(atRule))) || definitions[0];
+            const actualValue = baseDefinition.value;
             
             // Check if it's a valid value
             if (!validValues.includes(actualValue) && !actualValue.includes('var(')) {
@@ -213,27 +241,11 @@ class VariableConsistencyValidator {
   }
 
   async checkMobileOverrides(varName) {
-    // Check if this variable is overridden in media queries
-    const cssFiles = ['priority-foundation.css', 'base.css'];
-    
-    for (const file of cssFiles) {
-      try {
-        const content = await fs.readFile(path.join(this.themeDir, 'assets', file), 'utf8');
-        
-        // Find media queries that redefine this variable
-        const mediaQueryPattern = /@media[^{]+\{[^}]*}/gs;
-        const matches = content.match(mediaQueryPattern);
-        
-        if (matches) {
-          matches.forEach(query => {
-            if (query.includes(varName)) {
-              const condition = query.match(/@media([^{]+)/)?.[1];
-              console.log(`    ${varName} overridden in media query: ${condition?.trim()}`);
-            }
-          });
-        }
-      } catch (error) {
-        // File might not exist
+    // Report redefinitions of this variable inside media queries
+    for (const definition of this.variableDefinitions.get(varName) || []) {
+      const mediaQuery = definition.atRules.find(atRule => atRule.startsWith('@media'));
+      if (mediaQuery) {
+        console.log(`    ${varName} overridden in ${definition.file}:${definition.line} ${mediaQuery}`);
       }
     }
   }
@@ -241,6 +253,15 @@ class VariableConsistencyValidator {
   async generateReport() {
     console.log('📊 GENERATING VALIDATION REPORT...');
     
+    // Load the baseline first - it may be the previous copy of this report
+    let findings = withFingerprints(this.getFindings());
+    let comparison = null;
+    if (this.baseline) {
+      comparison = compareToBaseline(findings, await loadBaseline(this.baseline, 'variables'));
+      findings = comparison.findings;
+      this.baselineSummary = summarizeComparison(comparison, this.baseline);
+    }
+    
     const report = {
       timestamp: this.report.timestamp,
       summary: {
@@ -251,21 +272,96 @@ class VariableConsistencyValidator {
         inconsistentFallbacks: this.report.inconsistentFallbacks.length,
         spacingIssues: this.report.spacingIssues.length
       },
+      findings,
       details: this.report
     };
     
+    if (comparison) {
+      report.baseline = { ...this.baselineSummary, fixedFindings: comparison.fixed };
+    }
+    
     // Save JSON report
     await fs.writeFile(
-      path.join(__dirname, 'variable-consistency-report.json'),
+      path.join(this.outputDir, 'variable-consistency-report.json'),
       JSON.stringify(report, null, 2)
     );
     
     // Save readable report
     await this.generateReadableReport(report);
     
+    // Save SARIF / JUnit if requested
+    const machineReports = await writeMachineReports(
+      [{ name: 'Variable Consistency Validator', findings }],
+      path.join(this.outputDir, 'variable-consistency-report'),
+      this.formats,
+      { themeRoot: this.themeDir }
+    );
+    
     console.log('✅ Reports generated:');
     console.log('  - variable-consistency-report.json');
     console.log('  - variable-consistency-report.md');
+    Object.values(machineReports).forEach(file => console.log(`  - ${path.basename(file)}`));
+    
+    if (this.baselineSummary) {
+      const { new: added, fixed, unchanged } = this.baselineSummary;
+      console.log(`📐 Against baseline: ${added} new, ${fixed} fixed, ${unchanged} unchanged`);
+    }
+    
+    return report;
+  }
+
+  // Normalized findings for glass-qa and the SARIF/JUnit reporters
+  getFindings() {
+    const findings = [];
+    
+    for (const conflict of this.report.conflicts) {
+      const definition = conflict.definitions[0];
+      findings.push({
+        ruleId: 'variables/conflict',
+        severity: 'warning',
+        message: `${conflict.variable} has ${conflict.values.length} different values: ${conflict.values.join(' vs ')}`,
+        file: path.join('assets', definition.file),
+        line: definition.line,
+        key: conflict.variable
+      });
+    }
+    
+    for (const undefinedVariable of this.report.undefinedVariables) {
+      const usage = undefinedVariable.usages[0];
+      findings.push({
+        ruleId: 'variables/undefined',
+        severity: usage.fallback ? 'warning' : 'error',
+        message: `${undefinedVariable.variable} is used but never defined`,
+        file: path.join('assets', usage.file),
+        line: usage.line
+      });
+    }
+    
+    for (const item of this.report.inconsistentFallbacks) {
+      const usage = item.usages[0];
+      findings.push({
+        ruleId: 'variables/inconsistent-fallback',
+        severity: 'note',
+        message: `${item.variable} uses different fallbacks: ${item.fallbacks.join(', ')}`,
+        file: path.join('assets', usage.file),
+        line: usage.line,
+        key: item.variable
+      });
+    }
+    
+    for (const issue of this.report.spacingIssues) {
+      const definition = issue.definitions[0];
+      findings.push({
+        ruleId: 'variables/spacing',
+        severity: 'warning',
+        message: `${issue.variable} is ${issue.actual}, expected ${issue.expected.join(' or ')}`,
+        file: path.join('assets', definition.file),
+        line: definition.line,
+        key: issue.variable
+      });
+    }
+    
+    return findings;
   }
 
   async generateReadableReport(report) {
@@ -341,16 +437,35 @@ ${issue.definitions.map(def =>
 `;
 
     await fs.writeFile(
-      path.join(__dirname, 'variable-consistency-report.md'),
+      path.join(this.outputDir, 'variable-consistency-report.md'),
       markdown
     );
   }
 }
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-const targetVariable = args[0] || null;
+module.exports = VariableConsistencyValidator;
+
+if (require.main === module) {
+  // Parse command line arguments:
+  // [target-variable] [--theme-root=dir] [--format=sarif,junit] [--baseline=report.json]
+  // The theme root defaults to the working directory
+  const args = process.argv.slice(2);
+  const themeRootArg = args.find(arg => arg.startsWith('--theme-root='));
+  const formatArg = args.find(arg => arg.startsWith('--format='));
+  const baselineArg = args.find(arg => arg.startsWith('--baseline='));
+  const targetVariable = args.find(arg => !arg.startsWith('--')) || null;
 
-// Run the validator
-const validator = new VariableConsistencyValidator();
-validator.validate(targetVariable).catch(console.error);
\ No newline at end of file
+  // Run the validator
+  const validator = new VariableConsistencyValidator(themeRootArg ? themeRootArg.slice('--theme-root='.length) : null, {
+    formats: formatArg ? formatArg.slice('--format='.length).split(',') : [],
+    baseline: baselineArg ? baselineArg.slice('--baseline='.length) : null
+  });
+  validator.validate(targetVariable)
+    .then(report => {
+      // With a baseline, only new errors and warnings fail the run
+      if (!report || (validator.baselineSummary && validator.baselineSummary.failing > 0)) {
+        process.exitCode = 1;
+      }
+    })
+    .catch(console.error);
+}
\ No newline at end of file
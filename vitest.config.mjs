@@ -0,0 +1,15 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { defineConfig } from 'vitest/config';
+
+const root = path.dirname(fileURLToPath(import.meta.url));
+
+export default defineConfig({
+  resolve: {
+    // The theme's importmap (snippets/scripts.liquid): @theme/<name> is assets/<name>.js
+    alias: [{ find: /^@theme\/(.*)$/, replacement: path.join(root, 'enhanced-quantum-spatial/assets/$1.js') }],
+  },
+  test: {
+    include: ['validation-scripts/**/*.test.js', 'enhanced-quantum-spatial/**/*.test.js'],
+  },
+});